@@ -3,10 +3,16 @@ import { auth } from './site-framework/js/auth.js';
 import { toast } from './site-framework/js/toast.js';
 import { Modal } from './site-framework/js/modal.js';
 import { LoginModal } from './site-framework/js/loginModal.js';
+import { PasswordResetModal } from './site-framework/js/passwordResetModal.js';
+import { AcceptInvitationModal } from './site-framework/js/acceptInvitationModal.js';
 import { AccountModal } from './site-framework/js/accountModal.js';
 import { SettingsModal } from './site-framework/js/settings.js';
 import { LogsModal } from './site-framework/js/logs.js';
 import { createUsersSection } from './site-framework/js/usersSection.js';
+import { createRolesSection } from './site-framework/js/rolesSection.js';
+import { createLdapSection } from './site-framework/js/ldapSection.js';
+import { createSecuritySection } from './site-framework/js/securitySection.js';
+import { createAuditSection } from './site-framework/js/auditSection.js';
 import { getAllChannelTypes, NotificationChannelForm, NotificationAPI } from './site-framework/js/notifications/index.js';
 
 // Check API status
@@ -26,10 +32,43 @@ checkStatus();
 const menu = new Menu({
     containerId: 'menu-container',
     isLoggedIn: auth.isLoggedIn(),
+    hasPermission: (...permissions) => auth.hasPermission(...permissions),
     onItemClick: handleMenuClick
 });
 menu.create();
 
+// Roles may have changed since the stored user info was saved
+if (auth.isLoggedIn()) {
+    auth.refreshUser().then(() => {
+        menu.refresh();
+        updateImpersonationBanner();
+    });
+}
+
+// Impersonation banner: stays up while an admin is viewing the site as another user
+const impersonationBanner = document.getElementById('impersonation-banner');
+
+function updateImpersonationBanner() {
+    const user = auth.getUser();
+    const active = auth.isLoggedIn() && auth.isImpersonating();
+    impersonationBanner.classList.toggle('visible', active);
+    document.body.classList.toggle('impersonating', active);
+    if (active) {
+        document.getElementById('impersonation-text').textContent =
+            `${user.actor.username}, you are viewing the site as ${user.username}. Every request is logged.`;
+    }
+}
+updateImpersonationBanner();
+
+document.getElementById('impersonation-return').addEventListener('click', async () => {
+    const result = await auth.stopImpersonating();
+    if (!result.success) {
+        toast.error(result.error);
+        return;
+    }
+    window.location.reload();
+});
+
 // Username display element
 const usernameEl = document.getElementById('header-username');
 
@@ -53,11 +92,38 @@ if (auth.isLoggedIn()) {
 auth.setOnAuthChange((isLoggedIn, user) => {
     menu.setLoggedIn(isLoggedIn);
     updateUsernameDisplay(isLoggedIn, user);
+    updateImpersonationBanner();
     if (isLoggedIn) {
         toast.success(`Welcome, ${user.username}!`);
     }
 });
 
+// Finish a single sign-on redirect, if this page load is one
+auth.handleSsoRedirect().then((result) => {
+    if (result) {
+        new LoginModal().resumeSso(result);
+    }
+});
+
+// Opened from an emailed sign-in link
+auth.handleMagicLink().then((result) => {
+    if (result) {
+        new LoginModal().resumeMagicLink(result);
+    }
+});
+
+// Opened from an emailed password reset link
+const resetToken = auth.handlePasswordResetLink();
+if (resetToken) {
+    new PasswordResetModal({ token: resetToken, onComplete: showLoginModal }).open();
+}
+
+// Opened from an invitation link
+const inviteToken = auth.handleInvitationLink();
+if (inviteToken) {
+    new AcceptInvitationModal({ token: inviteToken, onComplete: showLoginModal }).open();
+}
+
 // Menu click handler
 function handleMenuClick(itemId) {
     switch (itemId) {
@@ -153,41 +219,75 @@ function createNotificationsSection() {
 
 // Show settings modal
 function showSettingsModal() {
-    if (!auth.isAdmin()) {
-        toast.warning('Admin access required');
+    // Each section is shown to users holding one of its permissions
+    const sections = [
+        {
+            id: 'general',
+            label: 'General',
+            icon: '<i class="sf-icon sf-icon-settings"></i>',
+            content: '<p style="color: var(--sf-text-muted);">General settings coming soon...</p>',
+            permissions: ['settings.view']
+        },
+        {
+            id: 'users',
+            label: 'Users',
+            icon: '<i class="sf-icon sf-icon-users"></i>',
+            content: createUsersSection,
+            permissions: ['users.view']
+        },
+        {
+            id: 'roles',
+            label: 'Roles',
+            icon: '<i class="sf-icon sf-icon-key"></i>',
+            content: createRolesSection,
+            permissions: ['roles.manage']
+        },
+        {
+            id: 'directory',
+            label: 'Directory',
+            icon: '<i class="sf-icon sf-icon-link"></i>',
+            content: createLdapSection,
+            permissions: ['settings.view']
+        },
+        {
+            id: 'security',
+            label: 'Security',
+            icon: '<i class="sf-icon sf-icon-lock"></i>',
+            content: createSecuritySection,
+            permissions: ['settings.view']
+        },
+        {
+            id: 'notifications',
+            label: 'Notifications',
+            icon: '<i class="sf-icon sf-icon-notifications"></i>',
+            content: createNotificationsSection,
+            permissions: ['notifications.manage']
+        },
+        {
+            id: 'audit',
+            label: 'Audit',
+            icon: '<i class="sf-icon sf-icon-audit"></i>',
+            content: createAuditSection,
+            permissions: ['audit.view']
+        }
+    ].filter(section => auth.hasPermission(...section.permissions));
+
+    if (sections.length === 0) {
+        toast.warning('You do not have access to settings');
         return;
     }
 
     const modal = new SettingsModal({
         defaultSection: 'users',
-        sections: [
-            {
-                id: 'general',
-                label: 'General',
-                icon: '<i class="sf-icon sf-icon-settings"></i>',
-                content: '<p style="color: var(--sf-text-muted);">General settings coming soon...</p>'
-            },
-            {
-                id: 'users',
-                label: 'Users',
-                icon: '<i class="sf-icon sf-icon-users"></i>',
-                content: createUsersSection
-            },
-            {
-                id: 'notifications',
-                label: 'Notifications',
-                icon: '<i class="sf-icon sf-icon-notifications"></i>',
-                content: createNotificationsSection
-            }
-        ]
+        sections
     });
     modal.open();
 }
 
 // Show logs modal
 async function showLogsModal() {
-    if (!auth.isAdmin()) {
-        toast.warning('Admin access required');
+    if (!auth.hasPermission('logs.view')) {
+        toast.warning('You do not have access to logs');
         return;
     }
 
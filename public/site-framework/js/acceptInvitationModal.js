@@ -0,0 +1,138 @@
+/**
+ * Site Framework - Accept Invitation Modal
+ * ============================================
+ *
+ * Shown when the page is opened from an invitation link: names the
+ * invited account and asks the invitee to choose a password, which
+ * activates the account. They log in with it afterwards.
+ *
+ * USAGE:
+ *   import { AcceptInvitationModal } from './site-framework/js/acceptInvitationModal.js';
+ *
+ *   const token = auth.handleInvitationLink();
+ *   if (token) {
+ *     new AcceptInvitationModal({
+ *       token,
+ *       onComplete: () => { ... }   // e.g. open the login modal
+ *     }).open();
+ *   }
+ */
+
+import { Modal } from './modal.js';
+import { auth } from './auth.js';
+import { toast } from './toast.js';
+import { createField, validateField } from './field.js';
+import { attachPasswordStrength, validatePassword } from './passwordPolicy.js';
+
+export class AcceptInvitationModal extends Modal {
+  constructor(options = {}) {
+    super({
+      title: 'Accept Invitation',
+      closable: true,
+      footer: `
+        <button class="sf-btn sf-btn-primary" id="invite-save" disabled>Set Password</button>
+        <button class="sf-btn sf-btn-secondary" id="invite-cancel">Cancel</button>
+      `,
+      ...options
+    });
+
+    this.token = options.token;
+    this.onComplete = options.onComplete || (() => {});
+  }
+
+  _create() {
+    super._create();
+
+    const contentEl = this.element.querySelector('.sf-modal-content');
+    contentEl.innerHTML = `
+      <p class="sf-account-hint" id="invite-hint">Loading invitation...</p>
+      <div id="invite-fields"></div>
+    `;
+
+    const container = this.element.querySelector('#invite-fields');
+
+    this.newPasswordField = createField({
+      id: 'invite-password',
+      label: 'Password',
+      type: 'password',
+      required: true,
+      autocomplete: 'new-password',
+      validate: validatePassword
+    });
+    attachPasswordStrength(this.newPasswordField);
+    container.appendChild(this.newPasswordField);
+
+    this.confirmPasswordField = createField({
+      id: 'invite-confirm',
+      label: 'Confirm Password',
+      type: 'password',
+      required: true,
+      autocomplete: 'new-password',
+      validate: (val) => {
+        const newPass = this.newPasswordField.querySelector('input').value;
+        if (val !== newPass) return 'Passwords do not match';
+        return true;
+      }
+    });
+    container.appendChild(this.confirmPasswordField);
+  }
+
+  _bindEvents() {
+    this.element.querySelector('#invite-save').addEventListener('click', () => this._save());
+    this.element.querySelector('#invite-cancel').addEventListener('click', () => this.close());
+
+    this.element.querySelectorAll('input').forEach(input => {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this._save();
+      });
+    });
+
+    this._loadInvitation();
+  }
+
+  async _loadInvitation() {
+    const result = await auth.getInvitation(this.token);
+    const hint = this.element.querySelector('#invite-hint');
+    if (!hint) return;
+
+    if (!result.success) {
+      hint.textContent = 'Ask whoever invited you to send a new invitation.';
+      this.element.querySelector('#invite-fields').remove();
+      this.element.querySelector('#invite-save').remove();
+      this.element.querySelector('#invite-cancel').textContent = 'Close';
+      this.showError(result.error);
+      return;
+    }
+
+    hint.textContent = `You've been invited to the account "${result.username}". Choose a password to activate it.`;
+    this.element.querySelector('#invite-save').disabled = false;
+  }
+
+  async _save() {
+    const saveBtn = this.element.querySelector('#invite-save');
+    if (!saveBtn || saveBtn.disabled) return;
+
+    const newValid = validateField(this.newPasswordField);
+    const confirmValid = validateField(this.confirmPasswordField);
+    if (!newValid || !confirmValid) return;
+
+    const password = this.newPasswordField.querySelector('input').value;
+
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving...';
+
+    const result = await auth.acceptInvitation(this.token, password);
+
+    if (result.success) {
+      toast.success('Account activated, please log in');
+      this.close();
+      this.onComplete(result);
+    } else {
+      saveBtn.disabled = false;
+      saveBtn.textContent = 'Set Password';
+      this.showError(result.error);
+    }
+  }
+}
+
+export default AcceptInvitationModal;
@@ -2,8 +2,9 @@
  * Site Framework - Account Modal
  * ============================================
  *
- * Self-service account modal for viewing profile and
- * changing username/password.
+ * Self-service account modal for viewing profile,
+ * changing email/password, two-factor setup, passkeys, API keys,
+ * signed-in sessions, and known sign-in devices.
  *
  * USAGE:
  *   import { AccountModal } from './site-framework/js/accountModal.js';
@@ -14,10 +15,16 @@
  *   modal.open();
  */
 
-import { Modal, ConfirmModal } from './modal.js';
+import { Modal } from './modal.js';
 import { auth } from './auth.js';
 import { toast } from './toast.js';
 import { createField, validateField, setFieldError } from './field.js';
+import { attachPasswordStrength, validatePassword } from './passwordPolicy.js';
+import { createTwoFactorSection } from './twoFactorSection.js';
+import { createPasskeysSection } from './passkeysSection.js';
+import { createApiKeysSection } from './apiKeysSection.js';
+import { createSessionsSection } from './sessionsSection.js';
+import { createKnownDevicesSection } from './knownDevicesSection.js';
 
 export class AccountModal extends Modal {
   constructor(options = {}) {
@@ -28,10 +35,6 @@ export class AccountModal extends Modal {
     });
 
     this.onUpdate = options.onUpdate || (() => {});
-    this.apiKey = null;
-    this.apiKeyCreatedAt = null;
-    this.apiKeyLastFour = null;
-    this.hasApiKey = false;
   }
 
   _create() {
@@ -48,11 +51,23 @@ export class AccountModal extends Modal {
             <span class="sf-account-info-value" id="account-username">Loading...</span>
           </div>
           <div class="sf-account-info" style="margin-top: 8px;">
-            <span class="sf-account-info-label">Role</span>
+            <span class="sf-account-info-label">Roles</span>
             <span class="sf-account-info-value" id="account-role">-</span>
           </div>
         </div>
 
+        <!-- Email Section -->
+        <div class="sf-account-section">
+          <div class="sf-account-section-title">Email</div>
+          <p class="sf-account-hint">Used to send you a link if you forget your password.</p>
+          <div id="email-fields-container"></div>
+          <div style="display: flex; justify-content: flex-end; margin-top: 8px;">
+            <button class="sf-btn sf-btn-secondary" id="save-email-btn">
+              Save Email
+            </button>
+          </div>
+        </div>
+
         <!-- Change Password Section -->
         <div class="sf-account-section">
           <div class="sf-account-section-title">Change Password</div>
@@ -64,12 +79,36 @@ export class AccountModal extends Modal {
           </div>
         </div>
 
-        <!-- API Key Section -->
+        <!-- Two-Factor Section -->
         <div class="sf-account-section">
-          <div class="sf-account-section-title">API Key</div>
-          <div id="api-key-container">
-            <span class="sf-api-key-loading">Loading...</span>
-          </div>
+          <div class="sf-account-section-title">Two-Factor Authentication</div>
+          <div id="two-factor-container"></div>
+        </div>
+
+        <!-- Passkeys Section -->
+        <div class="sf-account-section">
+          <div class="sf-account-section-title">Passkeys</div>
+          <div id="passkeys-container"></div>
+        </div>
+
+        <!-- API Keys Section -->
+        <div class="sf-account-section">
+          <div class="sf-account-section-title">API Keys</div>
+          <div id="api-key-container"></div>
+        </div>
+
+        <!-- Sessions Section -->
+        <div class="sf-account-section">
+          <div class="sf-account-section-title">Sessions</div>
+          <p class="sf-account-hint">Where you are signed in.</p>
+          <div id="sessions-container"></div>
+        </div>
+
+        <!-- Known Devices Section -->
+        <div class="sf-account-section">
+          <div class="sf-account-section-title">Devices</div>
+          <p class="sf-account-hint">Devices you have signed in from. Signing in from a new one sends an alert to your email address.</p>
+          <div id="known-devices-container"></div>
         </div>
       </div>
     `;
@@ -83,10 +122,37 @@ export class AccountModal extends Modal {
     }
 
     this._createFields();
+    this.element.querySelector('#two-factor-container').appendChild(createTwoFactorSection());
+    this.element.querySelector('#passkeys-container').appendChild(createPasskeysSection());
+    this.element.querySelector('#api-key-container').appendChild(createApiKeysSection());
+    this.element.querySelector('#sessions-container').appendChild(createSessionsSection());
+    this.element.querySelector('#known-devices-container').appendChild(createKnownDevicesSection());
     this._loadAccountInfo();
   }
 
   _createFields() {
+    // Email fields
+    const emailContainer = this.element.querySelector('#email-fields-container');
+
+    this.emailField = createField({
+      id: 'account-email',
+      label: 'Email',
+      type: 'email',
+      validate: (val) => {
+        if (val && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(val)) return 'Invalid email address';
+        return true;
+      }
+    });
+    emailContainer.appendChild(this.emailField);
+
+    this.emailPasswordField = createField({
+      id: 'account-email-password',
+      label: 'Current Password',
+      type: 'password',
+      required: true
+    });
+    emailContainer.appendChild(this.emailPasswordField);
+
     // Password fields
     const passwordContainer = this.element.querySelector('#password-fields-container');
 
@@ -105,11 +171,9 @@ export class AccountModal extends Modal {
       label: 'New Password',
       type: 'password',
       required: true,
-      validate: (val) => {
-        if (val.length < 8) return 'Password must be at least 8 characters';
-        return true;
-      }
+      validate: validatePassword
     });
+    attachPasswordStrength(this.newPasswordField);
     passwordContainer.appendChild(this.newPasswordField);
 
     this.confirmPasswordField = createField({
@@ -135,145 +199,14 @@ export class AccountModal extends Modal {
 
       // Update profile display
       this.element.querySelector('#account-username').textContent = data.username;
-      this.element.querySelector('#account-role').textContent = data.isAdmin ? 'Administrator' : 'User';
-
-      // Update API key section
-      this.hasApiKey = data.hasApiKey;
-      this.apiKeyLastFour = data.apiKeyLastFour || null;
-      this.apiKeyCreatedAt = data.apiKeyCreatedAt || null;
-      this._renderApiKeySection();
+      this.element.querySelector('#account-role').textContent = data.roles.map(role => role.name).join(', ') || 'None';
+      this.emailField.querySelector('input').value = data.email || '';
     } catch (err) {
       console.error('Failed to load account:', err);
       toast.error('Failed to load account info');
     }
   }
 
-  _renderApiKeySection() {
-    const container = this.element.querySelector('#api-key-container');
-
-    if (this.apiKey) {
-      // Show newly generated key
-      container.innerHTML = `
-        <div class="sf-api-key-generated">
-          <div class="sf-api-key-warning">
-            Save this key now - it won't be shown again!
-          </div>
-          <div class="sf-api-key-value">
-            <code id="api-key-value">${this.apiKey}</code>
-            <button class="sf-btn sf-btn-icon sf-btn-secondary" id="copy-api-key" title="Copy">
-              <i class="sf-icon sf-icon-copy"></i>
-            </button>
-          </div>
-        </div>
-      `;
-
-      // Bind copy button
-      container.querySelector('#copy-api-key').addEventListener('click', () => {
-        navigator.clipboard.writeText(this.apiKey);
-        toast.success('API key copied to clipboard');
-      });
-    } else if (this.hasApiKey) {
-      // Has existing key - show last 4 chars and created timestamp
-      const createdDate = this.apiKeyCreatedAt
-        ? new Date(this.apiKeyCreatedAt).toLocaleString('en-US', {
-            timeZone: 'America/Chicago',
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric',
-            hour: 'numeric',
-            minute: '2-digit',
-            hour12: true
-          })
-        : 'Unknown';
-
-      container.innerHTML = `
-        <div class="sf-api-key-status sf-api-key-active">
-          <span class="sf-api-key-indicator"></span>
-          <span>API key is active</span>
-        </div>
-        <div class="sf-api-key-info">
-          <div class="sf-api-key-detail">
-            <span class="sf-api-key-detail-label">Key ending:</span>
-            <code class="sf-api-key-detail-value">...${this.apiKeyLastFour || '????'}</code>
-          </div>
-          <div class="sf-api-key-detail">
-            <span class="sf-api-key-detail-label">Generated:</span>
-            <span class="sf-api-key-detail-value">${createdDate}</span>
-          </div>
-        </div>
-        <div class="sf-api-key-actions">
-          <button class="sf-btn sf-btn-secondary" id="regenerate-api-key">
-            <i class="sf-icon sf-icon-refresh"></i> Regenerate
-          </button>
-          <button class="sf-btn sf-btn-danger" id="revoke-api-key">
-            Revoke
-          </button>
-        </div>
-      `;
-
-      container.querySelector('#regenerate-api-key').addEventListener('click', () => this._generateApiKey());
-      container.querySelector('#revoke-api-key').addEventListener('click', () => this._revokeApiKey());
-    } else {
-      // No key
-      container.innerHTML = `
-        <div class="sf-api-key-status sf-api-key-inactive">
-          <span class="sf-api-key-indicator"></span>
-          <span>No API key configured</span>
-        </div>
-        <div class="sf-api-key-actions">
-          <button class="sf-btn sf-btn-primary" id="generate-api-key">
-            <i class="sf-icon sf-icon-key"></i> Generate API Key
-          </button>
-        </div>
-      `;
-
-      container.querySelector('#generate-api-key').addEventListener('click', () => this._generateApiKey());
-    }
-  }
-
-  async _generateApiKey() {
-    try {
-      const res = await auth.fetch('/api/account/api-key', { method: 'POST' });
-      if (!res.ok) throw new Error('Failed to generate API key');
-
-      const data = await res.json();
-      this.apiKey = data.apiKey;
-      this.apiKeyCreatedAt = data.createdAt;
-      this.apiKeyLastFour = data.lastFour;
-      this.hasApiKey = true;
-      this._renderApiKeySection();
-      toast.success('API key generated');
-    } catch (err) {
-      console.error('Failed to generate API key:', err);
-      toast.error('Failed to generate API key');
-    }
-  }
-
-  async _revokeApiKey() {
-    const confirm = new ConfirmModal({
-      title: 'Revoke API Key',
-      message: 'Are you sure? Any applications using this key will stop working.',
-      confirmText: 'Revoke',
-      confirmStyle: 'danger',
-      onConfirm: async () => {
-        confirm.close();
-        try {
-          const res = await auth.fetch('/api/account/api-key', { method: 'DELETE' });
-          if (!res.ok) throw new Error('Failed to revoke API key');
-
-          this.apiKey = null;
-          this.hasApiKey = false;
-          this._renderApiKeySection();
-          toast.success('API key revoked');
-        } catch (err) {
-          console.error('Failed to revoke API key:', err);
-          toast.error('Failed to revoke API key');
-        }
-      }
-    });
-    confirm.open();
-  }
-
   _bindEvents() {
     // Close button
     const closeBtn = this.element.querySelector('#account-close');
@@ -284,6 +217,46 @@ export class AccountModal extends Modal {
     // Save password
     const savePasswordBtn = this.element.querySelector('#save-password-btn');
     savePasswordBtn.addEventListener('click', () => this._savePassword());
+
+    // Save email
+    const saveEmailBtn = this.element.querySelector('#save-email-btn');
+    saveEmailBtn.addEventListener('click', () => this._saveEmail());
+  }
+
+  async _saveEmail() {
+    const emailValid = validateField(this.emailField);
+    const passwordValid = validateField(this.emailPasswordField);
+
+    if (!emailValid || !passwordValid) return;
+
+    const email = this.emailField.querySelector('input').value.trim();
+    const currentPassword = this.emailPasswordField.querySelector('input').value;
+
+    try {
+      const res = await auth.fetch('/api/account', {
+        method: 'PUT',
+        body: JSON.stringify({ currentPassword, email })
+      });
+
+      if (!res.ok) {
+        const data = await res.json();
+        throw new Error(data.error || 'Failed to update email');
+      }
+
+      this.emailPasswordField.querySelector('input').value = '';
+
+      toast.success(email ? 'Email updated' : 'Email removed');
+      this.onUpdate();
+    } catch (err) {
+      console.error('Failed to update email:', err);
+      if (err.message.includes('Current password')) {
+        setFieldError(this.emailPasswordField, err.message);
+      } else if (err.message.toLowerCase().includes('email')) {
+        setFieldError(this.emailField, err.message);
+      } else {
+        toast.error(err.message);
+      }
+    }
   }
 
   async _savePassword() {
@@ -319,6 +292,8 @@ export class AccountModal extends Modal {
       console.error('Failed to update password:', err);
       if (err.message.includes('Current password')) {
         setFieldError(this.currentPasswordField, err.message);
+      } else if (err.message.startsWith('Password') || err.message.includes('too common')) {
+        setFieldError(this.newPasswordField, err.message);
       } else {
         toast.error(err.message);
       }
@@ -0,0 +1,360 @@
+/**
+ * Site Framework - API Keys Section
+ * ============================================
+ *
+ * Lists the user's named API keys (last four characters, scopes,
+ * allowed IPs, created, expiry, last use) with edit (name and allowed
+ * IPs) and revoke actions, and a "Create API Key" button that asks for a
+ * name, scopes, expiry, allowed IPs and whether it is a signing key. A new key is shown once, right after it is created;
+ * signing keys also show the key id that signed requests send.
+ * Used by AccountModal.
+ *
+ * USAGE:
+ *   import { createApiKeysSection } from './site-framework/js/apiKeysSection.js';
+ *
+ *   container.appendChild(createApiKeysSection());
+ */
+
+import { Modal, ConfirmModal } from './modal.js';
+import { auth } from './auth.js';
+import { toast } from './toast.js';
+import { createField, validateField, getFieldValue } from './field.js';
+
+const FULL_ACCESS = '*';
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never' },
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' }
+];
+
+/**
+ * Create the API keys section content
+ * @returns {HTMLElement}
+ */
+export function createApiKeysSection() {
+  const container = document.createElement('div');
+  container.className = 'sf-api-keys';
+  container.innerHTML = '<span class="sf-api-key-loading">Loading...</span>';
+
+  loadApiKeys(container);
+  return container;
+}
+
+async function loadApiKeys(container, newKey = null) {
+  try {
+    const res = await auth.fetch('/api/account/api-keys');
+    if (!res.ok) throw new Error('Failed to load API keys');
+
+    render(container, await res.json(), newKey);
+  } catch (err) {
+    console.error('Failed to load API keys:', err);
+    container.innerHTML = '<span class="sf-api-key-loading">Failed to load</span>';
+  }
+}
+
+function parseDate(value) {
+  return new Date(value.replace(' ', 'T') + (value.endsWith('Z') ? '' : 'Z'));
+}
+
+function formatDate(value) {
+  if (!value) return 'Never';
+  return parseDate(value).toLocaleString();
+}
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = String(str ?? '');
+  return div.innerHTML;
+}
+
+function describeExpiry(key) {
+  if (!key.expiresAt) return 'No expiry';
+  if (parseDate(key.expiresAt) <= new Date()) {
+    return `<span class="sf-api-key-expired">Expired ${formatDate(key.expiresAt)}</span>`;
+  }
+  return `Expires ${formatDate(key.expiresAt)}`;
+}
+
+function describeScopes(key) {
+  if (key.scopes.includes(FULL_ACCESS)) return 'Full access';
+  return key.scopes.map(scope => `<code>${escapeHtml(scope)}</code>`).join(' ');
+}
+
+function describeAllowedIps(key) {
+  if (!key.allowedIps.length) return '';
+  return `<span class="sf-passkey-meta">Only from ${key.allowedIps.map(range => `<code>${escapeHtml(range)}</code>`).join(' ')}</span>`;
+}
+
+function render(container, keys, newKey) {
+  container.innerHTML = `
+    ${newKey ? `
+      <div class="sf-api-key-generated">
+        <div class="sf-api-key-warning">
+          Save "${escapeHtml(newKey.name)}" now - it won't be shown again!
+        </div>
+        ${newKey.signing ? `
+          <div class="sf-account-hint">
+            Signing key id <code>${newKey.id}</code>. Sign requests with this secret instead of sending it.
+          </div>
+        ` : ''}
+        <div class="sf-api-key-value">
+          <code>${newKey.apiKey}</code>
+          <button class="sf-btn sf-btn-icon sf-btn-secondary" data-action="copy" title="Copy">
+            <i class="sf-icon sf-icon-copy"></i>
+          </button>
+        </div>
+      </div>
+    ` : ''}
+    ${keys.length === 0 ? `
+      <div class="sf-api-key-status sf-api-key-inactive">
+        <span class="sf-api-key-indicator"></span>
+        <span>No API keys</span>
+      </div>
+    ` : `
+      <div class="sf-passkey-list">
+        ${keys.map(k => `
+          <div class="sf-passkey-item" data-id="${k.id}">
+            <div class="sf-passkey-details">
+              <span class="sf-passkey-name">${escapeHtml(k.name)} <code>...${escapeHtml(k.lastFour)}</code>${k.signing ? ` &middot; Signing key id <code>${k.id}</code>` : ''}</span>
+              <span class="sf-passkey-meta">${describeScopes(k)}</span>
+              ${describeAllowedIps(k)}
+              <span class="sf-passkey-meta">Created ${formatDate(k.createdAt)} &middot; ${describeExpiry(k)}</span>
+              <span class="sf-passkey-meta">Last used ${formatDate(k.lastUsedAt)}${k.lastUsedIp ? ` from ${escapeHtml(k.lastUsedIp)}` : ''}</span>
+            </div>
+            <div class="sf-table-actions">
+              <button class="sf-btn sf-btn-icon sf-btn-secondary" data-action="edit" data-id="${k.id}" title="Edit">
+                <i class="sf-icon sf-icon-edit"></i>
+              </button>
+              <button class="sf-btn sf-btn-icon sf-btn-danger" data-action="revoke" data-id="${k.id}" title="Revoke">
+                <i class="sf-icon sf-icon-delete"></i>
+              </button>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `}
+    <div class="sf-api-key-actions">
+      <button class="sf-btn sf-btn-primary" data-action="create">
+        <i class="sf-icon sf-icon-add"></i> Create API Key
+      </button>
+    </div>
+  `;
+
+  container.querySelectorAll('button[data-action]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const key = keys.find(k => k.id === parseInt(btn.dataset.id));
+      if (btn.dataset.action === 'copy') {
+        navigator.clipboard.writeText(newKey.apiKey);
+        toast.success('API key copied to clipboard');
+      }
+      if (btn.dataset.action === 'create') openCreateModal(container);
+      if (btn.dataset.action === 'edit' && key) openEditModal(container, key);
+      if (btn.dataset.action === 'revoke' && key) openRevokeConfirm(container, key);
+    });
+  });
+}
+
+function createNameField(id, value = '') {
+  return createField({
+    id,
+    label: 'Name',
+    type: 'text',
+    required: true,
+    value,
+    hint: 'What the key is for, e.g. "CI deploy"',
+    validate: (val) => val.trim().length <= 64 ? true : 'Name must be at most 64 characters'
+  });
+}
+
+function createAllowedIpsField(id, ranges = []) {
+  return createField({
+    id,
+    label: 'Allowed IPs',
+    type: 'text',
+    value: ranges.join(', '),
+    hint: 'Comma-separated addresses or CIDR ranges, e.g. 203.0.113.0/24. Leave blank to allow any address.'
+  });
+}
+
+function getRanges(field) {
+  return getFieldValue(field).split(/[\s,]+/).filter(Boolean);
+}
+
+async function openCreateModal(container) {
+  let scopes;
+  try {
+    const res = await auth.fetch('/api/account/api-keys/scopes');
+    if (!res.ok) throw new Error('Failed to load API key scopes');
+    scopes = await res.json();
+  } catch (err) {
+    console.error('Failed to load API key scopes:', err);
+    toast.error(err.message);
+    return;
+  }
+
+  const content = document.createElement('div');
+  const nameField = createNameField('api-key-name');
+  content.appendChild(nameField);
+
+  const scopeList = document.createElement('div');
+  scopeList.className = 'sf-api-key-scopes';
+  scopeList.innerHTML = `
+    <div class="sf-account-hint">Scopes - what the key may be used for</div>
+    ${scopes.map(scope => `
+      <label class="sf-checkbox">
+        <input type="checkbox" class="sf-checkbox-input" value="${escapeHtml(scope.id)}">
+        <span class="sf-checkbox-label">${scope.id === FULL_ACCESS ? '' : `<code>${escapeHtml(scope.id)}</code> `}${escapeHtml(scope.description)}</span>
+      </label>
+    `).join('')}
+  `;
+  content.appendChild(scopeList);
+
+  // Full access covers everything else
+  const scopeInputs = [...scopeList.querySelectorAll('input')];
+  const fullAccessInput = scopeInputs.find(input => input.value === FULL_ACCESS);
+  fullAccessInput?.addEventListener('change', () => {
+    scopeInputs.forEach(input => {
+      if (input !== fullAccessInput) input.disabled = fullAccessInput.checked;
+    });
+  });
+
+  const expiryField = document.createElement('div');
+  expiryField.className = 'sf-field';
+  expiryField.innerHTML = `
+    <select id="api-key-expiry" class="sf-field-input">
+      ${EXPIRY_OPTIONS.map(opt => `<option value="${opt.value}">${opt.label}</option>`).join('')}
+    </select>
+    <label class="sf-field-label" for="api-key-expiry">Expires</label>
+  `;
+  content.appendChild(expiryField);
+
+  const allowedIpsField = createAllowedIpsField('api-key-allowed-ips');
+  content.appendChild(allowedIpsField);
+
+  const signingOption = document.createElement('label');
+  signingOption.className = 'sf-checkbox';
+  signingOption.innerHTML = `
+    <input type="checkbox" class="sf-checkbox-input" id="api-key-signing">
+    <span class="sf-checkbox-label">Signing key - requests are signed with it (HMAC) instead of sending it</span>
+  `;
+  content.appendChild(signingOption);
+
+  const modal = new Modal({
+    title: 'Create API Key',
+    content,
+    footer: `
+      <button class="sf-btn sf-btn-primary" id="api-key-create-save">Create</button>
+      <button class="sf-btn sf-btn-secondary" id="api-key-create-cancel">Cancel</button>
+    `
+  });
+  modal.open();
+
+  const save = async () => {
+    if (!validateField(nameField)) return;
+
+    const selected = fullAccessInput?.checked
+      ? [FULL_ACCESS]
+      : scopeInputs.filter(input => input.checked).map(input => input.value);
+    if (selected.length === 0) {
+      modal.showError('Choose at least one scope');
+      return;
+    }
+
+    const expiresInDays = getFieldValue(expiryField);
+    try {
+      const res = await auth.fetch('/api/account/api-keys', {
+        method: 'POST',
+        body: JSON.stringify({
+          name: getFieldValue(nameField).trim(),
+          scopes: selected,
+          expiresInDays: expiresInDays ? parseInt(expiresInDays) : null,
+          signing: signingOption.querySelector('input').checked,
+          allowedIps: getRanges(allowedIpsField)
+        })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to create API key');
+
+      modal.close();
+      toast.success('API key created');
+      loadApiKeys(container, data);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  modal.element.querySelector('#api-key-create-save').addEventListener('click', save);
+  modal.element.querySelector('#api-key-create-cancel').addEventListener('click', () => modal.close());
+  nameField.querySelector('input').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') save();
+  });
+}
+
+function openEditModal(container, key) {
+  const content = document.createElement('div');
+  const nameField = createNameField('api-key-edit-name', key.name);
+  const allowedIpsField = createAllowedIpsField('api-key-edit-allowed-ips', key.allowedIps);
+  content.append(nameField, allowedIpsField);
+
+  const modal = new Modal({
+    title: 'Edit API Key',
+    content,
+    footer: `
+      <button class="sf-btn sf-btn-primary" id="api-key-edit-save">Save</button>
+      <button class="sf-btn sf-btn-secondary" id="api-key-edit-cancel">Cancel</button>
+    `
+  });
+  modal.open();
+
+  const save = async () => {
+    if (!validateField(nameField)) return;
+
+    try {
+      const res = await auth.fetch(`/api/account/api-keys/${key.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ name: getFieldValue(nameField).trim(), allowedIps: getRanges(allowedIpsField) })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to update API key');
+
+      modal.close();
+      toast.success('API key updated');
+      loadApiKeys(container);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  modal.element.querySelector('#api-key-edit-save').addEventListener('click', save);
+  modal.element.querySelector('#api-key-edit-cancel').addEventListener('click', () => modal.close());
+  nameField.querySelector('input').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') save();
+  });
+}
+
+function openRevokeConfirm(container, key) {
+  const confirm = new ConfirmModal({
+    title: 'Revoke API Key',
+    message: `Revoke "${escapeHtml(key.name)}" (ending in ...${escapeHtml(key.lastFour)})? Any applications using it will stop working.`,
+    confirmText: 'Revoke',
+    confirmStyle: 'danger',
+    onConfirm: async () => {
+      confirm.close();
+      try {
+        const res = await auth.fetch(`/api/account/api-keys/${key.id}`, { method: 'DELETE' });
+        if (!res.ok) throw new Error('Failed to revoke API key');
+
+        toast.success('API key revoked');
+        loadApiKeys(container);
+      } catch (err) {
+        console.error('Failed to revoke API key:', err);
+        toast.error(err.message);
+      }
+    }
+  });
+  confirm.open();
+}
+
+export default { createApiKeysSection };
@@ -0,0 +1,186 @@
+/**
+ * Site Framework - Audit Section
+ * ============================================
+ *
+ * Read-only audit trail for the settings modal (audit.view permission):
+ * who changed what and when, with the before/after diff, IP and request
+ * id. Filters by action, target type, actor and date range; older
+ * entries load on demand. Entries can't be deleted.
+ *
+ * USAGE:
+ *   import { createAuditSection } from './site-framework/js/auditSection.js';
+ *
+ *   const settingsModal = new SettingsModal({
+ *     sections: [
+ *       { id: 'audit', label: 'Audit', icon: '...', content: createAuditSection }
+ *     ]
+ *   });
+ */
+
+import { Table } from './table.js';
+import { auth } from './auth.js';
+import { toast } from './toast.js';
+
+const PAGE_SIZE = 100;
+
+// Shown by the server in place of secret values
+const REDACTED = '[redacted]';
+
+function formatDate(value) {
+  if (!value) return 'Never';
+  return new Date(value.replace(' ', 'T') + (value.endsWith('Z') ? '' : 'Z')).toLocaleString();
+}
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = String(str ?? '');
+  return div.innerHTML;
+}
+
+function formatValue(value) {
+  if (value === null || value === '') return '(none)';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function describeChanges(changes) {
+  if (!changes) return '';
+  return Object.entries(changes).map(([field, { from, to }]) => {
+    const change = from === REDACTED || to === REDACTED ? 'changed' : `${formatValue(from)} → ${formatValue(to)}`;
+    return `<div><code>${escapeHtml(field)}</code> ${escapeHtml(change)}</div>`;
+  }).join('');
+}
+
+/**
+ * Create the audit section content
+ * @returns {HTMLElement}
+ */
+export function createAuditSection() {
+  const container = document.createElement('div');
+  container.className = 'sf-audit-section';
+
+  container.innerHTML = `
+    <div class="sf-audit-toolbar" style="display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 16px;">
+      <select class="sf-field-input" style="width: auto;" id="audit-action" title="Action">
+        <option value="">All actions</option>
+      </select>
+      <select class="sf-field-input" style="width: auto;" id="audit-target-type" title="Target type">
+        <option value="">All targets</option>
+      </select>
+      <input type="text" class="sf-field-input" style="width: 160px;" id="audit-actor" placeholder="Actor username">
+      <input type="date" class="sf-field-input" style="width: auto;" id="audit-from" title="From">
+      <input type="date" class="sf-field-input" style="width: auto;" id="audit-to" title="To">
+    </div>
+    <div id="audit-table-container"></div>
+    <div style="display: flex; justify-content: center; margin-top: 16px;">
+      <button class="sf-btn sf-btn-secondary" id="audit-more" hidden>Load older entries</button>
+    </div>
+  `;
+
+  const view = {
+    container,
+    entries: [],
+    table: new Table({
+      container: container.querySelector('#audit-table-container'),
+      columns: [
+        { id: 'created_at', label: 'Time', sortable: true, type: 'date', render: (row) => formatDate(row.created_at) },
+        { id: 'actor_username', label: 'Actor', sortable: true, render: (row) => escapeHtml(row.actor_username || 'System') },
+        { id: 'action', label: 'Action', sortable: true, render: (row) => `<code>${escapeHtml(row.action)}</code>` },
+        { id: 'target_type', label: 'Target', sortable: true, render: (row) => row.target_type
+          ? escapeHtml(row.target_id ? `${row.target_type} ${row.target_id}` : row.target_type)
+          : '' },
+        { id: 'changes', label: 'Changes', render: (row) => describeChanges(row.changes) },
+        { id: 'ip_address', label: 'IP', sortable: true, render: (row) => `
+          ${escapeHtml(row.ip_address || '')}
+          ${row.request_id ? `<div class="sf-account-hint" title="Request id">${escapeHtml(row.request_id)}</div>` : ''}
+        `}
+      ],
+      data: [],
+      defaultSort: 'created_at',
+      defaultSortDir: 'desc'
+    })
+  };
+
+  container.querySelectorAll('.sf-audit-toolbar select, .sf-audit-toolbar input[type="date"]').forEach(input => {
+    input.addEventListener('change', () => loadEntries(view));
+  });
+
+  let actorTimer = null;
+  container.querySelector('#audit-actor').addEventListener('input', () => {
+    clearTimeout(actorTimer);
+    actorTimer = setTimeout(() => loadEntries(view), 300);
+  });
+
+  container.querySelector('#audit-more').addEventListener('click', () => loadEntries(view, true));
+
+  loadFilters(view);
+  loadEntries(view);
+
+  return container;
+}
+
+/**
+ * Fill the action and target type filters with the values recorded so far
+ */
+async function loadFilters(view) {
+  try {
+    const res = await auth.fetch('/api/audit/filters');
+    if (!res.ok) throw new Error('Failed to load audit filters');
+
+    const { actions, targetTypes } = await res.json();
+    const addOptions = (select, values) => {
+      select.insertAdjacentHTML('beforeend', values.map(value =>
+        `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`
+      ).join(''));
+    };
+    addOptions(view.container.querySelector('#audit-action'), actions);
+    addOptions(view.container.querySelector('#audit-target-type'), targetTypes);
+  } catch (err) {
+    console.error('Failed to load audit filters:', err);
+  }
+}
+
+/**
+ * Query string for the current filters. Dates are local days: "to"
+ * includes the whole day.
+ */
+function buildQuery(view) {
+  const value = (id) => view.container.querySelector(`#${id}`).value.trim();
+  const params = new URLSearchParams({ limit: PAGE_SIZE });
+
+  if (value('audit-action')) params.set('action', value('audit-action'));
+  if (value('audit-target-type')) params.set('targetType', value('audit-target-type'));
+  if (value('audit-actor')) params.set('actor', value('audit-actor'));
+  if (value('audit-from')) params.set('from', new Date(`${value('audit-from')}T00:00`).toISOString());
+  if (value('audit-to')) {
+    const to = new Date(`${value('audit-to')}T00:00`);
+    to.setDate(to.getDate() + 1);
+    params.set('to', to.toISOString());
+  }
+
+  return params;
+}
+
+/**
+ * Load the newest matching entries, or the next older page
+ */
+async function loadEntries(view, older = false) {
+  const params = buildQuery(view);
+  if (older && view.entries.length) {
+    params.set('before', view.entries[view.entries.length - 1].id);
+  }
+
+  try {
+    const res = await auth.fetch(`/api/audit?${params}`);
+    if (!res.ok) throw new Error('Failed to load audit trail');
+
+    const page = await res.json();
+    view.entries = older ? [...view.entries, ...page] : page;
+    view.table.setData(view.entries);
+    view.container.querySelector('#audit-more').hidden = page.length < PAGE_SIZE;
+  } catch (err) {
+    console.error('Failed to load audit trail:', err);
+    toast.error('Failed to load audit trail');
+  }
+}
+
+export default { createAuditSection };
@@ -8,30 +8,127 @@
  *   // Login
  *   const result = await auth.login(username, password);
  *
+ *   // Second step when the account has 2FA enabled
+ *   if (result.twoFactorRequired) {
+ *     await auth.verifyTwoFactor(result.challengeToken, code);
+ *   }
+ *
+ *   // Passwordless sign-in with a passkey
+ *   await auth.loginWithPasskey();
+ *
+ *   // Single sign-on: redirect to the provider, then finish on page load
+ *   auth.loginWithSso('corp');
+ *   const ssoResult = await auth.handleSsoRedirect();
+ *
+ *   // Self-registration, when the site allows it
+ *   if (await auth.getRegistrationMode() !== 'invite-only') {
+ *     const { pending } = await auth.register(username, password, email);
+ *   }
+ *
+ *   // Invited users: choose a password from the invitation link
+ *   const inviteToken = auth.handleInvitationLink();
+ *   if (inviteToken) await auth.acceptInvitation(inviteToken, newPassword);
+ *
+ *   // Passwordless sign-in by email: request a link, then finish on page load
+ *   await auth.requestMagicLink('alice');        // username or email
+ *   const linkResult = await auth.handleMagicLink();
+ *
+ *   // Forgotten password: email a link, then set a new password from it
+ *   await auth.requestPasswordReset('alice');   // username or email
+ *   const resetToken = auth.handlePasswordResetLink();
+ *   if (resetToken) await auth.resetPassword(resetToken, newPassword);
+ *
  *   // Check if logged in
  *   if (auth.isLoggedIn()) { ... }
  *
  *   // Get current user
  *   const user = auth.getUser();
  *
- *   // Logout
+ *   // Permissions from the user's roles (any one of those listed)
+ *   if (auth.hasPermission('users.view', 'roles.manage')) { ... }
+ *   await auth.refreshUser();   // re-read roles/permissions from the server
+ *
+ *   // Admins with users.impersonate: view the site as another user, then return
+ *   await auth.impersonate(userId);
+ *   if (auth.isImpersonating()) await auth.stopImpersonating();
+ *
+ *   // Logout (every open tab is logged out)
  *   auth.logout();
  *
- * Token is stored in an httpOnly cookie (set by the server).
+ * Tokens are stored in httpOnly cookies (set by the server): a short-lived
+ * access token and a refresh token. auth.fetch() refreshes the access token
+ * when the server refuses the session and retries once, and sends the CSRF
+ * token (from the readable csrf_token cookie) on state-changing requests.
  * Only user display info is kept in localStorage.
+ *
+ * When the site has an idle timeout (GET /api/auth/session-policy), user
+ * activity is reported to the server at most once a minute, and a
+ * countdown (IdleWarningModal) with "Stay signed in" appears a minute
+ * before the session would end. Tabs share activity and logouts through a
+ * BroadcastChannel.
  */
 
+import { getPasskey } from './webauthn.js';
+import { IdleWarningModal } from './idleWarningModal.js';
+
 const USER_KEY = 'sf_auth_user';
+const CSRF_COOKIE = 'csrf_token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Tabs tell each other about logouts and user activity
+const CHANNEL_NAME = 'sf_auth';
+
+// Idle timeout: activity is noted at most every 10s and sent to the
+// server at most once a minute; the warning shows for the last minute
+const ACTIVITY_EVENTS = ['mousedown', 'keydown', 'touchstart', 'scroll'];
+const ACTIVITY_THROTTLE_MS = 10 * 1000;
+const KEEPALIVE_INTERVAL_MS = 60 * 1000;
+const IDLE_WARNING_MS = 60 * 1000;
+
+/**
+ * Whether the server refused the request for want of a valid session
+ * (requireAuth marks those 401s with WWW-Authenticate), rather than
+ * answering 401 for something like a wrong current password
+ */
+function isSessionRejected(response) {
+  return response.status === 401 && response.headers.has('WWW-Authenticate');
+}
+
+/**
+ * Read the CSRF token the server set alongside the access token
+ */
+function getCsrfToken() {
+  const match = document.cookie.match(new RegExp(`(?:^|; )${CSRF_COOKIE}=([^;]*)`));
+  return match ? decodeURIComponent(match[1]) : '';
+}
 
 class AuthManager {
   constructor() {
     this.user = JSON.parse(localStorage.getItem(USER_KEY) || 'null');
     this.onAuthChange = null;
+    this._refreshing = null;
+
+    this._idleMs = 0;
+    this._idleTimer = null;
+    this._idleModal = null;
+    this._lastActivity = Date.now();
+    this._lastKeepalive = Date.now();
+
+    this._channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+    this._channel?.addEventListener('message', (e) => this._handleBroadcast(e.data));
+
+    ACTIVITY_EVENTS.forEach(type => {
+      document.addEventListener(type, () => this._recordActivity(), { capture: true, passive: true });
+    });
+
+    if (this.user) {
+      this._startIdleWatch();
+    }
   }
 
   /**
    * Login with username and password
-   * @returns {Object} { success, user, error }
+   * @returns {Object} { success, user, error } or { success: false, twoFactorRequired, challengeToken }
    */
   async login(username, password) {
     try {
@@ -48,26 +145,420 @@ class AuthManager {
         return { success: false, error: data.error || 'Login failed' };
       }
 
-      // Store user info (token is in httpOnly cookie)
-      this.user = data.user;
-      localStorage.setItem(USER_KEY, JSON.stringify(data.user));
+      if (data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: data.challengeToken };
+      }
+
+      return this._completeLogin(data);
+    } catch (err) {
+      console.error('Login error:', err);
+      return { success: false, error: 'Network error' };
+    }
+  }
+
+  /**
+   * Complete a 2FA login with a TOTP or recovery code
+   * @returns {Object} { success, user, error }
+   */
+  async verifyTwoFactor(challengeToken, code) {
+    try {
+      const response = await fetch('/api/auth/login/2fa', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ challengeToken, code }),
+        credentials: 'same-origin'
+      });
 
-      // Notify listeners
-      if (this.onAuthChange) {
-        this.onAuthChange(true, this.user);
+      const data = await response.json();
+
+      if (!response.ok) {
+        return { success: false, error: data.error || 'Verification failed' };
       }
 
-      const result = { success: true, user: data.user };
-      if (data.mustChangePassword) {
-        result.mustChangePassword = true;
+      return this._completeLogin(data);
+    } catch (err) {
+      console.error('2FA verification error:', err);
+      return { success: false, error: 'Network error' };
+    }
+  }
+
+  /**
+   * Sign in with a passkey (browser prompts the user to pick one)
+   * @returns {Object} { success, user, error }
+   */
+  async loginWithPasskey() {
+    try {
+      const optionsRes = await fetch('/api/auth/webauthn/login/options', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'same-origin'
+      });
+      const options = await optionsRes.json();
+      if (!optionsRes.ok) {
+        return { success: false, error: options.error || 'Passkey sign-in failed' };
+      }
+
+      let assertion;
+      try {
+        assertion = await getPasskey(options);
+      } catch (err) {
+        // User cancelled the browser prompt or no passkey was available
+        return { success: false, cancelled: true, error: 'Passkey sign-in was cancelled' };
       }
-      return result;
+
+      const response = await fetch('/api/auth/webauthn/login/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ response: assertion }),
+        credentials: 'same-origin'
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        return { success: false, error: data.error || 'Passkey sign-in failed' };
+      }
+
+      return this._completeLogin(data);
     } catch (err) {
-      console.error('Login error:', err);
+      console.error('Passkey login error:', err);
+      return { success: false, error: 'Network error' };
+    }
+  }
+
+  /**
+   * List configured single sign-on providers
+   * @returns {Array} [{ id, name }]
+   */
+  async getSsoProviders() {
+    try {
+      const response = await fetch('/api/auth/oidc/providers', { credentials: 'same-origin' });
+      return response.ok ? await response.json() : [];
+    } catch (err) {
+      console.error('Error loading SSO providers:', err);
+      return [];
+    }
+  }
+
+  /**
+   * Start single sign-on (navigates away to the identity provider)
+   */
+  loginWithSso(providerId) {
+    window.location.href = `/api/auth/oidc/${encodeURIComponent(providerId)}/login`;
+  }
+
+  /**
+   * Finish a single sign-on redirect. The server reports the result in the
+   * URL fragment (#sso=...), which is removed from the address bar here.
+   * @returns {Object|null} Same shape as login(), or null if this page load isn't an SSO redirect
+   */
+  async handleSsoRedirect() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const status = params.get('sso');
+    if (!status) return null;
+
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+
+    if (status === '2fa') {
+      return { success: false, twoFactorRequired: true, challengeToken: params.get('challenge') };
+    }
+    if (status !== 'success') {
+      return { success: false, error: params.get('message') || 'Single sign-on failed' };
+    }
+
+    try {
+      const response = await fetch('/api/auth/me', { credentials: 'same-origin' });
+      if (!response.ok) {
+        return { success: false, error: 'Single sign-on failed' };
+      }
+
+      const user = await response.json();
+      return this._completeLogin({
+        user: { id: user.id, username: user.username, isAdmin: user.isAdmin, permissions: user.permissions, twoFactorEnabled: user.twoFactorEnabled },
+        twoFactorSetupRequired: params.get('setup2fa') === '1'
+      });
+    } catch (err) {
+      console.error('SSO completion error:', err);
+      return { success: false, error: 'Network error' };
+    }
+  }
+
+  /**
+   * Check whether "Forgot password?" can be offered
+   */
+  async isPasswordResetAvailable() {
+    try {
+      const response = await fetch('/api/auth/password-reset', { credentials: 'same-origin' });
+      return response.ok && (await response.json()).available === true;
+    } catch (err) {
+      console.error('Error checking password reset:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Ask for a reset link by username or email. Succeeds whether or not the
+   * account exists, so the result says nothing about the account.
+   * @returns {Object} { success, message, error }
+   */
+  async requestPasswordReset(identifier) {
+    try {
+      const response = await fetch('/api/auth/password-reset/request', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ identifier }),
+        credentials: 'same-origin'
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        return { success: false, error: data.error || 'Password reset failed' };
+      }
+      return { success: true, message: data.message };
+    } catch (err) {
+      console.error('Password reset request error:', err);
+      return { success: false, error: 'Network error' };
+    }
+  }
+
+  /**
+   * Set a new password with the token from a reset link
+   * @returns {Object} { success, error }
+   */
+  async resetPassword(token, password) {
+    try {
+      const response = await fetch('/api/auth/password-reset/confirm', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, password }),
+        credentials: 'same-origin'
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        return { success: false, error: data.error || 'Password reset failed' };
+      }
+      return { success: true };
+    } catch (err) {
+      console.error('Password reset error:', err);
+      return { success: false, error: 'Network error' };
+    }
+  }
+
+  /**
+   * How visitors may sign up: 'invite-only' (no self-registration),
+   * 'open', or 'approval' (an admin approves each account)
+   */
+  async getRegistrationMode() {
+    try {
+      const response = await fetch('/api/auth/register', { credentials: 'same-origin' });
+      return response.ok ? (await response.json()).mode : 'invite-only';
+    } catch (err) {
+      console.error('Error checking registration:', err);
+      return 'invite-only';
+    }
+  }
+
+  /**
+   * Create an account. It can be logged into straight away unless
+   * `pending` is true, when it waits for an admin's approval.
+   * @returns {Object} { success, username, pending, error }
+   */
+  async register(username, password, email) {
+    try {
+      const response = await fetch('/api/auth/register', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password, email }),
+        credentials: 'same-origin'
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        return { success: false, error: data.error || 'Registration failed' };
+      }
+      return { success: true, username: data.username, pending: data.pending };
+    } catch (err) {
+      console.error('Registration error:', err);
+      return { success: false, error: 'Network error' };
+    }
+  }
+
+  /**
+   * Read the token from an invitation link (#invite=...) and remove it
+   * from the address bar.
+   * @returns {string|null} The invitation token, or null if this page load isn't an invitation link
+   */
+  handleInvitationLink() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const token = params.get('invite');
+    if (!token) return null;
+
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+    return token;
+  }
+
+  /**
+   * Look up who an invitation is for
+   * @returns {Object} { success, username, email, error }
+   */
+  async getInvitation(token) {
+    try {
+      const response = await fetch('/api/auth/invitation/lookup', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token }),
+        credentials: 'same-origin'
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        return { success: false, error: data.error || 'Invitation not found' };
+      }
+      return { success: true, username: data.username, email: data.email };
+    } catch (err) {
+      console.error('Invitation lookup error:', err);
+      return { success: false, error: 'Network error' };
+    }
+  }
+
+  /**
+   * Choose a password with the token from an invitation link, activating the account
+   * @returns {Object} { success, username, error }
+   */
+  async acceptInvitation(token, password) {
+    try {
+      const response = await fetch('/api/auth/invitation/accept', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, password }),
+        credentials: 'same-origin'
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        return { success: false, error: data.error || 'Failed to accept invitation' };
+      }
+      return { success: true, username: data.username };
+    } catch (err) {
+      console.error('Invitation accept error:', err);
+      return { success: false, error: 'Network error' };
+    }
+  }
+
+  /**
+   * Check whether "Email me a sign-in link" can be offered
+   */
+  async isMagicLinkAvailable() {
+    try {
+      const response = await fetch('/api/auth/magic-link', { credentials: 'same-origin' });
+      return response.ok && (await response.json()).available === true;
+    } catch (err) {
+      console.error('Error checking sign-in links:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Ask for a sign-in link by username or email. Succeeds whether or not
+   * the account exists, so the result says nothing about the account.
+   * @returns {Object} { success, message, error }
+   */
+  async requestMagicLink(identifier) {
+    try {
+      const response = await fetch('/api/auth/magic-link/request', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ identifier }),
+        credentials: 'same-origin'
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        return { success: false, error: data.error || 'Failed to send sign-in link' };
+      }
+      return { success: true, message: data.message };
+    } catch (err) {
+      console.error('Sign-in link request error:', err);
       return { success: false, error: 'Network error' };
     }
   }
 
+  /**
+   * Sign in with an emailed link (#magic=...). The token is removed from
+   * the address bar first.
+   * @returns {Object|null} Same shape as login(), or null if this page load isn't a sign-in link
+   */
+  async handleMagicLink() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const token = params.get('magic');
+    if (!token) return null;
+
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+
+    try {
+      const response = await fetch('/api/auth/magic-link/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token }),
+        credentials: 'same-origin'
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        return { success: false, error: data.error || 'Sign-in link failed' };
+      }
+
+      if (data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: data.challengeToken };
+      }
+
+      return this._completeLogin(data);
+    } catch (err) {
+      console.error('Sign-in link error:', err);
+      return { success: false, error: 'Network error' };
+    }
+  }
+
+  /**
+   * Read the token from an emailed reset link (#reset=...) and remove it
+   * from the address bar.
+   * @returns {string|null} The reset token, or null if this page load isn't a reset link
+   */
+  handlePasswordResetLink() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const token = params.get('reset');
+    if (!token) return null;
+
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+    return token;
+  }
+
+  /**
+   * Store user info from a successful login response and notify listeners
+   */
+  _completeLogin(data) {
+    // Store user info (token is in httpOnly cookie)
+    this.user = data.user;
+    localStorage.setItem(USER_KEY, JSON.stringify(data.user));
+    this._startIdleWatch();
+
+    // Notify listeners
+    if (this.onAuthChange) {
+      this.onAuthChange(true, this.user);
+    }
+
+    const result = { success: true, user: data.user };
+    if (data.mustChangePassword) {
+      result.mustChangePassword = true;
+    }
+    if (data.twoFactorSetupRequired) {
+      result.twoFactorSetupRequired = true;
+    }
+    return result;
+  }
+
   /**
    * Logout
    */
@@ -75,23 +566,188 @@ class AuthManager {
     try {
       await fetch('/api/auth/logout', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': getCsrfToken() },
         credentials: 'same-origin'
       });
     } catch (err) {
       console.error('Logout error:', err);
     }
 
-    // Clear local state
+    this._clearSession();
+  }
+
+  /**
+   * Forget the user locally, tell the other tabs and notify listeners
+   * @param {boolean} broadcast - false when another tab already logged out
+   */
+  _clearSession(broadcast = true) {
+    if (broadcast && this.user) {
+      this._channel?.postMessage({ type: 'logout' });
+    }
+
     this.user = null;
     localStorage.removeItem(USER_KEY);
+    this._stopIdleWatch();
 
-    // Notify listeners
     if (this.onAuthChange) {
       this.onAuthChange(false, null);
     }
   }
 
+  /**
+   * Messages from other tabs
+   */
+  _handleBroadcast(message) {
+    if (message?.type === 'logout' && this.user) {
+      this._clearSession(false);
+    } else if (message?.type === 'activity') {
+      this._lastActivity = Math.max(this._lastActivity, message.at);
+    }
+  }
+
+  /**
+   * Load the idle timeout and start counting down (no-op when the site has none)
+   */
+  async _startIdleWatch() {
+    this._stopIdleWatch();
+    this._lastActivity = Date.now();
+
+    try {
+      const response = await fetch('/api/auth/session-policy', { credentials: 'same-origin' });
+      if (!response.ok) return;
+      const { idleMinutes } = await response.json();
+      this._idleMs = idleMinutes * 60 * 1000;
+    } catch (err) {
+      console.error('Failed to load session policy:', err);
+      return;
+    }
+
+    if (this._idleMs > 0 && this.user && !this._idleTimer) {
+      this._idleTimer = setInterval(() => this._checkIdle(), 1000);
+    }
+  }
+
+  _stopIdleWatch() {
+    clearInterval(this._idleTimer);
+    this._idleTimer = null;
+    this._closeIdleWarning();
+  }
+
+  /**
+   * Show the countdown near the idle limit, and log out when it is reached
+   */
+  _checkIdle() {
+    const remaining = this._lastActivity + this._idleMs - Date.now();
+
+    if (remaining <= 0) {
+      this._stopIdleWatch();
+      this.logout();
+      return;
+    }
+
+    if (remaining > IDLE_WARNING_MS) {
+      // Another tab saw activity
+      this._closeIdleWarning();
+      return;
+    }
+
+    if (!this._idleModal) {
+      this._idleModal = new IdleWarningModal({
+        seconds: Math.ceil(remaining / 1000),
+        onStay: () => this.staySignedIn(),
+        onSignOut: () => this.logout()
+      });
+      this._idleModal.open();
+    }
+    this._idleModal.setRemaining(Math.ceil(remaining / 1000));
+  }
+
+  _closeIdleWarning() {
+    if (this._idleModal) {
+      this._idleModal.close(true);
+      this._idleModal = null;
+    }
+  }
+
+  /**
+   * Note user activity (throttled) and share it with the server and other tabs.
+   * Ignored while the idle warning is showing: only "Stay signed in" counts then.
+   */
+  _recordActivity() {
+    if (!this._idleTimer || this._idleModal) return;
+
+    const now = Date.now();
+    if (now - this._lastActivity < ACTIVITY_THROTTLE_MS) return;
+
+    this._lastActivity = now;
+    this._channel?.postMessage({ type: 'activity', at: now });
+    if (now - this._lastKeepalive >= KEEPALIVE_INTERVAL_MS) {
+      this._keepAlive();
+    }
+  }
+
+  _keepAlive() {
+    this._lastKeepalive = Date.now();
+    return this.fetch('/api/auth/keepalive', { method: 'POST' })
+      .catch(err => console.error('Keepalive error:', err));
+  }
+
+  /**
+   * Reset the idle timeout ("Stay signed in")
+   */
+  async staySignedIn() {
+    const now = Date.now();
+    this._lastActivity = now;
+    this._channel?.postMessage({ type: 'activity', at: now });
+    this._closeIdleWarning();
+    await this._keepAlive();
+  }
+
+  /**
+   * Continue as another user (needs the users.impersonate permission).
+   * The server replaces this session; reload the page afterwards.
+   * @returns {Object} { success, user, error }
+   */
+  async impersonate(userId) {
+    return this._switchSession(`/api/users/${userId}/impersonate`);
+  }
+
+  /**
+   * End impersonation and return to the admin's own account
+   * @returns {Object} { success, user, error }
+   */
+  async stopImpersonating() {
+    return this._switchSession('/api/auth/impersonate/stop');
+  }
+
+  /**
+   * Whether this session belongs to an admin acting as another user
+   */
+  isImpersonating() {
+    return !!this.user?.actor;
+  }
+
+  /**
+   * POST to an endpoint that replaces the session and store the new user info
+   */
+  async _switchSession(url) {
+    try {
+      const response = await this.fetch(url, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        return { success: false, error: data.error || 'Failed to switch account' };
+      }
+
+      this.user = data.user;
+      localStorage.setItem(USER_KEY, JSON.stringify(data.user));
+      this._startIdleWatch();
+      return { success: true, user: data.user };
+    } catch (err) {
+      console.error('Session switch error:', err);
+      return { success: false, error: 'Network error' };
+    }
+  }
+
   /**
    * Check if user is logged in
    */
@@ -106,6 +762,13 @@ class AuthManager {
     return this.user?.isAdmin === true;
   }
 
+  /**
+   * Check if the user holds any of the given permissions
+   */
+  hasPermission(...permissions) {
+    return permissions.some(permission => this.user?.permissions?.includes(permission));
+  }
+
   /**
    * Get current user
    */
@@ -115,34 +778,64 @@ class AuthManager {
 
   /**
    * Make authenticated API request.
-   * Token is sent automatically via httpOnly cookie.
+   * Token is sent automatically via httpOnly cookie. When the session is
+   * refused (a 401 from requireAuth) the access token is refreshed and the
+   * request retried once; other 401s are returned as they are.
    */
   async fetch(url, options = {}) {
-    const headers = {
-      'Content-Type': 'application/json',
-      ...options.headers
+    const method = (options.method || 'GET').toUpperCase();
+
+    // Built per attempt: a refresh issues a new CSRF token
+    const send = () => {
+      const headers = {
+        'Content-Type': 'application/json',
+        ...options.headers
+      };
+      if (!SAFE_METHODS.includes(method)) {
+        headers['X-CSRF-Token'] = getCsrfToken();
+      }
+      return fetch(url, {
+        ...options,
+        headers,
+        credentials: 'same-origin'
+      });
     };
 
-    const response = await fetch(url, {
-      ...options,
-      headers,
-      credentials: 'same-origin'
-    });
+    let response = await send();
 
-    // Handle 401 - token expired or invalid
-    if (response.status === 401) {
-      this.user = null;
-      localStorage.removeItem(USER_KEY);
-      if (this.onAuthChange) {
-        this.onAuthChange(false, null);
-      }
+    if (isSessionRejected(response) && await this.refreshSession()) {
+      response = await send();
+    }
+
+    // Session expired or revoked
+    if (isSessionRejected(response)) {
+      this._clearSession();
     }
 
     return response;
   }
 
   /**
-   * Refresh current user info from server
+   * Exchange the refresh token cookie for a new access token.
+   * Concurrent callers share one request, since each refresh token works once.
+   * @returns {Promise<boolean>} true if the session was refreshed
+   */
+  refreshSession() {
+    if (!this._refreshing) {
+      this._refreshing = fetch('/api/auth/refresh', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'same-origin'
+      })
+        .then(response => response.ok)
+        .catch(() => false)
+        .finally(() => { this._refreshing = null; });
+    }
+    return this._refreshing;
+  }
+
+  /**
+   * Refresh current user info (including roles and permissions) from server
    */
   async refreshUser() {
     if (!this.user) return null;
@@ -17,7 +17,8 @@
 import { Modal } from './modal.js';
 import { auth } from './auth.js';
 import { toast } from './toast.js';
-import { createField, validateField } from './field.js';
+import { createField, validateField, setFieldError } from './field.js';
+import { attachPasswordStrength, validatePassword } from './passwordPolicy.js';
 
 export class ChangePasswordModal extends Modal {
   constructor(options = {}) {
@@ -65,11 +66,9 @@ export class ChangePasswordModal extends Modal {
       label: 'New Password',
       type: 'password',
       required: true,
-      validate: (val) => {
-        if (val.length < 8) return 'Password must be at least 8 characters';
-        return true;
-      }
+      validate: validatePassword
     });
+    attachPasswordStrength(this.newPasswordField);
     container.appendChild(this.newPasswordField);
 
     this.confirmPasswordField = createField({
@@ -130,7 +129,12 @@ export class ChangePasswordModal extends Modal {
       console.error('Failed to change password:', err);
       saveBtn.disabled = false;
       saveBtn.textContent = 'Change Password';
-      toast.error(err.message);
+      if (err.message.startsWith('Password') || err.message.startsWith('New password') || err.message.includes('too common')) {
+        // Policy rules only the server checks (common list, reuse)
+        setFieldError(this.newPasswordField, err.message);
+      } else {
+        toast.error(err.message);
+      }
     }
   }
 }
@@ -0,0 +1,65 @@
+/**
+ * Site Framework - Idle Warning Modal
+ * ============================================
+ *
+ * Counts down to an idle sign-out, with "Stay signed in" and "Sign out"
+ * buttons. Opened by AuthManager when the site has an idle timeout
+ * (security.sessionIdleMinutes).
+ *
+ * USAGE:
+ *   import { IdleWarningModal } from './site-framework/js/idleWarningModal.js';
+ *
+ *   const modal = new IdleWarningModal({
+ *     seconds: 60,
+ *     onStay: () => { ... },
+ *     onSignOut: () => { ... }
+ *   });
+ *   modal.open();
+ *   modal.setRemaining(42);
+ */
+
+import { Modal } from './modal.js';
+
+export class IdleWarningModal extends Modal {
+  constructor(options = {}) {
+    super({
+      title: 'Are you still there?',
+      closable: false,
+      footer: `
+        <button class="sf-btn sf-btn-primary" id="idle-stay">Stay Signed In</button>
+        <button class="sf-btn sf-btn-secondary" id="idle-sign-out">Sign Out</button>
+      `,
+      ...options
+    });
+
+    this.seconds = options.seconds || 60;
+    this.onStay = options.onStay || (() => {});
+    this.onSignOut = options.onSignOut || (() => {});
+  }
+
+  _create() {
+    super._create();
+
+    const contentEl = this.element.querySelector('.sf-modal-content');
+    contentEl.innerHTML = `
+      <p class="sf-confirm-message">
+        You will be signed out in <strong id="idle-countdown">${this.seconds}</strong> seconds because of inactivity.
+      </p>
+    `;
+  }
+
+  _bindEvents() {
+    this.element.querySelector('#idle-stay').addEventListener('click', () => this.onStay());
+    this.element.querySelector('#idle-sign-out').addEventListener('click', () => this.onSignOut());
+  }
+
+  /**
+   * Update the countdown
+   */
+  setRemaining(seconds) {
+    const countdownEl = this.element?.querySelector('#idle-countdown');
+    if (countdownEl) countdownEl.textContent = Math.max(0, seconds);
+  }
+}
+
+export default IdleWarningModal;
@@ -12,17 +12,32 @@
  *   Modal, ConfirmModal, getOpenModalCount  - Base modal system with stacking & keyboard support
  *   SettingsModal                           - Fullscreen modal with sidebar section navigation
  *   LogsModal                              - Terminal-style log viewer
- *   LoginModal                             - Username/password login dialog
- *   AccountModal                           - Self-service account settings (password, API key)
- *   UserModal                              - Admin user edit/create dialog
+ *   LoginModal                             - Username/password login dialog (with "Forgot password?")
+ *   PasswordResetModal                     - Set a new password from an emailed reset link
+ *   AcceptInvitationModal                  - Choose a password from an invitation link
+ *   AccountModal                           - Self-service account settings (password, 2FA, API key)
+ *   TwoFactorSetupModal                    - Required 2FA enrollment dialog shown after login
+ *   IdleWarningModal                       - Idle sign-out countdown with "Stay signed in" (opened by auth)
+ *   UserModal                              - Admin user edit/create/invite dialog (with role assignment)
  *
  *   createUsersSection, refreshUsers        - Users management table for SettingsModal
+ *   createRolesSection                      - Roles and their permissions editor for SettingsModal
  *   createNotificationsSection              - Notification channels UI for SettingsModal
+ *   createLdapSection                       - LDAP / Active Directory login provider settings
+ *   createSecuritySection                   - Admin IP allowlist settings for SettingsModal
+ *   createAuditSection                      - Read-only audit trail viewer with filters for SettingsModal
+ *   createTwoFactorSection                  - TOTP enrollment UI (used by AccountModal)
+ *   createPasskeysSection                   - Passkey list/add/rename/revoke UI (used by AccountModal)
+ *   createApiKeysSection                    - Named API key list/create/edit/revoke UI (used by AccountModal)
+ *   createSessionsSection                   - Active sessions list with per-device sign-out (AccountModal, usersSection)
+ *   createKnownDevicesSection               - Devices signed in from, with forget (used by AccountModal)
  *
- *   auth                                   - Auth manager: login, logout, isLoggedIn, fetch
+ *   auth                                   - Auth manager: login, verifyTwoFactor, loginWithPasskey, loginWithSso, requestPasswordReset, logout, isLoggedIn, hasPermission, refreshUser, fetch, staySignedIn
+ *   isPasskeySupported, createPasskey, ...  - WebAuthn browser helpers
  *   toast                                  - Toast notifications: info, success, warning, error
  *
  *   createField, validateField, ...         - Form field creation & validation utilities
+ *   attachPasswordStrength, validatePassword, ... - Password policy rules + live strength meter
  *   Table                                  - Sortable data table component
  *
  *   CHANNEL_TYPES, NotificationAPI, ...     - Notification channel configs & API client
@@ -33,16 +48,30 @@ export { Modal, ConfirmModal, getOpenModalCount } from './modal.js';
 export { SettingsModal } from './settings.js';
 export { LogsModal } from './logs.js';
 export { LoginModal } from './loginModal.js';
+export { PasswordResetModal } from './passwordResetModal.js';
+export { AcceptInvitationModal } from './acceptInvitationModal.js';
 export { AccountModal } from './accountModal.js';
 export { UserModal } from './userModal.js';
 export { ChangePasswordModal } from './changePasswordModal.js';
+export { TwoFactorSetupModal } from './twoFactorSetupModal.js';
+export { IdleWarningModal } from './idleWarningModal.js';
 
 // Settings section helpers
 export { createUsersSection, refreshUsers } from './usersSection.js';
+export { createRolesSection } from './rolesSection.js';
 export { createNotificationsSection } from './notificationsSection.js';
+export { createLdapSection } from './ldapSection.js';
+export { createSecuritySection } from './securitySection.js';
+export { createAuditSection } from './auditSection.js';
+export { createTwoFactorSection } from './twoFactorSection.js';
+export { createPasskeysSection } from './passkeysSection.js';
+export { createApiKeysSection } from './apiKeysSection.js';
+export { createSessionsSection } from './sessionsSection.js';
+export { createKnownDevicesSection } from './knownDevicesSection.js';
 
 // Auth
 export { auth } from './auth.js';
+export { isPasskeySupported, createPasskey, getPasskey } from './webauthn.js';
 
 // Toast notifications
 export { toast } from './toast.js';
@@ -60,6 +89,9 @@ export {
   setFieldValue
 } from './field.js';
 
+// Password policy
+export { loadPasswordPolicy, checkPassword, validatePassword, attachPasswordStrength } from './passwordPolicy.js';
+
 // Table component
 export { Table } from './table.js';
 
@@ -0,0 +1,119 @@
+/**
+ * Site Framework - Known Devices Section
+ * ============================================
+ *
+ * Lists the devices (browser and IP address) a user has signed in from,
+ * with when each was first and last seen, and lets them forget a device.
+ * Signing in from a device that isn't listed sends a new device alert.
+ * Used by AccountModal.
+ *
+ * USAGE:
+ *   import { createKnownDevicesSection } from './site-framework/js/knownDevicesSection.js';
+ *
+ *   container.appendChild(createKnownDevicesSection());
+ */
+
+import { ConfirmModal } from './modal.js';
+import { auth } from './auth.js';
+import { toast } from './toast.js';
+import { describeDevice } from './sessionsSection.js';
+
+/**
+ * Create the known devices section content
+ * @returns {HTMLElement}
+ */
+export function createKnownDevicesSection() {
+  const container = document.createElement('div');
+  container.className = 'sf-known-devices';
+  container.innerHTML = '<span class="sf-api-key-loading">Loading...</span>';
+
+  loadDevices(container);
+  return container;
+}
+
+async function loadDevices(container) {
+  try {
+    const res = await auth.fetch('/api/account/devices');
+    if (!res.ok) throw new Error('Failed to load devices');
+
+    render(container, await res.json());
+  } catch (err) {
+    console.error('Failed to load devices:', err);
+    container.innerHTML = '<span class="sf-api-key-loading">Failed to load</span>';
+  }
+}
+
+function formatDate(value) {
+  if (!value) return 'Never';
+  return new Date(value.replace(' ', 'T') + (value.endsWith('Z') ? '' : 'Z')).toLocaleString();
+}
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = String(str ?? '');
+  return div.innerHTML;
+}
+
+function render(container, devices) {
+  if (devices.length === 0) {
+    container.innerHTML = `
+      <div class="sf-api-key-status sf-api-key-inactive">
+        <span class="sf-api-key-indicator"></span>
+        <span>No known devices</span>
+      </div>
+    `;
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="sf-passkey-list">
+      ${devices.map(d => `
+        <div class="sf-passkey-item" data-id="${d.id}">
+          <div class="sf-passkey-details">
+            <span class="sf-passkey-name" title="${escapeHtml(d.userAgent)}">${escapeHtml(describeDevice(d.userAgent))}</span>
+            <span class="sf-passkey-meta">${escapeHtml(d.ip || 'Unknown IP')}</span>
+            <span class="sf-passkey-meta">First seen ${formatDate(d.firstSeenAt)} &middot; Last seen ${formatDate(d.lastSeenAt)}</span>
+          </div>
+          <div class="sf-table-actions">
+            <button class="sf-btn sf-btn-icon sf-btn-danger" data-action="forget" data-id="${d.id}" title="Forget">
+              <i class="sf-icon sf-icon-delete"></i>
+            </button>
+          </div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+
+  container.querySelectorAll('button[data-action="forget"]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const device = devices.find(d => d.id === parseInt(btn.dataset.id));
+      if (device) openForgetConfirm(container, device);
+    });
+  });
+}
+
+function openForgetConfirm(container, device) {
+  const confirm = new ConfirmModal({
+    title: 'Forget Device',
+    message: `Forget ${escapeHtml(describeDevice(device.userAgent))}${device.ip ? ` (${escapeHtml(device.ip)})` : ''}? ` +
+      'Signing in from it again will send a new device alert. Its sessions stay signed in.',
+    confirmText: 'Forget',
+    confirmStyle: 'danger',
+    onConfirm: async () => {
+      confirm.close();
+      try {
+        const res = await auth.fetch(`/api/account/devices/${device.id}`, { method: 'DELETE' });
+        if (!res.ok) throw new Error('Failed to forget device');
+
+        toast.success('Device forgotten');
+        loadDevices(container);
+      } catch (err) {
+        console.error('Failed to forget device:', err);
+        toast.error(err.message);
+      }
+    }
+  });
+  confirm.open();
+}
+
+export default { createKnownDevicesSection };
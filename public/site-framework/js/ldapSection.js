@@ -0,0 +1,164 @@
+/**
+ * Site Framework - LDAP Section
+ * ============================================
+ *
+ * Settings section for the LDAP / Active Directory login provider:
+ * server, service account, user search and admin group mapping,
+ * with a connection test that can also try a user's credentials.
+ *
+ * USAGE:
+ *   import { createLdapSection } from './site-framework/js/ldapSection.js';
+ *
+ *   const settingsModal = new SettingsModal({
+ *     sections: [
+ *       { id: 'directory', label: 'Directory', icon: '...', content: createLdapSection }
+ *     ]
+ *   });
+ */
+
+import { auth } from './auth.js';
+import { toast } from './toast.js';
+import { createField, validateField, getFieldValue } from './field.js';
+
+const TEXT_FIELDS = [
+  { id: 'url', label: 'Server URL', required: true, hint: 'ldaps://dc1.example.com:636 or ldap://ldap.example.com' },
+  { id: 'bindDn', label: 'Bind DN', hint: 'Service account used to search for users. Leave blank for anonymous search.' },
+  { id: 'bindPassword', label: 'Bind Password', type: 'password' },
+  { id: 'searchBase', label: 'Search Base', required: true, hint: 'e.g. ou=people,dc=example,dc=com' },
+  { id: 'userFilter', label: 'User Filter', required: true, hint: 'Active Directory: (sAMAccountName={{username}})' },
+  { id: 'usernameAttribute', label: 'Username Attribute', required: true },
+  { id: 'groupAttribute', label: 'Group Attribute', required: true },
+  { id: 'adminGroup', label: 'Admin Group DN', hint: 'Members become admins; admin status is synced on every login. Leave blank to manage roles locally.' }
+];
+
+const CHECKBOXES = [
+  { id: 'enabled', label: 'Allow directory users to log in' },
+  { id: 'startTls', label: 'Use StartTLS' },
+  { id: 'linkExisting', label: 'Link directory users to existing local users with the same username' }
+];
+
+/**
+ * Create the LDAP settings section content
+ * @returns {HTMLElement}
+ */
+export function createLdapSection() {
+  const container = document.createElement('div');
+  container.className = 'sf-ldap-section';
+  container.innerHTML = '<span class="sf-api-key-loading">Loading...</span>';
+
+  loadConfig(container);
+  return container;
+}
+
+async function loadConfig(container) {
+  try {
+    const res = await auth.fetch('/api/settings/ldap');
+    if (!res.ok) throw new Error('Failed to load LDAP settings');
+
+    render(container, await res.json());
+  } catch (err) {
+    console.error('Failed to load LDAP settings:', err);
+    container.innerHTML = '<span class="sf-api-key-loading">Failed to load</span>';
+  }
+}
+
+function render(container, config) {
+  container.innerHTML = `
+    <p class="sf-account-hint">Check usernames and passwords against an LDAP or Active Directory server. Local accounts are tried first; directory users are created on their first login.</p>
+    <div class="sf-ldap-form"></div>
+    <div class="sf-account-section-title">Test</div>
+    <div class="sf-ldap-test"></div>
+    <div class="sf-api-key-actions">
+      <button class="sf-btn sf-btn-primary" id="ldap-save">Save</button>
+      <button class="sf-btn sf-btn-secondary" id="ldap-test">Test Connection</button>
+    </div>
+  `;
+
+  const form = container.querySelector('.sf-ldap-form');
+  const fields = {};
+
+  CHECKBOXES.forEach(({ id, label }) => {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'sf-field';
+    wrapper.innerHTML = `
+      <label class="sf-checkbox">
+        <input type="checkbox" class="sf-checkbox-input" id="ldap-${id}" ${config[id] ? 'checked' : ''}>
+        <span class="sf-checkbox-label">${label}</span>
+      </label>
+    `;
+    form.appendChild(wrapper);
+  });
+
+  TEXT_FIELDS.forEach(({ id, label, type = 'text', required = false, hint = '' }) => {
+    fields[id] = createField({
+      id: `ldap-${id}`,
+      label,
+      type,
+      required,
+      value: id === 'bindPassword' ? '' : (config[id] || ''),
+      hint: id === 'bindPassword' && config.hasBindPassword ? 'Leave blank to keep the saved password' : hint
+    });
+    form.appendChild(fields[id]);
+  });
+
+  const testUser = createField({ id: 'ldap-test-username', label: 'Username (optional)' });
+  const testPassword = createField({ id: 'ldap-test-password', label: 'Password', type: 'password' });
+  container.querySelector('.sf-ldap-test').append(testUser, testPassword);
+
+  const collect = () => {
+    const values = {};
+    TEXT_FIELDS.forEach(({ id }) => { values[id] = getFieldValue(fields[id]); });
+    CHECKBOXES.forEach(({ id }) => { values[id] = container.querySelector(`#ldap-${id}`).checked; });
+    return values;
+  };
+
+  container.querySelector('#ldap-save').addEventListener('click', async () => {
+    const values = collect();
+    const requiredFields = TEXT_FIELDS.filter(f => f.required).map(f => fields[f.id]);
+    if (values.enabled && !requiredFields.every(f => validateField(f))) return;
+
+    try {
+      const res = await auth.fetch('/api/settings/ldap', { method: 'PUT', body: JSON.stringify(values) });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save LDAP settings');
+
+      toast.success('LDAP settings saved');
+      loadConfig(container);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  });
+
+  container.querySelector('#ldap-test').addEventListener('click', async () => {
+    const btn = container.querySelector('#ldap-test');
+    btn.disabled = true;
+
+    try {
+      const res = await auth.fetch('/api/settings/ldap/test', {
+        method: 'POST',
+        body: JSON.stringify({
+          ...collect(),
+          testUsername: getFieldValue(testUser),
+          testPassword: getFieldValue(testPassword)
+        })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'LDAP test failed');
+
+      if (data.authenticated === undefined) {
+        toast.success('Connected to the directory');
+      } else if (data.authenticated) {
+        const role = data.isAdmin === null ? '' : (data.isAdmin ? ' (admin)' : ' (user)');
+        toast.success(`Credentials accepted: ${data.dn}${role}`);
+      } else {
+        toast.warning('Connected, but the username or password was not accepted');
+      }
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      btn.disabled = false;
+    }
+  });
+}
+
+export default { createLdapSection };
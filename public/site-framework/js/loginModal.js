@@ -3,6 +3,17 @@
  * ============================================
  *
  * Login form modal using site framework components.
+ * Accounts with two-factor enabled get a second step asking for
+ * an authenticator or recovery code. Browsers with WebAuthn support
+ * also get a "Sign in with a passkey" button, and a "Sign in with ..."
+ * button is added for each configured SSO provider. When password
+ * reset is available, "Forgot password?" asks for a username or email
+ * and has a reset link sent. When sign-in links are enabled
+ * (security.magicLinkLogin), "Email me a sign-in link" does the same for
+ * a one-time link that signs the user in. When self-registration is
+ * allowed (security.registration), "Create an account" switches to a
+ * sign-up form; accounts that need approval are told to wait, the rest
+ * are logged in straight away.
  *
  * USAGE:
  *   import { LoginModal } from './site-framework/js/loginModal.js';
@@ -11,11 +22,23 @@
  *     onLoginSuccess: (user) => { ... }
  *   });
  *   modal.open();
+ *
+ *   // After an SSO redirect, resume where the provider left off
+ *   const result = await auth.handleSsoRedirect();
+ *   if (result) new LoginModal({ ... }).resumeSso(result);
+ *
+ *   // Opened from an emailed sign-in link
+ *   const linkResult = await auth.handleMagicLink();
+ *   if (linkResult) new LoginModal({ ... }).resumeMagicLink(linkResult);
  */
 
 import { Modal } from './modal.js';
 import { auth } from './auth.js';
 import { ChangePasswordModal } from './changePasswordModal.js';
+import { TwoFactorSetupModal } from './twoFactorSetupModal.js';
+import { isPasskeySupported } from './webauthn.js';
+import { createField, validateField } from './field.js';
+import { attachPasswordStrength, validatePassword } from './passwordPolicy.js';
 
 export class LoginModal extends Modal {
   constructor(options = {}) {
@@ -31,6 +54,15 @@ export class LoginModal extends Modal {
           <input type="password" id="login-password" name="password" class="sf-field-input" placeholder=" " autocomplete="current-password" data-form-type="login">
           <label class="sf-field-label" for="login-password">Password</label>
         </div>
+        <button type="button" class="sf-login-forgot" id="login-forgot" hidden>Forgot password?</button>
+        <div class="sf-login-alt" id="login-alt">${isPasskeySupported() ? `
+          <button type="button" class="sf-btn sf-btn-secondary" id="login-passkey">
+            <i class="sf-icon sf-icon-key"></i> Sign in with a passkey
+          </button>
+        ` : ''}</div>
+        <p class="sf-login-register" id="login-register" hidden>
+          No account? <button type="button" id="login-register-btn">Create an account</button>
+        </p>
       `,
       footer: `
         <button class="sf-btn sf-btn-primary" id="login-submit">Login</button>
@@ -40,6 +72,7 @@ export class LoginModal extends Modal {
     });
 
     this.onLoginSuccess = options.onLoginSuccess || (() => {});
+    this.challengeToken = null;
   }
 
   _bindEvents() {
@@ -51,6 +84,11 @@ export class LoginModal extends Modal {
     submitBtn.addEventListener('click', () => this.handleLogin());
     cancelBtn.addEventListener('click', () => this.close());
 
+    const passkeyBtn = this.element.querySelector('#login-passkey');
+    if (passkeyBtn) {
+      passkeyBtn.addEventListener('click', () => this.handlePasskeyLogin());
+    }
+
     // Submit on Enter key
     const handleEnter = (e) => {
       if (e.key === 'Enter') {
@@ -60,10 +98,94 @@ export class LoginModal extends Modal {
     usernameInput.addEventListener('keydown', handleEnter);
     passwordInput.addEventListener('keydown', handleEnter);
 
+    this.element.querySelector('#login-forgot').addEventListener('click', () => this._showForgotStep());
+    auth.isPasswordResetAvailable().then((available) => {
+      const forgotBtn = this.element.querySelector('#login-forgot');
+      if (forgotBtn) forgotBtn.hidden = !available;
+    });
+
+    this._loadMagicLink();
+
+    this.element.querySelector('#login-register-btn').addEventListener('click', () => this._showRegisterStep());
+    auth.getRegistrationMode().then((mode) => {
+      const registerEl = this.element.querySelector('#login-register');
+      if (registerEl) registerEl.hidden = mode === 'invite-only';
+    });
+
+    this._loadSsoProviders();
+
     // Focus username input
     setTimeout(() => usernameInput.focus(), 100);
   }
 
+  /**
+   * Add "Email me a sign-in link" when sign-in links are enabled
+   */
+  async _loadMagicLink() {
+    const available = await auth.isMagicLinkAvailable();
+    const container = this.element.querySelector('#login-alt');
+    if (!available || !container) return;
+
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'sf-btn sf-btn-secondary';
+    btn.id = 'login-magic-link';
+    btn.innerHTML = '<i class="sf-icon sf-icon-mail"></i> Email me a sign-in link';
+    btn.addEventListener('click', () => this._showMagicLinkStep());
+    container.prepend(btn);
+  }
+
+  /**
+   * Add a "Sign in with ..." button per configured SSO provider
+   */
+  async _loadSsoProviders() {
+    const providers = await auth.getSsoProviders();
+    const container = this.element.querySelector('#login-alt');
+    if (!container) return;
+
+    providers.forEach(provider => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'sf-btn sf-btn-secondary';
+      btn.textContent = `Sign in with ${provider.name}`;
+      btn.addEventListener('click', () => {
+        btn.disabled = true;
+        auth.loginWithSso(provider.id);
+      });
+      container.appendChild(btn);
+    });
+  }
+
+  /**
+   * Continue after returning from an SSO provider
+   * @param {Object} result - From auth.handleSsoRedirect()
+   */
+  resumeSso(result) {
+    this._resume(result, 'Single sign-on failed');
+  }
+
+  /**
+   * Continue after opening an emailed sign-in link
+   * @param {Object} result - From auth.handleMagicLink()
+   */
+  resumeMagicLink(result) {
+    this._resume(result, 'Sign-in link failed');
+  }
+
+  _resume(result, fallbackError) {
+    if (result.success) {
+      this._finishLogin(result);
+      return;
+    }
+
+    this.open();
+    if (result.twoFactorRequired) {
+      this._showTwoFactorStep(result.challengeToken);
+    } else {
+      this.showError(result.error || fallbackError);
+    }
+  }
+
   async handleLogin() {
     const username = this.element.querySelector('#login-username').value.trim();
     const password = this.element.querySelector('#login-password').value;
@@ -82,24 +204,290 @@ export class LoginModal extends Modal {
 
     if (result.success) {
       this.close();
-
-      if (result.mustChangePassword) {
-        // Show forced password change modal before proceeding
-        const changePwModal = new ChangePasswordModal({
-          onComplete: () => {
-            this.onLoginSuccess(result.user);
-          }
-        });
-        changePwModal.open();
-      } else {
-        this.onLoginSuccess(result.user);
-      }
+      this._finishLogin(result);
+    } else if (result.twoFactorRequired) {
+      this._showTwoFactorStep(result.challengeToken);
     } else {
       submitBtn.disabled = false;
       submitBtn.textContent = 'Login';
       this.showError(result.error || 'Login failed');
     }
   }
+
+  async handlePasskeyLogin() {
+    const passkeyBtn = this.element.querySelector('#login-passkey');
+    passkeyBtn.disabled = true;
+
+    const result = await auth.loginWithPasskey();
+
+    if (result.success) {
+      this.close();
+      this._finishLogin(result);
+    } else {
+      passkeyBtn.disabled = false;
+      if (!result.cancelled) {
+        this.showError(result.error || 'Passkey sign-in failed');
+      }
+    }
+  }
+
+  /**
+   * Replace the username/password form with the authentication code step
+   */
+  _showTwoFactorStep(challengeToken) {
+    this.challengeToken = challengeToken;
+
+    this.setContent(`
+      <p class="sf-account-hint">Enter the 6-digit code from your authenticator app, or one of your recovery codes.</p>
+      <div class="sf-field sf-field-required">
+        <input type="text" id="login-2fa-code" name="code" class="sf-field-input" placeholder=" " autocomplete="one-time-code" inputmode="numeric">
+        <label class="sf-field-label" for="login-2fa-code">Authentication Code</label>
+      </div>
+    `);
+
+    // Swap submit button to the verify handler
+    const oldBtn = this.element.querySelector('#login-submit');
+    const submitBtn = oldBtn.cloneNode(false);
+    submitBtn.textContent = 'Verify';
+    oldBtn.replaceWith(submitBtn);
+    submitBtn.addEventListener('click', () => this.handleTwoFactor());
+
+    const codeInput = this.element.querySelector('#login-2fa-code');
+    codeInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.handleTwoFactor();
+    });
+    setTimeout(() => codeInput.focus(), 100);
+  }
+
+  /**
+   * Replace the login form with the "send me a reset link" step
+   */
+  _showForgotStep() {
+    this._showEmailLinkStep(
+      "Enter your username or email address. If the account has an email address, we'll send it a link to choose a new password.",
+      'Send Reset Link',
+      (identifier) => auth.requestPasswordReset(identifier)
+    );
+  }
+
+  /**
+   * Replace the login form with the "email me a sign-in link" step
+   */
+  _showMagicLinkStep() {
+    this._showEmailLinkStep(
+      "Enter your username or email address. If the account can sign in by email, we'll send it a link that signs you in.",
+      'Send Sign-in Link',
+      (identifier) => auth.requestMagicLink(identifier)
+    );
+  }
+
+  /**
+   * Ask for a username or email and have a link emailed
+   * @param {Function} request - (identifier) => Promise<{ success, message, error }>
+   */
+  _showEmailLinkStep(hint, submitText, request) {
+    const username = this.element.querySelector('#login-username').value.trim();
+
+    this.setContent(`
+      <p class="sf-account-hint"></p>
+      <div class="sf-field sf-field-required">
+        <input type="text" id="login-link-identifier" name="identifier" class="sf-field-input" placeholder=" " autocomplete="username">
+        <label class="sf-field-label" for="login-link-identifier">Username or Email</label>
+      </div>
+    `);
+    this.element.querySelector('.sf-account-hint').textContent = hint;
+
+    const oldBtn = this.element.querySelector('#login-submit');
+    const submitBtn = oldBtn.cloneNode(false);
+    submitBtn.textContent = submitText;
+    oldBtn.replaceWith(submitBtn);
+
+    const send = () => this.handleEmailLink(submitText, request);
+    submitBtn.addEventListener('click', send);
+
+    const input = this.element.querySelector('#login-link-identifier');
+    input.value = username;
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') send();
+    });
+    setTimeout(() => input.focus(), 100);
+  }
+
+  async handleEmailLink(submitText, request) {
+    const identifier = this.element.querySelector('#login-link-identifier').value.trim();
+
+    if (!identifier) {
+      this.showError('Please enter your username or email');
+      return;
+    }
+
+    const submitBtn = this.element.querySelector('#login-submit');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Sending...';
+
+    const result = await request(identifier);
+
+    if (result.success) {
+      this.setContent(`<p class="sf-account-hint"></p>`);
+      this.element.querySelector('.sf-account-hint').textContent = result.message;
+      submitBtn.remove();
+      this.element.querySelector('#login-cancel').textContent = 'Close';
+    } else {
+      submitBtn.disabled = false;
+      submitBtn.textContent = submitText;
+      this.showError(result.error);
+    }
+  }
+
+  /**
+   * Replace the login form with the sign-up form
+   */
+  _showRegisterStep() {
+    this.element.querySelector('.sf-modal-title').textContent = 'Create Account';
+    this.setContent('<div id="login-register-fields"></div>');
+    const container = this.element.querySelector('#login-register-fields');
+
+    this.registerFields = {
+      username: createField({
+        id: 'register-username',
+        label: 'Username',
+        required: true,
+        autocomplete: 'username',
+        allowAutofill: true,
+        validate: (val) => val.trim().length >= 3 || 'Username must be at least 3 characters'
+      }),
+      email: createField({
+        id: 'register-email',
+        label: 'Email',
+        type: 'email',
+        autocomplete: 'email',
+        allowAutofill: true
+      }),
+      password: createField({
+        id: 'register-password',
+        label: 'Password',
+        type: 'password',
+        required: true,
+        autocomplete: 'new-password',
+        allowAutofill: true,
+        validate: validatePassword
+      }),
+      confirm: createField({
+        id: 'register-confirm',
+        label: 'Confirm Password',
+        type: 'password',
+        required: true,
+        autocomplete: 'new-password',
+        allowAutofill: true,
+        validate: (val) => {
+          if (val !== this.registerFields.password.querySelector('input').value) return 'Passwords do not match';
+          return true;
+        }
+      })
+    };
+    attachPasswordStrength(this.registerFields.password);
+    Object.values(this.registerFields).forEach(field => container.appendChild(field));
+
+    const oldBtn = this.element.querySelector('#login-submit');
+    const submitBtn = oldBtn.cloneNode(false);
+    submitBtn.textContent = 'Create Account';
+    oldBtn.replaceWith(submitBtn);
+    submitBtn.addEventListener('click', () => this.handleRegister());
+
+    container.querySelectorAll('input').forEach(input => {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this.handleRegister();
+      });
+    });
+    setTimeout(() => container.querySelector('input').focus(), 100);
+  }
+
+  async handleRegister() {
+    const fields = Object.values(this.registerFields);
+    if (!fields.map(field => validateField(field)).every(Boolean)) return;
+
+    const username = this.registerFields.username.querySelector('input').value.trim();
+    const email = this.registerFields.email.querySelector('input').value.trim();
+    const password = this.registerFields.password.querySelector('input').value;
+
+    const submitBtn = this.element.querySelector('#login-submit');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Creating account...';
+
+    const result = await auth.register(username, password, email || undefined);
+
+    if (!result.success) {
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Create Account';
+      this.showError(result.error);
+      return;
+    }
+
+    if (result.pending) {
+      this.setContent(`<p class="sf-account-hint">Your account has been created. An administrator has to approve it before you can log in.</p>`);
+      submitBtn.remove();
+      this.element.querySelector('#login-cancel').textContent = 'Close';
+      return;
+    }
+
+    const loginResult = await auth.login(username, password);
+    if (loginResult.success) {
+      this.close();
+      this._finishLogin(loginResult);
+    } else {
+      submitBtn.remove();
+      this.showError(loginResult.error || 'Account created, but logging in failed');
+    }
+  }
+
+  async handleTwoFactor() {
+    const code = this.element.querySelector('#login-2fa-code').value.trim();
+
+    if (!code) {
+      this.showError('Please enter your authentication code');
+      return;
+    }
+
+    const submitBtn = this.element.querySelector('#login-submit');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Verifying...';
+
+    const result = await auth.verifyTwoFactor(this.challengeToken, code);
+
+    if (result.success) {
+      this.close();
+      this._finishLogin(result);
+    } else {
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Verify';
+      this.showError(result.error || 'Verification failed');
+    }
+  }
+
+  /**
+   * Run any required follow-up steps (forced password change, 2FA enrollment)
+   */
+  _finishLogin(result) {
+    const done = () => this.onLoginSuccess(result.user);
+
+    const requireTwoFactorSetup = () => {
+      if (result.twoFactorSetupRequired) {
+        new TwoFactorSetupModal({ onComplete: done }).open();
+      } else {
+        done();
+      }
+    };
+
+    if (result.mustChangePassword) {
+      // Show forced password change modal before proceeding
+      const changePwModal = new ChangePasswordModal({
+        onComplete: requireTwoFactorSetup
+      });
+      changePwModal.open();
+    } else {
+      requireTwoFactorSetup();
+    }
+  }
 }
 
 export default LoginModal;
@@ -3,7 +3,8 @@
  * ============================================
  *
  * Hamburger dropdown menu with staggered animation.
- * Supports login state-based item visibility.
+ * Supports login state-based item visibility. Items with a `permissions`
+ * list are only shown to users holding one of them.
  *
  * USAGE:
  *   import { Menu } from './site-framework/js/menu.js';
@@ -11,9 +12,11 @@
  *   const menu = new Menu({
  *     containerId: 'menu-container',
  *     isLoggedIn: false,
+ *     hasPermission: (...permissions) => auth.hasPermission(...permissions),
  *     onItemClick: (id, event) => { ... }
  *   });
  *   menu.create();
+ *   menu.refresh();   // after the user's permissions change
  */
 
 export class Menu {
@@ -22,11 +25,12 @@ export class Menu {
     this.isOpen = false;
     this.isLoggedIn = options.isLoggedIn || false;
     this.onItemClick = options.onItemClick || (() => {});
+    this.hasPermission = options.hasPermission || (() => true);
 
     this.menuItems = [
       { id: 'account', label: 'Login', loggedInLabel: 'Account', iconClass: 'sf-icon-user', showWhenLoggedOut: true, showWhenLoggedIn: true },
-      { id: 'logs', label: 'Logs', iconClass: 'sf-icon-logs', showWhenLoggedIn: true },
-      { id: 'settings', label: 'Settings', iconClass: 'sf-icon-settings', showWhenLoggedIn: true },
+      { id: 'logs', label: 'Logs', iconClass: 'sf-icon-logs', showWhenLoggedIn: true, permissions: ['logs.view'] },
+      { id: 'settings', label: 'Settings', iconClass: 'sf-icon-settings', showWhenLoggedIn: true, permissions: ['settings.view', 'users.view', 'roles.manage', 'notifications.manage'] },
       { id: 'logout', label: 'Logout', iconClass: 'sf-icon-logout', showWhenLoggedIn: true }
     ];
 
@@ -81,8 +85,8 @@ export class Menu {
   getVisibleItems() {
     return this.menuItems.filter(item => {
       if (this.isLoggedIn) {
-        // When logged in, show items with showWhenLoggedIn flag
-        return item.showWhenLoggedIn === true;
+        // When logged in, show items with showWhenLoggedIn flag the user has permission for
+        return item.showWhenLoggedIn === true && (!item.permissions || this.hasPermission(...item.permissions));
       } else {
         // When logged out, only show items with showWhenLoggedOut flag
         return item.showWhenLoggedOut === true;
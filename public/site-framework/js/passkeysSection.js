@@ -0,0 +1,210 @@
+/**
+ * Site Framework - Passkeys Section
+ * ============================================
+ *
+ * Lists the user's registered passkeys with rename/revoke actions
+ * and an "Add passkey" button. Used by AccountModal.
+ *
+ * USAGE:
+ *   import { createPasskeysSection } from './site-framework/js/passkeysSection.js';
+ *
+ *   container.appendChild(createPasskeysSection());
+ */
+
+import { Modal, ConfirmModal } from './modal.js';
+import { auth } from './auth.js';
+import { toast } from './toast.js';
+import { createField, validateField, getFieldValue } from './field.js';
+import { isPasskeySupported, createPasskey } from './webauthn.js';
+
+/**
+ * Create the passkeys section content
+ * @returns {HTMLElement}
+ */
+export function createPasskeysSection() {
+  const container = document.createElement('div');
+  container.className = 'sf-passkeys';
+  container.innerHTML = '<span class="sf-api-key-loading">Loading...</span>';
+
+  loadPasskeys(container);
+  return container;
+}
+
+async function loadPasskeys(container) {
+  try {
+    const res = await auth.fetch('/api/auth/webauthn/credentials');
+    if (!res.ok) throw new Error('Failed to load passkeys');
+
+    render(container, await res.json());
+  } catch (err) {
+    console.error('Failed to load passkeys:', err);
+    container.innerHTML = '<span class="sf-api-key-loading">Failed to load</span>';
+  }
+}
+
+function formatDate(value) {
+  if (!value) return 'Never';
+  return new Date(value.replace(' ', 'T') + (value.endsWith('Z') ? '' : 'Z')).toLocaleString();
+}
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = String(str ?? '');
+  return div.innerHTML;
+}
+
+function render(container, passkeys) {
+  const supported = isPasskeySupported();
+
+  container.innerHTML = `
+    ${passkeys.length === 0 ? `
+      <div class="sf-api-key-status sf-api-key-inactive">
+        <span class="sf-api-key-indicator"></span>
+        <span>No passkeys registered</span>
+      </div>
+    ` : `
+      <div class="sf-passkey-list">
+        ${passkeys.map(p => `
+          <div class="sf-passkey-item" data-id="${p.id}">
+            <div class="sf-passkey-details">
+              <span class="sf-passkey-name">${escapeHtml(p.name)}</span>
+              <span class="sf-passkey-meta">Added ${formatDate(p.createdAt)} &middot; Last used ${formatDate(p.lastUsedAt)}</span>
+            </div>
+            <div class="sf-table-actions">
+              <button class="sf-btn sf-btn-icon sf-btn-secondary" data-action="rename" data-id="${p.id}" title="Rename">
+                <i class="sf-icon sf-icon-edit"></i>
+              </button>
+              <button class="sf-btn sf-btn-icon sf-btn-danger" data-action="revoke" data-id="${p.id}" title="Revoke">
+                <i class="sf-icon sf-icon-delete"></i>
+              </button>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `}
+    ${supported ? `
+      <div class="sf-api-key-actions">
+        <button class="sf-btn sf-btn-primary" data-action="add">
+          <i class="sf-icon sf-icon-add"></i> Add Passkey
+        </button>
+      </div>
+    ` : '<div class="sf-account-hint">This browser does not support passkeys.</div>'}
+  `;
+
+  container.querySelectorAll('button[data-action]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const passkey = passkeys.find(p => p.id === parseInt(btn.dataset.id));
+      if (btn.dataset.action === 'add') addPasskey(container);
+      if (btn.dataset.action === 'rename' && passkey) openRenameModal(container, passkey);
+      if (btn.dataset.action === 'revoke' && passkey) openRevokeConfirm(container, passkey);
+    });
+  });
+}
+
+async function addPasskey(container) {
+  try {
+    const optionsRes = await auth.fetch('/api/auth/webauthn/register/options', { method: 'POST' });
+    const options = await optionsRes.json();
+    if (!optionsRes.ok) throw new Error(options.error || 'Failed to start passkey registration');
+
+    let response;
+    try {
+      response = await createPasskey(options);
+    } catch (err) {
+      // User cancelled the browser prompt
+      return;
+    }
+
+    const res = await auth.fetch('/api/auth/webauthn/register/verify', {
+      method: 'POST',
+      body: JSON.stringify({ response, name: guessPasskeyName() })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to register passkey');
+
+    toast.success('Passkey added');
+    loadPasskeys(container);
+  } catch (err) {
+    console.error('Failed to add passkey:', err);
+    toast.error(err.message);
+  }
+}
+
+/**
+ * Default name based on the browser platform (users can rename later)
+ */
+function guessPasskeyName() {
+  const platform = navigator.userAgentData?.platform || navigator.platform || '';
+  return platform ? `Passkey (${platform})` : 'Passkey';
+}
+
+function openRenameModal(container, passkey) {
+  const nameField = createField({
+    id: 'passkey-name',
+    label: 'Name',
+    type: 'text',
+    required: true,
+    value: passkey.name || '',
+    validate: (val) => val.trim().length <= 64 ? true : 'Name must be at most 64 characters'
+  });
+
+  const modal = new Modal({
+    title: 'Rename Passkey',
+    content: nameField,
+    footer: `
+      <button class="sf-btn sf-btn-primary" id="passkey-rename-save">Save</button>
+      <button class="sf-btn sf-btn-secondary" id="passkey-rename-cancel">Cancel</button>
+    `
+  });
+  modal.open();
+
+  const save = async () => {
+    if (!validateField(nameField)) return;
+
+    try {
+      const res = await auth.fetch(`/api/auth/webauthn/credentials/${passkey.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ name: getFieldValue(nameField).trim() })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to rename passkey');
+
+      modal.close();
+      toast.success('Passkey renamed');
+      loadPasskeys(container);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  modal.element.querySelector('#passkey-rename-save').addEventListener('click', save);
+  modal.element.querySelector('#passkey-rename-cancel').addEventListener('click', () => modal.close());
+  nameField.querySelector('input').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') save();
+  });
+}
+
+function openRevokeConfirm(container, passkey) {
+  const confirm = new ConfirmModal({
+    title: 'Revoke Passkey',
+    message: `Revoke "${escapeHtml(passkey.name)}"? It will no longer be able to sign in to this account.`,
+    confirmText: 'Revoke',
+    confirmStyle: 'danger',
+    onConfirm: async () => {
+      confirm.close();
+      try {
+        const res = await auth.fetch(`/api/auth/webauthn/credentials/${passkey.id}`, { method: 'DELETE' });
+        if (!res.ok) throw new Error('Failed to revoke passkey');
+
+        toast.success('Passkey revoked');
+        loadPasskeys(container);
+      } catch (err) {
+        console.error('Failed to revoke passkey:', err);
+        toast.error(err.message);
+      }
+    }
+  });
+  confirm.open();
+}
+
+export default { createPasskeysSection };
@@ -0,0 +1,148 @@
+/**
+ * Site Framework - Password Policy (client side)
+ * ============================================
+ *
+ * Mirrors the server's password rules (GET /api/auth/password-policy)
+ * for instant feedback while typing: a strength meter plus a checklist
+ * of the length and character-class rules. The server still has the
+ * final say (common-password list, reuse of previous passwords).
+ *
+ * USAGE:
+ *   import { attachPasswordStrength, validatePassword } from './site-framework/js/passwordPolicy.js';
+ *
+ *   const field = createField({
+ *     id: 'new-password',
+ *     label: 'New Password',
+ *     type: 'password',
+ *     required: true,
+ *     validate: validatePassword
+ *   });
+ *   attachPasswordStrength(field);   // meter + rule checklist under the input
+ *
+ *   const { errors, score, label } = checkPassword('hunter2');
+ */
+
+// Used until the server's rules have loaded
+const DEFAULT_RULES = {
+  minLength: 8,
+  maxLength: 1024,
+  requireUppercase: false,
+  requireLowercase: false,
+  requireDigit: false,
+  requireSymbol: false
+};
+
+const CHARACTER_CLASSES = [
+  { rule: 'requireUppercase', pattern: /[A-Z]/, label: 'An upper-case letter', size: 26 },
+  { rule: 'requireLowercase', pattern: /[a-z]/, label: 'A lower-case letter', size: 26 },
+  { rule: 'requireDigit', pattern: /[0-9]/, label: 'A digit', size: 10 },
+  { rule: 'requireSymbol', pattern: /[^A-Za-z0-9]/, label: 'A symbol', size: 33 }
+];
+
+const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+
+let rules = { ...DEFAULT_RULES };
+let loading = null;
+
+/**
+ * Fetch the server's rules once per page load
+ * @returns {Promise<Object>} The rules
+ */
+export function loadPasswordPolicy() {
+  if (!loading) {
+    loading = fetch('/api/auth/password-policy', { credentials: 'same-origin' })
+      .then(res => (res.ok ? res.json() : DEFAULT_RULES))
+      .then(data => {
+        rules = { ...DEFAULT_RULES, ...data };
+        return rules;
+      })
+      .catch(() => {
+        loading = null;
+        return rules;
+      });
+  }
+  return loading;
+}
+
+/**
+ * Check a password against the loaded rules
+ * @returns {Object} { errors, checks: [{ label, met }], score (0-4), label }
+ */
+export function checkPassword(password) {
+  const checks = [{ label: `At least ${rules.minLength} characters`, met: password.length >= rules.minLength }];
+  CHARACTER_CLASSES.forEach(c => {
+    if (rules[c.rule]) checks.push({ label: c.label, met: c.pattern.test(password) });
+  });
+
+  const errors = [];
+  if (password.length < rules.minLength) {
+    errors.push(`Password must be at least ${rules.minLength} characters`);
+  } else if (new TextEncoder().encode(password).length > rules.maxLength) {
+    errors.push(`Password must be at most ${rules.maxLength} bytes`);
+  }
+  const missing = CHARACTER_CLASSES.filter(c => rules[c.rule] && !c.pattern.test(password));
+  if (missing.length > 0) {
+    errors.push(`Password must contain ${missing.map(c => c.label.toLowerCase()).join(', ')}`);
+  }
+
+  // Rough entropy estimate from length and the character classes used
+  const pool = CHARACTER_CLASSES.reduce((sum, c) => sum + (c.pattern.test(password) ? c.size : 0), 0);
+  const bits = password.length * Math.log2(pool || 1);
+  let score = bits < 28 ? 0 : bits < 36 ? 1 : bits < 60 ? 2 : bits < 80 ? 3 : 4;
+  if (errors.length > 0) score = Math.min(score, 1);
+
+  return { errors, checks, score, label: STRENGTH_LABELS[score] };
+}
+
+/**
+ * createField() validator: true, or the first rule the password breaks
+ */
+export function validatePassword(value) {
+  return checkPassword(value).errors[0] || true;
+}
+
+/**
+ * Add a strength meter and rule checklist below a password field,
+ * updated as the user types
+ * @param {HTMLElement} fieldWrapper - From createField()
+ * @param {Object} options
+ * @param {boolean} options.optional - Hide the meter while the field is empty (e.g. "leave blank to keep")
+ * @returns {HTMLElement} The meter element
+ */
+export function attachPasswordStrength(fieldWrapper, options = {}) {
+  const input = fieldWrapper.querySelector('input');
+  const meter = document.createElement('div');
+  meter.className = 'sf-password-strength';
+  meter.innerHTML = `
+    <div class="sf-password-strength-bar"><span></span></div>
+    <span class="sf-password-strength-label"></span>
+    <ul class="sf-password-rules"></ul>
+  `;
+  fieldWrapper.appendChild(meter);
+
+  const render = () => {
+    const password = input.value;
+    meter.hidden = options.optional && !password;
+
+    const result = checkPassword(password);
+    meter.dataset.score = password ? result.score : '';
+    meter.querySelector('.sf-password-strength-bar span').style.width = password ? `${(result.score + 1) * 20}%` : '0';
+    meter.querySelector('.sf-password-strength-label').textContent = password ? result.label : '';
+
+    const list = meter.querySelector('.sf-password-rules');
+    list.innerHTML = '';
+    result.checks.forEach(check => {
+      const item = document.createElement('li');
+      item.className = check.met ? 'sf-password-rule-met' : '';
+      item.textContent = check.label;
+      list.appendChild(item);
+    });
+  };
+
+  input.addEventListener('input', render);
+  render();
+  loadPasswordPolicy().then(render);
+  return meter;
+}
+
+export default { loadPasswordPolicy, checkPassword, validatePassword, attachPasswordStrength };
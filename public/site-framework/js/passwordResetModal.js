@@ -0,0 +1,116 @@
+/**
+ * Site Framework - Password Reset Modal
+ * ============================================
+ *
+ * Shown when the page is opened from an emailed reset link: asks for a
+ * new password and sets it with the link's token. Every session of the
+ * account ends, so the user logs in again afterwards.
+ *
+ * USAGE:
+ *   import { PasswordResetModal } from './site-framework/js/passwordResetModal.js';
+ *
+ *   const token = auth.handlePasswordResetLink();
+ *   if (token) {
+ *     new PasswordResetModal({
+ *       token,
+ *       onComplete: () => { ... }   // e.g. open the login modal
+ *     }).open();
+ *   }
+ */
+
+import { Modal } from './modal.js';
+import { auth } from './auth.js';
+import { toast } from './toast.js';
+import { createField, validateField } from './field.js';
+import { attachPasswordStrength, validatePassword } from './passwordPolicy.js';
+
+export class PasswordResetModal extends Modal {
+  constructor(options = {}) {
+    super({
+      title: 'Reset Password',
+      closable: true,
+      footer: `
+        <button class="sf-btn sf-btn-primary" id="reset-pw-save">Set Password</button>
+        <button class="sf-btn sf-btn-secondary" id="reset-pw-cancel">Cancel</button>
+      `,
+      ...options
+    });
+
+    this.token = options.token;
+    this.onComplete = options.onComplete || (() => {});
+  }
+
+  _create() {
+    super._create();
+
+    const contentEl = this.element.querySelector('.sf-modal-content');
+    contentEl.innerHTML = `
+      <p class="sf-account-hint">Choose a new password. You'll be signed out everywhere and can then log in with it.</p>
+      <div id="reset-pw-fields"></div>
+    `;
+
+    const container = this.element.querySelector('#reset-pw-fields');
+
+    this.newPasswordField = createField({
+      id: 'reset-pw-new',
+      label: 'New Password',
+      type: 'password',
+      required: true,
+      autocomplete: 'new-password',
+      validate: validatePassword
+    });
+    attachPasswordStrength(this.newPasswordField);
+    container.appendChild(this.newPasswordField);
+
+    this.confirmPasswordField = createField({
+      id: 'reset-pw-confirm',
+      label: 'Confirm New Password',
+      type: 'password',
+      required: true,
+      autocomplete: 'new-password',
+      validate: (val) => {
+        const newPass = this.newPasswordField.querySelector('input').value;
+        if (val !== newPass) return 'Passwords do not match';
+        return true;
+      }
+    });
+    container.appendChild(this.confirmPasswordField);
+  }
+
+  _bindEvents() {
+    this.element.querySelector('#reset-pw-save').addEventListener('click', () => this._save());
+    this.element.querySelector('#reset-pw-cancel').addEventListener('click', () => this.close());
+
+    this.element.querySelectorAll('input').forEach(input => {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this._save();
+      });
+    });
+  }
+
+  async _save() {
+    const newValid = validateField(this.newPasswordField);
+    const confirmValid = validateField(this.confirmPasswordField);
+    if (!newValid || !confirmValid) return;
+
+    const password = this.newPasswordField.querySelector('input').value;
+
+    const saveBtn = this.element.querySelector('#reset-pw-save');
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving...';
+
+    const result = await auth.resetPassword(this.token, password);
+
+    if (result.success) {
+      toast.success('Password changed, please log in');
+      this.close();
+      this.onComplete();
+    } else {
+      saveBtn.disabled = false;
+      saveBtn.textContent = 'Set Password';
+      this.showError(result.error);
+    }
+  }
+}
+
+export default PasswordResetModal;
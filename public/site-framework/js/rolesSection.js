@@ -0,0 +1,253 @@
+/**
+ * Site Framework - Roles Section
+ * ============================================
+ *
+ * Roles management section for the settings modal. Lists roles with
+ * their permissions and member counts, and lets users with the
+ * roles.manage permission add, edit and delete custom roles. The
+ * built-in Administrator role is shown read-only.
+ *
+ * USAGE:
+ *   import { createRolesSection } from './site-framework/js/rolesSection.js';
+ *
+ *   const settingsModal = new SettingsModal({
+ *     sections: [
+ *       { id: 'roles', label: 'Roles', icon: '...', content: createRolesSection }
+ *     ]
+ *   });
+ */
+
+import { Table } from './table.js';
+import { Modal, ConfirmModal } from './modal.js';
+import { auth } from './auth.js';
+import { toast } from './toast.js';
+import { createField, validateField, setFieldError, getFieldValue } from './field.js';
+
+let rolesTable = null;
+let roles = [];
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = String(str ?? '');
+  return div.innerHTML;
+}
+
+function describePermissions(role) {
+  if (role.permissions.includes('*')) return 'All permissions';
+  if (role.permissions.length === 0) return 'None';
+  return role.permissions.map(permission => `<code>${escapeHtml(permission)}</code>`).join(' ');
+}
+
+/**
+ * Create the roles section content
+ * @returns {HTMLElement}
+ */
+export function createRolesSection() {
+  const container = document.createElement('div');
+  container.className = 'sf-roles-section';
+
+  container.innerHTML = `
+    <div class="sf-roles-toolbar" style="display: flex; justify-content: flex-end; margin-bottom: 16px;">
+      <button class="sf-btn sf-btn-primary" id="add-role-btn">
+        <i class="sf-icon sf-icon-add"></i> Add Role
+      </button>
+    </div>
+    <div id="roles-table-container"></div>
+  `;
+
+  const tableContainer = container.querySelector('#roles-table-container');
+  rolesTable = new Table({
+    container: tableContainer,
+    columns: [
+      { id: 'name', label: 'Name', sortable: true, render: (row) => `
+        ${escapeHtml(row.name)}${row.description ? `<div class="sf-account-hint">${escapeHtml(row.description)}</div>` : ''}
+      `},
+      { id: 'permissions', label: 'Permissions', render: describePermissions },
+      { id: 'userCount', label: 'Users', sortable: true, render: (row) => String(row.userCount) },
+      { id: 'actions', label: '', render: (row) => row.builtIn ? '' : `
+        <div class="sf-table-actions">
+          <button class="sf-btn sf-btn-icon sf-btn-secondary" data-action="edit" data-id="${row.id}" title="Edit">
+            <i class="sf-icon sf-icon-edit"></i>
+          </button>
+          <button class="sf-btn sf-btn-icon sf-btn-danger" data-action="delete" data-id="${row.id}" title="Delete">
+            <i class="sf-icon sf-icon-delete"></i>
+          </button>
+        </div>
+      `}
+    ],
+    data: [],
+    defaultSort: 'name'
+  });
+
+  container.querySelector('#add-role-btn').addEventListener('click', () => {
+    openRoleModal();
+  });
+
+  // Bind table action buttons (using event delegation)
+  tableContainer.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+
+    const role = roles.find(r => r.id === parseInt(btn.dataset.id));
+    if (!role) return;
+
+    if (btn.dataset.action === 'edit') {
+      openRoleModal(role);
+    } else if (btn.dataset.action === 'delete') {
+      openDeleteRoleConfirm(role);
+    }
+  });
+
+  loadRoles();
+
+  return container;
+}
+
+/**
+ * Load roles from API
+ */
+async function loadRoles() {
+  try {
+    const res = await auth.fetch('/api/roles');
+    if (!res.ok) throw new Error('Failed to load roles');
+
+    roles = await res.json();
+    rolesTable.setData(roles);
+  } catch (err) {
+    console.error('Failed to load roles:', err);
+    toast.error('Failed to load roles');
+  }
+}
+
+/**
+ * Open the add/edit role modal
+ * @param {Object} [role] - Role to edit; omit to add one
+ */
+async function openRoleModal(role = null) {
+  let permissions;
+  try {
+    const res = await auth.fetch('/api/roles/permissions');
+    if (!res.ok) throw new Error('Failed to load permissions');
+    permissions = await res.json();
+  } catch (err) {
+    console.error('Failed to load permissions:', err);
+    toast.error(err.message);
+    return;
+  }
+
+  const content = document.createElement('div');
+
+  const nameField = createField({
+    id: 'role-name',
+    label: 'Name',
+    type: 'text',
+    required: true,
+    value: role?.name || '',
+    validate: (val) => val.trim().length <= 64 ? true : 'Name must be at most 64 characters'
+  });
+  content.appendChild(nameField);
+
+  const descriptionField = createField({
+    id: 'role-description',
+    label: 'Description',
+    type: 'text',
+    value: role?.description || ''
+  });
+  content.appendChild(descriptionField);
+
+  // Permissions the current user doesn't hold can't be granted
+  const permissionList = document.createElement('div');
+  permissionList.className = 'sf-checkbox-list';
+  permissionList.innerHTML = `
+    <div class="sf-account-hint">Permissions</div>
+    ${permissions.map(permission => `
+      <label class="sf-checkbox">
+        <input type="checkbox" class="sf-checkbox-input" value="${escapeHtml(permission.id)}"
+          ${role?.permissions.includes(permission.id) ? 'checked' : ''}
+          ${auth.hasPermission(permission.id) ? '' : 'disabled'}>
+        <span class="sf-checkbox-label"><code>${escapeHtml(permission.id)}</code> ${escapeHtml(permission.description)}</span>
+      </label>
+    `).join('')}
+  `;
+  content.appendChild(permissionList);
+
+  const modal = new Modal({
+    title: role ? 'Edit Role' : 'Add Role',
+    content,
+    footer: `
+      <button class="sf-btn sf-btn-primary" id="role-save">${role ? 'Save Changes' : 'Create Role'}</button>
+      <button class="sf-btn sf-btn-secondary" id="role-cancel">Cancel</button>
+    `
+  });
+  modal.open();
+
+  const save = async () => {
+    if (!validateField(nameField)) return;
+
+    const body = {
+      name: getFieldValue(nameField).trim(),
+      description: getFieldValue(descriptionField).trim(),
+      permissions: [...permissionList.querySelectorAll('input:checked')].map(input => input.value)
+    };
+
+    try {
+      const res = await auth.fetch(role ? `/api/roles/${role.id}` : '/api/roles', {
+        method: role ? 'PUT' : 'POST',
+        body: JSON.stringify(body)
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save role');
+
+      modal.close();
+      toast.success(role ? 'Role updated' : 'Role created');
+      loadRoles();
+    } catch (err) {
+      console.error('Failed to save role:', err);
+      if (err.message.includes('Name') || err.message.includes('name')) {
+        setFieldError(nameField, err.message);
+      } else {
+        toast.error(err.message);
+      }
+    }
+  };
+
+  modal.element.querySelector('#role-save').addEventListener('click', save);
+  modal.element.querySelector('#role-cancel').addEventListener('click', () => modal.close());
+  nameField.querySelector('input').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') save();
+  });
+}
+
+/**
+ * Open delete confirmation
+ */
+function openDeleteRoleConfirm(role) {
+  const confirm = new ConfirmModal({
+    title: 'Delete Role',
+    message: role.userCount > 0
+      ? `Delete "${escapeHtml(role.name)}"? ${role.userCount} user(s) will lose its permissions.`
+      : `Delete "${escapeHtml(role.name)}"?`,
+    confirmText: 'Delete',
+    confirmStyle: 'danger',
+    onConfirm: async () => {
+      try {
+        const res = await auth.fetch(`/api/roles/${role.id}`, { method: 'DELETE' });
+        if (!res.ok) {
+          const data = await res.json();
+          throw new Error(data.error || 'Failed to delete role');
+        }
+
+        confirm.close();
+        toast.success('Role deleted');
+        loadRoles();
+      } catch (err) {
+        console.error('Failed to delete role:', err);
+        confirm.close();
+        toast.error(err.message);
+      }
+    }
+  });
+  confirm.open();
+}
+
+export default { createRolesSection };
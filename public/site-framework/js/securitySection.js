@@ -0,0 +1,92 @@
+/**
+ * Site Framework - Security Section
+ * ============================================
+ *
+ * Settings section for the admin IP allowlist: when set, admins can only
+ * sign in from the listed addresses and CIDR ranges. Shows the address
+ * the server sees for this browser, which must stay in the list.
+ *
+ * USAGE:
+ *   import { createSecuritySection } from './site-framework/js/securitySection.js';
+ *
+ *   const settingsModal = new SettingsModal({
+ *     sections: [
+ *       { id: 'security', label: 'Security', icon: '...', content: createSecuritySection }
+ *     ]
+ *   });
+ */
+
+import { auth } from './auth.js';
+import { toast } from './toast.js';
+import { createField, getFieldValue } from './field.js';
+
+/**
+ * Create the security settings section content
+ * @returns {HTMLElement}
+ */
+export function createSecuritySection() {
+  const container = document.createElement('div');
+  container.className = 'sf-security-section';
+  container.innerHTML = '<span class="sf-api-key-loading">Loading...</span>';
+
+  loadSettings(container);
+  return container;
+}
+
+async function loadSettings(container) {
+  try {
+    const res = await auth.fetch('/api/settings/security');
+    if (!res.ok) throw new Error('Failed to load security settings');
+
+    render(container, await res.json());
+  } catch (err) {
+    console.error('Failed to load security settings:', err);
+    container.innerHTML = '<span class="sf-api-key-loading">Failed to load</span>';
+  }
+}
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = String(str ?? '');
+  return div.innerHTML;
+}
+
+function render(container, config) {
+  container.innerHTML = `
+    <div class="sf-account-section-title">Admin IP Allowlist</div>
+    <p class="sf-account-hint">
+      Admins can only sign in, and keep their sessions, from these addresses. Everyone else is unaffected.
+      Your IP address is <code>${escapeHtml(config.clientIP)}</code>.
+    </p>
+    <div class="sf-security-form"></div>
+    <div class="sf-api-key-actions">
+      <button class="sf-btn sf-btn-primary" id="security-save">Save</button>
+    </div>
+  `;
+
+  const rangesField = createField({
+    id: 'security-admin-allowed-ips',
+    label: 'Allowed IPs',
+    value: config.adminAllowedIps.join(', '),
+    hint: 'Comma-separated addresses or CIDR ranges, e.g. 203.0.113.0/24, 2001:db8::/32. Leave blank to allow any address.'
+  });
+  container.querySelector('.sf-security-form').appendChild(rangesField);
+
+  container.querySelector('#security-save').addEventListener('click', async () => {
+    try {
+      const res = await auth.fetch('/api/settings/security', {
+        method: 'PUT',
+        body: JSON.stringify({ adminAllowedIps: getFieldValue(rangesField).split(/[\s,]+/).filter(Boolean) })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save security settings');
+
+      toast.success('Security settings saved');
+      loadSettings(container);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  });
+}
+
+export default { createSecuritySection };
@@ -0,0 +1,204 @@
+/**
+ * Site Framework - Sessions Section
+ * ============================================
+ *
+ * Lists where a user is signed in (browser and OS from the user agent,
+ * IP, sign-in method, last use), marks the current device, and offers
+ * per-session sign-out plus "Sign out everywhere else".
+ * Used by AccountModal for the user's own sessions, and by usersSection
+ * (with a userId) for admins viewing any user.
+ *
+ * USAGE:
+ *   import { createSessionsSection } from './site-framework/js/sessionsSection.js';
+ *
+ *   container.appendChild(createSessionsSection());
+ *   container.appendChild(createSessionsSection({ userId: 5, canRevoke: auth.hasPermission('users.manage') }));
+ */
+
+import { ConfirmModal } from './modal.js';
+import { auth } from './auth.js';
+import { toast } from './toast.js';
+
+const METHOD_LABELS = {
+  pwd: 'Password',
+  otp: '2FA',
+  passkey: 'Passkey',
+  oidc: 'SSO',
+  email: 'Email link'
+};
+
+/**
+ * Create the sessions section content
+ * @param {Object} options
+ * @param {number} options.userId - Show this user's sessions (admin view) instead of your own
+ * @param {boolean} options.canRevoke - Show sign-out buttons (default: true)
+ * @returns {HTMLElement}
+ */
+export function createSessionsSection(options = {}) {
+  const container = document.createElement('div');
+  container.className = 'sf-sessions';
+  container.innerHTML = '<span class="sf-api-key-loading">Loading...</span>';
+
+  const view = {
+    baseUrl: options.userId ? `/api/users/${options.userId}/sessions` : '/api/account/sessions',
+    isOwn: !options.userId,
+    canRevoke: options.canRevoke !== false
+  };
+
+  loadSessions(container, view);
+  return container;
+}
+
+async function loadSessions(container, view) {
+  try {
+    const res = await auth.fetch(view.baseUrl);
+    if (!res.ok) throw new Error('Failed to load sessions');
+
+    render(container, view, await res.json());
+  } catch (err) {
+    console.error('Failed to load sessions:', err);
+    container.innerHTML = '<span class="sf-api-key-loading">Failed to load</span>';
+  }
+}
+
+function formatDate(value) {
+  if (!value) return 'Never';
+  return new Date(value.replace(' ', 'T') + (value.endsWith('Z') ? '' : 'Z')).toLocaleString();
+}
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = String(str ?? '');
+  return div.innerHTML;
+}
+
+/**
+ * Short "Browser on OS" description of a user agent string
+ * (also used by knownDevicesSection)
+ */
+export function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browser =
+    /Edg\//.test(userAgent) ? 'Edge' :
+    /OPR\//.test(userAgent) ? 'Opera' :
+    /Firefox\//.test(userAgent) ? 'Firefox' :
+    /Chrome\//.test(userAgent) ? 'Chrome' :
+    /Safari\//.test(userAgent) ? 'Safari' :
+    null;
+  const os =
+    /Windows/.test(userAgent) ? 'Windows' :
+    /iPhone|iPad|iPod/.test(userAgent) ? 'iOS' :
+    /Mac OS X|Macintosh/.test(userAgent) ? 'macOS' :
+    /Android/.test(userAgent) ? 'Android' :
+    /CrOS/.test(userAgent) ? 'ChromeOS' :
+    /Linux/.test(userAgent) ? 'Linux' :
+    null;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || userAgent.split(' ')[0];
+}
+
+function describeMethods(amr) {
+  return amr.map(method => METHOD_LABELS[method] || method).join(' + ');
+}
+
+function render(container, view, sessions) {
+  const others = sessions.filter(s => !s.current);
+
+  container.innerHTML = `
+    ${sessions.length === 0 ? `
+      <div class="sf-api-key-status sf-api-key-inactive">
+        <span class="sf-api-key-indicator"></span>
+        <span>No active sessions</span>
+      </div>
+    ` : `
+      <div class="sf-passkey-list">
+        ${sessions.map(s => `
+          <div class="sf-passkey-item" data-id="${s.id}">
+            <div class="sf-passkey-details">
+              <span class="sf-passkey-name" title="${escapeHtml(s.userAgent)}">
+                ${escapeHtml(describeDevice(s.userAgent))}
+                ${s.current ? '<span class="sf-session-current">This device</span>' : ''}
+              </span>
+              <span class="sf-passkey-meta">${s.ip ? `${escapeHtml(s.ip)} &middot; ` : ''}${escapeHtml(describeMethods(s.amr))}${s.impersonatedBy ? ` &middot; Viewed by ${escapeHtml(s.impersonatedBy)}` : ''}</span>
+              <span class="sf-passkey-meta">Signed in ${formatDate(s.createdAt)} &middot; Last active ${formatDate(s.lastSeenAt)}</span>
+            </div>
+            ${view.canRevoke && !s.current ? `
+              <div class="sf-table-actions">
+                <button class="sf-btn sf-btn-icon sf-btn-danger" data-action="revoke" data-id="${s.id}" title="Sign out">
+                  <i class="sf-icon sf-icon-logout"></i>
+                </button>
+              </div>
+            ` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `}
+    ${view.canRevoke && others.length > 0 ? `
+      <div class="sf-api-key-actions">
+        <button class="sf-btn sf-btn-secondary" data-action="revoke-all">
+          <i class="sf-icon sf-icon-logout"></i> ${view.isOwn ? 'Sign Out Everywhere Else' : 'Sign Out Everywhere'}
+        </button>
+      </div>
+    ` : ''}
+  `;
+
+  container.querySelectorAll('button[data-action]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const session = sessions.find(s => s.id === parseInt(btn.dataset.id));
+      if (btn.dataset.action === 'revoke' && session) openRevokeConfirm(container, view, session);
+      if (btn.dataset.action === 'revoke-all') openRevokeAllConfirm(container, view, others.length);
+    });
+  });
+}
+
+function openRevokeConfirm(container, view, session) {
+  const confirm = new ConfirmModal({
+    title: 'Sign Out Session',
+    message: `Sign out ${escapeHtml(describeDevice(session.userAgent))}${session.ip ? ` (${escapeHtml(session.ip)})` : ''}? It will need to sign in again.`,
+    confirmText: 'Sign Out',
+    confirmStyle: 'danger',
+    onConfirm: async () => {
+      confirm.close();
+      try {
+        const res = await auth.fetch(`${view.baseUrl}/${session.id}`, { method: 'DELETE' });
+        if (!res.ok) throw new Error('Failed to sign out session');
+
+        toast.success('Session signed out');
+        loadSessions(container, view);
+      } catch (err) {
+        console.error('Failed to sign out session:', err);
+        toast.error(err.message);
+      }
+    }
+  });
+  confirm.open();
+}
+
+function openRevokeAllConfirm(container, view, count) {
+  const confirm = new ConfirmModal({
+    title: view.isOwn ? 'Sign Out Everywhere Else' : 'Sign Out Everywhere',
+    message: view.isOwn
+      ? `Sign out ${count} other session(s)? This device stays signed in.`
+      : `Sign this user out of ${count} session(s)?`,
+    confirmText: 'Sign Out',
+    confirmStyle: 'danger',
+    onConfirm: async () => {
+      confirm.close();
+      try {
+        const res = await auth.fetch(view.baseUrl, { method: 'DELETE' });
+        if (!res.ok) throw new Error('Failed to sign out sessions');
+
+        toast.success('Sessions signed out');
+        loadSessions(container, view);
+      } catch (err) {
+        console.error('Failed to sign out sessions:', err);
+        toast.error(err.message);
+      }
+    }
+  });
+  confirm.open();
+}
+
+export default { createSessionsSection };
@@ -0,0 +1,266 @@
+/**
+ * Site Framework - Two-Factor Section
+ * ============================================
+ *
+ * TOTP enrollment UI: status, QR code setup, confirmation,
+ * one-time recovery codes, and disabling.
+ * Used by AccountModal and TwoFactorSetupModal.
+ *
+ * USAGE:
+ *   import { createTwoFactorSection } from './site-framework/js/twoFactorSection.js';
+ *
+ *   const section = createTwoFactorSection({
+ *     onEnabled: () => { ... }
+ *   });
+ *   container.appendChild(section);
+ */
+
+import { auth } from './auth.js';
+import { toast } from './toast.js';
+import { createField, validateField, setFieldError, getFieldValue } from './field.js';
+
+/**
+ * Create the two-factor section content
+ * @param {Object} options
+ * @param {Function} options.onEnabled - Called after the user finishes enrollment
+ * @returns {HTMLElement}
+ */
+export function createTwoFactorSection(options = {}) {
+  const container = document.createElement('div');
+  container.className = 'sf-two-factor';
+  container.innerHTML = '<span class="sf-api-key-loading">Loading...</span>';
+
+  const state = {
+    enabled: false,
+    required: false,
+    recoveryCodesRemaining: 0,
+    setup: null,
+    recoveryCodes: null,
+    onEnabled: options.onEnabled || (() => {})
+  };
+
+  loadStatus(container, state);
+  return container;
+}
+
+async function loadStatus(container, state) {
+  try {
+    const res = await auth.fetch('/api/account/2fa');
+    if (!res.ok) throw new Error('Failed to load two-factor status');
+
+    const data = await res.json();
+    state.enabled = data.enabled;
+    state.required = data.required;
+    state.recoveryCodesRemaining = data.recoveryCodesRemaining;
+    render(container, state);
+  } catch (err) {
+    console.error('Failed to load 2FA status:', err);
+    container.innerHTML = '<span class="sf-api-key-loading">Failed to load</span>';
+  }
+}
+
+function render(container, state) {
+  if (state.recoveryCodes) {
+    renderRecoveryCodes(container, state);
+  } else if (state.enabled) {
+    renderEnabled(container, state);
+  } else if (state.setup) {
+    renderSetup(container, state);
+  } else {
+    renderDisabled(container, state);
+  }
+}
+
+function renderDisabled(container, state) {
+  container.innerHTML = `
+    <div class="sf-api-key-status sf-api-key-inactive">
+      <span class="sf-api-key-indicator"></span>
+      <span>Two-factor authentication is off</span>
+    </div>
+    ${state.required ? '<div class="sf-account-hint">Administrators must enable two-factor authentication.</div>' : ''}
+    <div class="sf-two-factor-fields"></div>
+    <div class="sf-api-key-actions">
+      <button class="sf-btn sf-btn-primary" data-action="setup">
+        <i class="sf-icon sf-icon-key"></i> Set Up Two-Factor
+      </button>
+    </div>
+  `;
+
+  const passwordField = createField({
+    id: 'two-factor-setup-password',
+    label: 'Current Password',
+    type: 'password',
+    required: true
+  });
+  container.querySelector('.sf-two-factor-fields').appendChild(passwordField);
+
+  container.querySelector('[data-action="setup"]').addEventListener('click', async () => {
+    if (!validateField(passwordField)) return;
+
+    try {
+      const res = await auth.fetch('/api/account/2fa/setup', {
+        method: 'POST',
+        body: JSON.stringify({ currentPassword: getFieldValue(passwordField) })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to start setup');
+
+      state.setup = data;
+      render(container, state);
+    } catch (err) {
+      if (err.message.includes('password')) {
+        setFieldError(passwordField, err.message);
+      } else {
+        toast.error(err.message);
+      }
+    }
+  });
+}
+
+function renderSetup(container, state) {
+  container.innerHTML = `
+    <div class="sf-account-hint">
+      Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+    </div>
+    <div class="sf-two-factor-qr">
+      <img src="${state.setup.qrCode}" alt="Two-factor QR code" width="180" height="180">
+    </div>
+    <div class="sf-api-key-info">
+      <div class="sf-api-key-detail">
+        <span class="sf-api-key-detail-label">Setup key:</span>
+        <code class="sf-api-key-detail-value">${state.setup.secret}</code>
+      </div>
+    </div>
+    <div class="sf-two-factor-fields"></div>
+    <div class="sf-api-key-actions">
+      <button class="sf-btn sf-btn-primary" data-action="enable">Verify &amp; Enable</button>
+      <button class="sf-btn sf-btn-secondary" data-action="cancel">Cancel</button>
+    </div>
+  `;
+
+  const codeField = createField({
+    id: 'two-factor-setup-code',
+    label: 'Authentication Code',
+    type: 'text',
+    required: true,
+    autocomplete: 'one-time-code',
+    validate: (val) => /^\d{6}$/.test(val.trim()) ? true : 'Enter the 6-digit code'
+  });
+  container.querySelector('.sf-two-factor-fields').appendChild(codeField);
+
+  container.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+    state.setup = null;
+    render(container, state);
+  });
+
+  container.querySelector('[data-action="enable"]').addEventListener('click', async () => {
+    if (!validateField(codeField)) return;
+
+    try {
+      const res = await auth.fetch('/api/account/2fa/enable', {
+        method: 'POST',
+        body: JSON.stringify({ code: getFieldValue(codeField).trim() })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to enable two-factor authentication');
+
+      state.setup = null;
+      state.enabled = true;
+      state.recoveryCodes = data.recoveryCodes;
+      state.recoveryCodesRemaining = data.recoveryCodes.length;
+      render(container, state);
+      toast.success('Two-factor authentication enabled');
+    } catch (err) {
+      setFieldError(codeField, err.message);
+    }
+  });
+}
+
+function renderRecoveryCodes(container, state) {
+  container.innerHTML = `
+    <div class="sf-api-key-generated">
+      <div class="sf-api-key-warning">
+        Save these recovery codes now - they won't be shown again! Each code can be used once if you lose your device.
+      </div>
+      <div class="sf-two-factor-recovery-codes">
+        ${state.recoveryCodes.map(code => `<code>${code}</code>`).join('')}
+      </div>
+      <div class="sf-api-key-actions">
+        <button class="sf-btn sf-btn-secondary" data-action="copy">
+          <i class="sf-icon sf-icon-copy"></i> Copy
+        </button>
+        <button class="sf-btn sf-btn-primary" data-action="done">Done</button>
+      </div>
+    </div>
+  `;
+
+  container.querySelector('[data-action="copy"]').addEventListener('click', () => {
+    navigator.clipboard.writeText(state.recoveryCodes.join('\n'));
+    toast.success('Recovery codes copied to clipboard');
+  });
+
+  container.querySelector('[data-action="done"]').addEventListener('click', () => {
+    state.recoveryCodes = null;
+    render(container, state);
+    auth.refreshUser();
+    state.onEnabled();
+  });
+}
+
+function renderEnabled(container, state) {
+  container.innerHTML = `
+    <div class="sf-api-key-status sf-api-key-active">
+      <span class="sf-api-key-indicator"></span>
+      <span>Two-factor authentication is on</span>
+    </div>
+    <div class="sf-api-key-info">
+      <div class="sf-api-key-detail">
+        <span class="sf-api-key-detail-label">Recovery codes:</span>
+        <span class="sf-api-key-detail-value">${state.recoveryCodesRemaining} remaining</span>
+      </div>
+    </div>
+    ${state.required ? '<div class="sf-account-hint">Two-factor authentication is required for administrators.</div>' : `
+      <div class="sf-two-factor-fields"></div>
+      <div class="sf-api-key-actions">
+        <button class="sf-btn sf-btn-danger" data-action="disable">Disable</button>
+      </div>
+    `}
+  `;
+
+  if (state.required) return;
+
+  const passwordField = createField({
+    id: 'two-factor-disable-password',
+    label: 'Current Password',
+    type: 'password',
+    required: true
+  });
+  container.querySelector('.sf-two-factor-fields').appendChild(passwordField);
+
+  container.querySelector('[data-action="disable"]').addEventListener('click', async () => {
+    if (!validateField(passwordField)) return;
+
+    try {
+      const res = await auth.fetch('/api/account/2fa', {
+        method: 'DELETE',
+        body: JSON.stringify({ currentPassword: getFieldValue(passwordField) })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to disable two-factor authentication');
+
+      state.enabled = false;
+      state.recoveryCodesRemaining = 0;
+      render(container, state);
+      auth.refreshUser();
+      toast.success('Two-factor authentication disabled');
+    } catch (err) {
+      if (err.message.includes('password')) {
+        setFieldError(passwordField, err.message);
+      } else {
+        toast.error(err.message);
+      }
+    }
+  });
+}
+
+export default { createTwoFactorSection };
@@ -0,0 +1,62 @@
+/**
+ * Site Framework - Two-Factor Setup Modal
+ * ============================================
+ *
+ * Shown after login when the site requires 2FA for the account
+ * (e.g., admins when "Require 2FA for administrators" is on).
+ * Admin API access is refused until enrollment is complete.
+ *
+ * USAGE:
+ *   import { TwoFactorSetupModal } from './site-framework/js/twoFactorSetupModal.js';
+ *
+ *   const modal = new TwoFactorSetupModal({
+ *     onComplete: () => { ... }
+ *   });
+ *   modal.open();
+ */
+
+import { Modal } from './modal.js';
+import { createTwoFactorSection } from './twoFactorSection.js';
+
+export class TwoFactorSetupModal extends Modal {
+  constructor(options = {}) {
+    super({
+      title: 'Two-Factor Authentication Required',
+      closable: true,
+      footer: `
+        <button class="sf-btn sf-btn-secondary" id="two-factor-later">Later</button>
+      `,
+      ...options
+    });
+
+    this.onComplete = options.onComplete || (() => {});
+  }
+
+  _create() {
+    super._create();
+
+    const contentEl = this.element.querySelector('.sf-modal-content');
+    contentEl.innerHTML = `
+      <div class="sf-account-modal">
+        <p class="sf-account-hint">
+          Your account must use two-factor authentication before administrative features can be used.
+        </p>
+        <div id="two-factor-setup-container"></div>
+      </div>
+    `;
+
+    contentEl.querySelector('#two-factor-setup-container').appendChild(createTwoFactorSection({
+      onEnabled: () => {
+        this.close(true);
+        this.onComplete();
+      }
+    }));
+  }
+
+  _bindEvents() {
+    const laterBtn = this.element.querySelector('#two-factor-later');
+    laterBtn.addEventListener('click', () => this.close());
+  }
+}
+
+export default TwoFactorSetupModal;
@@ -2,7 +2,12 @@
  * Site Framework - User Modal
  * ============================================
  *
- * Admin modal for adding/editing users.
+ * Admin modal for adding/editing users and choosing their roles. Roles
+ * granting permissions the current user doesn't hold are shown disabled.
+ * In invite mode there is no password field: the user is created as
+ * invited and chooses their own password from the invitation link.
+ * An optional deactivation date disables the account automatically
+ * (e.g. when a contractor's engagement ends).
  *
  * USAGE:
  *   import { UserModal } from './site-framework/js/userModal.js';
@@ -13,9 +18,16 @@
  *   });
  *   modal.open();
  *
+ *   // Invite a user (onSave gets the response, including `invitation`)
+ *   const modal = new UserModal({
+ *     invite: true,
+ *     onSave: (user) => { ... }
+ *   });
+ *   modal.open();
+ *
  *   // Edit existing user
  *   const modal = new UserModal({
- *     user: { id: 1, username: 'john', is_admin: false },
+ *     user: { id: 1, username: 'john', email: 'john@example.com', roles: [{ id: 2, name: 'Editor' }] },
  *     onSave: (user) => { ... }
  *   });
  *   modal.open();
@@ -25,17 +37,35 @@ import { Modal } from './modal.js';
 import { auth } from './auth.js';
 import { toast } from './toast.js';
 import { createField, validateField, setFieldError, getFieldValue } from './field.js';
+import { attachPasswordStrength, validatePassword } from './passwordPolicy.js';
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = String(str ?? '');
+  return div.innerHTML;
+}
+
+/**
+ * ISO timestamp -> local YYYY-MM-DD for a date input
+ */
+function toDateInputValue(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
 
 export class UserModal extends Modal {
   constructor(options = {}) {
     const isEdit = !!options.user;
+    const isInvite = !isEdit && !!options.invite;
 
     super({
-      title: isEdit ? 'Edit User' : 'Add User',
+      title: isEdit ? 'Edit User' : isInvite ? 'Invite User' : 'Add User',
       closable: true,
       footer: `
         <button class="sf-btn sf-btn-primary" id="user-save">
-          ${isEdit ? 'Save Changes' : 'Create User'}
+          ${isEdit ? 'Save Changes' : isInvite ? 'Send Invitation' : 'Create User'}
         </button>
         <button class="sf-btn sf-btn-secondary" id="user-cancel">Cancel</button>
       `,
@@ -44,6 +74,7 @@ export class UserModal extends Modal {
 
     this.user = options.user || null;
     this.isEdit = isEdit;
+    this.isInvite = isInvite;
     this.onSave = options.onSave || (() => {});
   }
 
@@ -81,31 +112,88 @@ export class UserModal extends Modal {
       input.style.cursor = 'not-allowed';
     }
 
-    // Password field
-    this.passwordField = createField({
+    // Email field (optional; used for password reset links)
+    this.emailField = createField({
+      id: 'user-email',
+      label: 'Email',
+      type: 'email',
+      value: this.user?.email || '',
+      hint: this.isInvite
+        ? 'The invitation is emailed here if email is set up; otherwise you get a link to pass on.'
+        : 'Optional. Needed for self-service password reset.',
+      validate: (val) => {
+        if (val && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(val)) return 'Invalid email address';
+        return true;
+      }
+    });
+    container.appendChild(this.emailField);
+
+    // Password field (invitees choose their own)
+    this.passwordField = this.isInvite ? null : createField({
       id: 'user-password',
       label: this.isEdit ? 'New Password (leave blank to keep)' : 'Password',
       type: 'password',
       required: !this.isEdit,
       validate: (val) => {
-        if (!this.isEdit && val.length < 8) return 'Password must be at least 8 characters';
-        if (this.isEdit && val && val.length < 8) return 'Password must be at least 8 characters';
-        return true;
+        if (this.isEdit && !val) return true;
+        return validatePassword(val);
       }
     });
-    container.appendChild(this.passwordField);
-
-    // Admin checkbox
-    const checkboxWrapper = document.createElement('div');
-    checkboxWrapper.className = 'sf-field';
-    checkboxWrapper.style.marginTop = '16px';
-    checkboxWrapper.innerHTML = `
-      <label class="sf-checkbox">
-        <input type="checkbox" class="sf-checkbox-input" id="user-is-admin" ${this.user?.is_admin ? 'checked' : ''}>
-        <span class="sf-checkbox-label">Administrator</span>
-      </label>
-    `;
-    container.appendChild(checkboxWrapper);
+    if (this.passwordField) {
+      attachPasswordStrength(this.passwordField, { optional: this.isEdit });
+      container.appendChild(this.passwordField);
+    }
+
+    // Scheduled deactivation (start of the chosen day, local time)
+    this.deactivateField = createField({
+      id: 'user-deactivate-at',
+      label: 'Deactivate On',
+      type: 'date',
+      value: toDateInputValue(this.user?.deactivate_at),
+      hint: 'Optional. The account is disabled automatically from this day.'
+    });
+    container.appendChild(this.deactivateField);
+
+    // Role checkboxes
+    this.rolesList = document.createElement('div');
+    this.rolesList.className = 'sf-checkbox-list';
+    this.rolesList.style.marginTop = '16px';
+    this.rolesList.innerHTML = '<div class="sf-account-hint">Loading roles...</div>';
+    container.appendChild(this.rolesList);
+    this._loadRoles();
+  }
+
+  async _loadRoles() {
+    try {
+      const res = await auth.fetch('/api/roles');
+      if (!res.ok) throw new Error('Failed to load roles');
+      const roles = await res.json();
+
+      const currentIds = (this.user?.roles || []).map(role => role.id);
+      this.rolesList.innerHTML = `
+        <div class="sf-account-hint">Roles</div>
+        ${roles.map(role => `
+          <label class="sf-checkbox">
+            <input type="checkbox" class="sf-checkbox-input" value="${role.id}"
+              ${currentIds.includes(role.id) ? 'checked' : ''}
+              ${this._canAssign(role) ? '' : 'disabled'}>
+            <span class="sf-checkbox-label">${escapeHtml(role.name)}</span>
+          </label>
+        `).join('')}
+      `;
+      this.rolesLoaded = true;
+    } catch (err) {
+      console.error('Failed to load roles:', err);
+      this.rolesList.innerHTML = '<div class="sf-account-hint">Failed to load roles</div>';
+    }
+  }
+
+  /**
+   * Whether the current user holds every permission the role grants
+   */
+  _canAssign(role) {
+    if (role.permissions.includes('*')) return auth.isAdmin();
+    return role.permissions.every(permission => auth.hasPermission(permission));
   }
 
   _bindEvents() {
@@ -118,7 +206,7 @@ export class UserModal extends Modal {
     cancelBtn.addEventListener('click', () => this.close());
 
     // Enter key to submit
-    this.element.querySelectorAll('input[type="text"], input[type="password"]').forEach(input => {
+    this.element.querySelectorAll('input[type="text"], input[type="email"], input[type="password"]').forEach(input => {
       input.addEventListener('keydown', (e) => {
         if (e.key === 'Enter') this._save();
       });
@@ -128,34 +216,50 @@ export class UserModal extends Modal {
   async _save() {
     // Validate fields (skip username validation when editing since it's read-only)
     const usernameValid = this.isEdit ? true : validateField(this.usernameField);
-    const passwordValid = validateField(this.passwordField);
+    const emailValid = validateField(this.emailField);
+    const passwordValid = this.passwordField ? validateField(this.passwordField) : true;
 
-    if (!usernameValid || !passwordValid) return;
+    if (!usernameValid || !emailValid || !passwordValid) return;
 
     const username = getFieldValue(this.usernameField).trim();
-    const password = getFieldValue(this.passwordField);
-    const isAdmin = this.element.querySelector('#user-is-admin').checked;
+    const email = getFieldValue(this.emailField).trim();
+    const password = this.passwordField ? getFieldValue(this.passwordField) : '';
+    const roles = [...this.rolesList.querySelectorAll('input:checked')].map(input => parseInt(input.value));
+    const deactivateOn = getFieldValue(this.deactivateField);
+    const deactivateAt = deactivateOn ? new Date(`${deactivateOn}T00:00`).toISOString() : null;
 
     // Disable save button
     const saveBtn = this.element.querySelector('#user-save');
     saveBtn.disabled = true;
-    saveBtn.textContent = this.isEdit ? 'Saving...' : 'Creating...';
+    saveBtn.textContent = this.isEdit ? 'Saving...' : this.isInvite ? 'Inviting...' : 'Creating...';
 
     try {
       let res;
 
       if (this.isEdit) {
         // Update existing user (username cannot be changed)
-        const body = { isAdmin };
+        const body = { email };
         if (password) body.password = password;
+        if (this.rolesLoaded) body.roles = roles;
+        if (deactivateOn !== toDateInputValue(this.user.deactivate_at)) body.deactivateAt = deactivateAt;
 
         res = await auth.fetch(`/api/users/${this.user.id}`, {
           method: 'PUT',
           body: JSON.stringify(body)
         });
+      } else if (this.isInvite) {
+        // Invite new user (they choose their password)
+        const body = { username, email, deactivateAt };
+        if (this.rolesLoaded) body.roles = roles;
+
+        res = await auth.fetch('/api/users/invite', {
+          method: 'POST',
+          body: JSON.stringify(body)
+        });
       } else {
         // Create new user
-        const body = { username, password, isAdmin };
+        const body = { username, email, password, deactivateAt };
+        if (this.rolesLoaded) body.roles = roles;
 
         res = await auth.fetch('/api/users', {
           method: 'POST',
@@ -170,7 +274,11 @@ export class UserModal extends Modal {
 
       const data = await res.json();
 
-      toast.success(this.isEdit ? 'User updated' : 'User created');
+      if (this.isInvite) {
+        toast.success(data.invitation.emailed ? 'Invitation sent' : 'User invited');
+      } else {
+        toast.success(this.isEdit ? 'User updated' : 'User created');
+      }
       this.close();
       this.onSave(data);
     } catch (err) {
@@ -178,10 +286,16 @@ export class UserModal extends Modal {
 
       // Re-enable button
       saveBtn.disabled = false;
-      saveBtn.textContent = this.isEdit ? 'Save Changes' : 'Create User';
+      saveBtn.textContent = this.isEdit ? 'Save Changes' : this.isInvite ? 'Send Invitation' : 'Create User';
 
-      if (err.message.includes('Username') || err.message.includes('exists')) {
+      if (this.passwordField && (err.message.startsWith('Password') || err.message.includes('too common'))) {
+        setFieldError(this.passwordField, err.message);
+      } else if (err.message.includes('Email') || err.message.includes('email')) {
+        setFieldError(this.emailField, err.message);
+      } else if (err.message.includes('Username') || err.message.includes('exists')) {
         setFieldError(this.usernameField, err.message);
+      } else if (err.message.includes('Deactivation') || err.message.includes('deactivation')) {
+        setFieldError(this.deactivateField, err.message);
       } else {
         toast.error(err.message);
       }
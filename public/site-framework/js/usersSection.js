@@ -3,7 +3,13 @@
  * ============================================
  *
  * Users management section for settings modal.
- * Includes user table with add/edit/delete.
+ * Includes user table with add/edit/delete, invitations (invite, resend,
+ * revoke, with a copyable link when the invitation can't be emailed), a
+ * queue of self-registrations awaiting approval (approve / reject),
+ * disable (with a reason, ending the user's sessions) / enable, two-factor reset, login lockout release, active sessions, "view as
+ * user" (impersonation), and the "require 2FA for administrators" policy
+ * toggle. Controls the current user lacks the permission for
+ * (users.impersonate, users.manage; the 2FA policy is for admins) are hidden.
  *
  * USAGE:
  *   import { createUsersSection } from './site-framework/js/usersSection.js';
@@ -17,13 +23,28 @@
 
 import { Table } from './table.js';
 import { UserModal } from './userModal.js';
-import { ConfirmModal } from './modal.js';
+import { Modal, ConfirmModal } from './modal.js';
+import { TwoFactorSetupModal } from './twoFactorSetupModal.js';
+import { createSessionsSection } from './sessionsSection.js';
 import { auth } from './auth.js';
 import { toast } from './toast.js';
+import { createField, getFieldValue } from './field.js';
 
 let usersTable = null;
+let pendingTable = null;
 let users = [];
 
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = String(str ?? '');
+  return div.innerHTML;
+}
+
+function formatDate(value) {
+  if (!value) return 'Never';
+  return new Date(value.replace(' ', 'T') + (value.endsWith('Z') ? '' : 'Z')).toLocaleString();
+}
+
 /**
  * Create the users section content
  * @returns {HTMLElement}
@@ -33,33 +54,146 @@ export function createUsersSection() {
   container.className = 'sf-users-section';
 
   container.innerHTML = `
-    <div class="sf-users-toolbar" style="display: flex; justify-content: flex-end; margin-bottom: 16px;">
-      <button class="sf-btn sf-btn-primary" id="add-user-btn">
-        <i class="sf-icon sf-icon-add"></i> Add User
-      </button>
+    <div class="sf-users-toolbar" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 16px;">
+      <label class="sf-checkbox">
+        <input type="checkbox" class="sf-checkbox-input" id="require-admin-2fa">
+        <span class="sf-checkbox-label">Require 2FA for administrators</span>
+      </label>
+      <div class="sf-users-actions" style="display: flex; gap: 8px;">
+        <button class="sf-btn sf-btn-secondary" id="invite-user-btn">
+          <i class="sf-icon sf-icon-mail"></i> Invite User
+        </button>
+        <button class="sf-btn sf-btn-primary" id="add-user-btn">
+          <i class="sf-icon sf-icon-add"></i> Add User
+        </button>
+      </div>
+    </div>
+    <div class="sf-users-pending" id="users-pending" hidden style="margin-bottom: 16px;">
+      <div class="sf-account-section-title">Awaiting Approval</div>
+      <div id="users-pending-table-container"></div>
     </div>
     <div id="users-table-container"></div>
   `;
 
+  // Registrations awaiting approval (security.registration = 'approval')
+  const pendingContainer = container.querySelector('#users-pending-table-container');
+  pendingTable = new Table({
+    container: pendingContainer,
+    columns: [
+      { id: 'username', label: 'Username', sortable: true },
+      { id: 'email', label: 'Email', sortable: true },
+      { id: 'created_at', label: 'Registered', sortable: true, type: 'date', render: (row) => formatDate(row.created_at) },
+      { id: 'actions', label: '', render: (row) => auth.hasPermission('users.manage') ? `
+        <div class="sf-table-actions">
+          <button class="sf-btn sf-btn-icon sf-btn-secondary" data-action="approve" data-id="${row.id}" title="Approve">
+            <i class="sf-icon sf-icon-check"></i>
+          </button>
+          <button class="sf-btn sf-btn-icon sf-btn-danger" data-action="reject" data-id="${row.id}" title="Reject">
+            <i class="sf-icon sf-icon-delete"></i>
+          </button>
+        </div>
+      ` : ''}
+    ],
+    data: [],
+    defaultSort: 'created_at'
+  });
+
+  pendingContainer.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+
+    const user = users.find(u => u.id === parseInt(btn.dataset.id));
+    if (!user) return;
+
+    if (btn.dataset.action === 'approve') {
+      approveRegistration(user, btn);
+    } else if (btn.dataset.action === 'reject') {
+      openRejectRegistrationConfirm(user);
+    }
+  });
+
   // Initialize table
   const tableContainer = container.querySelector('#users-table-container');
   usersTable = new Table({
     container: tableContainer,
     columns: [
       { id: 'username', label: 'Username', sortable: true },
-      { id: 'role', label: 'Role', sortable: true, render: (row) => row.is_admin ? 'Admin' : 'User' },
+      { id: 'role', label: 'Roles', sortable: true, render: (row) => row.roles.map(role => escapeHtml(role.name)).join(', ') || 'None' },
+      { id: 'totp_enabled', label: '2FA', sortable: true, render: (row) => row.totp_enabled ? 'On' : 'Off' },
+      { id: 'locked_until', label: 'Status', sortable: true, render: (row) => {
+        if (row.status === 'invited') {
+          if (!row.invitation_expires_at || new Date(row.invitation_expires_at) <= new Date()) return 'Invitation expired';
+          return `<span title="Until ${new Date(row.invitation_expires_at).toLocaleString()}">Invited</span>`;
+        }
+        if (row.status === 'disabled') {
+          const details = [row.disabled_reason, `since ${formatDate(row.disabled_at)}`].filter(Boolean).join(', ');
+          return `<span title="${escapeHtml(details)}">Disabled</span>`;
+        }
+        if (row.locked_until) {
+          return `<span title="Until ${new Date(row.locked_until).toLocaleString()}">Locked</span>`;
+        }
+        if (row.deactivate_at) {
+          const deactivateAt = new Date(row.deactivate_at);
+          if (deactivateAt <= new Date()) return '<span title="Scheduled deactivation">Disabled</span>';
+          return `<span title="Disabled automatically at ${deactivateAt.toLocaleString()}">Active until ${deactivateAt.toLocaleDateString()}</span>`;
+        }
+        return 'Active';
+      }},
       { id: 'last_login', label: 'Last Login', sortable: true, type: 'date', render: (row) => {
         if (!row.last_login) return 'Never';
         return new Date(row.last_login).toLocaleString();
       }},
-      { id: 'actions', label: '', render: (row) => `
+      { id: 'actions', label: '', render: (row) => row.status === 'invited' ? `
         <div class="sf-table-actions">
-          <button class="sf-btn sf-btn-icon sf-btn-secondary" data-action="edit" data-id="${row.id}" title="Edit">
-            <i class="sf-icon sf-icon-edit"></i>
-          </button>
-          <button class="sf-btn sf-btn-icon sf-btn-danger" data-action="delete" data-id="${row.id}" title="Delete">
-            <i class="sf-icon sf-icon-delete"></i>
+          ${auth.hasPermission('users.manage') ? `
+            <button class="sf-btn sf-btn-icon sf-btn-secondary" data-action="edit" data-id="${row.id}" title="Edit">
+              <i class="sf-icon sf-icon-edit"></i>
+            </button>
+            <button class="sf-btn sf-btn-icon sf-btn-secondary" data-action="resend-invitation" data-id="${row.id}" title="Resend invitation">
+              <i class="sf-icon sf-icon-mail"></i>
+            </button>
+            <button class="sf-btn sf-btn-icon sf-btn-danger" data-action="revoke-invitation" data-id="${row.id}" title="Revoke invitation">
+              <i class="sf-icon sf-icon-delete"></i>
+            </button>
+          ` : ''}
+        </div>
+      ` : `
+        <div class="sf-table-actions">
+          <button class="sf-btn sf-btn-icon sf-btn-secondary" data-action="sessions" data-id="${row.id}" title="Sessions">
+            <i class="sf-icon sf-icon-logout"></i>
           </button>
+          ${auth.hasPermission('users.impersonate') && row.status === 'active' && row.id !== auth.getUser()?.id ? `
+            <button class="sf-btn sf-btn-icon sf-btn-secondary" data-action="impersonate" data-id="${row.id}" title="View as user">
+              <i class="sf-icon sf-icon-user"></i>
+            </button>
+          ` : ''}
+          ${auth.hasPermission('users.manage') ? `
+            <button class="sf-btn sf-btn-icon sf-btn-secondary" data-action="edit" data-id="${row.id}" title="Edit">
+              <i class="sf-icon sf-icon-edit"></i>
+            </button>
+            ${row.totp_enabled ? `
+              <button class="sf-btn sf-btn-icon sf-btn-secondary" data-action="reset-2fa" data-id="${row.id}" title="Reset 2FA">
+                <i class="sf-icon sf-icon-refresh"></i>
+              </button>
+            ` : ''}
+            ${row.locked_until ? `
+              <button class="sf-btn sf-btn-icon sf-btn-secondary" data-action="unlock" data-id="${row.id}" title="Unlock">
+                <i class="sf-icon sf-icon-key"></i>
+              </button>
+            ` : ''}
+            ${row.status === 'disabled' ? `
+              <button class="sf-btn sf-btn-icon sf-btn-secondary" data-action="enable" data-id="${row.id}" title="Enable">
+                <i class="sf-icon sf-icon-check"></i>
+              </button>
+            ` : row.id !== auth.getUser()?.id ? `
+              <button class="sf-btn sf-btn-icon sf-btn-secondary" data-action="disable" data-id="${row.id}" title="Disable">
+                <i class="sf-icon sf-icon-close"></i>
+              </button>
+            ` : ''}
+            <button class="sf-btn sf-btn-icon sf-btn-danger" data-action="delete" data-id="${row.id}" title="Delete">
+              <i class="sf-icon sf-icon-delete"></i>
+            </button>
+          ` : ''}
         </div>
       `}
     ],
@@ -67,10 +201,19 @@ export function createUsersSection() {
     defaultSort: 'username'
   });
 
-  // Bind add button
+  // Bind add and invite buttons
   container.querySelector('#add-user-btn').addEventListener('click', () => {
     openAddUserModal();
   });
+  container.querySelector('#invite-user-btn').addEventListener('click', () => {
+    openInviteUserModal();
+  });
+
+  // Bind 2FA policy toggle
+  const require2faInput = container.querySelector('#require-admin-2fa');
+  require2faInput.addEventListener('change', () => {
+    saveRequireAdmin2fa(require2faInput);
+  });
 
   // Bind table action buttons (using event delegation)
   tableContainer.addEventListener('click', (e) => {
@@ -87,11 +230,37 @@ export function createUsersSection() {
       openEditUserModal(user);
     } else if (action === 'delete') {
       openDeleteUserConfirm(user);
+    } else if (action === 'reset-2fa') {
+      openResetTwoFactorConfirm(user);
+    } else if (action === 'unlock') {
+      openUnlockConfirm(user);
+    } else if (action === 'sessions') {
+      openSessionsModal(user);
+    } else if (action === 'impersonate') {
+      openImpersonateConfirm(user);
+    } else if (action === 'disable') {
+      openDisableUserModal(user);
+    } else if (action === 'enable') {
+      openEnableUserConfirm(user);
+    } else if (action === 'resend-invitation') {
+      openResendInvitationConfirm(user);
+    } else if (action === 'revoke-invitation') {
+      openRevokeInvitationConfirm(user);
     }
   });
 
-  // Load users
+  if (!auth.hasPermission('users.manage')) {
+    container.querySelector('.sf-users-actions').remove();
+  }
+  if (!auth.isAdmin()) {
+    require2faInput.closest('.sf-checkbox').style.visibility = 'hidden';
+  }
+
+  // Load users and policy
   loadUsers();
+  if (auth.isAdmin()) {
+    loadRequireAdmin2fa(require2faInput);
+  }
 
   return container;
 }
@@ -105,7 +274,10 @@ async function loadUsers() {
     if (!res.ok) throw new Error('Failed to load users');
 
     users = await res.json();
-    usersTable.setData(users);
+    const pending = users.filter(user => user.status === 'pending');
+    usersTable.setData(users.filter(user => user.status !== 'pending'));
+    pendingTable.setData(pending);
+    document.getElementById('users-pending').hidden = pending.length === 0;
   } catch (err) {
     console.error('Failed to load users:', err);
     toast.error('Failed to load users');
@@ -124,6 +296,179 @@ function openAddUserModal() {
   modal.open();
 }
 
+/**
+ * Open invite user modal. When the invitation wasn't emailed, show its link.
+ */
+function openInviteUserModal() {
+  const modal = new UserModal({
+    invite: true,
+    onSave: (data) => {
+      loadUsers();
+      if (!data.invitation.emailed) {
+        openInvitationLinkModal(data, data.invitation);
+      }
+    }
+  });
+  modal.open();
+}
+
+/**
+ * Show an invitation link for the admin to pass on
+ * @param {Object} invitation - { link, expiresAt, emailError? } from the invite/resend response
+ */
+function openInvitationLinkModal(user, invitation) {
+  const modal = new Modal({
+    title: `Invitation - ${escapeHtml(user.username)}`,
+    content: `
+      ${invitation.emailError ? `
+        <div class="sf-api-key-warning">The invitation email could not be sent: ${escapeHtml(invitation.emailError)}</div>
+      ` : ''}
+      <p class="sf-account-hint">
+        Send this link to ${escapeHtml(user.username)}. It lets them choose a password and works once, until ${new Date(invitation.expiresAt).toLocaleString()}.
+      </p>
+      <div class="sf-api-key-value">
+        <code>${escapeHtml(invitation.link)}</code>
+        <button class="sf-btn sf-btn-icon sf-btn-secondary" id="invitation-copy" title="Copy">
+          <i class="sf-icon sf-icon-copy"></i>
+        </button>
+      </div>
+    `,
+    footer: '<button class="sf-btn sf-btn-secondary" id="invitation-close">Close</button>'
+  });
+  modal.open();
+  modal.element.querySelector('#invitation-copy').addEventListener('click', () => {
+    navigator.clipboard.writeText(invitation.link);
+    toast.success('Invitation link copied to clipboard');
+  });
+  modal.element.querySelector('#invitation-close').addEventListener('click', () => modal.close());
+}
+
+/**
+ * Open resend invitation confirmation. The old link stops working.
+ */
+function openResendInvitationConfirm(user) {
+  const confirm = new ConfirmModal({
+    title: 'Resend Invitation',
+    message: `Send "${escapeHtml(user.username)}" a new invitation? Any earlier invitation link stops working.`,
+    confirmText: 'Resend',
+    onConfirm: async () => {
+      try {
+        const res = await auth.fetch(`/api/users/${user.id}/invitation`, {
+          method: 'POST'
+        });
+
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.error || 'Failed to resend invitation');
+        }
+
+        confirm.close();
+        loadUsers();
+        if (data.emailed) {
+          toast.success('Invitation sent');
+        } else {
+          openInvitationLinkModal(user, data);
+        }
+      } catch (err) {
+        console.error('Failed to resend invitation:', err);
+        confirm.close();
+        toast.error(err.message);
+      }
+    }
+  });
+  confirm.open();
+}
+
+/**
+ * Open revoke invitation confirmation. The invited user is deleted.
+ */
+function openRevokeInvitationConfirm(user) {
+  const confirm = new ConfirmModal({
+    title: 'Revoke Invitation',
+    message: `Revoke the invitation for "${escapeHtml(user.username)}"? The invited account is deleted.`,
+    confirmText: 'Revoke',
+    confirmStyle: 'danger',
+    onConfirm: async () => {
+      try {
+        const res = await auth.fetch(`/api/users/${user.id}/invitation`, {
+          method: 'DELETE'
+        });
+
+        if (!res.ok) {
+          const data = await res.json();
+          throw new Error(data.error || 'Failed to revoke invitation');
+        }
+
+        confirm.close();
+        toast.success('Invitation revoked');
+        loadUsers();
+      } catch (err) {
+        console.error('Failed to revoke invitation:', err);
+        confirm.close();
+        toast.error(err.message);
+      }
+    }
+  });
+  confirm.open();
+}
+
+/**
+ * Approve a registration; the user can log in from now on
+ */
+async function approveRegistration(user, btn) {
+  btn.disabled = true;
+  try {
+    const res = await auth.fetch(`/api/users/${user.id}/approve`, {
+      method: 'POST'
+    });
+
+    if (!res.ok) {
+      const data = await res.json();
+      throw new Error(data.error || 'Failed to approve registration');
+    }
+
+    toast.success(`${user.username} approved`);
+    loadUsers();
+  } catch (err) {
+    console.error('Failed to approve registration:', err);
+    btn.disabled = false;
+    toast.error(err.message);
+  }
+}
+
+/**
+ * Open reject registration confirmation. The registered user is deleted.
+ */
+function openRejectRegistrationConfirm(user) {
+  const confirm = new ConfirmModal({
+    title: 'Reject Registration',
+    message: `Reject the registration of "${escapeHtml(user.username)}"? The account is deleted.`,
+    confirmText: 'Reject',
+    confirmStyle: 'danger',
+    onConfirm: async () => {
+      try {
+        const res = await auth.fetch(`/api/users/${user.id}/registration`, {
+          method: 'DELETE'
+        });
+
+        if (!res.ok) {
+          const data = await res.json();
+          throw new Error(data.error || 'Failed to reject registration');
+        }
+
+        confirm.close();
+        toast.success('Registration rejected');
+        loadUsers();
+      } catch (err) {
+        console.error('Failed to reject registration:', err);
+        confirm.close();
+        toast.error(err.message);
+      }
+    }
+  });
+  confirm.open();
+}
+
 /**
  * Open edit user modal
  */
@@ -177,6 +522,237 @@ function openDeleteUserConfirm(user) {
   confirm.open();
 }
 
+/**
+ * Open reset 2FA confirmation
+ */
+function openResetTwoFactorConfirm(user) {
+  const confirm = new ConfirmModal({
+    title: 'Reset Two-Factor',
+    message: `Remove two-factor authentication from "${user.username}"? They will be able to log in with only their password until they enroll again.`,
+    confirmText: 'Reset',
+    confirmStyle: 'danger',
+    onConfirm: async () => {
+      try {
+        const res = await auth.fetch(`/api/users/${user.id}/2fa`, {
+          method: 'DELETE'
+        });
+
+        if (!res.ok) {
+          const data = await res.json();
+          throw new Error(data.error || 'Failed to reset two-factor authentication');
+        }
+
+        confirm.close();
+        toast.success('Two-factor authentication reset');
+        loadUsers();
+      } catch (err) {
+        console.error('Failed to reset 2FA:', err);
+        confirm.close();
+        toast.error(err.message);
+      }
+    }
+  });
+  confirm.open();
+}
+
+/**
+ * Open unlock confirmation for a user locked out by failed logins
+ */
+function openUnlockConfirm(user) {
+  const confirm = new ConfirmModal({
+    title: 'Unlock User',
+    message: `"${user.username}" is locked out after repeated failed logins until ${new Date(user.locked_until).toLocaleString()}. Unlock now?`,
+    confirmText: 'Unlock',
+    onConfirm: async () => {
+      try {
+        const res = await auth.fetch(`/api/users/${user.id}/lockout`, {
+          method: 'DELETE'
+        });
+
+        if (!res.ok) {
+          const data = await res.json();
+          throw new Error(data.error || 'Failed to unlock user');
+        }
+
+        confirm.close();
+        toast.success('User unlocked');
+        loadUsers();
+      } catch (err) {
+        console.error('Failed to unlock user:', err);
+        confirm.close();
+        toast.error(err.message);
+      }
+    }
+  });
+  confirm.open();
+}
+
+/**
+ * Ask for a reason and disable a user. Their sessions end and their API
+ * keys stop working, but nothing is deleted.
+ */
+function openDisableUserModal(user) {
+  const content = document.createElement('div');
+  content.innerHTML = `
+    <p class="sf-account-hint">
+      ${escapeHtml(user.username)} is signed out everywhere and can't log in or use API keys until enabled again.
+    </p>
+  `;
+  const reasonField = createField({
+    id: 'user-disable-reason',
+    label: 'Reason',
+    hint: 'Optional. Shown to administrators.'
+  });
+  content.appendChild(reasonField);
+
+  const modal = new Modal({
+    title: 'Disable User',
+    content,
+    footer: `
+      <button class="sf-btn sf-btn-danger" id="user-disable-save">Disable</button>
+      <button class="sf-btn sf-btn-secondary" id="user-disable-cancel">Cancel</button>
+    `
+  });
+  modal.open();
+
+  const save = async () => {
+    try {
+      const res = await auth.fetch(`/api/users/${user.id}/disable`, {
+        method: 'POST',
+        body: JSON.stringify({ reason: getFieldValue(reasonField).trim() })
+      });
+
+      if (!res.ok) {
+        const data = await res.json();
+        throw new Error(data.error || 'Failed to disable user');
+      }
+
+      modal.close(true);
+      toast.success('User disabled');
+      loadUsers();
+    } catch (err) {
+      console.error('Failed to disable user:', err);
+      modal.showError(err.message);
+    }
+  };
+
+  modal.element.querySelector('#user-disable-save').addEventListener('click', save);
+  modal.element.querySelector('#user-disable-cancel').addEventListener('click', () => modal.close());
+  reasonField.querySelector('input').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') save();
+  });
+}
+
+/**
+ * Open enable user confirmation
+ */
+function openEnableUserConfirm(user) {
+  const confirm = new ConfirmModal({
+    title: 'Enable User',
+    message: `Enable "${escapeHtml(user.username)}"? They can log in again${user.disabled_reason ? ` (disabled: ${escapeHtml(user.disabled_reason)})` : ''}.`,
+    confirmText: 'Enable',
+    onConfirm: async () => {
+      try {
+        const res = await auth.fetch(`/api/users/${user.id}/enable`, {
+          method: 'POST'
+        });
+
+        if (!res.ok) {
+          const data = await res.json();
+          throw new Error(data.error || 'Failed to enable user');
+        }
+
+        confirm.close();
+        toast.success('User enabled');
+        loadUsers();
+      } catch (err) {
+        console.error('Failed to enable user:', err);
+        confirm.close();
+        toast.error(err.message);
+      }
+    }
+  });
+  confirm.open();
+}
+
+/**
+ * Show where a user is signed in. Signing sessions out needs users.manage.
+ */
+function openSessionsModal(user) {
+  const modal = new Modal({
+    title: `Sessions - ${escapeHtml(user.username)}`,
+    content: createSessionsSection({ userId: user.id, canRevoke: auth.hasPermission('users.manage') }),
+    footer: '<button class="sf-btn sf-btn-secondary" id="user-sessions-close">Close</button>'
+  });
+  modal.open();
+  modal.element.querySelector('#user-sessions-close').addEventListener('click', () => modal.close());
+}
+
+/**
+ * Open "view as user" confirmation. The page reloads as that user, with a
+ * banner to return (see app.js).
+ */
+function openImpersonateConfirm(user) {
+  const confirm = new ConfirmModal({
+    title: 'View as User',
+    message: `Continue as "${user.username}"? You will see exactly what they see until you return to your account. Everything you do is logged.`,
+    confirmText: 'View as User',
+    onConfirm: async () => {
+      const result = await auth.impersonate(user.id);
+      confirm.close();
+      if (!result.success) {
+        toast.error(result.error);
+        return;
+      }
+      window.location.reload();
+    }
+  });
+  confirm.open();
+}
+
+/**
+ * Load the "require 2FA for administrators" setting
+ */
+async function loadRequireAdmin2fa(input) {
+  try {
+    const res = await auth.fetch('/api/settings');
+    if (!res.ok) throw new Error('Failed to load settings');
+
+    const data = await res.json();
+    input.checked = data['security.require2faForAdmins'] === true;
+  } catch (err) {
+    console.error('Failed to load 2FA policy:', err);
+  }
+}
+
+/**
+ * Save the "require 2FA for administrators" setting
+ */
+async function saveRequireAdmin2fa(input) {
+  try {
+    const res = await auth.fetch('/api/settings', {
+      method: 'PUT',
+      body: JSON.stringify({ 'security.require2faForAdmins': input.checked })
+    });
+
+    if (!res.ok) {
+      const data = await res.json();
+      throw new Error(data.error || 'Failed to save setting');
+    }
+
+    toast.success(input.checked ? '2FA is now required for administrators' : '2FA is no longer required for administrators');
+
+    // Admin API access is refused until the current admin enrolls too
+    if (input.checked && !auth.getUser()?.twoFactorEnabled) {
+      new TwoFactorSetupModal().open();
+    }
+  } catch (err) {
+    console.error('Failed to save 2FA policy:', err);
+    input.checked = !input.checked;
+    toast.error(err.message);
+  }
+}
+
 /**
  * Refresh the users table
  */
@@ -0,0 +1,107 @@
+/**
+ * Site Framework - WebAuthn Browser Helpers
+ * ============================================
+ *
+ * Converts between the JSON options/responses used by the server
+ * (base64url strings) and the ArrayBuffers the browser API expects.
+ *
+ * USAGE:
+ *   import { isPasskeySupported, createPasskey, getPasskey } from './site-framework/js/webauthn.js';
+ *
+ *   if (isPasskeySupported()) {
+ *     const response = await createPasskey(optionsFromServer);
+ *   }
+ */
+
+function base64urlToBuffer(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '=');
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+function bufferToBase64url(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Check whether this browser supports WebAuthn
+ */
+export function isPasskeySupported() {
+  return typeof window !== 'undefined' && !!window.PublicKeyCredential && !!navigator.credentials;
+}
+
+/**
+ * Register a new passkey
+ * @param {Object} options - Registration options JSON from the server
+ * @returns {Object} Registration response JSON to send back to the server
+ */
+export async function createPasskey(options) {
+  const publicKey = {
+    ...options,
+    challenge: base64urlToBuffer(options.challenge),
+    user: { ...options.user, id: base64urlToBuffer(options.user.id) },
+    excludeCredentials: (options.excludeCredentials || []).map(c => ({
+      ...c,
+      id: base64urlToBuffer(c.id)
+    }))
+  };
+
+  const credential = await navigator.credentials.create({ publicKey });
+
+  return {
+    id: credential.id,
+    rawId: bufferToBase64url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: bufferToBase64url(credential.response.clientDataJSON),
+      attestationObject: bufferToBase64url(credential.response.attestationObject),
+      transports: credential.response.getTransports ? credential.response.getTransports() : []
+    },
+    clientExtensionResults: credential.getClientExtensionResults(),
+    authenticatorAttachment: credential.authenticatorAttachment
+  };
+}
+
+/**
+ * Sign in with an existing passkey
+ * @param {Object} options - Authentication options JSON from the server
+ * @returns {Object} Authentication response JSON to send back to the server
+ */
+export async function getPasskey(options) {
+  const publicKey = {
+    ...options,
+    challenge: base64urlToBuffer(options.challenge),
+    allowCredentials: (options.allowCredentials || []).map(c => ({
+      ...c,
+      id: base64urlToBuffer(c.id)
+    }))
+  };
+
+  const credential = await navigator.credentials.get({ publicKey });
+
+  return {
+    id: credential.id,
+    rawId: bufferToBase64url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: bufferToBase64url(credential.response.clientDataJSON),
+      authenticatorData: bufferToBase64url(credential.response.authenticatorData),
+      signature: bufferToBase64url(credential.response.signature),
+      userHandle: credential.response.userHandle ? bufferToBase64url(credential.response.userHandle) : undefined
+    },
+    clientExtensionResults: credential.getClientExtensionResults(),
+    authenticatorAttachment: credential.authenticatorAttachment
+  };
+}
+
+export default { isPasskeySupported, createPasskey, getPasskey };
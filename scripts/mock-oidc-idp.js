@@ -0,0 +1,165 @@
+/**
+ * Mock OpenID Connect Identity Provider (development only)
+ * ============================================
+ *
+ * A minimal IdP for trying out SSO locally. The sign-in page lets you
+ * type any username and group list; no password is checked.
+ *
+ * USAGE:
+ *   npm run mock-idp            # listens on http://localhost:4000
+ *
+ *   # .env for the app
+ *   OIDC_PROVIDERS=mock
+ *   OIDC_MOCK_NAME=Mock IdP
+ *   OIDC_MOCK_ISSUER=http://localhost:4000
+ *   OIDC_MOCK_CLIENT_ID=site-framework
+ *   OIDC_MOCK_CLIENT_SECRET=mock-secret
+ *   OIDC_MOCK_ADMIN_GROUP=admins
+ *
+ * CONFIGURATION:
+ *   MOCK_IDP_PORT           - Port (default: 4000)
+ *   MOCK_IDP_CLIENT_ID      - Accepted client ID (default: site-framework)
+ *   MOCK_IDP_CLIENT_SECRET  - Accepted client secret (default: mock-secret)
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = process.env.MOCK_IDP_PORT || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || 'site-framework';
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || 'mock-secret';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Issued authorization codes and access tokens (in memory)
+const codes = new Map();
+const accessTokens = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+function escapeHtml(str) {
+  return String(str ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Sign-in page: any username is accepted
+app.get('/authorize', (req, res) => {
+  if (req.query.client_id !== CLIENT_ID || req.query.response_type !== 'code') {
+    return res.status(400).send('Invalid client_id or response_type');
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+
+  res.send(`<!DOCTYPE html>
+<html><head><title>Mock IdP</title></head>
+<body style="font-family: sans-serif; max-width: 320px; margin: 60px auto;">
+  <h2>Mock IdP sign-in</h2>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Username<br><input name="username" value="alice" required></label></p>
+    <p><label>Email<br><input name="email" value="alice@example.com"></label></p>
+    <p><label>Groups (comma-separated)<br><input name="groups" value="staff"></label></p>
+    <p><button type="submit">Sign in</button> <button type="submit" name="deny" value="1">Cancel</button></p>
+  </form>
+</body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state } = req.body;
+  const target = new URL(redirectUri);
+  target.searchParams.set('state', state || '');
+
+  if (req.body.deny) {
+    target.searchParams.set('error', 'access_denied');
+    target.searchParams.set('error_description', 'User cancelled sign-in');
+    return res.redirect(target.toString());
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    clientId: req.body.client_id,
+    redirectUri,
+    nonce: req.body.nonce,
+    codeChallenge: req.body.code_challenge,
+    user: {
+      sub: `mock-${req.body.username}`,
+      preferred_username: req.body.username,
+      email: req.body.email || undefined,
+      groups: (req.body.groups || '').split(',').map(g => g.trim()).filter(Boolean)
+    },
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  target.searchParams.set('code', code);
+  res.redirect(target.toString());
+});
+
+app.post('/token', (req, res) => {
+  const basic = (req.headers.authorization || '').match(/^Basic (.+)$/);
+  const [clientId, clientSecret] = basic
+    ? Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent)
+    : [req.body.client_id, req.body.client_secret];
+
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const entry = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  if (!entry || entry.expiresAt < Date.now() || entry.clientId !== clientId || entry.redirectUri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+  if (challenge !== entry.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const accessToken = crypto.randomBytes(16).toString('hex');
+  accessTokens.set(accessToken, entry.user);
+
+  const idToken = jwt.sign({ ...entry.user, nonce: entry.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: clientId,
+    expiresIn: '5m'
+  });
+
+  res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+  const user = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+  if (!user) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  res.json(user);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC IdP running at ${ISSUER} (client_id: ${CLIENT_ID})`);
+});
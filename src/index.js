@@ -46,12 +46,15 @@ app.use(cors({
     origin: process.env.CORS_ORIGIN || true,
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'X-Api-Key']
+    allowedHeaders: ['Content-Type', 'X-Api-Key', 'X-CSRF-Token',
+        'X-Api-Key-Id', 'X-Signature-Timestamp', 'X-Signature-Nonce', 'X-Signature'],
+    // Lets auth.fetch() tell an expired session from other 401s
+    exposedHeaders: ['WWW-Authenticate']
 }));
 
-// Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Middleware (raw bodies are kept for signed API requests)
+app.use(express.json({ verify: framework.requestSigning.captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: framework.requestSigning.captureRawBody }));
 app.use(cookieParser());
 
 // Serve static files
@@ -84,9 +87,26 @@ app.use((err, req, res, next) => {
     });
 });
 
-// Session cleanup on startup and hourly
+// Session, login attempt, reset token, sign-in link, invitation and request nonce cleanup,
+// signing key rotation and scheduled account deactivation on startup and hourly
 framework.sessions.cleanup();
-setInterval(() => framework.sessions.cleanup(), 60 * 60 * 1000);
+framework.loginAttempts.cleanup();
+framework.passwordResets.cleanup();
+framework.magicLinks.cleanup();
+framework.invitations.cleanup();
+framework.apiKeys.cleanupNonces();
+framework.keyring.checkRotation();
+framework.auth.deactivateDue();
+setInterval(() => {
+  framework.sessions.cleanup();
+  framework.loginAttempts.cleanup();
+  framework.passwordResets.cleanup();
+  framework.magicLinks.cleanup();
+  framework.invitations.cleanup();
+  framework.apiKeys.cleanupNonces();
+  framework.keyring.checkRotation();
+  framework.auth.deactivateDue();
+}, 60 * 60 * 1000);
 
 // Start server
 app.listen(PORT, () => {
@@ -0,0 +1,108 @@
+/**
+ * Site Framework - API Key Scopes
+ * ============================================
+ *
+ * The scopes an API key can be limited to. Each key holds a list of
+ * scopes chosen when it is created; auth.requireScope() refuses key
+ * requests to routes outside that list. Scopes don't add rights: a
+ * key can never do more than its owner, so a scope tied to permissions
+ * is only offered to owners holding one of them (see permissions.js).
+ * "*" is full access (keys created before scopes existed have it).
+ *
+ * USAGE:
+ *   const apiScopes = require('./site-framework/apiScopes');
+ *
+ *   router.get('/', auth.requirePermission('logs.view'), auth.requireScope('logs:read'), handler);
+ *
+ *   apiScopes.getAvailable(user.permissions);              // [{ id, description }] for a key owner
+ *   apiScopes.validate(['logs:read'], user.permissions);   // error message, or null
+ *   apiScopes.has(key.scopes, 'logs:read');        // true / false
+ *
+ * CUSTOMIZATION:
+ *   Apps can add scopes for their own routes with apiScopes.register().
+ */
+
+const FULL_ACCESS = '*';
+
+const SCOPES = new Map([
+  ['account:read', { description: 'View own account, passkeys, API keys and two-factor status', permissions: [] }],
+  ['account:write', { description: 'Change own account, password, passkeys, API keys and two-factor', permissions: [] }],
+  ['users:read', { description: 'View users', permissions: ['users.view'] }],
+  ['users:write', { description: 'Create, change and delete users and their API keys', permissions: ['users.manage'] }],
+  ['roles:read', { description: 'View roles', permissions: ['roles.manage', 'users.view'] }],
+  ['roles:write', { description: 'Create, change and delete roles', permissions: ['roles.manage'] }],
+  ['logs:read', { description: 'View logs', permissions: ['logs.view'] }],
+  ['logs:write', { description: 'Clear logs', permissions: ['logs.manage'] }],
+  ['audit:read', { description: 'View the audit trail', permissions: ['audit.view'] }],
+  ['settings:read', { description: 'View settings, LDAP and signing keys', permissions: ['settings.view'] }],
+  ['settings:write', { description: 'Change settings, LDAP and rotate signing keys', permissions: ['settings.manage'] }],
+  ['notifications:read', { description: 'View notification channels', permissions: ['notifications.manage'] }],
+  ['notifications:write', { description: 'Configure notification channels', permissions: ['notifications.manage'] }],
+  ['notifications:send', { description: 'Send test notifications', permissions: ['notifications.manage'] }]
+]);
+
+/**
+ * Add an app-specific scope
+ * @param {string} id - e.g. 'reports:read'
+ * @param {Object} options - { description, permissions } - the owner needs one of
+ *   these permissions to pick the scope (empty: anyone)
+ */
+function register(id, { description = id, permissions = [] } = {}) {
+  if (id === FULL_ACCESS || !/^[a-z0-9_-]+:[a-z0-9_-]+$/.test(id)) {
+    throw new Error(`Invalid scope id: ${id}`);
+  }
+  SCOPES.set(id, { description, permissions });
+}
+
+/**
+ * Whether an owner with these (expanded) permissions may pick a scope
+ */
+function isAllowed(scope, ownerPermissions) {
+  return scope.permissions.length === 0 || scope.permissions.some(p => ownerPermissions.includes(p));
+}
+
+/**
+ * Scopes a key owner may choose from
+ * @returns {Array} [{ id, description }], starting with full access
+ */
+function getAvailable(ownerPermissions) {
+  const available = [{ id: FULL_ACCESS, description: 'Full access (everything the owner can do)' }];
+  for (const [id, scope] of SCOPES) {
+    if (isAllowed(scope, ownerPermissions)) available.push({ id, description: scope.description });
+  }
+  return available;
+}
+
+/**
+ * Check a requested scope list for a key owned by a user
+ * @returns {string|null} Error message, or null if valid
+ */
+function validate(scopes, ownerPermissions) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'At least one scope is required';
+  }
+  for (const id of scopes) {
+    if (id === FULL_ACCESS) continue;
+    const scope = SCOPES.get(id);
+    if (!scope) return `Unknown scope: ${id}`;
+    if (!isAllowed(scope, ownerPermissions)) {
+      return `Scope ${id} requires the ${scope.permissions.join(' or ')} permission`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a granted scope list covers a scope
+ */
+function has(granted, scope) {
+  return granted.includes(FULL_ACCESS) || granted.includes(scope);
+}
+
+module.exports = {
+  FULL_ACCESS,
+  register,
+  getAvailable,
+  validate,
+  has
+};
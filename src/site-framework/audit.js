@@ -0,0 +1,101 @@
+/**
+ * Site Framework - Audit Trail
+ * ============================================
+ *
+ * Records who changed what, apart from the free-text logs: each entry
+ * names the actor (the admin, for impersonated requests), an action such
+ * as 'user.update', the target, a before/after diff, the client IP and
+ * the request id. Entries go to the append-only audit_log table (see
+ * db/auditLog.js); nothing can change or delete them, and they are read
+ * through /api/audit with the audit.view permission.
+ *
+ * Values of secret fields (passwords, LDAP bind passwords, webhook URLs, which embed a token)
+ * are never stored: the diff only shows that they changed.
+ *
+ * USAGE:
+ *   const audit = require('./site-framework/audit');
+ *
+ *   router.use(audit.requestId);   // sets req.id and the X-Request-Id response header
+ *
+ *   audit.record(req, 'user.update', {
+ *     targetType: 'user',
+ *     targetId: user.id,
+ *     before: { email: user.email },
+ *     after: { email: newEmail }
+ *   });
+ */
+
+const crypto = require('crypto');
+const { auditLog, logs } = require('./db');
+const { getClientIP } = require('./auth');
+
+const REDACTED = '[redacted]';
+const SECRET_FIELDS = ['password', 'smtpPassword', 'authValue', 'webhookUrl', 'bindPassword'];
+
+// Accepted from a proxy's X-Request-Id header, otherwise one is generated
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,64}$/;
+
+/**
+ * Middleware: give every request an id, echoed in the X-Request-Id header
+ */
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+/**
+ * Fields that differ between two snapshots (null for a created or deleted target)
+ * @returns {Object|null} { field: { from, to } }, or null when nothing differs
+ */
+function diff(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    changes[key] = SECRET_FIELDS.includes(key)
+      ? { from: from === null ? null : REDACTED, to: to === null ? null : REDACTED }
+      : { from, to };
+  }
+
+  return Object.keys(changes).length ? changes : null;
+}
+
+/**
+ * Add an audit entry for a change made by this request. Never throws:
+ * a failure is logged and the request carries on.
+ * @param {Object} req - Authenticated request
+ * @param {string} action - e.g. 'user.create'
+ * @param {Object} options - { targetType, targetId, before, after, actor }; actor ({ id, username })
+ *                           is for requests refused before req.user is set
+ */
+function record(req, action, { targetType = null, targetId = null, before = null, after = null, actor = null } = {}) {
+  actor = actor || req.user?.actor || req.user || null;
+
+  try {
+    auditLog.add({
+      actorId: actor ? actor.id : null,
+      actorUsername: actor ? actor.username : null,
+      action,
+      targetType,
+      targetId,
+      changes: diff(before, after),
+      ip: getClientIP(req),
+      requestId: req.id || null
+    });
+  } catch (err) {
+    console.error('[Audit] Error recording entry:', err);
+    logs.add('error', `Audit entry could not be recorded: ${action}`, actor ? actor.id : null);
+  }
+}
+
+module.exports = {
+  requestId,
+  diff,
+  record
+};
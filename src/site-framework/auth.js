@@ -13,32 +13,99 @@
  *     // req.user contains authenticated user
  *   });
  *
- *   // Admin-only route
+ *   // Admin-only route (Administrator role)
  *   app.get('/api/admin', auth.requireAdmin, (req, res) => { ... });
  *
+ *   // Route for any role granting a permission (see permissions.js)
+ *   app.get('/api/audit', auth.requirePermission('logs.view'), (req, res) => { ... });
+ *
+ *   // Limit API key access (sessions are unaffected)
+ *   app.get('/api/reports', auth.requireAuth, auth.requireScope('reports:read'), (req, res) => { ... });
+ *
  * SECURITY:
- * - JWT tokens with configurable expiry
- * - bcrypt password hashing (handled in db/users.js)
- * - Session tracking for token revocation
- * - API key authentication support
+ * - Short-lived JWT access tokens (JWT_EXPIRY) in the `token` cookie, signed
+ *   with the rotating ES256/RS256 keyring (keyring.js, `kid` header)
+ * - Single-use refresh tokens (REFRESH_TOKEN_EXPIRY) in the `refresh_token`
+ *   cookie, scoped to /api/auth; replaying a used one revokes the session
+ * - CSRF: cookie-authenticated POST/PUT/PATCH/DELETE requests must send the
+ *   `X-CSRF-Token` header matching the `csrf` claim of the access token
+ *   (also readable by page scripts from the `csrf_token` cookie).
+ *   API key and Bearer requests are exempt.
+ * - Pluggable password checks: local argon2id/bcrypt hashes (db/users.js) or LDAP (see authProviders/)
+ * - Session tracking for token revocation, with each session's device, IP
+ *   and last use (listed and revoked per device via /api/account/sessions)
+ * - Idle timeout and maximum session lifetime (sessionPolicy.js), checked
+ *   on every request and refresh
+ * - API key authentication support, limited to each key's scopes (apiScopes.js).
+ *   Signing keys are never sent: each request carries an HMAC signature
+ *   with a timestamp and one-time nonce instead (requestSigning.js)
+ * - Role-based permissions (db/roles.js, permissions.js) on req.user.permissions
+ * - Brute-force protection: per-username and per-IP backoff and lockout (loginThrottle.js)
+ * - Password expiry: local logins past security.passwordMaxAgeDays must change password (passwordPolicy.js)
+ * - Optional TOTP second factor (login returns a challenge instead of a token)
+ * - External sign-in (passkeys, OIDC, emailed links) issues the same session via startSession()
+ * - New device alerts: every login records its IP and user agent; one the
+ *   account hasn't used before is emailed to the user (loginAlerts.js)
+ * - IP allowlists (ipAllowlist.js): API keys limited to CIDR ranges, and
+ *   admin sign-ins, refreshes and returns from impersonation to
+ *   security.adminAllowedIps; refusals get 403, a warn log and an audit entry
+ * - Disabled accounts (disableUser(), or past their scheduled deactivation
+ *   time) are refused on every request, API keys included; disabling ends
+ *   their sessions
+ * - Impersonation: startImpersonation() swaps an admin's session for one as
+ *   another user with the admin in the JWT `actor` claim (req.user.actor);
+ *   every request made with it is logged. stopImpersonation() swaps back.
+ *   Routes that change credentials or sessions use requireOwnSession to
+ *   refuse impersonated requests.
  */
 
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const { users, sessions, logs } = require('./db');
+const { users, sessions, logs, settings, apiKeys, roles, passwordResets, magicLinks } = require('./db');
+const authProviders = require('./authProviders');
+const sessionPolicy = require('./sessionPolicy');
+const loginThrottle = require('./loginThrottle');
+const keyring = require('./keyring');
+const passwordPolicy = require('./passwordPolicy');
+const apiScopes = require('./apiScopes');
+const permissions = require('./permissions');
+const requestSigning = require('./requestSigning');
+const ipAllowlist = require('./ipAllowlist');
+const loginAlerts = require('./loginAlerts');
 
 // ============================================
 // Configuration
 // ============================================
 
-// JWT secret - should be set via environment variable in production
-const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(64).toString('hex');
-const JWT_EXPIRY = process.env.JWT_EXPIRY || '24h';
+const JWT_EXPIRY = process.env.JWT_EXPIRY || '15m';
+const REFRESH_TOKEN_EXPIRY = process.env.REFRESH_TOKEN_EXPIRY || '7d';
 
-// Warn if using generated secret
-if (!process.env.JWT_SECRET) {
-  console.log('[AUTH] WARNING: Using generated JWT secret. Set JWT_SECRET env var for production.');
-}
+// Refresh tokens are only sent to the auth routes
+const REFRESH_COOKIE = 'refresh_token';
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// CSRF token: readable cookie for the frontend, echoed back in a header
+const CSRF_COOKIE = 'csrf_token';
+const CSRF_HEADER = 'x-csrf-token';
+const CSRF_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// A just-replaced refresh token is still honoured this long, so two tabs
+// refreshing at the same moment don't look like token theft
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+// Two-factor login challenges: valid for 5 minutes, 5 code attempts each
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+const pendingChallenges = new Map();
+
+// User agents are stored for display only; longer ones are cut
+const MAX_USER_AGENT_LENGTH = 512;
+
+// Marks requests whose impersonation log line is already scheduled
+const IMPERSONATION_LOGGED = Symbol('impersonationLogged');
+
+// Sent when security.adminAllowedIps doesn't cover an admin's sign-in or refresh
+const ADMIN_IP_ERROR = 'Admins cannot sign in from your IP address';
 
 // Cookie options for httpOnly token storage
 function getCookieOptions() {
@@ -72,28 +139,133 @@ function parseExpiryMs(expiry) {
 // ============================================
 
 /**
- * Generate a JWT token for a user
+ * Sign a short-lived access token for a session.
+ * A new CSRF token is bound to every access token.
+ * @param {number} [actorId] - Admin impersonating the user (the `actor` claim)
+ * @returns {Object} { token, expiresAt, csrfToken }
  */
-function generateToken(user) {
-  const tokenId = crypto.randomBytes(16).toString('hex');
-
+function signAccessToken(user, tokenId, amr, actorId = null) {
+  const csrfToken = crypto.randomBytes(32).toString('hex');
   const payload = {
     sub: user.id,
     username: user.username,
     isAdmin: user.is_admin === 1,
+    amr,
+    csrf: csrfToken,
     jti: tokenId
   };
+  if (actorId) {
+    payload.actor = actorId;
+  }
 
-  const token = jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRY });
+  const key = keyring.getSigningKey();
+  const token = jwt.sign(payload, key.privateKey, {
+    algorithm: key.algorithm,
+    keyid: key.kid,
+    expiresIn: JWT_EXPIRY
+  });
 
   // Calculate expiry timestamp
   const decoded = jwt.decode(token);
   const expiresAt = new Date(decoded.exp * 1000).toISOString();
 
+  return { token, expiresAt, csrfToken };
+}
+
+/**
+ * Create a refresh token for a session: "<tokenId>.<secret>".
+ * Only the SHA-256 hash of the secret is stored.
+ * @param {number} [lifetimeMs] - Defaults to REFRESH_TOKEN_EXPIRY
+ */
+function createRefreshToken(tokenId, lifetimeMs = parseExpiryMs(REFRESH_TOKEN_EXPIRY)) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  return {
+    refreshToken: `${tokenId}.${secret}`,
+    refreshHash: hashRefreshSecret(secret),
+    refreshExpiresAt: new Date(Date.now() + lifetimeMs).toISOString()
+  };
+}
+
+function hashRefreshSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Start a new session for a user: access token + refresh token
+ * @param {Object} options
+ * @param {string[]} options.amr - Authentication methods used, e.g. ['pwd', 'otp'] or ['passkey']
+ * @param {number} options.actorId - Admin impersonating the user
+ * @param {number} options.lifetimeMs - Session lifetime (defaults to REFRESH_TOKEN_EXPIRY)
+ * @param {Object} options.client - { ip, userAgent } of the device (see getSessionClient)
+ * @returns {Object} { token, expiresAt, csrfToken, refreshToken, refreshExpiresAt }
+ */
+function generateToken(user, options = {}) {
+  const tokenId = crypto.randomBytes(16).toString('hex');
+  const amr = options.amr || ['pwd'];
+
+  const { token, expiresAt, csrfToken } = signAccessToken(user, tokenId, amr, options.actorId);
+  const { refreshToken, refreshHash, refreshExpiresAt } = createRefreshToken(tokenId, options.lifetimeMs);
+
   // Store session
-  sessions.create(user.id, tokenId, expiresAt);
+  sessions.create(user.id, tokenId, refreshExpiresAt, { amr, refreshHash, actorId: options.actorId, ...options.client });
 
-  return { token, expiresAt };
+  return { token, expiresAt, csrfToken, refreshToken, refreshExpiresAt };
+}
+
+/**
+ * The device a session is started from, as shown in the sessions list
+ * @returns {Object} { ip, userAgent }
+ */
+function getSessionClient(req) {
+  const userAgent = req.headers['user-agent'];
+  return {
+    ip: getClientIP(req),
+    userAgent: userAgent ? String(userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null
+  };
+}
+
+/**
+ * Set the access token and CSRF cookies, and the refresh token cookie when one was issued
+ */
+function setTokenCookies(res, tokens) {
+  res.cookie('token', tokens.token, {
+    ...getCookieOptions(),
+    maxAge: parseExpiryMs(JWT_EXPIRY)
+  });
+
+  // Not httpOnly: the frontend copies it into the X-CSRF-Token header
+  res.cookie(CSRF_COOKIE, tokens.csrfToken, {
+    ...getCookieOptions(),
+    httpOnly: false,
+    maxAge: parseExpiryMs(JWT_EXPIRY)
+  });
+
+  if (tokens.refreshToken) {
+    res.cookie(REFRESH_COOKIE, tokens.refreshToken, {
+      ...getCookieOptions(),
+      path: REFRESH_COOKIE_PATH,
+      maxAge: parseExpiryMs(REFRESH_TOKEN_EXPIRY)
+    });
+  }
+}
+
+function clearTokenCookies(res) {
+  res.clearCookie('token', getCookieOptions());
+  res.clearCookie(CSRF_COOKIE, { ...getCookieOptions(), httpOnly: false });
+  res.clearCookie(REFRESH_COOKIE, { ...getCookieOptions(), path: REFRESH_COOKIE_PATH });
+}
+
+/**
+ * Parse the refresh token cookie
+ * @returns {Object|null} { tokenId, hash }
+ */
+function readRefreshCookie(req) {
+  const raw = req.cookies && req.cookies[REFRESH_COOKIE];
+  if (!raw) return null;
+
+  const [tokenId, secret] = String(raw).split('.');
+  if (!tokenId || !secret) return null;
+  return { tokenId, hash: hashRefreshSecret(secret) };
 }
 
 /**
@@ -101,10 +273,18 @@ function generateToken(user) {
  */
 function verifyToken(token) {
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    // Pick the public key named in the header; unknown or retired keys fail
+    const header = jwt.decode(token, { complete: true })?.header;
+    const key = header && keyring.getVerificationKey(header.kid);
+    if (!key) {
+      return null;
+    }
 
-    // Check if session is still valid (not revoked)
-    if (!sessions.isValid(decoded.jti)) {
+    const decoded = jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+
+    // Check if session is still valid (not revoked, idle or too old)
+    const session = sessions.get(decoded.jti);
+    if (!session || endExpiredSession(session)) {
       return null;
     }
 
@@ -114,63 +294,283 @@ function verifyToken(token) {
   }
 }
 
+/**
+ * Revoke a session that has outlived the session policy
+ * @returns {boolean} true if the session was ended
+ */
+function endExpiredSession(session) {
+  const reason = sessionPolicy.check(session);
+  if (!reason) return false;
+
+  sessions.revoke(session.token_id);
+  const username = users.getById(session.user_id)?.username;
+  const why = reason === 'idle' ? 'idle timeout' : 'maximum session lifetime';
+  logs.add('info', `Session ended (${why}) for user: ${username}`, session.user_id);
+  return true;
+}
+
+/**
+ * Whether a user may sign in and use their sessions and API keys: active,
+ * and not past a scheduled deactivation time
+ * @param {Object} user - User row (with status and deactivate_at)
+ */
+function isUserActive(user) {
+  if (user.status !== 'active') return false;
+  return !user.deactivate_at || new Date(user.deactivate_at).getTime() > Date.now();
+}
+
+/**
+ * Disable an account, end all of its sessions and void its outstanding
+ * password reset and sign-in links
+ * @param {Object} user - User row
+ * @param {string|null} reason - Shown to admins
+ * @param {Object|null} actor - Admin disabling it (req.user), or null when scheduled
+ */
+function disableUser(user, reason, actor = null) {
+  users.disable(user.id, reason);
+  const revoked = sessions.revokeAllForUser(user.id);
+  passwordResets.invalidateAllForUser(user.id);
+  magicLinks.invalidateAllForUser(user.id);
+  const by = actor ? ` by ${actor.username}` : ' (scheduled deactivation)';
+  logs.add('warn', `User disabled: ${user.username}${by}${reason ? `, reason: ${reason}` : ''}, ${revoked} session(s) ended`, actor ? actor.id : user.id);
+}
+
+/**
+ * Disable accounts whose scheduled deactivation time has passed. Until
+ * this runs (hourly), isUserActive() already refuses them.
+ * @returns {number} Accounts disabled
+ */
+function deactivateDue() {
+  const due = users.getDueForDeactivation();
+  due.forEach(user => disableUser(user, 'Scheduled deactivation'));
+  return due.length;
+}
+
 /**
  * Extract token from Authorization header or cookie
  */
 function extractToken(req) {
+  return extractTokenWithSource(req).token;
+}
+
+/**
+ * Extract token and where it came from ('header' or 'cookie')
+ */
+function extractTokenWithSource(req) {
   // Check Authorization header
   const authHeader = req.headers.authorization;
   if (authHeader && authHeader.startsWith('Bearer ')) {
-    return authHeader.substring(7);
+    return { token: authHeader.substring(7), source: 'header' };
   }
 
   // Check cookie
   if (req.cookies && req.cookies.token) {
-    return req.cookies.token;
+    return { token: req.cookies.token, source: 'cookie' };
   }
 
-  return null;
+  return { token: null, source: null };
+}
+
+/**
+ * Check the CSRF header of a cookie-authenticated request against the
+ * token's csrf claim. Safe methods don't need one.
+ */
+function isCsrfValid(req, decoded) {
+  if (CSRF_SAFE_METHODS.includes(req.method)) return true;
+
+  const header = req.headers[CSRF_HEADER];
+  if (typeof header !== 'string' || typeof decoded.csrf !== 'string') return false;
+
+  const a = Buffer.from(header);
+  const b = Buffer.from(decoded.csrf);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// ============================================
+// Two-Factor Challenges
+// ============================================
+
+/**
+ * Create a short-lived challenge for a user who passed the first login step
+ * @param {string[]} amr - Authentication methods used so far ('otp' is added on success)
+ */
+function createLoginChallenge(user, amr = ['pwd']) {
+  const now = Date.now();
+  for (const [id, challenge] of pendingChallenges) {
+    if (challenge.expiresAt < now) pendingChallenges.delete(id);
+  }
+
+  const challengeToken = crypto.randomBytes(32).toString('hex');
+  pendingChallenges.set(challengeToken, {
+    userId: user.id,
+    amr,
+    attempts: 0,
+    expiresAt: now + CHALLENGE_TTL_MS
+  });
+  return challengeToken;
+}
+
+/**
+ * Permission ids a user holds through their roles
+ */
+function getUserPermissions(userId) {
+  return permissions.expand(roles.getPermissionsForUser(userId));
+}
+
+/**
+ * Log a request made under impersonation once it has been answered.
+ * authenticate() can run more than once per request; it is logged once.
+ */
+function logImpersonatedRequest(req, res) {
+  if (req[IMPERSONATION_LOGGED]) return;
+  req[IMPERSONATION_LOGGED] = true;
+
+  const { id, username, actor } = req.user;
+  const path = req.originalUrl.split('?')[0];
+  res.on('finish', () => {
+    logs.add('info', `Impersonated request by ${actor.username} as ${username}: ${req.method} ${path} (${res.statusCode})`, actor.id, {
+      impersonatedUserId: id,
+      method: req.method,
+      path,
+      status: res.statusCode
+    });
+  });
+}
+
+/**
+ * Check whether 2FA enrollment is mandatory for this user
+ */
+function isTwoFactorRequired(user) {
+  const isAdmin = user.is_admin === 1 || user.isAdmin === true;
+  return isAdmin && settings.get('security.require2faForAdmins', false) === true;
 }
 
 // ============================================
 // Middleware
 // ============================================
 
+// audit.js requires this module, so it is loaded on first use
+function recordAudit(req, action, options) {
+  require('./audit').record(req, action, options);
+}
+
+/**
+ * Send a 403 if the key is limited to IP ranges that don't include the client
+ * @returns {boolean} true if the request was rejected
+ */
+function rejectKeyOutsideAllowlist(req, res, key) {
+  const clientIP = getClientIP(req);
+  if (ipAllowlist.contains(key.allowedIps, clientIP)) return false;
+
+  logs.add('warn', `API key "${key.name}" (ending in ...${key.lastFour}) refused outside its IP allowlist from IP: ${clientIP}`, key.userId);
+  recordAudit(req, 'user.api_key.ip_denied', {
+    targetType: 'user',
+    targetId: key.userId,
+    actor: { id: key.userId, username: key.username },
+    after: { apiKey: { id: key.id, name: key.name, lastFour: key.lastFour } }
+  });
+  res.status(403).json({ error: 'This API key cannot be used from your IP address' });
+  return true;
+}
+
+/**
+ * Whether this admin may sign in (or refresh) from the client's IP, per
+ * security.adminAllowedIps. Refusals are logged and audited; users who
+ * aren't admins are always allowed.
+ */
+function isAdminLoginAllowed(req, user) {
+  if (user.is_admin !== 1) return true;
+
+  const clientIP = getClientIP(req);
+  if (ipAllowlist.contains(ipAllowlist.getAdminRanges(), clientIP)) return true;
+
+  logs.add('warn', `Admin login refused outside the admin IP allowlist: ${user.username} from IP: ${clientIP}`, user.id);
+  recordAudit(req, 'user.login.ip_denied', {
+    targetType: 'user',
+    targetId: user.id,
+    actor: { id: user.id, username: user.username }
+  });
+  return false;
+}
+
+/**
+ * req.user for a request made with an API key
+ */
+function apiKeyUser(key) {
+  return {
+    id: key.userId,
+    username: key.username,
+    isAdmin: key.isAdmin,
+    permissions: getUserPermissions(key.userId),
+    apiKeyId: key.id,
+    scopes: key.scopes,
+    allowedIps: key.allowedIps,
+    authMethod: 'api_key'
+  };
+}
+
 /**
  * Authentication middleware
  * Attaches user to req.user if authenticated
  */
 function authenticate(req, res, next) {
+  // Signed requests (see requestSigning.js). Verified once: the nonce is used up.
+  if (requestSigning.isSigned(req)) {
+    if (!req.signedApiKey) {
+      const { key, error } = requestSigning.verify(req);
+      if (!key) {
+        logs.add('warn', `Signed API request refused (${error}) from IP: ${getClientIP(req)}`);
+        return res.status(401).json({ error });
+      }
+      if (rejectKeyOutsideAllowlist(req, res, key)) return;
+      req.signedApiKey = key;
+      apiKeys.recordUse(key.id, getClientIP(req));
+    }
+    req.user = apiKeyUser(req.signedApiKey);
+    return next();
+  }
+
   // Check for API key first
   const apiKey = req.headers['x-api-key'];
   if (apiKey) {
-    const user = users.getByApiKey(apiKey);
-    if (user) {
-      req.user = {
-        id: user.id,
-        username: user.username,
-        isAdmin: user.is_admin === 1,
-        authMethod: 'api_key'
-      };
+    const key = apiKeys.getByKey(apiKey);
+    if (key) {
+      if (rejectKeyOutsideAllowlist(req, res, key)) return;
+      apiKeys.recordUse(key.id, getClientIP(req));
+      req.user = apiKeyUser(key);
       return next();
     }
   }
 
   // Check for JWT token
-  const token = extractToken(req);
+  const { token, source } = extractTokenWithSource(req);
   if (token) {
     const decoded = verifyToken(token);
     if (decoded) {
-      // Verify user still exists and get current role from database
+      // Browsers send cookies on cross-site requests; require proof the page is ours
+      if (source === 'cookie' && !isCsrfValid(req, decoded)) {
+        return res.status(403).json({ error: 'Invalid or missing CSRF token' });
+      }
+
+      // Verify user (and impersonating admin) still exist and get current role from database
       const dbUser = users.getById(decoded.sub);
-      if (dbUser) {
+      const actor = decoded.actor ? users.getById(decoded.actor) : null;
+      if (dbUser && isUserActive(dbUser) && (!decoded.actor || (actor && isUserActive(actor)))) {
+        sessions.touch(decoded.jti, getClientIP(req));
         req.user = {
           id: dbUser.id,
           username: dbUser.username,
           isAdmin: dbUser.is_admin === 1,
+          permissions: getUserPermissions(dbUser.id),
+          twoFactorEnabled: dbUser.totp_enabled === 1,
+          amr: decoded.amr || ['pwd'],
           tokenId: decoded.jti,
           authMethod: 'jwt'
         };
+        if (actor) {
+          req.user.actor = { id: actor.id, username: actor.username };
+          logImpersonatedRequest(req, res);
+        }
         return next();
       }
     }
@@ -181,13 +581,23 @@ function authenticate(req, res, next) {
   next();
 }
 
+/**
+ * 401 for a request without a valid session or API key. The
+ * WWW-Authenticate header tells it apart from 401s that routes send for
+ * wrong credentials, so the browser only refreshes its session for these.
+ */
+function sendAuthRequired(res) {
+  res.set('WWW-Authenticate', 'Bearer realm="api"');
+  return res.status(401).json({ error: 'Authentication required' });
+}
+
 /**
  * Require authentication middleware
  */
 function requireAuth(req, res, next) {
   authenticate(req, res, () => {
     if (!req.user) {
-      return res.status(401).json({ error: 'Authentication required' });
+      return sendAuthRequired(res);
     }
     next();
   });
@@ -195,16 +605,87 @@ function requireAuth(req, res, next) {
 
 /**
  * Require admin middleware
+ * Admin sessions without 2FA are refused when the site requires it for admins.
  */
 function requireAdmin(req, res, next) {
   requireAuth(req, res, () => {
     if (!req.user.isAdmin) {
       return res.status(403).json({ error: 'Admin access required' });
     }
+    if (rejectWithoutTwoFactor(req, res)) return;
     next();
   });
 }
 
+/**
+ * Require any one of the given permissions (granted through the user's roles)
+ *
+ *   router.get('/', auth.requirePermission('users.view'), handler);
+ *   router.get('/', auth.requirePermission('roles.manage', 'users.view'), handler);   // either
+ */
+function requirePermission(...required) {
+  return (req, res, next) => {
+    requireAuth(req, res, () => {
+      if (!required.some(permission => permissions.has(req.user.permissions, permission))) {
+        return res.status(403).json({ error: 'Permission required', requiredPermission: required.join(' or ') });
+      }
+      if (rejectWithoutTwoFactor(req, res)) return;
+      next();
+    });
+  };
+}
+
+/**
+ * Refuse admin sessions without 2FA when the site requires it for admins
+ * @returns {boolean} true if the request was rejected
+ */
+function rejectWithoutTwoFactor(req, res) {
+  if (req.user.authMethod !== 'jwt' || req.user.twoFactorEnabled || !isTwoFactorRequired(req.user)) {
+    return false;
+  }
+  res.status(403).json({
+    error: 'Two-factor authentication must be enabled for admin access',
+    twoFactorSetupRequired: true
+  });
+  return true;
+}
+
+/**
+ * Require an API key scope (see apiScopes.js). Use after requireAuth/requireAdmin.
+ * Only API key requests are limited; logged-in sessions pass through.
+ *
+ *   router.get('/', auth.requireAdmin, auth.requireScope('logs:read'), handler);
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendAuthRequired(res);
+    }
+    if (req.user.authMethod === 'api_key' && !apiScopes.has(req.user.scopes, scope)) {
+      return res.status(403).json({ error: `API key lacks the ${scope} scope`, requiredScope: scope });
+    }
+    next();
+  };
+}
+
+/**
+ * Refuse the request while an admin is impersonating the user. Use after
+ * requireAuth on routes that create or change credentials or sessions
+ * (API keys, passkeys, 2FA, password), which would otherwise outlast the
+ * impersonation without carrying the admin's name.
+ *
+ *   router.post('/', auth.requireAuth, auth.requireScope('account:write'), auth.requireOwnSession, handler);
+ */
+function requireOwnSession(req, res, next) {
+  if (!req.user) {
+    return sendAuthRequired(res);
+  }
+  if (req.user.actor) {
+    return res.status(403).json({ error: 'Not allowed while impersonating a user' });
+  }
+  next();
+}
+
 // ============================================
 // Route Handlers
 // ============================================
@@ -221,6 +702,21 @@ function getClientIP(req) {
   return mapped ? mapped[1] : ip;
 }
 
+/**
+ * Send a 429 if this username or IP is backing off, locked out or already
+ * has an attempt being checked
+ * @param {Object} attempt - From loginThrottle.begin()
+ * @returns {boolean} true if the request was rejected
+ */
+function rejectThrottled(res, attempt) {
+  const { blocked } = attempt;
+  if (!blocked) return false;
+
+  res.set('Retry-After', String(blocked.retryAfter));
+  res.status(429).json({ error: blocked.error, retryAfter: blocked.retryAfter, locked: blocked.locked });
+  return true;
+}
+
 /**
  * Login handler
  * POST /api/auth/login
@@ -234,35 +730,162 @@ async function login(req, res) {
     return res.status(400).json({ error: 'Username and password required' });
   }
 
-  const user = users.getByUsername(username);
+  // Held until the password is checked, so parallel guesses can't all get past the throttle
+  const attempt = loginThrottle.begin(username, clientIP);
+  if (rejectThrottled(res, attempt)) return;
 
-  if (!user || !(await users.verifyPassword(user, password))) {
-    logs.add('warn', `Failed login attempt for username: ${username} from IP: ${clientIP}`);
+  let result;
+  try {
+    result = await authProviders.authenticate(username, password, { clientIP });
+    if (!result) {
+      logs.add('warn', `Failed login attempt for username: ${username} from IP: ${clientIP}`);
+      loginThrottle.recordFailure(username, clientIP);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+  } finally {
+    attempt.end();
+  }
+
+  const { user, provider } = result;
+  const note = provider.id === 'local' ? undefined : provider.name;
+
+  // Invited accounts can't sign in until the invitation is accepted
+  if (user.status === 'invited') {
+    logs.add('warn', `Login refused for invited user: ${user.username} from IP: ${clientIP}`, user.id);
     return res.status(401).json({ error: 'Invalid credentials' });
   }
 
-  // Generate token
-  const { token, expiresAt } = generateToken(user);
+  // Self-registered accounts wait for an admin when approval is required
+  if (user.status === 'pending') {
+    logs.add('info', `Login refused for user awaiting approval: ${user.username} from IP: ${clientIP}`, user.id);
+    return res.status(403).json({ error: 'Your account is awaiting approval by an administrator' });
+  }
 
-  // Set httpOnly cookie
-  res.cookie('token', token, {
-    ...getCookieOptions(),
-    maxAge: parseExpiryMs(JWT_EXPIRY)
-  });
+  if (!isUserActive(user)) {
+    logs.add('warn', `Login refused for disabled user: ${user.username} from IP: ${clientIP}`, user.id);
+    return res.status(403).json({ error: 'This account has been disabled' });
+  }
+
+  // Expired local passwords get the same forced change as the default admin
+  if (provider.id === 'local' && !user.must_change_password && passwordPolicy.isExpired(user)) {
+    users.requirePasswordChange(user.id);
+    user.must_change_password = 1;
+    logs.add('info', `Password expired, change required: ${user.username}`, user.id);
+  }
+
+  // Second factor required - don't issue a token yet
+  if (user.totp_enabled) {
+    logs.add('info', `Password accepted, awaiting 2FA code: ${username} from IP: ${clientIP}`, user.id);
+    return res.json({ twoFactorRequired: true, challengeToken: createLoginChallenge(user) });
+  }
+
+  loginThrottle.recordSuccess(username);
+  completeLogin(req, res, user, { amr: ['pwd'], note });
+}
+
+/**
+ * Second login step for users with 2FA enabled
+ * POST /api/auth/login/2fa
+ * Body: { challengeToken, code } - code is a TOTP code or a recovery code
+ */
+function verifyTwoFactor(req, res) {
+  const { challengeToken, code } = req.body;
+  const clientIP = getClientIP(req);
+
+  if (!challengeToken || !code) {
+    return res.status(400).json({ error: 'Challenge token and code required' });
+  }
+
+  const challenge = pendingChallenges.get(challengeToken);
+  if (!challenge || challenge.expiresAt < Date.now()) {
+    pendingChallenges.delete(challengeToken);
+    return res.status(401).json({ error: 'Login challenge expired, please log in again' });
+  }
+
+  const user = users.getFullById(challenge.userId);
+  if (!user || !user.totp_enabled || !isUserActive(user)) {
+    pendingChallenges.delete(challengeToken);
+    return res.status(401).json({ error: 'Login challenge expired, please log in again' });
+  }
+
+  const attempt = loginThrottle.begin(user.username, clientIP);
+  if (rejectThrottled(res, attempt)) return;
+
+  const trimmed = String(code).trim();
+  let note = '2FA';
+  let valid;
+  try {
+    valid = users.verifyTotp(user.id, trimmed);
+    if (!valid && !/^\d{6}$/.test(trimmed)) {
+      const remaining = users.useRecoveryCode(user.id, trimmed);
+      valid = remaining >= 0;
+      note = `recovery code, ${remaining} left`;
+    }
+    if (!valid) loginThrottle.recordFailure(user.username, clientIP);
+  } finally {
+    attempt.end();
+  }
+
+  if (!valid) {
+    challenge.attempts++;
+    logs.add('warn', `Failed 2FA attempt for username: ${user.username} from IP: ${clientIP}`, user.id);
+    if (challenge.attempts >= CHALLENGE_MAX_ATTEMPTS) {
+      pendingChallenges.delete(challengeToken);
+      return res.status(401).json({ error: 'Too many invalid codes, please log in again' });
+    }
+    return res.status(401).json({ error: 'Invalid authentication code' });
+  }
+
+  pendingChallenges.delete(challengeToken);
+  loginThrottle.recordSuccess(user.username);
+  completeLogin(req, res, user, { amr: [...challenge.amr, 'otp'], note });
+}
+
+/**
+ * Issue a session for a fully authenticated user: sets the token cookie,
+ * records the login and its device and returns { expiresAt }. Used directly by redirect
+ * based logins (SSO) that can't send the JSON login response; those must
+ * check isAdminLoginAllowed() first.
+ * @param {Object} options
+ * @param {string[]} options.amr - Authentication methods, stored in the JWT
+ * @param {string} options.note - Extra detail for the login log line
+ */
+function startSession(req, res, user, options = {}) {
+  const clientIP = getClientIP(req);
+  const client = getSessionClient(req);
+
+  // Generate access + refresh tokens and set the httpOnly cookies
+  const tokens = generateToken(user, { amr: options.amr, client });
+  setTokenCookies(res, tokens);
 
   // Update last login
   users.updateLastLogin(user.id);
 
   // Log successful login with IP
-  logs.add('info', `User logged in: ${username} from IP: ${clientIP}`, user.id);
+  const via = options.note ? ` (${options.note})` : '';
+  logs.add('info', `User logged in: ${user.username}${via} from IP: ${clientIP}`, user.id);
+
+  // Alert on IP/user agent combinations the account hasn't signed in from
+  loginAlerts.recordLogin(user, client);
+
+  return { expiresAt: tokens.expiresAt };
+}
+
+/**
+ * Issue a session and send the login response.
+ * Shared by password, 2FA, passkey and email link logins.
+ * @param {Object} options - See startSession()
+ */
+function completeLogin(req, res, user, options = {}) {
+  if (!isAdminLoginAllowed(req, user)) {
+    return res.status(403).json({ error: ADMIN_IP_ERROR });
+  }
+
+  const { expiresAt } = startSession(req, res, user, options);
 
   const response = {
     expiresAt,
-    user: {
-      id: user.id,
-      username: user.username,
-      isAdmin: user.is_admin === 1
-    }
+    user: toSessionUser(user)
   };
 
   // Flag if password change is required
@@ -270,21 +893,105 @@ async function login(req, res) {
     response.mustChangePassword = true;
   }
 
+  // Flag if 2FA enrollment is required before admin access
+  if (!user.totp_enabled && isTwoFactorRequired(user)) {
+    response.twoFactorSetupRequired = true;
+  }
+
   res.json(response);
 }
 
+/**
+ * User info returned when a session starts (stored by the frontend)
+ */
+function toSessionUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    isAdmin: user.is_admin === 1,
+    permissions: getUserPermissions(user.id),
+    twoFactorEnabled: user.totp_enabled === 1
+  };
+}
+
+/**
+ * Swap the caller's session for one as another user, with the caller as
+ * the `actor`. The caller's own session ends; stopImpersonation() starts a
+ * new one for them. Who may impersonate whom is checked by the route
+ * (POST /api/users/:id/impersonate).
+ *
+ * SETTINGS:
+ *   security.impersonationMinutes - How long an impersonation session lasts (default: 60)
+ *
+ * @param {Object} target - User row to impersonate
+ */
+function startImpersonation(req, res, target) {
+  const clientIP = getClientIP(req);
+  const minutes = Math.max(5, parseInt(settings.get('security.impersonationMinutes', 60)) || 60);
+  const actor = { id: req.user.id, username: req.user.username };
+
+  sessions.revoke(req.user.tokenId);
+  const tokens = generateToken(target, {
+    amr: req.user.amr,
+    actorId: actor.id,
+    lifetimeMs: minutes * 60 * 1000,
+    client: getSessionClient(req)
+  });
+  setTokenCookies(res, tokens);
+
+  logs.add('warn', `Impersonation started: ${actor.username} is acting as ${target.username} from IP: ${clientIP}`, actor.id, { impersonatedUserId: target.id });
+
+  res.json({
+    expiresAt: tokens.expiresAt,
+    user: { ...toSessionUser(target), actor }
+  });
+}
+
+/**
+ * End impersonation and return to the admin's own account
+ * POST /api/auth/impersonate/stop
+ */
+function stopImpersonation(req, res) {
+  if (!req.user.actor) {
+    return res.status(400).json({ error: 'Not impersonating anyone' });
+  }
+
+  const actor = users.getFullById(req.user.actor.id);
+  if (!isAdminLoginAllowed(req, actor)) {
+    return res.status(403).json({ error: ADMIN_IP_ERROR });
+  }
+  sessions.revoke(req.user.tokenId);
+
+  // The impersonation session kept the admin's own authentication methods
+  const tokens = generateToken(actor, { amr: req.user.amr, client: getSessionClient(req) });
+  setTokenCookies(res, tokens);
+
+  logs.add('info', `Impersonation ended: ${actor.username} stopped acting as ${req.user.username} from IP: ${getClientIP(req)}`, actor.id, { impersonatedUserId: req.user.id });
+
+  res.json({ expiresAt: tokens.expiresAt, user: toSessionUser(actor) });
+}
+
 /**
  * Logout handler
  * POST /api/auth/logout
  */
 function logout(req, res) {
+  const clientIP = getClientIP(req);
+
   if (req.user && req.user.tokenId) {
-    const clientIP = getClientIP(req);
     sessions.revoke(req.user.tokenId);
     logs.add('info', `User logged out: ${req.user.username} from IP: ${clientIP}`, req.user.id);
+  } else {
+    // Access token already expired: end the session the refresh token belongs to
+    const refresh = readRefreshCookie(req);
+    const session = refresh && sessions.get(refresh.tokenId);
+    if (session && session.refresh_hash === refresh.hash) {
+      sessions.revoke(session.token_id);
+      logs.add('info', `User logged out from IP: ${clientIP}`, session.user_id);
+    }
   }
 
-  res.clearCookie('token', getCookieOptions());
+  clearTokenCookies(res);
   res.json({ success: true });
 }
 
@@ -294,7 +1001,7 @@ function logout(req, res) {
  */
 function getCurrentUser(req, res) {
   if (!req.user) {
-    return res.status(401).json({ error: 'Not authenticated' });
+    return sendAuthRequired(res);
   }
 
   const user = users.getById(req.user.id);
@@ -302,45 +1009,97 @@ function getCurrentUser(req, res) {
     return res.status(404).json({ error: 'User not found' });
   }
 
-  res.json({
+  const response = {
     id: user.id,
     username: user.username,
     isAdmin: user.is_admin === 1,
+    roles: roles.getForUser(user.id),
+    permissions: req.user.permissions,
+    twoFactorEnabled: user.totp_enabled === 1,
     createdAt: user.created_at,
     lastLogin: user.last_login
-  });
+  };
+
+  // Lets scripts check what their key is allowed to do
+  if (req.user.authMethod === 'api_key') {
+    response.scopes = req.user.scopes;
+  }
+
+  // The admin behind an impersonation session (the frontend shows a banner)
+  if (req.user.actor) {
+    response.actor = req.user.actor;
+  }
+
+  res.json(response);
+}
+
+/**
+ * Keep an idle session alive ("Stay signed in"). authenticate() has
+ * already recorded the request as activity.
+ * POST /api/auth/keepalive
+ */
+function keepAlive(req, res) {
+  res.json({ success: true });
 }
 
 /**
  * Refresh token
  * POST /api/auth/refresh
+ *
+ * Trades the refresh token cookie for a new access token and a new
+ * refresh token. Each refresh token works once: presenting one that has
+ * already been replaced means it was copied, so the whole session is
+ * revoked.
  */
 function refreshToken(req, res) {
-  if (!req.user) {
+  const clientIP = getClientIP(req);
+  const refresh = readRefreshCookie(req);
+  const session = refresh && sessions.get(refresh.tokenId);
+
+  if (!session || !session.refresh_hash) {
+    clearTokenCookies(res);
     return res.status(401).json({ error: 'Not authenticated' });
   }
 
-  // Revoke old token
-  if (req.user.tokenId) {
-    sessions.revoke(req.user.tokenId);
+  if (endExpiredSession(session)) {
+    clearTokenCookies(res);
+    return res.status(401).json({ error: 'Session expired, please log in again' });
   }
 
-  // Get fresh user data
-  const user = users.getById(req.user.id);
-  if (!user) {
-    return res.status(404).json({ error: 'User not found' });
+  const user = users.getById(session.user_id);
+  if (!user || !isUserActive(user)) {
+    clearTokenCookies(res);
+    return res.status(401).json({ error: 'Not authenticated' });
   }
 
-  // Generate new token
-  const { token, expiresAt } = generateToken(user);
+  // An impersonation session also stands in for the admin behind it
+  const actor = session.actor_id ? users.getById(session.actor_id) : null;
+  if (!isAdminLoginAllowed(req, user) || (actor && !isAdminLoginAllowed(req, actor))) {
+    return res.status(403).json({ error: ADMIN_IP_ERROR });
+  }
 
-  // Set httpOnly cookie
-  res.cookie('token', token, {
-    ...getCookieOptions(),
-    maxAge: parseExpiryMs(JWT_EXPIRY)
-  });
+  let tokens;
+  if (refresh.hash === session.refresh_hash) {
+    // Rotate: new refresh token, keeping the original authentication methods.
+    // Impersonation sessions keep their original end time.
+    const lifetimeMs = session.actor_id ? new Date(session.expires_at).getTime() - Date.now() : undefined;
+    const { refreshToken: newRefreshToken, refreshHash, refreshExpiresAt } = createRefreshToken(session.token_id, lifetimeMs);
+    sessions.rotateRefresh(session.token_id, refreshHash, refreshExpiresAt);
+    tokens = { ...signAccessToken(user, session.token_id, session.amr, session.actor_id), refreshToken: newRefreshToken };
+  } else if (refresh.hash === session.previous_refresh_hash &&
+             Date.now() - new Date(session.refreshed_at).getTime() < REFRESH_REUSE_GRACE_MS) {
+    // Lost a race with another tab; it already received the new refresh cookie
+    tokens = signAccessToken(user, session.token_id, session.amr, session.actor_id);
+  } else {
+    sessions.revoke(session.token_id);
+    clearTokenCookies(res);
+    logs.add('warn', `Refresh token reuse detected for user: ${user.username} from IP: ${clientIP}, session revoked`, user.id);
+    return res.status(401).json({ error: 'Session expired, please log in again' });
+  }
 
-  res.json({ expiresAt });
+  sessions.touch(session.token_id, clientIP);
+  setTokenCookies(res, tokens);
+  res.json({ expiresAt: tokens.expiresAt });
 }
 
 // ============================================
@@ -352,19 +1111,36 @@ module.exports = {
   authenticate,
   requireAuth,
   requireAdmin,
+  requirePermission,
+  requireScope,
+  requireOwnSession,
 
   // Route handlers
   login,
+  verifyTwoFactor,
   logout,
   getCurrentUser,
   refreshToken,
+  keepAlive,
+  stopImpersonation,
 
   // Utilities
   generateToken,
   verifyToken,
   extractToken,
   getClientIP,
+  createLoginChallenge,
+  startSession,
+  completeLogin,
+  startImpersonation,
+  getUserPermissions,
+  isTwoFactorRequired,
+  isUserActive,
+  isAdminLoginAllowed,
+  disableUser,
+  deactivateDue,
 
   // Config
-  JWT_EXPIRY
+  JWT_EXPIRY,
+  REFRESH_TOKEN_EXPIRY
 };
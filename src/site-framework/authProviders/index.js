@@ -0,0 +1,88 @@
+/**
+ * Authentication Providers - Entry Point
+ * ============================================
+ *
+ * Username/password logins are checked against a list of providers,
+ * in order, until one accepts the credentials. The local password-hash
+ * provider is always first; the LDAP provider follows when enabled in
+ * settings. Applications can register their own providers.
+ *
+ * PROVIDER INTERFACE:
+ *   {
+ *     id: 'ldap',                       // Unique ID, used in logs and identity links
+ *     name: 'LDAP',                     // Display name
+ *     isEnabled() -> boolean,           // Skipped when false
+ *     authenticate(username, password, context) -> Promise<user|null>
+ *   }
+ *
+ *   authenticate() resolves to a full row from the users table (provision
+ *   directory users with provisionUser() first), or null if the credentials
+ *   were not accepted. Throwing marks the provider as unavailable; the error
+ *   is logged and the next provider is tried. `context` is { clientIP }.
+ *
+ * USAGE:
+ *   const authProviders = require('./site-framework/authProviders');
+ *
+ *   authProviders.register(myProvider);
+ *   const result = await authProviders.authenticate(username, password, { clientIP });
+ *   if (result) { result.user; result.provider.id; }
+ *
+ * EXPORTS:
+ *   register, getAll, authenticate - Provider registry
+ *   provisionUser                  - Just-in-time user creation for external identities
+ *   local, ldap                    - Built-in providers
+ */
+
+const { logs } = require('../db');
+const local = require('./local');
+const ldap = require('./ldap');
+const { provisionUser } = require('./provision');
+
+const providers = [local, ldap];
+
+/**
+ * Add a provider to the end of the list
+ */
+function register(provider) {
+  if (!provider || !provider.id || typeof provider.authenticate !== 'function') {
+    throw new Error('Auth provider must have an id and an authenticate() function');
+  }
+  if (providers.some(p => p.id === provider.id)) {
+    throw new Error(`Auth provider already registered: ${provider.id}`);
+  }
+  providers.push(provider);
+}
+
+function getAll() {
+  return [...providers];
+}
+
+/**
+ * Check credentials against each enabled provider in turn
+ * @returns {Object|null} { user, provider } or null if no provider accepted them
+ */
+async function authenticate(username, password, context = {}) {
+  for (const provider of providers) {
+    if (provider.isEnabled && !provider.isEnabled()) continue;
+
+    try {
+      const user = await provider.authenticate(username, password, context);
+      if (user) {
+        return { user, provider };
+      }
+    } catch (err) {
+      console.error(`[AUTH] Provider ${provider.id} failed:`, err.message);
+      logs.add('error', `Auth provider ${provider.id} error: ${err.message}`);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  register,
+  getAll,
+  authenticate,
+  provisionUser,
+  local,
+  ldap
+};
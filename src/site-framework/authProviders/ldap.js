@@ -0,0 +1,219 @@
+/**
+ * LDAP / Active Directory Authentication Provider
+ * ============================================
+ *
+ * Search-then-bind: binds with a service account, searches for the user
+ * with the configured filter, then binds as the found DN with the
+ * supplied password. Directory users are provisioned into the users
+ * table on first login.
+ *
+ * SETTINGS (settings store, edited via /api/settings/ldap):
+ *   ldap.enabled            - Use this provider for logins (default: false)
+ *   ldap.url                - Server URL, e.g. ldaps://dc1.example.com:636
+ *   ldap.startTls           - Upgrade ldap:// connections with StartTLS (default: false)
+ *   ldap.bindDn             - Service account DN (blank for anonymous search)
+ *   ldap.bindPassword       - Service account password (stored encrypted)
+ *   ldap.searchBase         - Base DN for user searches, e.g. ou=people,dc=example,dc=com
+ *   ldap.userFilter         - Search filter, {{username}} is replaced (default: (uid={{username}}))
+ *                             Active Directory: (sAMAccountName={{username}})
+ *   ldap.usernameAttribute  - Attribute used as the local username (default: uid)
+ *   ldap.groupAttribute     - Attribute listing the user's group DNs (default: memberOf)
+ *   ldap.adminGroup         - Members of this group DN are admins (synced on every login)
+ *   ldap.linkExisting       - Link to an existing local user with the same username (default: false)
+ */
+
+const { Client, InvalidCredentialsError } = require('ldapts');
+const { settings, encryption } = require('../db');
+const { provisionUser } = require('./provision');
+
+const TIMEOUT_MS = 10 * 1000;
+
+const DEFAULTS = {
+  enabled: false,
+  url: '',
+  startTls: false,
+  bindDn: '',
+  bindPassword: '',
+  searchBase: '',
+  userFilter: '(uid={{username}})',
+  usernameAttribute: 'uid',
+  groupAttribute: 'memberOf',
+  adminGroup: '',
+  linkExisting: false
+};
+
+/**
+ * Read the LDAP configuration from settings (bind password decrypted)
+ */
+function getConfig() {
+  const config = {};
+  for (const [key, fallback] of Object.entries(DEFAULTS)) {
+    config[key] = settings.get(`ldap.${key}`, fallback);
+  }
+  config.bindPassword = config.bindPassword ? encryption.decrypt(config.bindPassword) : '';
+  return config;
+}
+
+/**
+ * Save LDAP configuration. A blank bindPassword keeps the stored one.
+ */
+function saveConfig(updates) {
+  for (const key of Object.keys(DEFAULTS)) {
+    if (updates[key] === undefined) continue;
+    if (key === 'bindPassword') {
+      if (updates.bindPassword) settings.set('ldap.bindPassword', encryption.encrypt(updates.bindPassword));
+      continue;
+    }
+    settings.set(`ldap.${key}`, updates[key]);
+  }
+}
+
+/**
+ * Escape a value for use inside an LDAP search filter (RFC 4515)
+ */
+function escapeFilterValue(value) {
+  return String(value).replace(/[\\*()\0]/g, c => `\\${c.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+/**
+ * Read an attribute from a search entry (attribute names are case-insensitive)
+ */
+function getAttribute(entry, name) {
+  const key = Object.keys(entry).find(k => k.toLowerCase() === name.toLowerCase());
+  return key ? entry[key] : undefined;
+}
+
+function firstValue(value) {
+  const v = Array.isArray(value) ? value[0] : value;
+  return v === undefined ? '' : String(v);
+}
+
+async function connect(config) {
+  const client = new Client({ url: config.url, timeout: TIMEOUT_MS, connectTimeout: TIMEOUT_MS });
+  if (config.startTls) {
+    await client.startTLS({});
+  }
+  return client;
+}
+
+/**
+ * Find a user entry with the service account
+ * @returns {Object|null} { dn, username, groups }
+ */
+async function findUser(config, username) {
+  const client = await connect(config);
+  try {
+    if (config.bindDn) {
+      await client.bind(config.bindDn, config.bindPassword);
+    }
+
+    const { searchEntries } = await client.search(config.searchBase, {
+      scope: 'sub',
+      filter: config.userFilter.split('{{username}}').join(escapeFilterValue(username)),
+      attributes: [config.usernameAttribute, config.groupAttribute],
+      sizeLimit: 2
+    });
+
+    // Ambiguous filters must not pick an arbitrary entry
+    if (searchEntries.length !== 1) return null;
+
+    const entry = searchEntries[0];
+    const groups = getAttribute(entry, config.groupAttribute);
+    return {
+      dn: entry.dn,
+      username: firstValue(getAttribute(entry, config.usernameAttribute)) || username,
+      groups: (Array.isArray(groups) ? groups : groups ? [groups] : []).map(String)
+    };
+  } finally {
+    await client.unbind().catch(() => {});
+  }
+}
+
+/**
+ * Bind as the user to check their password
+ */
+async function verifyBind(config, dn, password) {
+  const client = await connect(config);
+  try {
+    await client.bind(dn, password);
+    return true;
+  } catch (err) {
+    if (err instanceof InvalidCredentialsError) return false;
+    throw err;
+  } finally {
+    await client.unbind().catch(() => {});
+  }
+}
+
+function isAdminEntry(config, entry) {
+  if (!config.adminGroup) return null;
+  const adminGroup = config.adminGroup.toLowerCase();
+  return entry.groups.some(g => g.toLowerCase() === adminGroup);
+}
+
+/**
+ * Check credentials against the directory without provisioning
+ * @returns {Object|null} Directory entry ({ dn, username, groups, isAdmin }) or null
+ */
+async function checkCredentials(config, username, password) {
+  // An empty password would be an anonymous bind, which many servers accept
+  if (!username || !password) return null;
+
+  const entry = await findUser(config, username);
+  if (!entry || !(await verifyBind(config, entry.dn, password))) {
+    return null;
+  }
+  return { ...entry, isAdmin: isAdminEntry(config, entry) };
+}
+
+/**
+ * Connect and bind with the service account, optionally checking a user's credentials.
+ * Used by the settings "Test" button.
+ */
+async function testConnection(config, username, password) {
+  const client = await connect(config);
+  try {
+    if (config.bindDn) {
+      await client.bind(config.bindDn, config.bindPassword);
+    }
+  } catch (err) {
+    if (err instanceof InvalidCredentialsError) {
+      throw new Error('service account bind DN or password is incorrect');
+    }
+    throw err;
+  } finally {
+    await client.unbind().catch(() => {});
+  }
+
+  if (!username) return { connected: true };
+
+  const entry = await checkCredentials(config, username, password);
+  return { connected: true, authenticated: !!entry, dn: entry?.dn, isAdmin: entry?.isAdmin ?? null };
+}
+
+module.exports = {
+  id: 'ldap',
+  name: 'LDAP',
+
+  isEnabled() {
+    return settings.get('ldap.enabled', false) === true && !!settings.get('ldap.url', '');
+  },
+
+  async authenticate(username, password, context = {}) {
+    const config = getConfig();
+    const entry = await checkCredentials(config, username, password);
+    if (!entry) return null;
+
+    return provisionUser('ldap', {
+      subject: entry.dn.toLowerCase(),
+      username: entry.username,
+      isAdmin: entry.isAdmin,
+      linkExisting: config.linkExisting === true
+    }, context);
+  },
+
+  getConfig,
+  saveConfig,
+  testConnection,
+  escapeFilterValue
+};
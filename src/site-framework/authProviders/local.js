@@ -0,0 +1,25 @@
+/**
+ * Local Authentication Provider
+ * ============================================
+ *
+ * Checks the password hash (argon2id or bcrypt) stored in the users table.
+ */
+
+const { users } = require('../db');
+
+module.exports = {
+  id: 'local',
+  name: 'Local',
+
+  isEnabled() {
+    return true;
+  },
+
+  async authenticate(username, password) {
+    const user = users.getByUsername(username);
+    if (!user || !(await users.verifyPassword(user, password))) {
+      return null;
+    }
+    return user;
+  }
+};
@@ -0,0 +1,71 @@
+/**
+ * Just-in-time User Provisioning
+ * ============================================
+ *
+ * Maps an identity from an external provider (LDAP, OIDC, ...) to a
+ * local user, creating the user on first login. The link is stored in
+ * user_identities so later renames at the provider don't create
+ * duplicates.
+ *
+ * USAGE:
+ *   const { provisionUser } = require('./authProviders/provision');
+ *
+ *   const user = await provisionUser('ldap', {
+ *     subject: entry.dn,         // Stable ID at the provider
+ *     username: 'jdoe',          // Local username for new users
+ *     isAdmin: true,             // true/false to sync admin status, null to leave it alone
+ *     linkExisting: false        // Link to an existing local user with the same username
+ *   }, { clientIP });
+ */
+
+const crypto = require('crypto');
+const { users, logs, identities } = require('../db');
+
+/**
+ * @returns {Object} Full user row
+ * @throws {Error} If the username is unusable or taken by an unlinked local user
+ */
+async function provisionUser(providerId, identity, context = {}) {
+  const { subject, username, isAdmin = null, linkExisting = false } = identity;
+  let user;
+
+  const link = identities.get(providerId, subject);
+  if (link) {
+    user = users.getFullById(link.user_id);
+    identities.recordLogin(link.id);
+  } else {
+    if (!username || username.length < 3) {
+      throw new Error('Identity provider did not supply a usable username');
+    }
+
+    const existing = users.getByUsername(username);
+    if (existing && !linkExisting) {
+      logs.add('warn', `Sign-in via ${providerId} refused: local user ${username} already exists (IP: ${context.clientIP})`);
+      throw new Error(`An account named "${username}" already exists and is not linked to this provider.`);
+    }
+
+    let userId;
+    if (existing) {
+      userId = existing.id;
+      logs.add('info', `Linked existing user ${username} to ${providerId} identity`, userId);
+    } else {
+      // Random password: these users sign in through the provider, not locally
+      const created = await users.create(username, crypto.randomBytes(32).toString('hex'), isAdmin === true);
+      userId = created.id;
+      logs.add('info', `User created via ${providerId}: ${username}${isAdmin ? ' (admin)' : ''}`, userId);
+    }
+
+    identities.recordLogin(identities.link(userId, providerId, subject));
+    user = users.getFullById(userId);
+  }
+
+  if (user && isAdmin !== null && isAdmin !== (user.is_admin === 1)) {
+    await users.update(user.id, { isAdmin });
+    logs.add('info', `Admin access ${isAdmin ? 'granted to' : 'removed from'} ${user.username} by ${providerId} group membership`, user.id);
+    user = users.getFullById(user.id);
+  }
+
+  return user;
+}
+
+module.exports = { provisionUser };
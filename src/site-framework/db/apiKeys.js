@@ -0,0 +1,185 @@
+/**
+ * API Keys DAO
+ * ============================================
+ *
+ * Named API keys, any number per user. Only a SHA-256 hash of each key
+ * is stored, plus its last four characters for display. Keys can have
+ * an expiry and are limited to a list of scopes (see apiScopes.js) and
+ * optionally to a list of client IP ranges (see ipAllowlist.js);
+ * last use (time and IP) is recorded.
+ *
+ * Signing keys are never sent: clients sign each request with them (see
+ * requestSigning.js), so their secret is stored AES-encrypted instead,
+ * and getByKey() won't accept one as a plain X-Api-Key. The nonces of
+ * signed requests are kept until they expire, to refuse replays.
+ *
+ * USAGE:
+ *   const { apiKeys } = require('./db');
+ *   const { apiKey, ...info } = apiKeys.create(userId, 'CI deploy', ['logs:read'], expiresAt);   // plaintext only here
+ *   const key = apiKeys.getByKey(req.headers['x-api-key']);   // null if unknown, expired or the owner is disabled
+ *   apiKeys.recordUse(key.id, clientIP);
+ *   const signing = apiKeys.create(userId, 'Billing service', ['*'], null, { signing: true });
+ *   const { secret, ...key } = apiKeys.getSigningKey(id);   // null if unknown, not a signing key, expired or disabled owner
+ *   apiKeys.claimNonce(key.id, nonce, expiresAt);            // false if already used
+ *   apiKeys.setAllowedIps(id, userId, ['10.0.0.0/8']);       // [] for any address
+ *   apiKeys.delete(id, userId);
+ */
+
+const crypto = require('crypto');
+const { getDatabase } = require('./connection');
+const { encryption } = require('./encryption');
+
+// Owner must be active and the key unexpired
+const USABLE_KEY = `
+  (k.expires_at IS NULL OR datetime(k.expires_at) > datetime('now'))
+  AND u.status = 'active' AND (u.deactivate_at IS NULL OR datetime(u.deactivate_at) > datetime('now'))
+`;
+
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Build a key object from a database row (never includes the hash)
+ */
+function toApiKeyObject(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    lastFour: row.last_four,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+    scopes: JSON.parse(row.scopes),
+    signing: !!row.signing_secret,
+    allowedIps: row.allowed_ips ? JSON.parse(row.allowed_ips) : []
+  };
+}
+
+const apiKeys = {
+  getAllForUser(userId) {
+    const db = getDatabase();
+    return db.prepare(`SELECT * FROM api_keys WHERE user_id = ? ORDER BY created_at, id`).all(userId).map(toApiKeyObject);
+  },
+
+  /**
+   * Look up an unexpired key of an active user by its plaintext value.
+   * Signing keys don't count: they are never sent.
+   * @returns {Object|null} Key object with the owner's { username, isAdmin }
+   */
+  getByKey(apiKey) {
+    const db = getDatabase();
+    const row = db.prepare(`
+      SELECT k.*, u.username, u.is_admin FROM api_keys k
+      JOIN users u ON u.id = k.user_id
+      WHERE k.key_hash = ? AND k.signing_secret IS NULL AND ${USABLE_KEY}
+    `).get(hashKey(apiKey));
+    if (!row) return null;
+    return { ...toApiKeyObject(row), username: row.username, isAdmin: row.is_admin === 1 };
+  },
+
+  /**
+   * Look up an unexpired signing key of an active user by id
+   * @returns {Object|null} Key object with the owner's { username, isAdmin } and the decrypted `secret`
+   */
+  getSigningKey(id) {
+    const db = getDatabase();
+    const row = db.prepare(`
+      SELECT k.*, u.username, u.is_admin FROM api_keys k
+      JOIN users u ON u.id = k.user_id
+      WHERE k.id = ? AND k.signing_secret IS NOT NULL AND ${USABLE_KEY}
+    `).get(id);
+    if (!row) return null;
+    return {
+      ...toApiKeyObject(row),
+      username: row.username,
+      isAdmin: row.is_admin === 1,
+      secret: encryption.decrypt(row.signing_secret)
+    };
+  },
+
+  /**
+   * Generate a new key. The plaintext is returned once; only a signing
+   * key's is stored (encrypted), as the server needs it to check signatures.
+   * @param {string[]} scopes - Scope ids, or ['*'] for full access
+   * @param {string|null} expiresAt - ISO timestamp, or null for no expiry
+   * @param {Object} [options] - { signing: true } for a key that signs requests instead of being sent,
+   *                             { allowedIps } to limit it to CIDR ranges
+   * @returns {Object} { apiKey, id, name, lastFour, createdAt, expiresAt, scopes, signing, allowedIps }
+   */
+  create(userId, name, scopes, expiresAt = null, { signing = false, allowedIps = [] } = {}) {
+    const db = getDatabase();
+    const apiKey = crypto.randomBytes(32).toString('hex');
+    const lastFour = apiKey.slice(-4);
+    const createdAt = new Date().toISOString();
+
+    const result = db.prepare(`
+      INSERT INTO api_keys (user_id, name, key_hash, last_four, created_at, expires_at, scopes, signing_secret, allowed_ips)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(userId, name, hashKey(apiKey), lastFour, createdAt, expiresAt, JSON.stringify(scopes),
+      signing ? encryption.encrypt(apiKey) : null, allowedIps.length ? JSON.stringify(allowedIps) : null);
+
+    return { apiKey, id: result.lastInsertRowid, name, lastFour, createdAt, expiresAt, scopes, signing, allowedIps };
+  },
+
+  /**
+   * Record a request made with a key. Writes at most once a minute per
+   * key unless the IP changes, so busy integrations don't write on every call.
+   */
+  recordUse(id, ip) {
+    const db = getDatabase();
+    db.prepare(`
+      UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ?
+      WHERE id = ? AND (last_used_at IS NULL OR last_used_ip IS NOT ? OR last_used_at < datetime('now', '-1 minute'))
+    `).run(ip, id, ip);
+  },
+
+  /**
+   * Rename a key. Scoped to the owner so users can't touch others' keys.
+   */
+  rename(id, userId, name) {
+    const db = getDatabase();
+    const result = db.prepare(`UPDATE api_keys SET name = ? WHERE id = ? AND user_id = ?`).run(name, id, userId);
+    return result.changes > 0;
+  },
+
+  /**
+   * Limit a key to CIDR ranges ([] for any address). Scoped to the owner like rename().
+   */
+  setAllowedIps(id, userId, allowedIps) {
+    const db = getDatabase();
+    const result = db.prepare(`UPDATE api_keys SET allowed_ips = ? WHERE id = ? AND user_id = ?`)
+      .run(allowedIps.length ? JSON.stringify(allowedIps) : null, id, userId);
+    return result.changes > 0;
+  },
+
+  delete(id, userId) {
+    const db = getDatabase();
+    const result = db.prepare(`DELETE FROM api_keys WHERE id = ? AND user_id = ?`).run(id, userId);
+    return result.changes > 0;
+  },
+
+  /**
+   * Record the nonce of a signed request. Returns false if the key already used it.
+   * @param {string} expiresAt - ISO timestamp after which the nonce can be forgotten
+   */
+  claimNonce(id, nonce, expiresAt) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      INSERT OR IGNORE INTO api_key_nonces (key_id, nonce, expires_at) VALUES (?, ?, ?)
+    `).run(id, nonce, expiresAt);
+    return result.changes > 0;
+  },
+
+  /**
+   * Forget nonces old enough that their requests would be refused as stale anyway
+   */
+  cleanupNonces() {
+    const db = getDatabase();
+    db.prepare(`DELETE FROM api_key_nonces WHERE datetime(expires_at) <= datetime('now')`).run();
+  }
+};
+
+module.exports = { apiKeys };
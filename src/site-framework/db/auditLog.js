@@ -0,0 +1,91 @@
+/**
+ * Audit Log DAO
+ * ============================================
+ *
+ * Append-only record of admin and security-relevant changes, kept apart
+ * from the free-text logs so clearing those leaves it intact. There is
+ * deliberately no update or delete; triggers on the table refuse both.
+ * Actor usernames are copied into each entry so it outlives the account.
+ *
+ * USAGE:
+ *   const { auditLog } = require('./db');
+ *   auditLog.add({ actorId, actorUsername, action: 'user.update', targetType: 'user', targetId: 2,
+ *                  changes: { email: { from: null, to: 'bob@example.com' } }, ip, requestId });
+ *   auditLog.query({ action: 'user.update', from: '2026-01-01', limit: 50 });
+ */
+
+const { getDatabase } = require('./connection');
+
+function toEntry(row) {
+  return { ...row, changes: row.changes ? JSON.parse(row.changes) : null };
+}
+
+const auditLog = {
+  add({ actorId = null, actorUsername = null, action, targetType = null, targetId = null, changes = null, ip = null, requestId = null }) {
+    const db = getDatabase();
+    db.prepare(`
+      INSERT INTO audit_log (actor_id, actor_username, action, target_type, target_id, changes, ip_address, request_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(actorId, actorUsername, action, targetType, targetId === null ? null : String(targetId),
+      changes ? JSON.stringify(changes) : null, ip, requestId);
+  },
+
+  /**
+   * Newest entries first, optionally filtered
+   * @param {Object} filters - { action, actor (username), targetType, targetId, from, to, before (entry id), limit }
+   */
+  query({ action, actor, targetType, targetId, from, to, before, limit = 100 } = {}) {
+    const db = getDatabase();
+    const conditions = [];
+    const params = [];
+
+    if (action) {
+      conditions.push('action = ?');
+      params.push(action);
+    }
+    if (actor) {
+      conditions.push('actor_username = ? COLLATE NOCASE');
+      params.push(actor);
+    }
+    if (targetType) {
+      conditions.push('target_type = ?');
+      params.push(targetType);
+    }
+    if (targetId) {
+      conditions.push('target_id = ?');
+      params.push(String(targetId));
+    }
+    if (from) {
+      conditions.push('datetime(created_at) >= datetime(?)');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('datetime(created_at) < datetime(?)');
+      params.push(to);
+    }
+    if (before) {
+      conditions.push('id < ?');
+      params.push(before);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    return db.prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ?`)
+      .all(...params, limit)
+      .map(toEntry);
+  },
+
+  /**
+   * Every action and target type recorded so far, for filter lists
+   * @returns {Object} { actions, targetTypes }
+   */
+  getFilterValues() {
+    const db = getDatabase();
+    return {
+      actions: db.prepare(`SELECT DISTINCT action FROM audit_log ORDER BY action`).all().map(row => row.action),
+      targetTypes: db.prepare(`SELECT DISTINCT target_type FROM audit_log WHERE target_type IS NOT NULL ORDER BY target_type`)
+        .all().map(row => row.target_type)
+    };
+  }
+};
+
+module.exports = { auditLog };
@@ -15,8 +15,8 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
-const bcrypt = require('bcrypt');
 const crypto = require('crypto');
+const { passwordHash } = require('./passwordHash');
 
 // ============================================
 // Configuration
@@ -24,7 +24,6 @@ const crypto = require('crypto');
 
 const DB_DIR = path.join(__dirname, '../../../db');
 const DB_PATH = path.join(DB_DIR, 'app.db');
-const SALT_ROUNDS = 12;
 
 // ============================================
 // Database Initialization
@@ -72,9 +71,22 @@ function initSchema(db) {
       api_key_created_at TEXT,
       is_admin INTEGER DEFAULT 0,
       must_change_password INTEGER DEFAULT 0,
+      totp_secret TEXT,
+      totp_enabled INTEGER DEFAULT 0,
+      totp_last_step INTEGER,
+      totp_recovery_codes TEXT,
+      email TEXT,
+      password_changed_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      status TEXT NOT NULL DEFAULT 'active',
+      disabled_reason TEXT,
+      disabled_at TEXT,
+      deactivate_at TEXT,
+      devices_tracked_at TEXT,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       last_login TEXT
-    )
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email ON users (email COLLATE NOCASE)
   `);
 
   db.exec(`
@@ -85,7 +97,16 @@ function initSchema(db) {
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       expires_at TEXT NOT NULL,
       revoked INTEGER DEFAULT 0,
-      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      amr TEXT,
+      refresh_hash TEXT,
+      previous_refresh_hash TEXT,
+      refreshed_at TEXT,
+      actor_id INTEGER,
+      user_agent TEXT,
+      ip_address TEXT,
+      last_seen_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE CASCADE
     )
   `);
 
@@ -119,6 +140,178 @@ function initSchema(db) {
     )
   `);
 
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webauthn_credentials (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      credential_id TEXT UNIQUE NOT NULL,
+      public_key TEXT NOT NULL,
+      counter INTEGER DEFAULT 0,
+      transports TEXT,
+      name TEXT,
+      device_type TEXT,
+      backed_up INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS user_identities (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      provider TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      last_login TEXT,
+      UNIQUE (provider, subject),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      key TEXT PRIMARY KEY,
+      failures INTEGER DEFAULT 0,
+      lockouts INTEGER DEFAULT 0,
+      last_failure_at INTEGER,
+      locked_until INTEGER
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS signing_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kid TEXT UNIQUE NOT NULL,
+      algorithm TEXT NOT NULL,
+      private_key TEXT NOT NULL,
+      public_key TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      retires_at TEXT
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS password_resets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      requested_ip TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      expires_at TEXT NOT NULL,
+      used_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS magic_links (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      requested_ip TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      expires_at TEXT NOT NULL,
+      used_at TEXT,
+      used_ip TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS invitations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      invited_by INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      expires_at TEXT NOT NULL,
+      used_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS password_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      password_hash TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      key_hash TEXT UNIQUE NOT NULL,
+      last_four TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      expires_at TEXT,
+      last_used_at TEXT,
+      last_used_ip TEXT,
+      scopes TEXT NOT NULL DEFAULT '["*"]',
+      signing_secret TEXT,
+      allowed_ips TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_key_nonces (
+      key_id INTEGER NOT NULL,
+      nonce TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      PRIMARY KEY (key_id, nonce),
+      FOREIGN KEY (key_id) REFERENCES api_keys(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS known_devices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      device_hash TEXT NOT NULL,
+      ip_address TEXT,
+      user_agent TEXT,
+      first_seen_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      last_seen_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, device_hash),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS roles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+      description TEXT,
+      built_in INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS role_permissions (
+      role_id INTEGER NOT NULL,
+      permission TEXT NOT NULL,
+      PRIMARY KEY (role_id, permission),
+      FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS user_roles (
+      user_id INTEGER NOT NULL,
+      role_id INTEGER NOT NULL,
+      PRIMARY KEY (user_id, role_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+    )
+  `);
+
+  createAuditLogTable(db);
+
   console.log('[DB] Schema initialized');
 }
 
@@ -142,6 +335,70 @@ function runMigrations(db) {
     `);
   }
 
+  const hasWebauthnTable = db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type='table' AND name='webauthn_credentials'
+  `).get();
+
+  if (!hasWebauthnTable) {
+    console.log('[DB] Running migration: Adding webauthn_credentials table');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS webauthn_credentials (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        credential_id TEXT UNIQUE NOT NULL,
+        public_key TEXT NOT NULL,
+        counter INTEGER DEFAULT 0,
+        transports TEXT,
+        name TEXT,
+        device_type TEXT,
+        backed_up INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  }
+
+  const hasIdentitiesTable = db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type='table' AND name='user_identities'
+  `).get();
+
+  if (!hasIdentitiesTable) {
+    console.log('[DB] Running migration: Adding user_identities table');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS user_identities (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        provider TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        last_login TEXT,
+        UNIQUE (provider, subject),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  }
+
+  const hasLoginAttemptsTable = db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type='table' AND name='login_attempts'
+  `).get();
+
+  if (!hasLoginAttemptsTable) {
+    console.log('[DB] Running migration: Adding login_attempts table');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        key TEXT PRIMARY KEY,
+        failures INTEGER DEFAULT 0,
+        lockouts INTEGER DEFAULT 0,
+        last_failure_at INTEGER,
+        locked_until INTEGER
+      )
+    `);
+  }
+
   const columns = db.prepare(`PRAGMA table_info(users)`).all();
   const hasApiKeyCreatedAt = columns.some(c => c.name === 'api_key_created_at');
   const hasApiKeyLastFour = columns.some(c => c.name === 'api_key_last_four');
@@ -173,22 +430,369 @@ function runMigrations(db) {
 
     // Check if the admin user still has the default password
     const adminUser = db.prepare(`SELECT id, password_hash FROM users WHERE username = 'admin'`).get();
-    if (adminUser && bcrypt.compareSync('admin', adminUser.password_hash)) {
+    if (adminUser && passwordHash.verifySync('admin', adminUser.password_hash)) {
       db.prepare(`UPDATE users SET must_change_password = 1 WHERE id = ?`).run(adminUser.id);
       console.log('[DB] Flagged admin user for required password change');
     }
   }
+
+  // Migration: Add TOTP two-factor columns
+  const hasTotpSecret = columns.some(c => c.name === 'totp_secret');
+  if (!hasTotpSecret) {
+    console.log('[DB] Running migration: Adding TOTP two-factor columns');
+    db.exec(`ALTER TABLE users ADD COLUMN totp_secret TEXT`);
+    db.exec(`ALTER TABLE users ADD COLUMN totp_enabled INTEGER DEFAULT 0`);
+    db.exec(`ALTER TABLE users ADD COLUMN totp_last_step INTEGER`);
+    db.exec(`ALTER TABLE users ADD COLUMN totp_recovery_codes TEXT`);
+  }
+
+  const hasSigningKeysTable = db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type='table' AND name='signing_keys'
+  `).get();
+
+  if (!hasSigningKeysTable) {
+    console.log('[DB] Running migration: Adding signing_keys table');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS signing_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kid TEXT UNIQUE NOT NULL,
+        algorithm TEXT NOT NULL,
+        private_key TEXT NOT NULL,
+        public_key TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        retires_at TEXT
+      )
+    `);
+  }
+
+  const hasPasswordResetsTable = db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type='table' AND name='password_resets'
+  `).get();
+
+  if (!hasPasswordResetsTable) {
+    console.log('[DB] Running migration: Adding password_resets table');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS password_resets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        requested_ip TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  }
+
+  const hasPasswordHistoryTable = db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type='table' AND name='password_history'
+  `).get();
+
+  if (!hasPasswordHistoryTable) {
+    console.log('[DB] Running migration: Adding password_history table');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS password_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        password_hash TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  }
+
+  const hasMagicLinksTable = db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type='table' AND name='magic_links'
+  `).get();
+
+  if (!hasMagicLinksTable) {
+    console.log('[DB] Running migration: Adding magic_links table');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS magic_links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        requested_ip TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        used_ip TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  }
+
+  const hasInvitationsTable = db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type='table' AND name='invitations'
+  `).get();
+
+  if (!hasInvitationsTable) {
+    console.log('[DB] Running migration: Adding invitations table');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS invitations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        invited_by INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+  }
+
+  const hasApiKeysTable = db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type='table' AND name='api_keys'
+  `).get();
+
+  if (!hasApiKeysTable) {
+    console.log('[DB] Running migration: Adding api_keys table');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        key_hash TEXT UNIQUE NOT NULL,
+        last_four TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        expires_at TEXT,
+        last_used_at TEXT,
+        last_used_ip TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Move the single per-user key into the new table; the old users columns are left empty
+    const usersWithKeys = db.prepare(`SELECT id, api_key, api_key_last_four, api_key_created_at FROM users WHERE api_key IS NOT NULL`).all();
+    for (const user of usersWithKeys) {
+      db.prepare(`
+        INSERT INTO api_keys (user_id, name, key_hash, last_four, created_at)
+        VALUES (?, 'Default', ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+      `).run(user.id, user.api_key, user.api_key_last_four || '????', user.api_key_created_at);
+    }
+    db.exec(`UPDATE users SET api_key = NULL, api_key_last_four = NULL, api_key_created_at = NULL`);
+    if (usersWithKeys.length > 0) {
+      console.log(`[DB] Moved ${usersWithKeys.length} API key(s) to api_keys`);
+    }
+  }
+
+  // Migration: Add scopes to API keys (existing keys keep full access)
+  const apiKeyColumns = db.prepare(`PRAGMA table_info(api_keys)`).all();
+  if (!apiKeyColumns.some(c => c.name === 'scopes')) {
+    console.log('[DB] Running migration: Adding scopes column to api_keys');
+    db.exec(`ALTER TABLE api_keys ADD COLUMN scopes TEXT NOT NULL DEFAULT '["*"]'`);
+  }
+
+  // Migration: Signing keys (HMAC request signing) and the nonces they have used
+  if (!db.prepare(`PRAGMA table_info(api_keys)`).all().some(c => c.name === 'signing_secret')) {
+    console.log('[DB] Running migration: Adding request signing to api_keys');
+    db.exec(`ALTER TABLE api_keys ADD COLUMN signing_secret TEXT`);
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS api_key_nonces (
+        key_id INTEGER NOT NULL,
+        nonce TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        PRIMARY KEY (key_id, nonce),
+        FOREIGN KEY (key_id) REFERENCES api_keys(id) ON DELETE CASCADE
+      )
+    `);
+  }
+
+  // Migration: Per-key client IP allowlists
+  if (!db.prepare(`PRAGMA table_info(api_keys)`).all().some(c => c.name === 'allowed_ips')) {
+    console.log('[DB] Running migration: Adding allowed_ips to api_keys');
+    db.exec(`ALTER TABLE api_keys ADD COLUMN allowed_ips TEXT`);
+  }
+
+  // Migration: Replace the is_admin flag with roles (admins get the built-in Administrator role)
+  const hasRolesTable = db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type='table' AND name='roles'
+  `).get();
+
+  if (!hasRolesTable) {
+    console.log('[DB] Running migration: Adding roles tables');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS roles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+        description TEXT,
+        built_in INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role_id INTEGER NOT NULL,
+        permission TEXT NOT NULL,
+        PRIMARY KEY (role_id, permission),
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS user_roles (
+        user_id INTEGER NOT NULL,
+        role_id INTEGER NOT NULL,
+        PRIMARY KEY (user_id, role_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+      )
+    `);
+    const adminRoleId = createAdministratorRole(db);
+    db.prepare(`INSERT INTO user_roles (user_id, role_id) SELECT id, ? FROM users WHERE is_admin = 1`).run(adminRoleId);
+  }
+
+  // Migration: Add refresh token columns to sessions
+  const sessionColumns = db.prepare(`PRAGMA table_info(sessions)`).all();
+  if (!sessionColumns.some(c => c.name === 'refresh_hash')) {
+    console.log('[DB] Running migration: Adding refresh token columns to sessions');
+    db.exec(`ALTER TABLE sessions ADD COLUMN amr TEXT`);
+    db.exec(`ALTER TABLE sessions ADD COLUMN refresh_hash TEXT`);
+    db.exec(`ALTER TABLE sessions ADD COLUMN previous_refresh_hash TEXT`);
+    db.exec(`ALTER TABLE sessions ADD COLUMN refreshed_at TEXT`);
+  }
+
+  // Migration: Record the admin behind impersonation sessions
+  if (!db.prepare(`PRAGMA table_info(sessions)`).all().some(c => c.name === 'actor_id')) {
+    console.log('[DB] Running migration: Adding actor_id column to sessions');
+    db.exec(`ALTER TABLE sessions ADD COLUMN actor_id INTEGER REFERENCES users(id) ON DELETE CASCADE`);
+  }
+
+  // Migration: Record the device and last activity of each session
+  if (!db.prepare(`PRAGMA table_info(sessions)`).all().some(c => c.name === 'last_seen_at')) {
+    console.log('[DB] Running migration: Adding device columns to sessions');
+    db.exec(`ALTER TABLE sessions ADD COLUMN user_agent TEXT`);
+    db.exec(`ALTER TABLE sessions ADD COLUMN ip_address TEXT`);
+    db.exec(`ALTER TABLE sessions ADD COLUMN last_seen_at TEXT`);
+  }
+
+  // Migration: Add optional email address to users
+  if (!columns.some(c => c.name === 'email')) {
+    console.log('[DB] Running migration: Adding email column to users');
+    db.exec(`ALTER TABLE users ADD COLUMN email TEXT`);
+  }
+  db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email ON users (email COLLATE NOCASE)`);
+
+  // Migration: Track password age for expiry (existing passwords count from account creation)
+  if (!columns.some(c => c.name === 'password_changed_at')) {
+    console.log('[DB] Running migration: Adding password_changed_at column to users');
+    db.exec(`ALTER TABLE users ADD COLUMN password_changed_at TEXT`);
+    db.exec(`UPDATE users SET password_changed_at = COALESCE(created_at, CURRENT_TIMESTAMP)`);
+  }
+
+  // Migration: Account status ('active', or 'invited' until an invitation is accepted)
+  if (!columns.some(c => c.name === 'status')) {
+    console.log('[DB] Running migration: Adding status column to users');
+    db.exec(`ALTER TABLE users ADD COLUMN status TEXT NOT NULL DEFAULT 'active'`);
+  }
+
+  // Migration: Disabled accounts keep a reason and time; deactivation can be scheduled
+  if (!columns.some(c => c.name === 'disabled_at')) {
+    console.log('[DB] Running migration: Adding disable columns to users');
+    db.exec(`ALTER TABLE users ADD COLUMN disabled_reason TEXT`);
+    db.exec(`ALTER TABLE users ADD COLUMN disabled_at TEXT`);
+    db.exec(`ALTER TABLE users ADD COLUMN deactivate_at TEXT`);
+  }
+
+  // Migration: When new device alerts started for each user (their first login after this)
+  if (!columns.some(c => c.name === 'devices_tracked_at')) {
+    console.log('[DB] Running migration: Adding devices_tracked_at column to users');
+    db.exec(`ALTER TABLE users ADD COLUMN devices_tracked_at TEXT`);
+  }
+
+  const hasKnownDevicesTable = db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type='table' AND name='known_devices'
+  `).get();
+
+  if (!hasKnownDevicesTable) {
+    console.log('[DB] Running migration: Adding known_devices table');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS known_devices (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        device_hash TEXT NOT NULL,
+        ip_address TEXT,
+        user_agent TEXT,
+        first_seen_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, device_hash),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  }
+
+  const hasAuditLogTable = db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type='table' AND name='audit_log'
+  `).get();
+
+  if (!hasAuditLogTable) {
+    console.log('[DB] Running migration: Adding audit_log table');
+    createAuditLogTable(db);
+  }
+}
+
+/**
+ * Create the audit log table. No foreign keys, so deleting a user keeps
+ * their entries, and triggers make it append-only.
+ */
+function createAuditLogTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      actor_id INTEGER,
+      actor_username TEXT,
+      action TEXT NOT NULL,
+      target_type TEXT,
+      target_id TEXT,
+      changes TEXT,
+      ip_address TEXT,
+      request_id TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log (action);
+
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+  `);
+}
+
+/**
+ * Create the built-in Administrator role, which holds every permission ("*")
+ * @returns {number} Role id
+ */
+function createAdministratorRole(db) {
+  const result = db.prepare(`
+    INSERT INTO roles (name, description, built_in) VALUES ('Administrator', 'Full access to everything', 1)
+  `).run();
+  db.prepare(`INSERT INTO role_permissions (role_id, permission) VALUES (?, '*')`).run(result.lastInsertRowid);
+  return result.lastInsertRowid;
 }
 
 function seedDefaultData(db) {
   const adminPassword = 'admin';
-  const hash = bcrypt.hashSync(adminPassword, SALT_ROUNDS);
+  // bcrypt (sync); upgraded to the configured algorithm on first login
+  const hash = passwordHash.hashSync(adminPassword);
+  const adminRoleId = createAdministratorRole(db);
 
   try {
-    db.prepare(`
+    const result = db.prepare(`
       INSERT INTO users (username, password_hash, is_admin, must_change_password)
       VALUES (?, ?, 1, 1)
     `).run('admin', hash);
+    db.prepare(`INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)`).run(result.lastInsertRowid, adminRoleId);
 
     console.log('[DB] Created default admin user');
     console.log('[DB] NOTE: Password change will be required on first login');
@@ -210,4 +814,15 @@ function getDatabase() {
   return dbInstance;
 }
 
-module.exports = { getDatabase, DB_PATH };
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Parse a SQLite CURRENT_TIMESTAMP (UTC, no zone) or ISO string to ms
+ */
+function parseTimestamp(timestamp) {
+  return new Date(timestamp.includes('T') ? timestamp : `${timestamp.replace(' ', 'T')}Z`).getTime();
+}
+
+module.exports = { getDatabase, DB_PATH, parseTimestamp };
@@ -0,0 +1,47 @@
+/**
+ * Identities DAO
+ * ============================================
+ *
+ * Links local users to accounts at external identity providers
+ * (e.g. an OIDC issuer). A (provider, subject) pair maps to exactly
+ * one local user.
+ *
+ * USAGE:
+ *   const { identities } = require('./db');
+ *   const link = identities.get('corp', claims.sub);
+ *   identities.link(userId, 'corp', claims.sub);
+ */
+
+const { getDatabase } = require('./connection');
+
+const identities = {
+  get(provider, subject) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT * FROM user_identities WHERE provider = ? AND subject = ?
+    `).get(provider, subject);
+  },
+
+  getAllForUser(userId) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT id, provider, subject, created_at, last_login
+      FROM user_identities WHERE user_id = ? ORDER BY provider
+    `).all(userId);
+  },
+
+  link(userId, provider, subject) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      INSERT INTO user_identities (user_id, provider, subject) VALUES (?, ?, ?)
+    `).run(userId, provider, subject);
+    return result.lastInsertRowid;
+  },
+
+  recordLogin(id) {
+    const db = getDatabase();
+    db.prepare(`UPDATE user_identities SET last_login = CURRENT_TIMESTAMP WHERE id = ?`).run(id);
+  }
+};
+
+module.exports = { identities };
@@ -10,24 +10,55 @@
  * EXPORTS:
  *   getDatabase          - Raw SQLite database instance
  *   DB_PATH              - Path to the SQLite file
- *   users                - User CRUD: getAll, getById, getByUsername, create, update, delete, verifyPassword, generateApiKey, revokeApiKey
- *   sessions             - Session tracking: create, isValid, revoke, revokeAllForUser, cleanup
+ *   parseTimestamp       - SQLite CURRENT_TIMESTAMP (or ISO string) to ms
+ *   users                - User CRUD: getAll, getById, getByUsername, getByEmail, create, update, delete, verifyPassword,
+ *                          clearMustChangePassword, requirePasswordChange, setStatus, disable, enable, setDeactivateAt, getDueForDeactivation, startDeviceTracking,
+ *                          setPendingTotpSecret, enableTotp, disableTotp, verifyTotp, useRecoveryCode
+ *   sessions             - Session tracking: create, isValid, get, touch, getActiveForUser, rotateRefresh, revoke, revokeById, revokeAllForUser, cleanup
  *   logs                 - Log storage: add, getRecent, clearOld, clearAll
+ *   auditLog             - Append-only audit trail: add, query, getFilterValues
  *   settings             - KV store: get, set, getAll
  *   notificationChannels - Channel CRUD: getAll, get, getDecrypted, save, delete
+ *   passkeys             - WebAuthn credentials: getAllForUser, getByCredentialId, create, recordUse, rename, delete
+ *   identities           - External identity links: get, getAllForUser, link, recordLogin
+ *   loginAttempts        - Brute-force counters: get, save, getLocked, clear, cleanup
+ *   signingKeys          - JWT signing keyring: getCurrent, getByKid, getAllActive, create, retireCurrent, cleanup
+ *   passwordResets       - Reset tokens: create, getValid, countRecent, markUsed, invalidateAllForUser, cleanup
+ *   magicLinks           - Email sign-in links: create, getValid, countRecent, markUsed, invalidateAllForUser, cleanup
+ *   invitations          - Invitation tokens: create, getValid, getOutstandingExpiries, markAccepted, invalidateAllForUser, cleanup
+ *   passwordHistory      - Previous password hashes: add, getRecent
+ *   knownDevices         - Devices users signed in from: getAllForUser, recordLogin, delete
+ *   apiKeys              - Named API keys: getAllForUser, getByKey, getSigningKey, create, recordUse, rename, setAllowedIps, delete,
+ *                          claimNonce, cleanupNonces
+ *   roles                - Roles + permissions: getAll, getById, getByName, create, update, delete,
+ *                          getForUser, getPermissionsForUser, setUserRoles, setAdmin
  *   encryption           - AES-256-CBC: encrypt, decrypt
+ *   passwordHash         - argon2id/bcrypt password hashes: hash, verify, needsRehash, identify, hashSync, verifySync
  *
  * CUSTOMIZATION:
  *   Add new domain modules in this directory and re-export here.
  */
 
-const { getDatabase, DB_PATH } = require('./connection');
+const { getDatabase, DB_PATH, parseTimestamp } = require('./connection');
 const { users } = require('./users');
 const { sessions } = require('./sessions');
 const { logs } = require('./logs');
+const { auditLog } = require('./auditLog');
 const { settings } = require('./settings');
 const { notificationChannels } = require('./notifications');
+const { passkeys } = require('./passkeys');
+const { identities } = require('./identities');
+const { loginAttempts } = require('./loginAttempts');
+const { signingKeys } = require('./signingKeys');
+const { passwordResets } = require('./passwordResets');
+const { magicLinks } = require('./magicLinks');
+const { invitations } = require('./invitations');
+const { passwordHistory } = require('./passwordHistory');
+const { knownDevices } = require('./knownDevices');
+const { apiKeys } = require('./apiKeys');
+const { roles } = require('./roles');
 const { encryption } = require('./encryption');
+const { passwordHash } = require('./passwordHash');
 
 // Initialize database on first require
 getDatabase();
@@ -35,10 +66,24 @@ getDatabase();
 module.exports = {
   getDatabase,
   DB_PATH,
+  parseTimestamp,
   users,
   sessions,
   logs,
+  auditLog,
   settings,
   notificationChannels,
-  encryption
+  passkeys,
+  identities,
+  loginAttempts,
+  signingKeys,
+  passwordResets,
+  magicLinks,
+  invitations,
+  passwordHistory,
+  knownDevices,
+  apiKeys,
+  roles,
+  encryption,
+  passwordHash
 };
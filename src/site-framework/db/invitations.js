@@ -0,0 +1,81 @@
+/**
+ * Invitations DAO
+ * ============================================
+ *
+ * Invitation tokens for pending (invited) accounts. Only a SHA-256 hash
+ * of each token is stored; the token itself only exists in the link.
+ * A resend replaces the outstanding invitation with a new one.
+ *
+ * USAGE:
+ *   const { invitations } = require('./db');
+ *   invitations.create(userId, tokenHash, expiresAt, invitedBy);
+ *   const invitation = invitations.getValid(tokenHash);
+ *   invitations.markAccepted(invitation.id);
+ */
+
+const { getDatabase } = require('./connection');
+
+const invitations = {
+  create(userId, tokenHash, expiresAt, invitedBy) {
+    const db = getDatabase();
+    db.prepare(`
+      INSERT INTO invitations (user_id, token_hash, expires_at, invited_by)
+      VALUES (?, ?, ?, ?)
+    `).run(userId, tokenHash, expiresAt, invitedBy || null);
+  },
+
+  /**
+   * Get an unused, unexpired invitation by token hash
+   */
+  getValid(tokenHash) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT * FROM invitations
+      WHERE token_hash = ? AND used_at IS NULL AND datetime(expires_at) > datetime('now')
+    `).get(tokenHash);
+  },
+
+  /**
+   * Latest outstanding (unused, possibly expired) invitation of each pending user
+   * @returns {Object} { [userId]: expiresAt }
+   */
+  getOutstandingExpiries() {
+    const db = getDatabase();
+    const rows = db.prepare(`
+      SELECT user_id, MAX(expires_at) AS expires_at FROM invitations
+      WHERE used_at IS NULL GROUP BY user_id
+    `).all();
+    return Object.fromEntries(rows.map(row => [row.user_id, row.expires_at]));
+  },
+
+  /**
+   * Mark an invitation accepted. Returns false if it was already used (lost a race).
+   */
+  markAccepted(id) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      UPDATE invitations SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL
+    `).run(id);
+    return result.changes > 0;
+  },
+
+  /**
+   * Invalidate every outstanding invitation for a user
+   */
+  invalidateAllForUser(userId) {
+    const db = getDatabase();
+    db.prepare(`
+      UPDATE invitations SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL
+    `).run(userId);
+  },
+
+  /**
+   * Drop used invitations. Expired ones stay so the users list can show them until resent or revoked.
+   */
+  cleanup() {
+    const db = getDatabase();
+    db.prepare(`DELETE FROM invitations WHERE used_at IS NOT NULL AND datetime(used_at) < datetime('now', '-1 day')`).run();
+  }
+};
+
+module.exports = { invitations };
@@ -0,0 +1,90 @@
+/**
+ * Known Devices DAO
+ * ============================================
+ *
+ * The IP address and user agent combinations each user has signed in
+ * from, so a login from a new one can be reported (see loginAlerts.js).
+ * A device is identified by the SHA-256 of its IP and user agent; the
+ * parts are kept for display. Only the MAX_ENTRIES most recently seen
+ * devices per user are kept.
+ *
+ * USAGE:
+ *   const { knownDevices } = require('./db');
+ *   const isNew = knownDevices.recordLogin(userId, ip, userAgent);
+ *   const list = knownDevices.getAllForUser(userId);
+ *   knownDevices.delete(id, userId);
+ */
+
+const crypto = require('crypto');
+const { getDatabase } = require('./connection');
+
+const MAX_ENTRIES = 50;
+
+function hashDevice(ip, userAgent) {
+  return crypto.createHash('sha256').update(`${ip || ''}\n${userAgent || ''}`).digest('hex');
+}
+
+/**
+ * Build a device object from a database row
+ */
+function toDeviceObject(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    ip: row.ip_address,
+    userAgent: row.user_agent,
+    firstSeenAt: row.first_seen_at,
+    lastSeenAt: row.last_seen_at
+  };
+}
+
+const knownDevices = {
+  MAX_ENTRIES,
+
+  /**
+   * A user's known devices, most recently seen first
+   */
+  getAllForUser(userId) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT * FROM known_devices WHERE user_id = ? ORDER BY last_seen_at DESC, id DESC
+    `).all(userId).map(toDeviceObject);
+  },
+
+  /**
+   * Note a login from a device, adding it if it's new
+   * @returns {boolean} true if the user had not signed in from it before
+   */
+  recordLogin(userId, ip, userAgent) {
+    const db = getDatabase();
+    const deviceHash = hashDevice(ip, userAgent);
+
+    const updated = db.prepare(`
+      UPDATE known_devices SET last_seen_at = CURRENT_TIMESTAMP WHERE user_id = ? AND device_hash = ?
+    `).run(userId, deviceHash);
+    if (updated.changes > 0) return false;
+
+    db.prepare(`
+      INSERT INTO known_devices (user_id, device_hash, ip_address, user_agent) VALUES (?, ?, ?, ?)
+    `).run(userId, deviceHash, ip || null, userAgent || null);
+    db.prepare(`
+      DELETE FROM known_devices
+      WHERE user_id = ? AND id NOT IN (
+        SELECT id FROM known_devices WHERE user_id = ? ORDER BY last_seen_at DESC, id DESC LIMIT ?
+      )
+    `).run(userId, userId, MAX_ENTRIES);
+    return true;
+  },
+
+  /**
+   * Forget a device. Scoped to the owner so users can't touch others' devices.
+   * @returns {boolean} Whether a device was removed
+   */
+  delete(id, userId) {
+    const db = getDatabase();
+    const result = db.prepare('DELETE FROM known_devices WHERE id = ? AND user_id = ?').run(id, userId);
+    return result.changes > 0;
+  }
+};
+
+module.exports = { knownDevices };
@@ -0,0 +1,78 @@
+/**
+ * Login Attempts DAO
+ * ============================================
+ *
+ * Failed login counters used for brute-force protection. Each row is
+ * keyed by what is being throttled, e.g. 'user:alice' or 'ip:203.0.113.7'.
+ * Timestamps are epoch milliseconds.
+ *
+ * USAGE:
+ *   const { loginAttempts } = require('./db');
+ *   const entry = loginAttempts.get('user:alice');
+ *   loginAttempts.save('user:alice', { failures: 1, lockouts: 0, lastFailureAt: Date.now(), lockedUntil: null });
+ *   loginAttempts.clear('user:alice');
+ */
+
+const { getDatabase } = require('./connection');
+
+// Rows with no failure for this long (and no active lock) are removed by cleanup()
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+function toAttemptObject(row) {
+  return {
+    key: row.key,
+    failures: row.failures,
+    lockouts: row.lockouts,
+    lastFailureAt: row.last_failure_at,
+    lockedUntil: row.locked_until
+  };
+}
+
+const loginAttempts = {
+  get(key) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM login_attempts WHERE key = ?').get(key);
+    return row ? toAttemptObject(row) : null;
+  },
+
+  save(key, { failures, lockouts, lastFailureAt, lockedUntil }) {
+    const db = getDatabase();
+    db.prepare(`
+      INSERT INTO login_attempts (key, failures, lockouts, last_failure_at, locked_until)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET
+        failures = excluded.failures,
+        lockouts = excluded.lockouts,
+        last_failure_at = excluded.last_failure_at,
+        locked_until = excluded.locked_until
+    `).run(key, failures, lockouts, lastFailureAt, lockedUntil);
+  },
+
+  /**
+   * Keys (optionally with a prefix such as 'user:') that are locked right now
+   */
+  getLocked(prefix = '') {
+    const db = getDatabase();
+    const rows = db.prepare(`
+      SELECT * FROM login_attempts WHERE locked_until > ? AND key LIKE ?
+    `).all(Date.now(), `${prefix}%`);
+    return rows.map(toAttemptObject);
+  },
+
+  clear(key) {
+    const db = getDatabase();
+    const result = db.prepare('DELETE FROM login_attempts WHERE key = ?').run(key);
+    return result.changes > 0;
+  },
+
+  cleanup() {
+    const db = getDatabase();
+    const now = Date.now();
+    db.prepare(`
+      DELETE FROM login_attempts
+      WHERE last_failure_at < ? AND (locked_until IS NULL OR locked_until < ?)
+    `).run(now - RETENTION_MS, now);
+  }
+};
+
+module.exports = { loginAttempts };
@@ -0,0 +1,75 @@
+/**
+ * Magic Links DAO
+ * ============================================
+ *
+ * Single-use sign-in links sent by email. Only a SHA-256 hash of each
+ * link token is stored; the token itself only exists in the emailed link.
+ *
+ * USAGE:
+ *   const { magicLinks } = require('./db');
+ *   magicLinks.create(userId, tokenHash, expiresAt, clientIP);
+ *   const link = magicLinks.getValid(tokenHash);
+ *   magicLinks.markUsed(link.id);
+ */
+
+const { getDatabase } = require('./connection');
+
+const magicLinks = {
+  create(userId, tokenHash, expiresAt, requestedIp) {
+    const db = getDatabase();
+    db.prepare(`
+      INSERT INTO magic_links (user_id, token_hash, expires_at, requested_ip)
+      VALUES (?, ?, ?, ?)
+    `).run(userId, tokenHash, expiresAt, requestedIp || null);
+  },
+
+  /**
+   * Get an unused, unexpired link by token hash
+   */
+  getValid(tokenHash) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT * FROM magic_links
+      WHERE token_hash = ? AND used_at IS NULL AND datetime(expires_at) > datetime('now')
+    `).get(tokenHash);
+  },
+
+  /**
+   * Number of links requested for a user within the last `minutes`
+   */
+  countRecent(userId, minutes) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT COUNT(*) AS count FROM magic_links
+      WHERE user_id = ? AND created_at > datetime('now', ?)
+    `).get(userId, `-${minutes} minutes`).count;
+  },
+
+  /**
+   * Mark a link used. Returns false if it was already used (lost a race).
+   */
+  markUsed(id, usedIp) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      UPDATE magic_links SET used_at = CURRENT_TIMESTAMP, used_ip = ? WHERE id = ? AND used_at IS NULL
+    `).run(usedIp || null, id);
+    return result.changes > 0;
+  },
+
+  /**
+   * Invalidate every outstanding link for a user
+   */
+  invalidateAllForUser(userId) {
+    const db = getDatabase();
+    db.prepare(`
+      UPDATE magic_links SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL
+    `).run(userId);
+  },
+
+  cleanup() {
+    const db = getDatabase();
+    db.prepare(`DELETE FROM magic_links WHERE datetime(expires_at) < datetime('now', '-1 day')`).run();
+  }
+};
+
+module.exports = { magicLinks };
@@ -0,0 +1,93 @@
+/**
+ * Passkeys DAO
+ * ============================================
+ *
+ * WebAuthn credentials registered by users. Public keys are not
+ * secret, so they are stored base64url-encoded without encryption.
+ *
+ * USAGE:
+ *   const { passkeys } = require('./db');
+ *   passkeys.create(userId, credential, 'YubiKey');
+ *   const list = passkeys.getAllForUser(userId);
+ *   passkeys.delete(id, userId);
+ */
+
+const { getDatabase } = require('./connection');
+
+/**
+ * Build a credential object from a database row
+ */
+function toPasskeyObject(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    credentialId: row.credential_id,
+    publicKey: row.public_key,
+    counter: row.counter,
+    transports: row.transports ? JSON.parse(row.transports) : [],
+    name: row.name,
+    deviceType: row.device_type,
+    backedUp: !!row.backed_up,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at
+  };
+}
+
+const passkeys = {
+  getAllForUser(userId) {
+    const db = getDatabase();
+    const rows = db.prepare(`
+      SELECT * FROM webauthn_credentials WHERE user_id = ? ORDER BY created_at
+    `).all(userId);
+    return rows.map(toPasskeyObject);
+  },
+
+  getByCredentialId(credentialId) {
+    const db = getDatabase();
+    const row = db.prepare(`SELECT * FROM webauthn_credentials WHERE credential_id = ?`).get(credentialId);
+    return row ? toPasskeyObject(row) : null;
+  },
+
+  create(userId, credential, name) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      INSERT INTO webauthn_credentials (user_id, credential_id, public_key, counter, transports, name, device_type, backed_up)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      userId,
+      credential.credentialId,
+      credential.publicKey,
+      credential.counter,
+      JSON.stringify(credential.transports || []),
+      name,
+      credential.deviceType,
+      credential.backedUp ? 1 : 0
+    );
+    return result.lastInsertRowid;
+  },
+
+  recordUse(id, counter) {
+    const db = getDatabase();
+    db.prepare(`
+      UPDATE webauthn_credentials SET counter = ?, last_used_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(counter, id);
+  },
+
+  /**
+   * Rename a credential. Scoped to the owner so users can't touch others' keys.
+   */
+  rename(id, userId, name) {
+    const db = getDatabase();
+    const result = db.prepare(`UPDATE webauthn_credentials SET name = ? WHERE id = ? AND user_id = ?`)
+      .run(name, id, userId);
+    return result.changes > 0;
+  },
+
+  delete(id, userId) {
+    const db = getDatabase();
+    const result = db.prepare(`DELETE FROM webauthn_credentials WHERE id = ? AND user_id = ?`).run(id, userId);
+    return result.changes > 0;
+  }
+};
+
+module.exports = { passkeys };
@@ -0,0 +1,117 @@
+/**
+ * Password Hashing
+ * ============================================
+ *
+ * Hashes and checks passwords for users.js (and the seeded admin in
+ * connection.js). New hashes use argon2id by default, or bcrypt. Every
+ * stored hash starts with its algorithm identifier and parameters
+ * ($argon2id$v=19$m=...,t=...,p=...$ or $2b$<cost>$), so hashes made
+ * with older settings keep working and needsRehash() tells when one
+ * should be replaced; users.verifyPassword() does that on a successful
+ * check.
+ *
+ * bcrypt only looks at the first 72 bytes of a password; argon2id has
+ * no such limit, so maxPasswordBytes is larger for it.
+ *
+ * USAGE:
+ *   const { passwordHash } = require('./db');
+ *   const hash = await passwordHash.hash('correct horse');
+ *   await passwordHash.verify('correct horse', hash);   // true
+ *   passwordHash.needsRehash(hash);                     // false until the algorithm or cost changes
+ *
+ * Configuration (environment variables):
+ *   PASSWORD_HASH_ALGORITHM - argon2id or bcrypt (default: argon2id)
+ *   BCRYPT_COST             - bcrypt cost factor, 10-15 (default: 12)
+ *   ARGON2_MEMORY_KIB       - argon2id memory per hash in KiB, at least 19456 (default: 65536)
+ *   ARGON2_TIME_COST        - argon2id iterations, at least 2 (default: 3)
+ */
+
+const argon2 = require('argon2');
+const bcrypt = require('bcrypt');
+
+const ALGORITHMS = ['argon2id', 'bcrypt'];
+
+const ALGORITHM = (process.env.PASSWORD_HASH_ALGORITHM || 'argon2id').toLowerCase();
+if (!ALGORITHMS.includes(ALGORITHM)) {
+  throw new Error(`PASSWORD_HASH_ALGORITHM must be one of: ${ALGORITHMS.join(', ')}`);
+}
+
+const BCRYPT_COST = Math.min(15, Math.max(10, parseInt(process.env.BCRYPT_COST) || 12));
+
+const ARGON2_OPTIONS = {
+  type: argon2.argon2id,
+  memoryCost: Math.max(19456, parseInt(process.env.ARGON2_MEMORY_KIB) || 65536),
+  timeCost: Math.max(2, parseInt(process.env.ARGON2_TIME_COST) || 3),
+  parallelism: 4
+};
+
+/**
+ * Algorithm a stored hash was made with
+ * @returns {string|null} 'argon2id', 'bcrypt', or null if unrecognised
+ */
+function identify(hash) {
+  if (typeof hash !== 'string') return null;
+  if (hash.startsWith('$argon2id$')) return 'argon2id';
+  if (/^\$2[aby]\$\d{2}\$/.test(hash)) return 'bcrypt';
+  return null;
+}
+
+const passwordHash = {
+  algorithm: ALGORITHM,
+  maxPasswordBytes: ALGORITHM === 'bcrypt' ? 72 : 1024,
+
+  identify,
+
+  /**
+   * Hash with the configured algorithm and cost
+   */
+  async hash(password) {
+    if (ALGORITHM === 'bcrypt') {
+      return bcrypt.hash(password, BCRYPT_COST);
+    }
+    return argon2.hash(password, ARGON2_OPTIONS);
+  },
+
+  /**
+   * Synchronous bcrypt hash, for schema seeding (argon2 has no sync API).
+   * Such hashes are upgraded on first login when argon2id is configured.
+   */
+  hashSync(password) {
+    return bcrypt.hashSync(password, BCRYPT_COST);
+  },
+
+  /**
+   * Check a password against a hash of either algorithm
+   */
+  async verify(password, hash) {
+    switch (identify(hash)) {
+      case 'argon2id':
+        return argon2.verify(hash, password);
+      case 'bcrypt':
+        return bcrypt.compare(password, hash);
+      default:
+        return false;
+    }
+  },
+
+  /**
+   * Synchronous check, for migrations. Only bcrypt hashes can match.
+   */
+  verifySync(password, hash) {
+    return identify(hash) === 'bcrypt' && bcrypt.compareSync(password, hash);
+  },
+
+  /**
+   * Whether a hash was made with another algorithm or cost than the configured one
+   */
+  needsRehash(hash) {
+    const algorithm = identify(hash);
+    if (algorithm !== ALGORITHM) return true;
+    if (algorithm === 'bcrypt') return bcrypt.getRounds(hash) !== BCRYPT_COST;
+
+    const { type, ...params } = ARGON2_OPTIONS;
+    return argon2.needsRehash(hash, params);
+  }
+};
+
+module.exports = { passwordHash };
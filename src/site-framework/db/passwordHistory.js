@@ -0,0 +1,44 @@
+/**
+ * Password History DAO
+ * ============================================
+ *
+ * Previous password hashes per user, used to stop password reuse.
+ * users.update() records the old hash whenever a password changes;
+ * only the newest MAX_ENTRIES are kept.
+ *
+ * USAGE:
+ *   const { passwordHistory } = require('./db');
+ *   const hashes = passwordHistory.getRecent(userId, 5);   // newest first
+ */
+
+const { getDatabase } = require('./connection');
+
+// Upper bound for the security.passwordHistory setting
+const MAX_ENTRIES = 24;
+
+const passwordHistory = {
+  MAX_ENTRIES,
+
+  add(userId, passwordHash) {
+    const db = getDatabase();
+    db.prepare(`INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)`).run(userId, passwordHash);
+    db.prepare(`
+      DELETE FROM password_history
+      WHERE user_id = ? AND id NOT IN (
+        SELECT id FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?
+      )
+    `).run(userId, userId, MAX_ENTRIES);
+  },
+
+  /**
+   * Most recent previous password hashes, newest first
+   */
+  getRecent(userId, limit) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT password_hash FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?
+    `).all(userId, limit).map(row => row.password_hash);
+  }
+};
+
+module.exports = { passwordHistory };
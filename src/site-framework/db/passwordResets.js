@@ -0,0 +1,75 @@
+/**
+ * Password Resets DAO
+ * ============================================
+ *
+ * One-time password reset tokens. Only a SHA-256 hash of each token
+ * is stored; the token itself only exists in the emailed link.
+ *
+ * USAGE:
+ *   const { passwordResets } = require('./db');
+ *   passwordResets.create(userId, tokenHash, expiresAt, clientIP);
+ *   const reset = passwordResets.getValid(tokenHash);
+ *   passwordResets.markUsed(reset.id);
+ */
+
+const { getDatabase } = require('./connection');
+
+const passwordResets = {
+  create(userId, tokenHash, expiresAt, requestedIp) {
+    const db = getDatabase();
+    db.prepare(`
+      INSERT INTO password_resets (user_id, token_hash, expires_at, requested_ip)
+      VALUES (?, ?, ?, ?)
+    `).run(userId, tokenHash, expiresAt, requestedIp || null);
+  },
+
+  /**
+   * Get an unused, unexpired reset by token hash
+   */
+  getValid(tokenHash) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT * FROM password_resets
+      WHERE token_hash = ? AND used_at IS NULL AND datetime(expires_at) > datetime('now')
+    `).get(tokenHash);
+  },
+
+  /**
+   * Number of resets requested for a user within the last `minutes`
+   */
+  countRecent(userId, minutes) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT COUNT(*) AS count FROM password_resets
+      WHERE user_id = ? AND created_at > datetime('now', ?)
+    `).get(userId, `-${minutes} minutes`).count;
+  },
+
+  /**
+   * Mark a reset used. Returns false if it was already used (lost a race).
+   */
+  markUsed(id) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL
+    `).run(id);
+    return result.changes > 0;
+  },
+
+  /**
+   * Invalidate every outstanding reset for a user
+   */
+  invalidateAllForUser(userId) {
+    const db = getDatabase();
+    db.prepare(`
+      UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL
+    `).run(userId);
+  },
+
+  cleanup() {
+    const db = getDatabase();
+    db.prepare(`DELETE FROM password_resets WHERE datetime(expires_at) < datetime('now', '-1 day')`).run();
+  }
+};
+
+module.exports = { passwordResets };
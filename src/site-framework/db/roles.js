@@ -0,0 +1,174 @@
+/**
+ * Roles DAO
+ * ============================================
+ *
+ * Roles, the permissions each grants (role_permissions) and which users
+ * hold them (user_roles). The built-in Administrator role holds "*" and
+ * can't be edited or deleted. users.is_admin mirrors membership of that
+ * role, so code that only needs "is this an admin?" keeps working.
+ *
+ * USAGE:
+ *   const { roles } = require('./db');
+ *   const role = roles.create('Log viewer', 'Read-only logs', ['logs.view']);
+ *   roles.setUserRoles(userId, [role.id]);
+ *   roles.getPermissionsForUser(userId);   // ['logs.view']
+ */
+
+const { getDatabase } = require('./connection');
+
+const ADMIN_ROLE = 'Administrator';
+
+/**
+ * Build a role object from a database row
+ */
+function toRoleObject(row, permissions) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    builtIn: row.built_in === 1,
+    permissions,
+    createdAt: row.created_at
+  };
+}
+
+function getRolePermissions(db, roleId) {
+  return db.prepare(`SELECT permission FROM role_permissions WHERE role_id = ? ORDER BY permission`)
+    .all(roleId).map(row => row.permission);
+}
+
+/**
+ * Recompute users.is_admin from Administrator role membership
+ */
+function syncAdminFlag(db, userId) {
+  db.prepare(`
+    UPDATE users SET is_admin = EXISTS (
+      SELECT 1 FROM user_roles ur JOIN roles r ON r.id = ur.role_id
+      WHERE ur.user_id = users.id AND r.name = ?
+    ) WHERE id = ?
+  `).run(ADMIN_ROLE, userId);
+}
+
+const roles = {
+  ADMIN_ROLE,
+
+  /**
+   * All roles with their permissions and how many users hold each
+   */
+  getAll() {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT r.*, (SELECT COUNT(*) FROM user_roles ur WHERE ur.role_id = r.id) AS user_count
+      FROM roles r ORDER BY r.built_in DESC, r.name
+    `).all().map(row => ({ ...toRoleObject(row, getRolePermissions(db, row.id)), userCount: row.user_count }));
+  },
+
+  getById(id) {
+    const db = getDatabase();
+    const row = db.prepare(`SELECT * FROM roles WHERE id = ?`).get(id);
+    return row ? toRoleObject(row, getRolePermissions(db, row.id)) : null;
+  },
+
+  getByName(name) {
+    const db = getDatabase();
+    const row = db.prepare(`SELECT * FROM roles WHERE name = ?`).get(name);
+    return row ? toRoleObject(row, getRolePermissions(db, row.id)) : null;
+  },
+
+  create(name, description, permissions) {
+    const db = getDatabase();
+    return db.transaction(() => {
+      const result = db.prepare(`INSERT INTO roles (name, description) VALUES (?, ?)`).run(name, description || null);
+      const insert = db.prepare(`INSERT INTO role_permissions (role_id, permission) VALUES (?, ?)`);
+      permissions.forEach(permission => insert.run(result.lastInsertRowid, permission));
+      return roles.getById(result.lastInsertRowid);
+    })();
+  },
+
+  /**
+   * Change a custom role. Built-in roles are left untouched.
+   * @param {Object} updates - { name?, description?, permissions? }
+   * @returns {boolean} false if the role doesn't exist or is built in
+   */
+  update(id, updates) {
+    const db = getDatabase();
+    return db.transaction(() => {
+      const row = db.prepare(`SELECT built_in FROM roles WHERE id = ?`).get(id);
+      if (!row || row.built_in === 1) return false;
+
+      if (updates.name !== undefined) {
+        db.prepare(`UPDATE roles SET name = ? WHERE id = ?`).run(updates.name, id);
+      }
+      if (updates.description !== undefined) {
+        db.prepare(`UPDATE roles SET description = ? WHERE id = ?`).run(updates.description || null, id);
+      }
+      if (updates.permissions !== undefined) {
+        db.prepare(`DELETE FROM role_permissions WHERE role_id = ?`).run(id);
+        const insert = db.prepare(`INSERT INTO role_permissions (role_id, permission) VALUES (?, ?)`);
+        updates.permissions.forEach(permission => insert.run(id, permission));
+      }
+      return true;
+    })();
+  },
+
+  /**
+   * Delete a custom role (its users lose it)
+   * @returns {boolean} false if the role doesn't exist or is built in
+   */
+  delete(id) {
+    const db = getDatabase();
+    const result = db.prepare(`DELETE FROM roles WHERE id = ? AND built_in = 0`).run(id);
+    return result.changes > 0;
+  },
+
+  getForUser(userId) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT r.id, r.name FROM user_roles ur JOIN roles r ON r.id = ur.role_id
+      WHERE ur.user_id = ? ORDER BY r.built_in DESC, r.name
+    `).all(userId);
+  },
+
+  /**
+   * Permissions granted to a user by all their roles (may contain "*")
+   */
+  getPermissionsForUser(userId) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT DISTINCT rp.permission FROM user_roles ur
+      JOIN role_permissions rp ON rp.role_id = ur.role_id
+      WHERE ur.user_id = ?
+    `).all(userId).map(row => row.permission);
+  },
+
+  /**
+   * Replace a user's roles
+   */
+  setUserRoles(userId, roleIds) {
+    const db = getDatabase();
+    db.transaction(() => {
+      db.prepare(`DELETE FROM user_roles WHERE user_id = ?`).run(userId);
+      const insert = db.prepare(`INSERT OR IGNORE INTO user_roles (user_id, role_id) VALUES (?, ?)`);
+      roleIds.forEach(roleId => insert.run(userId, roleId));
+      syncAdminFlag(db, userId);
+    })();
+  },
+
+  /**
+   * Grant or remove the Administrator role, leaving other roles alone
+   */
+  setAdmin(userId, isAdmin) {
+    const db = getDatabase();
+    db.transaction(() => {
+      const adminRole = db.prepare(`SELECT id FROM roles WHERE name = ?`).get(ADMIN_ROLE);
+      if (isAdmin) {
+        db.prepare(`INSERT OR IGNORE INTO user_roles (user_id, role_id) VALUES (?, ?)`).run(userId, adminRole.id);
+      } else {
+        db.prepare(`DELETE FROM user_roles WHERE user_id = ? AND role_id = ?`).run(userId, adminRole.id);
+      }
+      syncAdminFlag(db, userId);
+    })();
+  }
+};
+
+module.exports = { roles };
@@ -4,31 +4,105 @@
  *
  * Manages JWT session tracking for token revocation.
  *
+ * A session is one login (a refresh token "family"). Access tokens carry
+ * the session's token_id as their jti; the current refresh token is kept
+ * as a SHA-256 hash and replaced on every refresh. The previous hash is
+ * kept so a replayed refresh token can be recognised. Impersonation
+ * sessions record the admin behind them in actor_id. The browser's user
+ * agent, the latest IP and the last time the session was used are kept
+ * so users can see where they are signed in.
+ *
  * USAGE:
  *   const { sessions } = require('./db');
- *   sessions.create(userId, tokenId, expiresAt);
+ *   sessions.create(userId, tokenId, expiresAt, { amr, refreshHash, actorId, userAgent, ip });
  *   sessions.isValid(tokenId);
+ *   sessions.get(tokenId);
+ *   sessions.touch(tokenId, clientIP);
+ *   sessions.getActiveForUser(userId);
+ *   sessions.rotateRefresh(tokenId, refreshHash, expiresAt);
  *   sessions.revoke(tokenId);
+ *   sessions.revokeById(id, userId);
+ *   sessions.revokeAllForUser(userId, exceptTokenId);
  */
 
 const { getDatabase } = require('./connection');
 
 const sessions = {
-  create(userId, tokenId, expiresAt) {
+  create(userId, tokenId, expiresAt, options = {}) {
     const db = getDatabase();
     db.prepare(`
-      INSERT INTO sessions (user_id, token_id, expires_at)
-      VALUES (?, ?, ?)
-    `).run(userId, tokenId, expiresAt);
+      INSERT INTO sessions (user_id, token_id, expires_at, amr, refresh_hash, actor_id, user_agent, ip_address, last_seen_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `).run(
+      userId, tokenId, expiresAt,
+      options.amr ? JSON.stringify(options.amr) : null,
+      options.refreshHash || null,
+      options.actorId || null,
+      options.userAgent || null,
+      options.ip || null
+    );
   },
 
   isValid(tokenId) {
+    return !!this.get(tokenId);
+  },
+
+  /**
+   * Get an active (not revoked, not expired) session
+   */
+  get(tokenId) {
     const db = getDatabase();
     const session = db.prepare(`
       SELECT * FROM sessions
-      WHERE token_id = ? AND revoked = 0 AND expires_at > datetime('now')
+      WHERE token_id = ? AND revoked = 0 AND datetime(expires_at) > datetime('now')
     `).get(tokenId);
-    return !!session;
+    if (!session) return null;
+
+    session.amr = session.amr ? JSON.parse(session.amr) : ['pwd'];
+    return session;
+  },
+
+  /**
+   * Record that a session was used. Written at most once a minute per
+   * session unless the IP changes.
+   */
+  touch(tokenId, ip) {
+    const db = getDatabase();
+    db.prepare(`
+      UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP, ip_address = ?
+      WHERE token_id = ? AND (last_seen_at IS NULL OR ip_address IS NOT ? OR last_seen_at < datetime('now', '-1 minute'))
+    `).run(ip, tokenId, ip);
+  },
+
+  /**
+   * A user's active sessions, most recently used first.
+   * Never includes the refresh token hashes.
+   */
+  getActiveForUser(userId) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT s.id, s.token_id, s.created_at, s.expires_at, s.amr, s.user_agent, s.ip_address, s.last_seen_at,
+             s.actor_id, a.username AS actor_username
+      FROM sessions s
+      LEFT JOIN users a ON a.id = s.actor_id
+      WHERE s.user_id = ? AND s.revoked = 0 AND datetime(s.expires_at) > datetime('now')
+      ORDER BY COALESCE(s.last_seen_at, s.created_at) DESC
+    `).all(userId).map(session => ({
+      ...session,
+      amr: session.amr ? JSON.parse(session.amr) : ['pwd']
+    }));
+  },
+
+  /**
+   * Replace the refresh token hash, keeping the old one for reuse detection
+   */
+  rotateRefresh(tokenId, refreshHash, expiresAt) {
+    const db = getDatabase();
+    db.prepare(`
+      UPDATE sessions
+      SET previous_refresh_hash = refresh_hash, refresh_hash = ?, refreshed_at = ?, expires_at = ?
+      WHERE token_id = ?
+    `).run(refreshHash, new Date().toISOString(), expiresAt, tokenId);
   },
 
   revoke(tokenId) {
@@ -36,14 +110,30 @@ const sessions = {
     db.prepare('UPDATE sessions SET revoked = 1 WHERE token_id = ?').run(tokenId);
   },
 
-  revokeAllForUser(userId) {
+  /**
+   * Revoke one session by row id. Scoped to the owner so users can't end others' sessions.
+   * @returns {boolean} Whether an active session was revoked
+   */
+  revokeById(id, userId) {
+    const db = getDatabase();
+    const result = db.prepare('UPDATE sessions SET revoked = 1 WHERE id = ? AND user_id = ? AND revoked = 0').run(id, userId);
+    return result.changes > 0;
+  },
+
+  /**
+   * Revoke all of a user's sessions
+   * @param {string} [exceptTokenId] - Session to keep (the caller's own)
+   * @returns {number} Number of sessions revoked
+   */
+  revokeAllForUser(userId, exceptTokenId = null) {
     const db = getDatabase();
-    db.prepare('UPDATE sessions SET revoked = 1 WHERE user_id = ?').run(userId);
+    const result = db.prepare('UPDATE sessions SET revoked = 1 WHERE user_id = ? AND revoked = 0 AND token_id IS NOT ?').run(userId, exceptTokenId);
+    return result.changes;
   },
 
   cleanup() {
     const db = getDatabase();
-    db.prepare(`DELETE FROM sessions WHERE expires_at < datetime('now')`).run();
+    db.prepare(`DELETE FROM sessions WHERE datetime(expires_at) < datetime('now')`).run();
   }
 };
 
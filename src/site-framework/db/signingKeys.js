@@ -0,0 +1,79 @@
+/**
+ * Signing Keys DAO
+ * ============================================
+ *
+ * Keyring for JWT signing. Private keys are stored encrypted (PEM);
+ * public keys are stored as PEM. The current key has no retires_at;
+ * rotated-out keys keep verifying tokens until retires_at passes.
+ *
+ * USAGE:
+ *   const { signingKeys } = require('./db');
+ *   const current = signingKeys.getCurrent();
+ *   signingKeys.create(kid, 'ES256', privatePem, publicPem);
+ *   const key = signingKeys.getByKid(kid);
+ */
+
+const { getDatabase } = require('./connection');
+const { encryption } = require('./encryption');
+
+function withPrivateKey(row) {
+  if (!row) return null;
+  return { ...row, private_key: encryption.decrypt(row.private_key) };
+}
+
+const signingKeys = {
+  /**
+   * Current signing key (private key decrypted)
+   */
+  getCurrent() {
+    const db = getDatabase();
+    return withPrivateKey(db.prepare(`
+      SELECT * FROM signing_keys WHERE retires_at IS NULL ORDER BY id DESC LIMIT 1
+    `).get());
+  },
+
+  /**
+   * Public half of a key that can still verify tokens
+   */
+  getByKid(kid) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT kid, algorithm, public_key, created_at, retires_at FROM signing_keys
+      WHERE kid = ? AND (retires_at IS NULL OR datetime(retires_at) > datetime('now'))
+    `).get(kid);
+  },
+
+  /**
+   * All keys that can still verify tokens (public halves only)
+   */
+  getAllActive() {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT kid, algorithm, public_key, created_at, retires_at FROM signing_keys
+      WHERE retires_at IS NULL OR datetime(retires_at) > datetime('now')
+      ORDER BY id DESC
+    `).all();
+  },
+
+  create(kid, algorithm, privateKey, publicKey) {
+    const db = getDatabase();
+    db.prepare(`
+      INSERT INTO signing_keys (kid, algorithm, private_key, public_key) VALUES (?, ?, ?, ?)
+    `).run(kid, algorithm, encryption.encrypt(privateKey), publicKey);
+  },
+
+  /**
+   * Stop signing with every current key; they keep verifying until retiresAt
+   */
+  retireCurrent(retiresAt) {
+    const db = getDatabase();
+    db.prepare(`UPDATE signing_keys SET retires_at = ? WHERE retires_at IS NULL`).run(retiresAt);
+  },
+
+  cleanup() {
+    const db = getDatabase();
+    db.prepare(`DELETE FROM signing_keys WHERE retires_at IS NOT NULL AND datetime(retires_at) < datetime('now')`).run();
+  }
+};
+
+module.exports = { signingKeys };
@@ -3,7 +3,16 @@
  * ============================================
  *
  * CRUD operations for the users table.
- * Handles password hashing, API key generation, and verification.
+ * Handles password hashing (see passwordHash.js; previous hashes go to
+ * password_history), verification with rehash-on-login, and TOTP two-factor enrollment (secrets encrypted at
+ * rest). API keys live in the api_keys table (apiKeys.js); the old
+ * users.api_key* columns are no longer used. Roles live in roles.js;
+ * is_admin mirrors the Administrator role and `isAdmin` in create/update
+ * grants or removes that role. `status` is 'active', 'invited' for
+ * accounts created by invitation that haven't set a password yet,
+ * 'pending' for self-registered accounts awaiting approval, or 'disabled'
+ * (with a reason and time) for accounts an admin has cut off. An active
+ * account can have a `deactivate_at` time after which it is disabled.
  *
  * USAGE:
  *   const { users } = require('./db');
@@ -11,17 +20,18 @@
  *   const user = users.getByUsername('admin');
  */
 
-const bcrypt = require('bcrypt');
-const crypto = require('crypto');
 const { getDatabase } = require('./connection');
-
-const SALT_ROUNDS = 12;
+const { encryption } = require('./encryption');
+const { passwordHash } = require('./passwordHash');
+const { passwordHistory } = require('./passwordHistory');
+const { roles } = require('./roles');
+const totp = require('../totp');
 
 const users = {
   getAll() {
     const db = getDatabase();
     return db.prepare(`
-      SELECT id, username, is_admin, created_at, last_login
+      SELECT id, username, email, is_admin, status, disabled_reason, disabled_at, deactivate_at, totp_enabled, created_at, last_login
       FROM users ORDER BY username
     `).all();
   },
@@ -29,7 +39,7 @@ const users = {
   getById(id) {
     const db = getDatabase();
     return db.prepare(`
-      SELECT id, username, is_admin, api_key, api_key_last_four, api_key_created_at, created_at, last_login
+      SELECT id, username, email, is_admin, status, disabled_reason, disabled_at, deactivate_at, totp_enabled, created_at, last_login
       FROM users WHERE id = ?
     `).get(id);
   },
@@ -37,7 +47,7 @@ const users = {
   getFullById(id) {
     const db = getDatabase();
     return db.prepare(`
-      SELECT id, username, password_hash, is_admin, must_change_password, api_key, api_key_last_four, api_key_created_at, created_at, last_login
+      SELECT id, username, email, password_hash, is_admin, status, deactivate_at, must_change_password, password_changed_at, totp_enabled, created_at, last_login
       FROM users WHERE id = ?
     `).get(id);
   },
@@ -47,29 +57,32 @@ const users = {
     db.prepare(`UPDATE users SET must_change_password = 0 WHERE id = ?`).run(id);
   },
 
+  requirePasswordChange(id) {
+    const db = getDatabase();
+    db.prepare(`UPDATE users SET must_change_password = 1 WHERE id = ?`).run(id);
+  },
+
   getByUsername(username) {
     const db = getDatabase();
     return db.prepare(`SELECT * FROM users WHERE username = ?`).get(username);
   },
 
-  getByApiKey(apiKey) {
+  getByEmail(email) {
     const db = getDatabase();
-    const hashedKey = crypto.createHash('sha256').update(apiKey).digest('hex');
-    return db.prepare(`
-      SELECT id, username, is_admin FROM users WHERE api_key = ?
-    `).get(hashedKey);
+    return db.prepare(`SELECT * FROM users WHERE email = ? COLLATE NOCASE`).get(email);
   },
 
-  async create(username, password, isAdmin = false) {
+  async create(username, password, isAdmin = false, email = null) {
     const db = getDatabase();
-    const hash = await bcrypt.hash(password, SALT_ROUNDS);
+    const hash = await passwordHash.hash(password);
 
     const result = db.prepare(`
-      INSERT INTO users (username, password_hash, is_admin)
-      VALUES (?, ?, ?)
-    `).run(username, hash, isAdmin ? 1 : 0);
+      INSERT INTO users (username, password_hash, email, password_changed_at)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    `).run(username, hash, email || null);
+    if (isAdmin) roles.setAdmin(result.lastInsertRowid, true);
 
-    return { id: result.lastInsertRowid, username, isAdmin };
+    return { id: result.lastInsertRowid, username, isAdmin, email: email || null };
   },
 
   async update(id, updates) {
@@ -82,16 +95,19 @@ const users = {
       values.push(updates.username);
     }
     if (updates.password !== undefined) {
-      fields.push('password_hash = ?');
-      values.push(await bcrypt.hash(updates.password, SALT_ROUNDS));
+      fields.push('password_hash = ?', 'password_changed_at = CURRENT_TIMESTAMP');
+      values.push(await passwordHash.hash(updates.password));
+
+      const current = db.prepare(`SELECT password_hash FROM users WHERE id = ?`).get(id);
+      if (current) passwordHistory.add(id, current.password_hash);
     }
-    if (updates.isAdmin !== undefined) {
-      fields.push('is_admin = ?');
-      values.push(updates.isAdmin ? 1 : 0);
+    if (updates.email !== undefined) {
+      fields.push('email = ?');
+      values.push(updates.email || null);
     }
-    if (updates.apiKey !== undefined) {
-      fields.push('api_key = ?');
-      values.push(updates.apiKey);
+    if (updates.isAdmin !== undefined) {
+      roles.setAdmin(id, updates.isAdmin);
+      if (fields.length === 0) return true;
     }
 
     if (fields.length === 0) return false;
@@ -101,13 +117,70 @@ const users = {
     return true;
   },
 
+  setStatus(id, status) {
+    const db = getDatabase();
+    db.prepare(`UPDATE users SET status = ? WHERE id = ?`).run(status, id);
+  },
+
+  disable(id, reason = null) {
+    const db = getDatabase();
+    db.prepare(`
+      UPDATE users SET status = 'disabled', disabled_reason = ?, disabled_at = CURRENT_TIMESTAMP, deactivate_at = NULL
+      WHERE id = ?
+    `).run(reason || null, id);
+  },
+
+  enable(id) {
+    const db = getDatabase();
+    db.prepare(`
+      UPDATE users SET status = 'active', disabled_reason = NULL, disabled_at = NULL
+      WHERE id = ? AND status = 'disabled'
+    `).run(id);
+  },
+
+  /**
+   * @param {string|null} deactivateAt - ISO timestamp, or null to cancel
+   */
+  setDeactivateAt(id, deactivateAt) {
+    const db = getDatabase();
+    db.prepare(`UPDATE users SET deactivate_at = ? WHERE id = ?`).run(deactivateAt || null, id);
+  },
+
+  /**
+   * Active users whose scheduled deactivation time has passed
+   */
+  getDueForDeactivation() {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT id, username FROM users
+      WHERE status = 'active' AND deactivate_at IS NOT NULL AND datetime(deactivate_at) <= datetime('now')
+    `).all();
+  },
+
   delete(id) {
     const db = getDatabase();
     db.prepare('DELETE FROM users WHERE id = ?').run(id);
   },
 
+  /**
+   * Check a password against the user's hash. When it matches a hash made
+   * with an outdated algorithm or cost, the hash is replaced (same
+   * password, so no history entry or password_changed_at update).
+   * Pass { password_hash } alone to check a hash without touching any row.
+   */
   async verifyPassword(user, password) {
-    return bcrypt.compare(password, user.password_hash);
+    const valid = await passwordHash.verify(password, user.password_hash);
+
+    if (valid && user.id && passwordHash.needsRehash(user.password_hash)) {
+      const db = getDatabase();
+      const hash = await passwordHash.hash(password);
+      // Skipped if the password changed while hashing
+      db.prepare(`UPDATE users SET password_hash = ? WHERE id = ? AND password_hash = ?`)
+        .run(hash, user.id, user.password_hash);
+      user.password_hash = hash;
+    }
+
+    return valid;
   },
 
   updateLastLogin(id) {
@@ -115,22 +188,81 @@ const users = {
     db.prepare(`UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?`).run(id);
   },
 
-  generateApiKey(id) {
+  /**
+   * Mark the user's known devices as tracked from now on (see loginAlerts.js).
+   * Not reset when devices are forgotten.
+   * @returns {boolean} true if tracking only started now
+   */
+  startDeviceTracking(id) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      UPDATE users SET devices_tracked_at = CURRENT_TIMESTAMP WHERE id = ? AND devices_tracked_at IS NULL
+    `).run(id);
+    return result.changes > 0;
+  },
+
+  // ============================================
+  // TOTP Two-Factor
+  // ============================================
+
+  /**
+   * Store a new (not yet confirmed) TOTP secret. 2FA stays disabled
+   * until enableTotp() is called with a verified code.
+   */
+  setPendingTotpSecret(id, secret) {
+    const db = getDatabase();
+    db.prepare(`
+      UPDATE users SET totp_secret = ?, totp_enabled = 0, totp_last_step = NULL, totp_recovery_codes = NULL
+      WHERE id = ?
+    `).run(encryption.encrypt(secret), id);
+  },
+
+  enableTotp(id, recoveryCodes) {
     const db = getDatabase();
-    const apiKey = crypto.randomBytes(32).toString('hex');
-    const lastFour = apiKey.slice(-4);
-    const createdAt = new Date().toISOString();
-    const hashedKey = crypto.createHash('sha256').update(apiKey).digest('hex');
+    const hashes = recoveryCodes.map(code => totp.hashRecoveryCode(code));
+    db.prepare(`UPDATE users SET totp_enabled = 1, totp_recovery_codes = ? WHERE id = ?`)
+      .run(JSON.stringify(hashes), id);
+  },
 
-    db.prepare('UPDATE users SET api_key = ?, api_key_last_four = ?, api_key_created_at = ? WHERE id = ?')
-      .run(hashedKey, lastFour, createdAt, id);
+  disableTotp(id) {
+    const db = getDatabase();
+    db.prepare(`
+      UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL, totp_recovery_codes = NULL
+      WHERE id = ?
+    `).run(id);
+  },
 
-    return { apiKey, lastFour, createdAt };
+  /**
+   * Verify a TOTP code for a user. Each time step can only be used once.
+   */
+  verifyTotp(id, code) {
+    const db = getDatabase();
+    const row = db.prepare(`SELECT totp_secret, totp_last_step FROM users WHERE id = ?`).get(id);
+    if (!row || !row.totp_secret) return false;
+
+    const step = totp.verify(encryption.decrypt(row.totp_secret), code);
+    if (step === null) return false;
+    if (row.totp_last_step !== null && step <= row.totp_last_step) return false;
+
+    db.prepare(`UPDATE users SET totp_last_step = ? WHERE id = ?`).run(step, id);
+    return true;
   },
 
-  revokeApiKey(id) {
+  /**
+   * Consume a one-time recovery code. Returns the number of codes left, or -1 if invalid.
+   */
+  useRecoveryCode(id, code) {
     const db = getDatabase();
-    db.prepare('UPDATE users SET api_key = NULL, api_key_last_four = NULL, api_key_created_at = NULL WHERE id = ?').run(id);
+    const row = db.prepare(`SELECT totp_recovery_codes FROM users WHERE id = ? AND totp_enabled = 1`).get(id);
+    if (!row || !row.totp_recovery_codes) return -1;
+
+    const hashes = JSON.parse(row.totp_recovery_codes);
+    const idx = hashes.indexOf(totp.hashRecoveryCode(code));
+    if (idx === -1) return -1;
+
+    hashes.splice(idx, 1);
+    db.prepare(`UPDATE users SET totp_recovery_codes = ? WHERE id = ?`).run(JSON.stringify(hashes), id);
+    return hashes.length;
   }
 };
 
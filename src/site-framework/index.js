@@ -12,13 +12,47 @@
  *   app.get('/protected', framework.auth.requireAuth, handler);
  *
  * EXPORTS:
- *   db       - Raw database module (getDatabase, DB_PATH, encryption)
- *   users    - User CRUD: getAll, getById, getByUsername, create, update, delete, verifyPassword, generateApiKey, revokeApiKey
- *   sessions - Session tracking: create, isValid, revoke, revokeAllForUser, cleanup
+ *   db       - Raw database module (getDatabase, DB_PATH, parseTimestamp, encryption, passwordHash)
+ *   users    - User CRUD: getAll, getById, getByUsername, getByEmail, create, update, delete, verifyPassword,
+ *              clearMustChangePassword, requirePasswordChange, setStatus, disable, enable, setDeactivateAt, getDueForDeactivation, startDeviceTracking,
+ *              setPendingTotpSecret, enableTotp, disableTotp, verifyTotp, useRecoveryCode
+ *   sessions - Session tracking: create, isValid, get, touch, getActiveForUser, rotateRefresh, revoke, revokeById, revokeAllForUser, cleanup
  *   logs     - Log storage: add, getRecent, clearOld, clearAll
+ *   auditLog - Append-only audit trail storage: add, query, getFilterValues
  *   settings - KV store: get, set, getAll
- *   auth     - Middleware: authenticate, requireAuth, requireAdmin | Handlers: login, logout, getCurrentUser, refreshToken
+ *   passkeys - WebAuthn credentials: getAllForUser, getByCredentialId, create, recordUse, rename, delete
+ *   identities - External identity links: get, getAllForUser, link, recordLogin
+ *   loginAttempts - Failed login counters: get, save, getLocked, clear, cleanup
+ *   signingKeys - JWT signing key storage: getCurrent, getByKid, getAllActive, create, retireCurrent, cleanup
+ *   passwordResets - Reset token storage: create, getValid, countRecent, markUsed, invalidateAllForUser, cleanup
+ *   magicLinks - Sign-in link storage: create, getValid, countRecent, markUsed, invalidateAllForUser, cleanup
+ *   invitations - Invitation token storage: create, getValid, getOutstandingExpiries, markAccepted, invalidateAllForUser, cleanup
+ *   passwordHistory - Previous password hashes: add, getRecent
+ *   knownDevices - Devices users signed in from: getAllForUser, recordLogin, delete
+ *   apiKeys  - Named API keys: getAllForUser, getByKey, getSigningKey, create, recordUse, rename, setAllowedIps, delete, claimNonce, cleanupNonces
+ *   roles    - Roles + permissions: getAll, getById, getByName, create, update, delete, getForUser, getPermissionsForUser, setUserRoles, setAdmin
+ *   auth     - Middleware: authenticate, requireAuth, requireAdmin, requirePermission(...permissions), requireScope(scope), requireOwnSession | Handlers: login, verifyTwoFactor, logout, getCurrentUser, refreshToken, keepAlive | Accounts: isUserActive, isAdminLoginAllowed, disableUser, deactivateDue
  *   routes   - Express router, mount at /api
+ *   totp     - RFC 6238 helpers: generateSecret, verify, buildOtpauthUri, generateRecoveryCodes
+ *   webauthn - Passkey helpers: registrationOptions, verifyRegistration, authenticationOptions, verifyAuthentication
+ *   oidc     - OpenID Connect client: getProviders, getProvider, createAuthorizationUrl, handleCallback
+ *   authProviders - Password login providers: register, getAll, authenticate, provisionUser, local, ldap
+ *   keyring  - JWT signing keys: getSigningKey, getVerificationKey, rotate, checkRotation, getJwks
+ *   loginThrottle - Brute-force protection: check, recordFailure, recordSuccess, unlock, getLockedUsers
+ *   notifier - Notification channels: send, notifyAll, validateWebhookUrl, isEmailConfigured, sendEmailTo
+ *   passwordReset - Self-service password reset: isAvailable, requestReset, resetPassword, hashToken, getBaseUrl
+ *   magicLink - Passwordless email sign-in: isAvailable, requestLink, login
+ *   invitation - User invitations: send, getInvitedUser, accept
+ *   registration - Self-registration: getMode, isRateLimited, register, approve
+ *   audit    - Audit trail: requestId (middleware), record, diff
+ *   requestSigning - Signed API requests: captureRawBody (body parser verify hook), isSigned, verify
+ *   signRequest - Client helper: signRequest({ keyId, secret, method, path, body }) returns the headers to send
+ *   ipAllowlist - CIDR allowlists for API keys and admin logins: parse, contains, within, getAdminRanges
+ *   loginAlerts - New device login alerts: recordLogin
+ *   passwordPolicy - Password rules: getRules, validate, isExpired
+ *   sessionPolicy - Idle timeout and maximum session lifetime: getRules, check
+ *   apiScopes - API key scopes: register, getAvailable, validate, has
+ *   permissions - Role permissions: register, getAll, isValid, expand, has
  *
  * INITIALIZATION:
  *   The database is automatically initialized on first require.
@@ -28,6 +62,26 @@
 const db = require('./db');
 const auth = require('./auth');
 const routes = require('./routes');
+const totp = require('./totp');
+const webauthn = require('./webauthn');
+const oidc = require('./oidc');
+const authProviders = require('./authProviders');
+const loginThrottle = require('./loginThrottle');
+const keyring = require('./keyring');
+const notifier = require('./notifier');
+const passwordReset = require('./passwordReset');
+const magicLink = require('./magicLink');
+const invitation = require('./invitation');
+const registration = require('./registration');
+const audit = require('./audit');
+const requestSigning = require('./requestSigning');
+const signRequest = require('./signRequest');
+const ipAllowlist = require('./ipAllowlist');
+const loginAlerts = require('./loginAlerts');
+const passwordPolicy = require('./passwordPolicy');
+const sessionPolicy = require('./sessionPolicy');
+const apiScopes = require('./apiScopes');
+const permissions = require('./permissions');
 
 module.exports = {
   // Database access
@@ -35,10 +89,42 @@ module.exports = {
   users: db.users,
   sessions: db.sessions,
   logs: db.logs,
+  auditLog: db.auditLog,
   settings: db.settings,
+  passkeys: db.passkeys,
+  identities: db.identities,
+  loginAttempts: db.loginAttempts,
+  signingKeys: db.signingKeys,
+  passwordResets: db.passwordResets,
+  magicLinks: db.magicLinks,
+  invitations: db.invitations,
+  passwordHistory: db.passwordHistory,
+  knownDevices: db.knownDevices,
+  apiKeys: db.apiKeys,
+  roles: db.roles,
 
   // Authentication
   auth,
+  totp,
+  webauthn,
+  oidc,
+  authProviders,
+  keyring,
+  loginThrottle,
+  notifier,
+  passwordReset,
+  magicLink,
+  invitation,
+  registration,
+  audit,
+  requestSigning,
+  signRequest,
+  ipAllowlist,
+  loginAlerts,
+  passwordPolicy,
+  sessionPolicy,
+  apiScopes,
+  permissions,
 
   // Express routes
   routes
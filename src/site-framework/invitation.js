@@ -0,0 +1,126 @@
+/**
+ * Site Framework - User Invitations
+ * ============================================
+ *
+ * Instead of choosing a password for a new user, an admin invites them:
+ * the account is created with status 'invited' and a random password,
+ * and an invitation link lets the invitee choose their own password,
+ * which activates the account. The link carries a random token whose
+ * SHA-256 hash is stored in invitations. It is emailed through the SMTP
+ * settings of the email notification channel when the user has an
+ * address and SMTP is configured; otherwise it is handed back for the
+ * admin to pass on. Sending again replaces the outstanding link.
+ *
+ * The link is /#invite=<token>, which the frontend picks up via
+ * auth.handleInvitationLink().
+ *
+ * USAGE:
+ *   const invitation = require('./site-framework/invitation');
+ *
+ *   const { emailed, link, expiresAt, error } = await invitation.send(req, user);
+ *   const user = invitation.getInvitedUser(token);
+ *   const { user, error } = await invitation.accept(req, token, password);
+ *
+ * ENVIRONMENT:
+ *   APP_URL  - Public base URL used in invitation links (see passwordReset.js)
+ *
+ * SETTINGS:
+ *   security.invitationDays  - How long an invitation link works (default: 7)
+ */
+
+const crypto = require('crypto');
+const { users, logs, settings, invitations } = require('./db');
+const notifier = require('./notifier');
+const passwordPolicy = require('./passwordPolicy');
+const { getClientIP } = require('./auth');
+const { hashToken, getBaseUrl } = require('./passwordReset');
+
+const INVALID_INVITATION_ERROR = 'This invitation is invalid or has expired';
+
+/**
+ * Create a new invitation link for an invited user (voiding any earlier
+ * one) and email it when possible
+ * @param {Object} user - Invited user row
+ * @returns {Object} { emailed, expiresAt, link } - `link` only when it wasn't emailed
+ *                   (with `emailError` if sending failed), or { error }
+ */
+async function send(req, user) {
+  const baseUrl = getBaseUrl(req);
+  if (!baseUrl) {
+    return { error: 'APP_URL must be set to create invitation links' };
+  }
+
+  const days = Math.max(1, parseInt(settings.get('security.invitationDays', 7)) || 7);
+  const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  const token = crypto.randomBytes(32).toString('hex');
+
+  invitations.invalidateAllForUser(user.id);
+  invitations.create(user.id, hashToken(token), expiresAt, req.user.id);
+
+  const link = `${baseUrl}/#invite=${token}`;
+  if (!user.email || !notifier.isEmailConfigured()) {
+    logs.add('info', `Invitation link created for user: ${user.username} by ${req.user.username}`, req.user.id);
+    return { emailed: false, link, expiresAt };
+  }
+
+  const result = await notifier.sendEmailTo(user.email, {
+    title: 'You have been invited',
+    text: `${req.user.username} has invited you to an account "${user.username}".\n\n` +
+      `Open this link within ${days} day${days === 1 ? '' : 's'} to choose your password:\n${link}`
+  });
+
+  if (!result.success) {
+    logs.add('error', `Invitation email to user: ${user.username} failed: ${result.error}`, req.user.id);
+    return { emailed: false, link, expiresAt, emailError: result.error };
+  }
+
+  logs.add('info', `Invitation emailed to user: ${user.username} by ${req.user.username}`, req.user.id);
+  return { emailed: true, expiresAt };
+}
+
+/**
+ * The invited user an invitation token belongs to
+ * @returns {Object|null} Full user row
+ */
+function getInvitedUser(token) {
+  const pending = token ? invitations.getValid(hashToken(String(token))) : null;
+  const user = pending && users.getFullById(pending.user_id);
+  return user && user.status === 'invited' ? { ...user, invitationId: pending.id } : null;
+}
+
+/**
+ * Accept an invitation: set the invitee's password and activate the account
+ * @returns {Object} { user } on success, { error } otherwise
+ */
+async function accept(req, token, password) {
+  const clientIP = getClientIP(req);
+  const user = getInvitedUser(token);
+  if (!user) {
+    logs.add('warn', `Invalid or expired invitation link used from IP: ${clientIP}`);
+    return { error: INVALID_INVITATION_ERROR };
+  }
+
+  const passwordError = await passwordPolicy.validate(password, user);
+  if (passwordError) {
+    return { error: passwordError };
+  }
+
+  // Claim the invitation before the slow hash so it can't be used twice
+  if (!invitations.markAccepted(user.invitationId)) {
+    return { error: INVALID_INVITATION_ERROR };
+  }
+
+  await users.update(user.id, { password });
+  users.clearMustChangePassword(user.id);
+  users.setStatus(user.id, 'active');
+  invitations.invalidateAllForUser(user.id);
+
+  logs.add('info', `Invitation accepted: ${user.username} from IP: ${clientIP}`, user.id);
+  return { user };
+}
+
+module.exports = {
+  send,
+  getInvitedUser,
+  accept
+};
@@ -0,0 +1,120 @@
+/**
+ * Site Framework - IP Allowlists
+ * ============================================
+ *
+ * IPv4/IPv6 CIDR ranges that an API key, and optionally every admin
+ * login, is limited to. An empty list allows any address. Addresses are
+ * compared as auth.getClientIP() reports them, so set TRUST_PROXY when
+ * the app runs behind a proxy. A single address is taken as /32 (/128).
+ *
+ * USAGE:
+ *   const ipAllowlist = require('./site-framework/ipAllowlist');
+ *
+ *   const { ranges, error } = ipAllowlist.parse(['10.0.0.0/8', '2001:db8::/32', '203.0.113.7']);
+ *   ipAllowlist.contains(ranges, auth.getClientIP(req));   // always true for []
+ *   ipAllowlist.within(ranges, outerRanges);                // every range inside one of outerRanges
+ *   ipAllowlist.getAdminRanges();
+ *
+ * SETTINGS:
+ *   security.adminAllowedIps - Ranges admins may log in from (default: [] - anywhere)
+ */
+
+const net = require('net');
+const { settings } = require('./db');
+
+const MAX_RANGES = 100;
+
+/**
+ * Split "address/prefix" into its parts
+ * @returns {Object|null} { address, bits, type: 'ipv4'|'ipv6' }, or null if invalid
+ */
+function parseRange(value) {
+  const [address, prefix, extra] = String(value).trim().split('/');
+  const family = net.isIP(address);
+  if (!family || extra !== undefined) return null;
+
+  const maxBits = family === 4 ? 32 : 128;
+  const bits = prefix === undefined ? maxBits : (/^\d{1,3}$/.test(prefix) ? Number(prefix) : NaN);
+  if (!(bits >= 0 && bits <= maxBits)) return null;
+
+  return { address, bits, type: family === 4 ? 'ipv4' : 'ipv6' };
+}
+
+/**
+ * Check a list of ranges from a request or setting
+ * @param {Array|null} list - Addresses or CIDR ranges; null or [] for no restriction
+ * @returns {Object} { ranges } as "address/prefix" strings, or { error }
+ */
+function parse(list) {
+  if (list === undefined || list === null) {
+    return { ranges: [] };
+  }
+  if (!Array.isArray(list)) {
+    return { error: 'Allowed IPs must be a list of addresses or CIDR ranges' };
+  }
+  if (list.length > MAX_RANGES) {
+    return { error: `At most ${MAX_RANGES} IP ranges are allowed` };
+  }
+
+  const ranges = [];
+  for (const value of list) {
+    const range = typeof value === 'string' ? parseRange(value) : null;
+    if (!range) {
+      return { error: `Invalid IP address or CIDR range: ${value}` };
+    }
+    const text = `${range.address}/${range.bits}`;
+    if (!ranges.includes(text)) ranges.push(text);
+  }
+  return { ranges };
+}
+
+/**
+ * Whether an address falls in any of the ranges. An empty list allows everything.
+ */
+function contains(ranges, ip) {
+  if (!ranges || ranges.length === 0) return true;
+
+  const family = net.isIP(ip);
+  if (!family) return false;
+
+  const blockList = new net.BlockList();
+  for (const range of ranges.map(parseRange).filter(Boolean)) {
+    blockList.addSubnet(range.address, range.bits, range.type);
+  }
+  return blockList.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Whether every range lies inside one of the outer ranges, i.e. allows no
+ * address they don't. Anything is within [], and [] (any address) is only
+ * within [].
+ */
+function within(ranges, outerRanges) {
+  if (!outerRanges || outerRanges.length === 0) return true;
+  if (!ranges || ranges.length === 0) return false;
+
+  const outer = outerRanges.map(parseRange).filter(Boolean);
+  return ranges.map(parseRange).every(range => range && outer.some(o =>
+    o.type === range.type && o.bits <= range.bits && contains([`${o.address}/${o.bits}`], range.address)
+  ));
+}
+
+/**
+ * Ranges every admin login must come from ([] when unrestricted)
+ */
+function getAdminRanges() {
+  const { ranges, error } = parse(settings.get('security.adminAllowedIps', []));
+  if (error) {
+    // Only saved through validated routes; don't lock admins out over a bad value
+    console.error('[IP allowlist] Ignoring invalid security.adminAllowedIps:', error);
+    return [];
+  }
+  return ranges;
+}
+
+module.exports = {
+  parse,
+  contains,
+  within,
+  getAdminRanges
+};
@@ -0,0 +1,177 @@
+/**
+ * Site Framework - JWT Signing Keyring
+ * ============================================
+ *
+ * Asymmetric keys for signing access tokens, stored in the signing_keys
+ * table (private keys encrypted with the encryption module). Every token
+ * carries the key ID in its `kid` header. Keys rotate on a schedule; a
+ * rotated-out key stays in the JWKS and keeps verifying tokens for the
+ * overlap window, so tokens issued just before a rotation stay valid.
+ *
+ * Other services verify framework tokens with the public keys from
+ * GET /api/auth/.well-known/jwks.json instead of sharing a secret.
+ *
+ * USAGE:
+ *   const keyring = require('./site-framework/keyring');
+ *
+ *   const { kid, algorithm, privateKey } = keyring.getSigningKey();
+ *   const key = keyring.getVerificationKey(kid);   // { kid, algorithm, publicKey } or null
+ *   keyring.rotate();                              // start signing with a new key now
+ *   keyring.checkRotation();                       // hourly: rotate when due, drop retired keys
+ *   res.json(keyring.getJwks());
+ *
+ * SETTINGS:
+ *   security.jwtAlgorithm     - ES256 or RS256 (default: ES256); changing it rotates the key
+ *   security.keyRotationDays  - Days between rotations, 0 to disable (default: 30)
+ *   security.keyOverlapHours  - How long a rotated-out key keeps verifying (default: 24).
+ *                               Must be longer than JWT_EXPIRY.
+ */
+
+const crypto = require('crypto');
+const { signingKeys, settings, logs, parseTimestamp } = require('./db');
+
+const ALGORITHMS = {
+  ES256: { type: 'ec', options: { namedCurve: 'P-256' } },
+  RS256: { type: 'rsa', options: { modulusLength: 2048 } }
+};
+
+// Keys are re-read from the database this often, so a rotation by
+// another process is picked up
+const KEY_CACHE_TTL_MS = 60 * 1000;
+
+let currentKey = null;
+const publicKeys = new Map();
+
+function getPolicy() {
+  const algorithm = settings.get('security.jwtAlgorithm', 'ES256');
+  return {
+    algorithm: ALGORITHMS[algorithm] ? algorithm : 'ES256',
+    rotationMs: Math.max(0, parseFloat(settings.get('security.keyRotationDays', 30)) || 0) * 24 * 60 * 60 * 1000,
+    overlapMs: Math.max(0, parseFloat(settings.get('security.keyOverlapHours', 24)) || 0) * 60 * 60 * 1000
+  };
+}
+
+function loadCurrentKey() {
+  const row = signingKeys.getCurrent();
+  if (!row) return null;
+  return {
+    kid: row.kid,
+    algorithm: row.algorithm,
+    privateKey: crypto.createPrivateKey(row.private_key),
+    createdAt: parseTimestamp(row.created_at),
+    loadedAt: Date.now()
+  };
+}
+
+/**
+ * Generate a new key and make it the signing key.
+ * The previous key keeps verifying for the overlap window.
+ * @returns {string} The new key ID
+ */
+function rotate() {
+  const policy = getPolicy();
+  const { type, options } = ALGORITHMS[policy.algorithm];
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(type, {
+    ...options,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  const kid = crypto.randomBytes(12).toString('base64url');
+  signingKeys.retireCurrent(new Date(Date.now() + policy.overlapMs).toISOString());
+  signingKeys.create(kid, policy.algorithm, privateKey, publicKey);
+
+  currentKey = null;
+  publicKeys.clear();
+  logs.add('info', `JWT signing key rotated (new key ${kid}, ${policy.algorithm})`);
+  return kid;
+}
+
+function isRotationDue(key, policy) {
+  if (!key || key.algorithm !== policy.algorithm) return true;
+  return policy.rotationMs > 0 && Date.now() - key.createdAt >= policy.rotationMs;
+}
+
+/**
+ * Key to sign new tokens with, creating or rotating it when needed
+ * @returns {Object} { kid, algorithm, privateKey }
+ */
+function getSigningKey() {
+  if (!currentKey || Date.now() - currentKey.loadedAt > KEY_CACHE_TTL_MS) {
+    currentKey = loadCurrentKey();
+  }
+
+  if (isRotationDue(currentKey, getPolicy())) {
+    rotate();
+    currentKey = loadCurrentKey();
+  }
+
+  const { kid, algorithm, privateKey } = currentKey;
+  return { kid, algorithm, privateKey };
+}
+
+/**
+ * Public key for a kid, if that key may still verify tokens
+ * @returns {Object|null} { kid, algorithm, publicKey }
+ */
+function getVerificationKey(kid) {
+  if (!kid) return null;
+
+  let entry = publicKeys.get(kid);
+  if (!entry || Date.now() - entry.loadedAt > KEY_CACHE_TTL_MS) {
+    const row = signingKeys.getByKid(kid);
+    if (!row) {
+      publicKeys.delete(kid);
+      return null;
+    }
+    entry = {
+      kid: row.kid,
+      algorithm: row.algorithm,
+      publicKey: crypto.createPublicKey(row.public_key),
+      retiresAt: row.retires_at ? parseTimestamp(row.retires_at) : null,
+      loadedAt: Date.now()
+    };
+    publicKeys.set(kid, entry);
+  }
+
+  if (entry.retiresAt !== null && entry.retiresAt <= Date.now()) {
+    publicKeys.delete(kid);
+    return null;
+  }
+
+  const { algorithm, publicKey } = entry;
+  return { kid, algorithm, publicKey };
+}
+
+/**
+ * Rotate if the current key is due and drop keys past their overlap.
+ * Call on startup and periodically.
+ */
+function checkRotation() {
+  signingKeys.cleanup();
+  currentKey = null;
+  getSigningKey();
+}
+
+/**
+ * Public keys that can verify tokens, as a JSON Web Key Set
+ */
+function getJwks() {
+  return {
+    keys: signingKeys.getAllActive().map(row => ({
+      ...crypto.createPublicKey(row.public_key).export({ format: 'jwk' }),
+      kid: row.kid,
+      alg: row.algorithm,
+      use: 'sig'
+    }))
+  };
+}
+
+module.exports = {
+  ALGORITHMS: Object.keys(ALGORITHMS),
+  getSigningKey,
+  getVerificationKey,
+  rotate,
+  checkRotation,
+  getJwks
+};
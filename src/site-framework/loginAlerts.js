@@ -0,0 +1,73 @@
+/**
+ * Site Framework - New Device Login Alerts
+ * ============================================
+ *
+ * Remembers the IP address and user agent combinations each account signs
+ * in from (db/knownDevices.js). A login from one the account hasn't used
+ * before is logged, emailed to the user and optionally sent to the enabled
+ * notification channels. An account's first login only starts the list
+ * (users.devices_tracked_at); forgetting devices (Account > Devices)
+ * doesn't reset that, so the next login from a forgotten one alerts.
+ *
+ * auth.startSession() calls this for every login method; impersonation
+ * sessions are not recorded.
+ *
+ * USAGE:
+ *   const loginAlerts = require('./site-framework/loginAlerts');
+ *   loginAlerts.recordLogin(user, { ip, userAgent });   // true for a new device
+ *
+ * SETTINGS:
+ *   security.newDeviceEmail  - Email users about sign-ins from new devices (default: true)
+ *   security.newDeviceNotify - Send them to the enabled notification channels (default: false)
+ */
+
+const { users, knownDevices, logs, settings } = require('./db');
+const notifier = require('./notifier');
+
+function describeDevice(client) {
+  return `IP: ${client.ip || 'unknown'}, device: ${client.userAgent || 'unknown'}`;
+}
+
+/**
+ * Remember the device a user signed in from and report it if it's new
+ * @param {Object} user - Needs id, username and email
+ * @param {Object} client - { ip, userAgent } (see auth.getSessionClient)
+ * @returns {boolean} true if the login raised a new device alert
+ */
+function recordLogin(user, client) {
+  const isFirstLogin = users.startDeviceTracking(user.id);
+  if (!knownDevices.recordLogin(user.id, client.ip, client.userAgent) || isFirstLogin) {
+    return false;
+  }
+
+  const device = describeDevice(client);
+  logs.add('warn', `New device login: ${user.username} (${device})`, user.id);
+
+  if (user.email && settings.get('security.newDeviceEmail', true) !== false && notifier.isEmailConfigured()) {
+    notifier.sendEmailTo(user.email, {
+      title: 'New sign-in to your account',
+      text: `Your account "${user.username}" was just signed in to from a device it hasn't used before.\n\n` +
+        `${device}\nTime: ${new Date().toISOString()}\n\n` +
+        'If this was you, there is nothing to do. If not, change your password and sign out the ' +
+        'sessions you don\'t recognise under Account > Sessions.'
+    }).then(result => {
+      if (!result.success) {
+        logs.add('error', `New device email to user: ${user.username} failed: ${result.error}`, user.id);
+      }
+    }).catch(err => {
+      console.error('Failed to send new device email:', err.message);
+    });
+  }
+
+  if (settings.get('security.newDeviceNotify', false) === true) {
+    notifier.notifyAll({ title: 'New device login', text: `${user.username} signed in from a new device (${device})` }).catch(err => {
+      console.error('Failed to send new device notification:', err.message);
+    });
+  }
+
+  return true;
+}
+
+module.exports = {
+  recordLogin
+};
@@ -0,0 +1,260 @@
+/**
+ * Site Framework - Login Throttle
+ * ============================================
+ *
+ * Brute-force protection for login. Failed attempts are counted per
+ * username and per client IP. Each failure on a username doubles the
+ * wait before that username may try again (up to a minute); reaching a
+ * threshold locks the username or IP for a while, and every repeat
+ * lockout doubles that too (capped at 24 hours). IPs only lock, they
+ * don't back off, so one typo doesn't slow down everyone behind a NAT.
+ *
+ * Checking a password can take a while (bcrypt, LDAP), so login doesn't
+ * just check() first: begin() also holds the attempt until end(). Only
+ * one attempt per username is checked at a time, and an IP can't have
+ * more in flight than it has failures left, so parallel requests can't
+ * all slip in before the first failure is counted. This is per process.
+ *
+ * USAGE:
+ *   const throttle = require('./site-framework/loginThrottle');
+ *
+ *   const blocked = throttle.check(username, clientIP);
+ *   if (blocked) return res.status(429).json({ error: blocked.error, retryAfter: blocked.retryAfter });
+ *
+ *   const attempt = throttle.begin(username, clientIP);   // check() + hold until end()
+ *   if (attempt.blocked) return res.status(429).json({ error: attempt.blocked.error, ... });
+ *   try { ...verify, recordFailure / recordSuccess... } finally { attempt.end(); }
+ *
+ *   throttle.recordFailure(username, clientIP);   // wrong password / code
+ *   throttle.recordSuccess(username);             // clears the username counter
+ *   throttle.unlock(username);                    // admin unlock
+ *
+ * SETTINGS:
+ *   security.lockoutEnabled       - Turn protection on/off (default: true)
+ *   security.lockoutThreshold     - Failures per username before lockout (default: 5)
+ *   security.ipLockoutThreshold   - Failures per IP before lockout (default: 20)
+ *   security.lockoutMinutes       - First lockout duration; failures older than this are forgotten (default: 15)
+ *   security.loginBackoffSeconds  - Wait after a username's first failure, doubled per failure (default: 1)
+ *   security.lockoutNotify        - Send lockouts to the enabled notification channels (default: false)
+ */
+
+const { loginAttempts, logs, settings } = require('./db');
+const notifier = require('./notifier');
+
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+const MAX_BACKOFF_MS = 60 * 1000;
+
+// Parallel attempts are asked to wait this long
+const IN_FLIGHT_RETRY_SECONDS = 1;
+
+// Throttle key -> number of login attempts being checked right now
+const inFlight = new Map();
+
+function getPolicy() {
+  return {
+    enabled: settings.get('security.lockoutEnabled', true) !== false,
+    userThreshold: Math.max(1, parseInt(settings.get('security.lockoutThreshold', 5)) || 5),
+    ipThreshold: Math.max(1, parseInt(settings.get('security.ipLockoutThreshold', 20)) || 20),
+    lockoutMs: Math.max(1, parseFloat(settings.get('security.lockoutMinutes', 15)) || 15) * 60 * 1000,
+    backoffMs: Math.max(0, parseFloat(settings.get('security.loginBackoffSeconds', 1)) || 0) * 1000,
+    notify: settings.get('security.lockoutNotify', false) === true
+  };
+}
+
+function userKey(username) {
+  return `user:${String(username).toLowerCase()}`;
+}
+
+function ipKey(clientIP) {
+  return `ip:${clientIP}`;
+}
+
+/**
+ * Milliseconds until this key may try again (0 if allowed)
+ */
+function getWaitMs(entry, policy, now, withBackoff) {
+  if (!entry) return 0;
+  if (entry.lockedUntil && entry.lockedUntil > now) {
+    return entry.lockedUntil - now;
+  }
+  if (withBackoff && entry.failures > 0 && policy.backoffMs > 0 && now - entry.lastFailureAt < policy.lockoutMs) {
+    const backoff = Math.min(policy.backoffMs * Math.pow(2, entry.failures - 1), MAX_BACKOFF_MS);
+    return Math.max(0, entry.lastFailureAt + backoff - now);
+  }
+  return 0;
+}
+
+/**
+ * Check whether a login attempt may proceed
+ * @returns {Object|null} null if allowed, otherwise { error, retryAfter (seconds), locked }
+ */
+function check(username, clientIP) {
+  const policy = getPolicy();
+  if (!policy.enabled) return null;
+
+  const now = Date.now();
+  const entries = [
+    [username && loginAttempts.get(userKey(username)), true],
+    [loginAttempts.get(ipKey(clientIP)), false]
+  ];
+
+  let waitMs = 0;
+  let locked = false;
+  for (const [entry, withBackoff] of entries) {
+    const wait = getWaitMs(entry, policy, now, withBackoff);
+    if (wait > waitMs) waitMs = wait;
+    if (entry && entry.lockedUntil > now) locked = true;
+  }
+
+  if (waitMs === 0) return null;
+
+  const retryAfter = Math.ceil(waitMs / 1000);
+  return {
+    error: locked
+      ? `Too many failed login attempts. Try again in ${formatDuration(retryAfter)}.`
+      : `Please wait ${formatDuration(retryAfter)} before trying again.`,
+    retryAfter,
+    locked
+  };
+}
+
+/**
+ * Start a login attempt: check() it, then hold it until end() is called,
+ * so attempts running in parallel are counted before they're verified
+ * @returns {Object} { blocked } (as check() returns) or { end() }
+ */
+function begin(username, clientIP) {
+  const blocked = check(username, clientIP);
+  if (blocked) return { blocked };
+
+  const policy = getPolicy();
+  if (!policy.enabled) return { end() {} };
+
+  const user = username ? userKey(username) : null;
+  const ip = ipKey(clientIP);
+  const ipEntry = loginAttempts.get(ip);
+  const ipFailures = ipEntry && Date.now() - ipEntry.lastFailureAt <= policy.lockoutMs ? ipEntry.failures : 0;
+  if ((user && inFlight.get(user)) || ipFailures + (inFlight.get(ip) || 0) >= policy.ipThreshold) {
+    return {
+      blocked: {
+        error: `Please wait ${formatDuration(IN_FLIGHT_RETRY_SECONDS)} before trying again.`,
+        retryAfter: IN_FLIGHT_RETRY_SECONDS,
+        locked: false
+      }
+    };
+  }
+
+  const keys = user ? [user, ip] : [ip];
+  for (const key of keys) inFlight.set(key, (inFlight.get(key) || 0) + 1);
+
+  let ended = false;
+  return {
+    end() {
+      if (ended) return;
+      ended = true;
+      for (const key of keys) {
+        const count = inFlight.get(key) - 1;
+        if (count > 0) inFlight.set(key, count);
+        else inFlight.delete(key);
+      }
+    }
+  };
+}
+
+function formatDuration(seconds) {
+  if (seconds < 90) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Count a failure against one key, locking it when the threshold is reached
+ * @returns {number|null} Lockout duration in ms if this failure caused a lockout
+ */
+function addFailure(key, threshold, policy, now) {
+  const entry = loginAttempts.get(key) || { failures: 0, lockouts: 0, lastFailureAt: null, lockedUntil: null };
+
+  // Forget old failures
+  if (entry.lastFailureAt && now - entry.lastFailureAt > policy.lockoutMs) {
+    entry.failures = 0;
+  }
+
+  entry.failures++;
+  entry.lastFailureAt = now;
+
+  let lockoutMs = null;
+  if (entry.failures >= threshold) {
+    lockoutMs = Math.min(policy.lockoutMs * Math.pow(2, entry.lockouts), MAX_LOCKOUT_MS);
+    entry.lockouts++;
+    entry.failures = 0;
+    entry.lockedUntil = now + lockoutMs;
+  }
+
+  loginAttempts.save(key, entry);
+  return lockoutMs;
+}
+
+function reportLockout(subject, clientIP, lockoutMs, policy) {
+  const minutes = Math.round(lockoutMs / 60000);
+  const message = `${subject} locked for ${minutes} minute${minutes === 1 ? '' : 's'} after repeated failed logins (last attempt from IP: ${clientIP})`;
+  logs.add('warn', `Lockout: ${message}`);
+
+  if (policy.notify) {
+    notifier.notifyAll({ title: 'Login lockout', text: message }).catch(err => {
+      console.error('Failed to send lockout notification:', err.message);
+    });
+  }
+}
+
+/**
+ * Record a failed login (wrong password or 2FA code)
+ */
+function recordFailure(username, clientIP) {
+  const policy = getPolicy();
+  if (!policy.enabled) return;
+
+  const now = Date.now();
+  if (username) {
+    const lockoutMs = addFailure(userKey(username), policy.userThreshold, policy, now);
+    if (lockoutMs) reportLockout(`Account "${username}"`, clientIP, lockoutMs, policy);
+  }
+
+  const ipLockoutMs = addFailure(ipKey(clientIP), policy.ipThreshold, policy, now);
+  if (ipLockoutMs) reportLockout(`IP address ${clientIP}`, clientIP, ipLockoutMs, policy);
+}
+
+/**
+ * Clear the username counter after a successful login.
+ * The IP counter is left alone so one valid account can't reset it.
+ */
+function recordSuccess(username) {
+  loginAttempts.clear(userKey(username));
+}
+
+/**
+ * Lift a username lockout (admin action)
+ * @returns {boolean} true if there was anything to clear
+ */
+function unlock(username) {
+  return loginAttempts.clear(userKey(username));
+}
+
+/**
+ * Map of lower-cased username -> lockedUntil (ms) for currently locked accounts
+ */
+function getLockedUsers() {
+  const locked = {};
+  for (const entry of loginAttempts.getLocked('user:')) {
+    locked[entry.key.slice('user:'.length)] = entry.lockedUntil;
+  }
+  return locked;
+}
+
+module.exports = {
+  check,
+  begin,
+  recordFailure,
+  recordSuccess,
+  unlock,
+  getLockedUsers
+};
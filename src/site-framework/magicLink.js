@@ -0,0 +1,191 @@
+/**
+ * Site Framework - Magic Link Sign-in
+ * ============================================
+ *
+ * Passwordless login by email: a user who has an email address on their
+ * account asks for a link, and opening it signs them in. The link carries
+ * a short-lived JWT signed with the access token keyring (audience
+ * "magic-link", so it can't pass for an access token or vice versa); its
+ * SHA-256 hash is stored in magic_links so each link works once. Mail
+ * goes out through the SMTP settings of the email notification channel.
+ *
+ * The link is /#magic=<token>, which the frontend exchanges for a normal
+ * session via auth.handleMagicLink(). Accounts with 2FA still have to
+ * enter a code afterwards.
+ *
+ * USAGE:
+ *   const magicLink = require('./site-framework/magicLink');
+ *
+ *   if (magicLink.isAvailable()) {
+ *     await magicLink.requestLink(req, 'alice');   // username or email
+ *   }
+ *   magicLink.login(req, res, token);              // sends the login response
+ *
+ * ENVIRONMENT:
+ *   APP_URL  - Public base URL used in emailed links (see passwordReset.js)
+ *
+ * SETTINGS:
+ *   security.magicLinkLogin    - 'off', 'all' or 'non-admin' (default: 'off').
+ *                                'non-admin' keeps administrators on their password.
+ *   security.magicLinkMinutes  - How long a link works (default: 15)
+ */
+
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { users, logs, settings, identities, magicLinks } = require('./db');
+const auth = require('./auth');
+const keyring = require('./keyring');
+const notifier = require('./notifier');
+const loginThrottle = require('./loginThrottle');
+const { hashToken, getBaseUrl } = require('./passwordReset');
+
+const MODES = ['off', 'all', 'non-admin'];
+const LINK_AUDIENCE = 'magic-link';
+
+// Requests per account per hour; extra requests are silently dropped
+const MAX_REQUESTS_PER_HOUR = 5;
+
+const INVALID_LINK_ERROR = 'This sign-in link is invalid or has expired';
+
+function getMode() {
+  const mode = settings.get('security.magicLinkLogin', 'off');
+  return MODES.includes(mode) ? mode : 'off';
+}
+
+/**
+ * Whether this user may sign in by link under the current setting.
+ * Directory and SSO accounts are left to their identity provider, which
+ * may have disabled them since.
+ */
+function isAllowedFor(user) {
+  const mode = getMode();
+  if (mode === 'off' || !auth.isUserActive(user)) return false;
+  if (mode === 'non-admin' && user.is_admin === 1) return false;
+  return identities.getAllForUser(user.id).length === 0;
+}
+
+/**
+ * Check whether links can be offered: enabled, SMTP configured and a trusted base URL
+ */
+function isAvailable() {
+  if (getMode() === 'off') return false;
+  if (process.env.NODE_ENV === 'production' && !process.env.APP_URL) return false;
+  return notifier.isEmailConfigured();
+}
+
+/**
+ * Sign a link token for a user
+ * @returns {string} JWT
+ */
+function signLinkToken(user, minutes) {
+  const key = keyring.getSigningKey();
+  return jwt.sign({ sub: user.id, jti: crypto.randomBytes(16).toString('hex') }, key.privateKey, {
+    algorithm: key.algorithm,
+    keyid: key.kid,
+    audience: LINK_AUDIENCE,
+    expiresIn: minutes * 60
+  });
+}
+
+/**
+ * Verify a link token's signature, audience and expiry
+ * @returns {Object|null} Decoded payload
+ */
+function verifyLinkToken(token) {
+  try {
+    const header = jwt.decode(token, { complete: true })?.header;
+    const key = header && keyring.getVerificationKey(header.kid);
+    if (!key) return null;
+
+    return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm], audience: LINK_AUDIENCE });
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Email a sign-in link if the username or email matches an account that
+ * may use one. Always resolves the same way so callers can't tell whether
+ * an account exists.
+ */
+async function requestLink(req, identifier) {
+  const clientIP = auth.getClientIP(req);
+  const value = String(identifier || '').trim();
+  if (!value || !isAvailable()) return;
+
+  const user = value.includes('@') ? users.getByEmail(value) : users.getByUsername(value);
+  if (!user || !user.email) {
+    logs.add('info', `Sign-in link requested for unknown account "${value}" from IP: ${clientIP}`);
+    return;
+  }
+
+  if (!isAllowedFor(user)) {
+    logs.add('info', `Sign-in link refused for user: ${user.username} from IP: ${clientIP}`, user.id);
+    return;
+  }
+
+  if (magicLinks.countRecent(user.id, 60) >= MAX_REQUESTS_PER_HOUR) {
+    logs.add('warn', `Sign-in link request limit reached for user: ${user.username} from IP: ${clientIP}`, user.id);
+    return;
+  }
+
+  const minutes = Math.max(1, parseInt(settings.get('security.magicLinkMinutes', 15)) || 15);
+  const token = signLinkToken(user, minutes);
+  magicLinks.create(user.id, hashToken(token), new Date(Date.now() + minutes * 60 * 1000).toISOString(), clientIP);
+
+  const link = `${getBaseUrl(req)}/#magic=${token}`;
+  const result = await notifier.sendEmailTo(user.email, {
+    title: 'Your sign-in link',
+    text: `A sign-in link was requested for your account "${user.username}".\n\n` +
+      `Open this link within ${minutes} minutes to sign in. It works once:\n${link}\n\n` +
+      'If you did not request this, you can ignore this email.'
+  });
+
+  if (result.success) {
+    logs.add('info', `Sign-in link emailed to user: ${user.username} from IP: ${clientIP}`, user.id);
+  } else {
+    logs.add('error', `Sign-in link email to user: ${user.username} failed: ${result.error}`, user.id);
+  }
+}
+
+/**
+ * Sign in with a link token and send the login response: a session
+ * (through auth.completeLogin), or a 2FA challenge for accounts with 2FA
+ */
+function login(req, res, token) {
+  const clientIP = auth.getClientIP(req);
+
+  const blocked = loginThrottle.check(null, clientIP);
+  if (blocked) {
+    res.set('Retry-After', String(blocked.retryAfter));
+    return res.status(429).json({ error: blocked.error, retryAfter: blocked.retryAfter, locked: blocked.locked });
+  }
+
+  const decoded = token ? verifyLinkToken(String(token)) : null;
+  const link = decoded && magicLinks.getValid(hashToken(String(token)));
+  const user = link && link.user_id === decoded.sub && users.getFullById(link.user_id);
+
+  // Claim the link first so it can't be used twice
+  if (!user || !isAllowedFor(user) || !magicLinks.markUsed(link.id, clientIP)) {
+    logs.add('warn', `Invalid or expired sign-in link used from IP: ${clientIP}`, user ? user.id : null);
+    loginThrottle.recordFailure(null, clientIP);
+    return res.status(401).json({ error: INVALID_LINK_ERROR });
+  }
+
+  // One link in, the rest are no longer needed
+  magicLinks.invalidateAllForUser(user.id);
+
+  if (user.totp_enabled) {
+    logs.add('info', `Sign-in link accepted, awaiting 2FA code: ${user.username} from IP: ${clientIP}`, user.id);
+    return res.json({ twoFactorRequired: true, challengeToken: auth.createLoginChallenge(user, ['email']) });
+  }
+
+  loginThrottle.recordSuccess(user.username);
+  auth.completeLogin(req, res, user, { amr: ['email'], note: 'email link' });
+}
+
+module.exports = {
+  isAvailable,
+  requestLink,
+  login
+};
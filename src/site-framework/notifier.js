@@ -0,0 +1,335 @@
+/**
+ * Site Framework - Notifier
+ * ============================================
+ *
+ * Sends messages through the notification channels configured in
+ * Settings > Notifications (Teams, Slack, Discord, email, webhook).
+ *
+ * USAGE:
+ *   const notifier = require('./site-framework/notifier');
+ *
+ *   // Send to every enabled channel (never throws; failures are logged)
+ *   await notifier.notifyAll({ title: 'Account locked', text: '...' });
+ *
+ *   // Send to one channel with an explicit config
+ *   const result = await notifier.send('slack', config, message);   // { success, error }
+ *
+ *   // Email one person using the email channel's SMTP settings
+ *   if (notifier.isEmailConfigured()) {
+ *     await notifier.sendEmailTo('user@example.com', message);        // { success, error }
+ *   }
+ *
+ * MESSAGE:
+ *   { title, text, timestamp? }
+ */
+
+const dns = require('dns');
+const { logs, notificationChannels } = require('./db');
+
+const CHANNEL_TYPES = ['teams', 'slack', 'discord', 'email', 'webhook'];
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Validate a webhook URL to prevent SSRF attacks.
+ * - Requires https in production (http allowed in development)
+ * - Blocks private/reserved IP ranges after DNS resolution
+ */
+async function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { valid: false, reason: 'Invalid URL format' };
+  }
+
+  // Require HTTPS in production
+  const isDev = process.env.NODE_ENV === 'development';
+  if (!isDev && parsed.protocol !== 'https:') {
+    return { valid: false, reason: 'Webhook URLs must use HTTPS' };
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return { valid: false, reason: 'Invalid URL protocol' };
+  }
+
+  // Resolve hostname and check for private IPs
+  try {
+    const { address } = await dns.promises.lookup(parsed.hostname);
+    if (isPrivateIP(address)) {
+      return { valid: false, reason: 'Webhook URLs cannot target private or reserved IP addresses' };
+    }
+  } catch {
+    return { valid: false, reason: `Cannot resolve hostname: ${parsed.hostname}` };
+  }
+
+  return { valid: true };
+}
+
+function isPrivateIP(ip) {
+  // IPv4 private/reserved ranges
+  const parts = ip.split('.').map(Number);
+  if (parts.length === 4) {
+    if (parts[0] === 10) return true;                                      // 10.0.0.0/8
+    if (parts[0] === 172 && parts[1] >= 16 && parts[1] <= 31) return true; // 172.16.0.0/12
+    if (parts[0] === 192 && parts[1] === 168) return true;                 // 192.168.0.0/16
+    if (parts[0] === 127) return true;                                      // 127.0.0.0/8
+    if (parts[0] === 169 && parts[1] === 254) return true;                 // 169.254.0.0/16
+    if (parts[0] === 0) return true;                                        // 0.0.0.0/8
+  }
+  // IPv6 loopback and private
+  if (ip === '::1' || ip.startsWith('fc') || ip.startsWith('fd') || ip.startsWith('fe80')) return true;
+  return false;
+}
+
+// ============================================
+// Senders
+// ============================================
+
+/**
+ * Send a message through one channel
+ * @returns {Object} { success, error }
+ */
+async function send(channelType, config, message) {
+  const msg = { timestamp: new Date().toISOString(), ...message };
+
+  switch (channelType) {
+    case 'teams':    return await sendTeams(config, msg);
+    case 'slack':    return await sendSlack(config, msg);
+    case 'discord':  return await sendDiscord(config, msg);
+    case 'email':    return await sendEmail(config, msg);
+    case 'webhook':  return await sendWebhook(config, msg);
+    default:         return { success: false, error: 'Unknown channel type' };
+  }
+}
+
+/**
+ * Send a message through every enabled channel
+ * @returns {number} Number of channels the message was delivered to
+ */
+async function notifyAll(message) {
+  let delivered = 0;
+
+  for (const { channelType, enabled } of notificationChannels.getAll()) {
+    if (!enabled) continue;
+
+    try {
+      const channel = notificationChannels.getDecrypted(channelType);
+      const result = await send(channelType, channel.config, message);
+      if (result.success) {
+        delivered++;
+      } else {
+        logs.add('error', `Notification via ${channelType} failed: ${result.error}`);
+      }
+    } catch (err) {
+      logs.add('error', `Notification via ${channelType} failed: ${err.message}`);
+    }
+  }
+
+  return delivered;
+}
+
+async function sendTeams(config, message) {
+  if (!config.webhookUrl) {
+    return { success: false, error: 'Webhook URL not configured' };
+  }
+
+  const urlCheck = await validateWebhookUrl(config.webhookUrl);
+  if (!urlCheck.valid) return { success: false, error: urlCheck.reason };
+
+  try {
+    const payload = {
+      '@type': 'MessageCard',
+      '@context': 'https://schema.org/extensions',
+      summary: message.title,
+      themeColor: '4ecca3',
+      title: message.title,
+      text: message.text
+    };
+
+    const response = await fetch(config.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+
+    if (response.ok) return { success: true };
+    const text = await response.text();
+    return { success: false, error: `Teams API error: ${text}` };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+async function sendSlack(config, message) {
+  if (!config.webhookUrl) {
+    return { success: false, error: 'Webhook URL not configured' };
+  }
+
+  const urlCheck = await validateWebhookUrl(config.webhookUrl);
+  if (!urlCheck.valid) return { success: false, error: urlCheck.reason };
+
+  try {
+    const payload = { text: `*${message.title}*\n${message.text}` };
+    if (config.channel) payload.channel = config.channel;
+    if (config.username) payload.username = config.username;
+
+    const response = await fetch(config.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+
+    if (response.ok) return { success: true };
+    const text = await response.text();
+    return { success: false, error: `Slack API error: ${text}` };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+async function sendDiscord(config, message) {
+  if (!config.webhookUrl) {
+    return { success: false, error: 'Webhook URL not configured' };
+  }
+
+  const urlCheck = await validateWebhookUrl(config.webhookUrl);
+  if (!urlCheck.valid) return { success: false, error: urlCheck.reason };
+
+  try {
+    const payload = {
+      embeds: [{
+        title: message.title,
+        description: message.text,
+        color: 0x4ecca3,
+        timestamp: message.timestamp
+      }]
+    };
+
+    if (config.username) payload.username = config.username;
+    if (config.avatarUrl) payload.avatar_url = config.avatarUrl;
+
+    const response = await fetch(config.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+
+    if (response.ok || response.status === 204) return { success: true };
+    const text = await response.text();
+    return { success: false, error: `Discord API error: ${text}` };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+async function sendEmail(config, message) {
+  const recipients = config.toAddresses.split(',').map(e => e.trim()).join(', ');
+  return deliverEmail(config, recipients, message);
+}
+
+async function deliverEmail(config, recipients, message) {
+  try {
+    const nodemailer = require('nodemailer');
+
+    const transporter = nodemailer.createTransport({
+      host: config.smtpServer,
+      port: parseInt(config.smtpPort) || 587,
+      secure: config.smtpPort === '465',
+      auth: {
+        user: config.smtpUsername,
+        pass: config.smtpPassword
+      },
+      tls: {
+        rejectUnauthorized: config.useTls !== false
+      }
+    });
+
+    await transporter.sendMail({
+      from: config.fromAddress,
+      to: recipients,
+      subject: message.title,
+      text: message.text
+    });
+
+    return { success: true };
+  } catch (err) {
+    if (err.code === 'MODULE_NOT_FOUND') {
+      return { success: false, error: 'nodemailer not installed. Run: npm install nodemailer' };
+    }
+    return { success: false, error: err.message };
+  }
+}
+
+async function sendWebhook(config, message) {
+  if (!config.webhookUrl) {
+    return { success: false, error: 'Webhook URL not configured' };
+  }
+
+  const urlCheck = await validateWebhookUrl(config.webhookUrl);
+  if (!urlCheck.valid) return { success: false, error: urlCheck.reason };
+
+  try {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (config.authType === 'bearer' && config.authValue) {
+      headers['Authorization'] = `Bearer ${config.authValue}`;
+    } else if (config.authType === 'apikey' && config.authValue) {
+      headers['X-Api-Key'] = config.authValue;
+    } else if (config.authType === 'basic' && config.authValue) {
+      headers['Authorization'] = `Basic ${Buffer.from(config.authValue).toString('base64')}`;
+    }
+
+    if (config.customHeaders) {
+      try {
+        const customHeaders = JSON.parse(config.customHeaders);
+        Object.assign(headers, customHeaders);
+      } catch {
+        // Invalid JSON, ignore custom headers
+      }
+    }
+
+    const response = await fetch(config.webhookUrl, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(message)
+    });
+
+    if (response.ok) return { success: true };
+    const text = await response.text();
+    return { success: false, error: `Webhook error: ${response.status} ${text}` };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Check whether the email channel has SMTP settings to send with.
+ * The channel doesn't have to be enabled for notifications.
+ */
+function isEmailConfigured() {
+  const channel = notificationChannels.getDecrypted('email');
+  return !!(channel && channel.config && channel.config.smtpServer && channel.config.fromAddress);
+}
+
+/**
+ * Email a single recipient through the email channel's SMTP settings
+ * @returns {Object} { success, error }
+ */
+async function sendEmailTo(to, message) {
+  const channel = notificationChannels.getDecrypted('email');
+  if (!channel || !channel.config || !channel.config.smtpServer) {
+    return { success: false, error: 'Email (SMTP) is not configured' };
+  }
+  return deliverEmail(channel.config, to, message);
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  send,
+  notifyAll,
+  isEmailConfigured,
+  sendEmailTo,
+  validateWebhookUrl
+};
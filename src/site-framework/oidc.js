@@ -0,0 +1,297 @@
+/**
+ * Site Framework - OpenID Connect Client
+ * ============================================
+ *
+ * Authorization code flow with PKCE against one or more external
+ * identity providers. Handles discovery, the authorization redirect,
+ * the code exchange and ID token verification. Mapping the verified
+ * claims to a local user is done by routes/oidc.js.
+ *
+ * USAGE:
+ *   const oidc = require('./site-framework/oidc');
+ *
+ *   const provider = oidc.getProvider('corp');
+ *   const url = await oidc.createAuthorizationUrl(req, provider);   // redirect the browser here
+ *   const claims = await oidc.handleCallback(req, provider, req.query);
+ *
+ * CONFIGURATION (environment):
+ *   OIDC_PROVIDERS                 - Comma-separated provider IDs, e.g. "corp,google"
+ *   OIDC_<ID>_ISSUER               - Issuer URL (discovery document at /.well-known/openid-configuration)
+ *   OIDC_<ID>_CLIENT_ID            - Client ID registered at the IdP
+ *   OIDC_<ID>_CLIENT_SECRET        - Client secret (omit for public clients; PKCE is always used)
+ *   OIDC_<ID>_NAME                 - Button label (default: the provider ID)
+ *   OIDC_<ID>_SCOPES               - Requested scopes (default: "openid profile email")
+ *   OIDC_<ID>_REDIRECT_URI         - Callback URL (default: <request origin>/api/auth/oidc/<id>/callback)
+ *   OIDC_<ID>_USERNAME_CLAIM       - Claim used as the local username (default: preferred_username)
+ *   OIDC_<ID>_GROUPS_CLAIM         - Claim holding the user's groups (default: groups)
+ *   OIDC_<ID>_ADMIN_GROUP          - Members of this group are admins (synced on every login)
+ *   OIDC_<ID>_LINK_EXISTING        - "true" to link to an existing local user with the same username
+ *
+ *   <ID> is the provider ID upper-cased with dashes replaced by underscores.
+ *   In production the issuer must use HTTPS.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Authorization requests must complete within 10 minutes
+const STATE_TTL_MS = 10 * 60 * 1000;
+// Discovery documents and signing keys are cached for an hour
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10 * 1000;
+const ALLOWED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const pendingRequests = new Map();
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+// ============================================
+// Provider Configuration
+// ============================================
+
+function envKey(id, name) {
+  return `OIDC_${id.toUpperCase().replace(/-/g, '_')}_${name}`;
+}
+
+function loadProvider(id) {
+  const env = (name, fallback) => process.env[envKey(id, name)] || fallback;
+  const issuer = env('ISSUER');
+  const clientId = env('CLIENT_ID');
+
+  if (!/^[a-z0-9_-]+$/i.test(id) || !issuer || !clientId) {
+    console.log(`[OIDC] WARNING: Provider "${id}" is missing ${envKey(id, 'ISSUER')} or ${envKey(id, 'CLIENT_ID')}, skipping`);
+    return null;
+  }
+  if (process.env.NODE_ENV === 'production' && !issuer.startsWith('https://')) {
+    console.log(`[OIDC] WARNING: Provider "${id}" issuer must use HTTPS in production, skipping`);
+    return null;
+  }
+
+  return {
+    id,
+    name: env('NAME', id),
+    issuer: issuer.replace(/\/+$/, ''),
+    clientId,
+    clientSecret: env('CLIENT_SECRET', null),
+    scopes: env('SCOPES', 'openid profile email'),
+    redirectUri: env('REDIRECT_URI', null),
+    usernameClaim: env('USERNAME_CLAIM', 'preferred_username'),
+    groupsClaim: env('GROUPS_CLAIM', 'groups'),
+    adminGroup: env('ADMIN_GROUP', null),
+    linkExisting: env('LINK_EXISTING', 'false') === 'true'
+  };
+}
+
+/**
+ * All configured providers
+ */
+function getProviders() {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean)
+    .map(loadProvider)
+    .filter(Boolean);
+}
+
+function getProvider(id) {
+  return getProviders().find(p => p.id === id) || null;
+}
+
+function getRedirectUri(req, provider) {
+  return provider.redirectUri ||
+    `${req.protocol}://${req.get('host')}/api/auth/oidc/${provider.id}/callback`;
+}
+
+// ============================================
+// HTTP Helpers
+// ============================================
+
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error_description || data.error || `HTTP ${response.status} from ${new URL(url).host}`);
+  }
+  return data;
+}
+
+async function getMetadata(provider) {
+  const cached = metadataCache.get(provider.issuer);
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+  const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer.replace(/\/+$/, '') !== provider.issuer) {
+    throw new Error('Discovery document issuer does not match the configured issuer');
+  }
+
+  metadataCache.set(provider.issuer, { value: metadata, expiresAt: Date.now() + METADATA_TTL_MS });
+  return metadata;
+}
+
+/**
+ * Find the signing key for an ID token, refetching the JWKS once if the
+ * key ID is unknown (the IdP may have rotated keys).
+ */
+async function getSigningKey(metadata, kid) {
+  for (const refresh of [false, true]) {
+    let cached = jwksCache.get(metadata.jwks_uri);
+    if (refresh || !cached || cached.expiresAt < Date.now()) {
+      const jwks = await fetchJson(metadata.jwks_uri);
+      cached = { keys: jwks.keys || [], expiresAt: Date.now() + METADATA_TTL_MS };
+      jwksCache.set(metadata.jwks_uri, cached);
+    }
+
+    const jwk = cached.keys.find(k => (!kid || k.kid === kid) && (!k.use || k.use === 'sig'));
+    if (jwk) return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+  throw new Error('ID token signing key not found');
+}
+
+// ============================================
+// Authorization Flow
+// ============================================
+
+function base64url(buffer) {
+  return buffer.toString('base64url');
+}
+
+/**
+ * Start an authorization request.
+ * @returns {Object} { url, state } - redirect the browser to url
+ */
+async function createAuthorizationUrl(req, provider) {
+  const metadata = await getMetadata(provider);
+
+  const now = Date.now();
+  for (const [key, entry] of pendingRequests) {
+    if (entry.expiresAt < now) pendingRequests.delete(key);
+  }
+
+  const state = base64url(crypto.randomBytes(32));
+  const nonce = base64url(crypto.randomBytes(32));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const redirectUri = getRedirectUri(req, provider);
+
+  pendingRequests.set(state, {
+    providerId: provider.id,
+    nonce,
+    codeVerifier,
+    redirectUri,
+    expiresAt: now + STATE_TTL_MS
+  });
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return { url: url.toString(), state };
+}
+
+/**
+ * Complete the flow: exchange the code and verify the ID token.
+ * @param {Object} params - Callback query ({ code, state })
+ * @returns {Object} Verified ID token claims (merged with userinfo when available)
+ */
+async function handleCallback(req, provider, params) {
+  const pending = pendingRequests.get(params.state);
+  pendingRequests.delete(params.state);
+
+  if (!pending || pending.expiresAt < Date.now() || pending.providerId !== provider.id) {
+    throw new Error('Sign-in request expired, please try again');
+  }
+  if (!params.code) {
+    throw new Error('Authorization code missing from callback');
+  }
+
+  const metadata = await getMetadata(provider);
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: params.code,
+    redirect_uri: pending.redirectUri,
+    code_verifier: pending.codeVerifier,
+    client_id: provider.clientId
+  });
+  if (provider.clientSecret) {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+  if (!tokens.id_token) {
+    throw new Error('Identity provider did not return an ID token');
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded || !ALLOWED_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new Error('Unsupported ID token');
+  }
+
+  const key = await getSigningKey(metadata, decoded.header.kid);
+  const claims = jwt.verify(tokens.id_token, key, {
+    algorithms: ALLOWED_ALGORITHMS,
+    issuer: metadata.issuer,
+    audience: provider.clientId
+  });
+
+  if (claims.nonce !== pending.nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  // Some IdPs only include profile/group claims in the userinfo response
+  if (metadata.userinfo_endpoint && tokens.access_token) {
+    try {
+      const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+      });
+      if (userinfo.sub === claims.sub) {
+        return { ...userinfo, ...claims };
+      }
+    } catch (err) {
+      console.error(`[OIDC] Userinfo request failed for provider ${provider.id}:`, err.message);
+    }
+  }
+
+  return claims;
+}
+
+// ============================================
+// Claim Helpers
+// ============================================
+
+/**
+ * Read the local username from the configured claim (falls back to email, then sub)
+ */
+function getUsername(provider, claims) {
+  const value = claims[provider.usernameClaim] || claims.email || claims.sub;
+  return String(value).trim();
+}
+
+/**
+ * Whether the user belongs to the admin group, or null if no admin group is configured
+ */
+function isAdminFromClaims(provider, claims) {
+  if (!provider.adminGroup) return null;
+  const groups = claims[provider.groupsClaim];
+  const list = Array.isArray(groups) ? groups : (typeof groups === 'string' ? groups.split(/[\s,]+/) : []);
+  return list.includes(provider.adminGroup);
+}
+
+module.exports = {
+  getProviders,
+  getProvider,
+  createAuthorizationUrl,
+  handleCallback,
+  getUsername,
+  isAdminFromClaims
+};
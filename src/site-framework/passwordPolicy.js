@@ -0,0 +1,152 @@
+/**
+ * Site Framework - Password Policy
+ * ============================================
+ *
+ * One place for password rules, configured through settings: minimum
+ * length, required character classes, maximum age, reuse of recent
+ * passwords and a bundled offline list of common passwords
+ * (data/common-passwords.txt). Every route that sets a password checks
+ * it here. getRules() is served to the frontend for live feedback.
+ *
+ * USAGE:
+ *   const passwordPolicy = require('./site-framework/passwordPolicy');
+ *
+ *   const error = await passwordPolicy.validate(newPassword, user);   // null if acceptable
+ *   if (error) return res.status(400).json({ error });
+ *
+ *   passwordPolicy.isExpired(user);   // older than security.passwordMaxAgeDays
+ *   res.json(passwordPolicy.getRules());
+ *
+ *   `user` is the full users row (password_hash) of the account whose
+ *   password is being set; omit it for new accounts.
+ *
+ * SETTINGS:
+ *   security.passwordMinLength         - Minimum length (default: 8, at least 8)
+ *   security.passwordRequireUppercase  - Need an upper-case letter (default: false)
+ *   security.passwordRequireLowercase  - Need a lower-case letter (default: false)
+ *   security.passwordRequireDigit      - Need a digit (default: false)
+ *   security.passwordRequireSymbol     - Need a symbol (default: false)
+ *   security.passwordMaxAgeDays        - Force a change on login after this many days, 0 = never (default: 0)
+ *   security.passwordHistory           - Reject the current and this many previous passwords, 0 = off (default: 0, max 24)
+ *   security.passwordBlockCommon       - Reject passwords from the common-password list (default: true)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { users, settings, passwordHistory, passwordHash, parseTimestamp } = require('./db');
+
+const MIN_LENGTH = 8;
+
+// 72 bytes with bcrypt, which ignores the rest (see db/passwordHash.js)
+const MAX_LENGTH = passwordHash.maxPasswordBytes;
+
+const COMMON_PASSWORDS_FILE = path.join(__dirname, 'data', 'common-passwords.txt');
+
+const CHARACTER_CLASSES = [
+  { setting: 'requireUppercase', pattern: /[A-Z]/, message: 'an upper-case letter' },
+  { setting: 'requireLowercase', pattern: /[a-z]/, message: 'a lower-case letter' },
+  { setting: 'requireDigit', pattern: /[0-9]/, message: 'a digit' },
+  { setting: 'requireSymbol', pattern: /[^A-Za-z0-9]/, message: 'a symbol' }
+];
+
+let commonPasswords = null;
+
+function getCommonPasswords() {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+}
+
+/**
+ * Current rules, safe to send to the browser
+ */
+function getRules() {
+  return {
+    minLength: Math.max(MIN_LENGTH, parseInt(settings.get('security.passwordMinLength', MIN_LENGTH)) || MIN_LENGTH),
+    maxLength: MAX_LENGTH,
+    requireUppercase: settings.get('security.passwordRequireUppercase', false) === true,
+    requireLowercase: settings.get('security.passwordRequireLowercase', false) === true,
+    requireDigit: settings.get('security.passwordRequireDigit', false) === true,
+    requireSymbol: settings.get('security.passwordRequireSymbol', false) === true,
+    maxAgeDays: Math.max(0, parseInt(settings.get('security.passwordMaxAgeDays', 0)) || 0),
+    history: Math.min(passwordHistory.MAX_ENTRIES, Math.max(0, parseInt(settings.get('security.passwordHistory', 0)) || 0)),
+    blockCommon: settings.get('security.passwordBlockCommon', true) !== false
+  };
+}
+
+/**
+ * Whether a password is on the common list, also with digits or
+ * symbols tacked on the end ("Summer2024!" -> "summer")
+ */
+function isCommon(password) {
+  const list = getCommonPasswords();
+  const lower = password.toLowerCase();
+  const base = lower.replace(/[^a-z]+$/, '');
+  return list.has(lower) || (base.length > 0 && list.has(base));
+}
+
+/**
+ * Whether the password matches the current one or one of the last `count` previous ones
+ */
+async function isReused(user, password, count) {
+  const hashes = [user.password_hash, ...passwordHistory.getRecent(user.id, count)];
+  for (const hash of hashes) {
+    if (hash && await users.verifyPassword({ password_hash: hash }, password)) return true;
+  }
+  return false;
+}
+
+/**
+ * Check a new password against the policy
+ * @param {string} password
+ * @param {Object} [user] - Full users row when changing an existing account's password
+ * @returns {Promise<string|null>} Error message, or null if the password is acceptable
+ */
+async function validate(password, user = null) {
+  const rules = getRules();
+
+  if (typeof password !== 'string' || password.length < rules.minLength) {
+    return `Password must be at least ${rules.minLength} characters`;
+  }
+  if (Buffer.byteLength(password) > rules.maxLength) {
+    return `Password must be at most ${rules.maxLength} bytes`;
+  }
+
+  const missing = CHARACTER_CLASSES.filter(c => rules[c.setting] && !c.pattern.test(password));
+  if (missing.length > 0) {
+    return `Password must contain ${missing.map(c => c.message).join(', ')}`;
+  }
+
+  if (rules.blockCommon && isCommon(password)) {
+    return 'This password is too common, please choose another';
+  }
+
+  if (user && rules.history > 0 && await isReused(user, password, rules.history)) {
+    const previous = rules.history === 1 ? 'previous one' : `previous ${rules.history}`;
+    return `Password must not match your current password or your ${previous}`;
+  }
+
+  return null;
+}
+
+/**
+ * Whether the user's password is older than security.passwordMaxAgeDays
+ */
+function isExpired(user) {
+  const { maxAgeDays } = getRules();
+  const changedAt = user.password_changed_at || user.created_at;
+  if (maxAgeDays === 0 || !changedAt) return false;
+  return Date.now() - parseTimestamp(changedAt) > maxAgeDays * 24 * 60 * 60 * 1000;
+}
+
+module.exports = {
+  getRules,
+  validate,
+  isExpired
+};
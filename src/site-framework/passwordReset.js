@@ -0,0 +1,172 @@
+/**
+ * Site Framework - Self-service Password Reset
+ * ============================================
+ *
+ * "Forgot password?" flow: a user who has an email address on their
+ * account gets a one-time link; opening it lets them choose a new
+ * password. The link carries a random token whose SHA-256 hash is stored
+ * in password_resets. Mail goes out through the SMTP settings of the
+ * email notification channel.
+ *
+ * The link is /#reset=<token>, which the frontend picks up via
+ * auth.handlePasswordResetLink().
+ *
+ * USAGE:
+ *   const passwordReset = require('./site-framework/passwordReset');
+ *
+ *   if (passwordReset.isAvailable()) {
+ *     await passwordReset.requestReset(req, 'alice');   // username or email
+ *   }
+ *   const { user, error } = await passwordReset.resetPassword(req, token, newPassword);
+ *
+ * ENVIRONMENT:
+ *   APP_URL  - Public base URL used in emailed links, e.g. https://app.example.com.
+ *              Required in production (the Host header can't be trusted there);
+ *              development falls back to the request origin.
+ *
+ * SETTINGS:
+ *   security.passwordResetEnabled  - Allow self-service resets (default: true)
+ *   security.passwordResetMinutes  - How long a link works (default: 60)
+ */
+
+const crypto = require('crypto');
+const { users, sessions, logs, settings, identities, passwordResets } = require('./db');
+const notifier = require('./notifier');
+const loginThrottle = require('./loginThrottle');
+const passwordPolicy = require('./passwordPolicy');
+const { getClientIP, isUserActive } = require('./auth');
+
+// Requests per account per hour; extra requests are silently dropped
+const MAX_REQUESTS_PER_HOUR = 3;
+
+/**
+ * The stored form of an emailed link token. Also used by magicLink.js and
+ * invitation.js.
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Base URL for emailed links: APP_URL, or the request origin outside
+ * production. Also used by magicLink.js and invitation.js.
+ * @returns {string|null} null in production without APP_URL
+ */
+function getBaseUrl(req) {
+  if (process.env.APP_URL) return process.env.APP_URL.replace(/\/+$/, '');
+  if (process.env.NODE_ENV === 'production') return null;
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+function isExternalAccount(user) {
+  return identities.getAllForUser(user.id).length > 0;
+}
+
+/**
+ * Check whether resets can be offered: enabled, SMTP configured and a trusted base URL
+ */
+function isAvailable() {
+  if (settings.get('security.passwordResetEnabled', true) === false) return false;
+  if (process.env.NODE_ENV === 'production' && !process.env.APP_URL) return false;
+  return notifier.isEmailConfigured();
+}
+
+/**
+ * Email a reset link if the username or email matches an account with an
+ * email address. Always resolves the same way so callers can't tell
+ * whether an account exists.
+ */
+async function requestReset(req, identifier) {
+  const clientIP = getClientIP(req);
+  const value = String(identifier || '').trim();
+  if (!value || !isAvailable()) return;
+
+  const user = value.includes('@') ? users.getByEmail(value) : users.getByUsername(value);
+  if (!user || !user.email) {
+    logs.add('info', `Password reset requested for unknown account "${value}" from IP: ${clientIP}`);
+    return;
+  }
+
+  // Invited accounts choose their first password through the invitation
+  // link; registrations awaiting approval wait for an admin
+  if (user.status !== 'active') {
+    logs.add('info', `Password reset refused for ${user.status} user: ${user.username} from IP: ${clientIP}`, user.id);
+    return;
+  }
+
+  // Directory and SSO accounts change their password at the identity provider
+  if (isExternalAccount(user)) {
+    logs.add('info', `Password reset refused for externally managed user: ${user.username} from IP: ${clientIP}`, user.id);
+    return;
+  }
+
+  if (passwordResets.countRecent(user.id, 60) >= MAX_REQUESTS_PER_HOUR) {
+    logs.add('warn', `Password reset request limit reached for user: ${user.username} from IP: ${clientIP}`, user.id);
+    return;
+  }
+
+  const minutes = Math.max(5, parseInt(settings.get('security.passwordResetMinutes', 60)) || 60);
+  const token = crypto.randomBytes(32).toString('hex');
+  passwordResets.create(user.id, hashToken(token), new Date(Date.now() + minutes * 60 * 1000).toISOString(), clientIP);
+
+  const link = `${getBaseUrl(req)}/#reset=${token}`;
+  const result = await notifier.sendEmailTo(user.email, {
+    title: 'Password reset',
+    text: `A password reset was requested for your account "${user.username}".\n\n` +
+      `Open this link within ${minutes} minutes to choose a new password:\n${link}\n\n` +
+      'If you did not request this, you can ignore this email; your password has not been changed.'
+  });
+
+  if (result.success) {
+    logs.add('info', `Password reset email sent to user: ${user.username} from IP: ${clientIP}`, user.id);
+  } else {
+    logs.add('error', `Password reset email to user: ${user.username} failed: ${result.error}`, user.id);
+  }
+}
+
+/**
+ * Set a new password with a reset token. Ends every session of the user
+ * and clears any login lockout. Links for accounts that have since been
+ * disabled (or otherwise stopped being active) are refused.
+ * @returns {Object} { user } on success, { error } otherwise
+ */
+async function resetPassword(req, token, newPassword) {
+  const clientIP = getClientIP(req);
+  const reset = token ? passwordResets.getValid(hashToken(String(token))) : null;
+  const user = reset && users.getFullById(reset.user_id);
+  if (!user || isExternalAccount(user)) {
+    logs.add('warn', `Invalid or expired password reset link used from IP: ${clientIP}`);
+    return { error: 'This reset link is invalid or has expired' };
+  }
+  if (!isUserActive(user)) {
+    logs.add('warn', `Password reset link refused for ${user.status} user: ${user.username} from IP: ${clientIP}`, user.id);
+    return { error: 'This reset link is invalid or has expired' };
+  }
+
+  const passwordError = await passwordPolicy.validate(newPassword, user);
+  if (passwordError) {
+    return { error: passwordError };
+  }
+
+  // Claim the token before the slow hash so it can't be used twice
+  if (!passwordResets.markUsed(reset.id)) {
+    return { error: 'This reset link is invalid or has expired' };
+  }
+
+  await users.update(user.id, { password: newPassword });
+  users.clearMustChangePassword(user.id);
+  passwordResets.invalidateAllForUser(user.id);
+  sessions.revokeAllForUser(user.id);
+  loginThrottle.unlock(user.username);
+
+  logs.add('info', `Password reset via email link: ${user.username} from IP: ${clientIP}`, user.id);
+  return { user };
+}
+
+module.exports = {
+  isAvailable,
+  requestReset,
+  resetPassword,
+  hashToken,
+  getBaseUrl
+};
@@ -0,0 +1,86 @@
+/**
+ * Site Framework - Permissions
+ * ============================================
+ *
+ * The permissions roles can grant. Users get the union of their roles'
+ * permissions; routes check them with auth.requirePermission(). The
+ * built-in Administrator role holds "*", which stands for every
+ * permission, including ones registered later.
+ *
+ * USAGE:
+ *   const permissions = require('./site-framework/permissions');
+ *
+ *   router.get('/', auth.requirePermission('logs.view'), handler);
+ *
+ *   permissions.getAll();                          // [{ id, description }]
+ *   permissions.expand(['*']);                     // every permission id
+ *   permissions.has(req.user.permissions, 'logs.view');
+ *
+ * CUSTOMIZATION:
+ *   Apps can add permissions for their own routes with permissions.register();
+ *   they then show up in the roles editor.
+ */
+
+const ALL = '*';
+
+const PERMISSIONS = new Map([
+  ['users.view', 'View users and their roles'],
+  ['users.manage', 'Create, edit and delete users; reset their 2FA, lockouts, API keys and sessions'],
+  ['users.impersonate', 'Sign in as another user to see what they see (every request is logged)'],
+  ['roles.manage', 'Create, edit and delete roles'],
+  ['logs.view', 'View logs'],
+  ['logs.manage', 'Clear logs'],
+  ['audit.view', 'View the audit trail of admin and security changes'],
+  ['settings.view', 'View settings, directory (LDAP) configuration and signing keys'],
+  ['settings.manage', 'Change settings and directory (LDAP) configuration; rotate signing keys'],
+  ['notifications.manage', 'Configure and test notification channels']
+]);
+
+/**
+ * Add an app-specific permission
+ * @param {string} id - e.g. 'reports.view'
+ * @param {string} description - Shown in the roles editor
+ */
+function register(id, description = id) {
+  if (!/^[a-z0-9_-]+\.[a-z0-9_-]+$/.test(id)) {
+    throw new Error(`Invalid permission id: ${id}`);
+  }
+  PERMISSIONS.set(id, description);
+}
+
+/**
+ * Every permission, for the roles editor
+ * @returns {Array} [{ id, description }]
+ */
+function getAll() {
+  return [...PERMISSIONS].map(([id, description]) => ({ id, description }));
+}
+
+function isValid(id) {
+  return id === ALL || PERMISSIONS.has(id);
+}
+
+/**
+ * Turn granted permissions into the list of permission ids they cover
+ * ("*" becomes every permission; unknown ids are dropped)
+ */
+function expand(granted) {
+  if (granted.includes(ALL)) return [...PERMISSIONS.keys()];
+  return granted.filter(id => PERMISSIONS.has(id));
+}
+
+/**
+ * Whether an expanded permission list includes a permission
+ */
+function has(expanded, permission) {
+  return expanded.includes(permission);
+}
+
+module.exports = {
+  ALL,
+  register,
+  getAll,
+  isValid,
+  expand,
+  has
+};
@@ -0,0 +1,135 @@
+/**
+ * Site Framework - Self-registration
+ * ============================================
+ *
+ * Lets visitors create their own account from the login dialog. Whether
+ * they may, and whether an admin has to approve the account first, is a
+ * setting. Approval-required accounts are created with status 'pending'
+ * and can't sign in until an admin approves them in the users table;
+ * rejecting one deletes it. Every registration is announced on the
+ * enabled notification channels. New accounts get no roles.
+ *
+ * An email address that already belongs to another account isn't refused,
+ * since that would tell visitors who has an account. The new account is
+ * created without it and the address's owner is emailed instead.
+ *
+ * USAGE:
+ *   const registration = require('./site-framework/registration');
+ *
+ *   if (registration.getMode() !== 'invite-only') {
+ *     const user = await registration.register(req, { username, password, email });
+ *   }
+ *   await registration.approve(req, user);   // emails the user when possible
+ *
+ * SETTINGS:
+ *   security.registration  - 'invite-only' (default, only admins add users),
+ *                            'open' or 'approval' (an admin approves each account)
+ */
+
+const { users, logs, settings } = require('./db');
+const notifier = require('./notifier');
+const { getClientIP } = require('./auth');
+
+const MODES = ['invite-only', 'open', 'approval'];
+
+// Registrations per IP per hour
+const MAX_REGISTRATIONS_PER_HOUR = 5;
+const WINDOW_MS = 60 * 60 * 1000;
+
+// IP -> timestamps of recent registrations
+const recentByIp = new Map();
+
+function getMode() {
+  const mode = settings.get('security.registration', 'invite-only');
+  return MODES.includes(mode) ? mode : 'invite-only';
+}
+
+/**
+ * Whether this IP has registered too many accounts in the last hour
+ */
+function isRateLimited(clientIP) {
+  const cutoff = Date.now() - WINDOW_MS;
+  for (const [ip, times] of recentByIp) {
+    const recent = times.filter(time => time > cutoff);
+    if (recent.length) recentByIp.set(ip, recent);
+    else recentByIp.delete(ip);
+  }
+  return (recentByIp.get(clientIP) || []).length >= MAX_REGISTRATIONS_PER_HOUR;
+}
+
+/**
+ * Tell the owner of an email address that someone registered with it
+ * @param {Object} owner - User the address belongs to
+ */
+async function notifyEmailInUse(owner, username, clientIP) {
+  if (!notifier.isEmailConfigured()) return;
+
+  const result = await notifier.sendEmailTo(owner.email, {
+    title: 'Someone registered with your email address',
+    text: `Someone from IP ${clientIP} created the account "${username}" and gave your email address, ` +
+      `which already belongs to your account "${owner.username}". The address was not added to the new account. ` +
+      `If this was you, log in with your existing account or reset its password instead.`
+  });
+  if (!result.success) {
+    logs.add('error', `Email-in-use notice to user: ${owner.username} failed: ${result.error}`, owner.id);
+  }
+}
+
+/**
+ * Create an account for a visitor. Input must already be validated, apart
+ * from whether the email address is in use.
+ * @returns {Object} The new user (status 'active' or 'pending')
+ */
+async function register(req, { username, password, email }) {
+  const clientIP = getClientIP(req);
+  const pending = getMode() === 'approval';
+
+  const owner = email ? users.getByEmail(email) : null;
+  if (owner) {
+    logs.add('warn', `Registration: ${username} from IP: ${clientIP} gave the email address of user: ${owner.username}, not added`, owner.id);
+    notifyEmailInUse(owner, username, clientIP).catch(err => {
+      logs.add('error', `Email-in-use notice failed: ${err.message}`, owner.id);
+    });
+    email = null;
+  }
+
+  const user = await users.create(username, password, false, email);
+  if (pending) users.setStatus(user.id, 'pending');
+  recentByIp.set(clientIP, [...(recentByIp.get(clientIP) || []), Date.now()]);
+
+  const message = `New registration: ${username}${email ? ` (${email})` : ''} from IP: ${clientIP}` +
+    (pending ? ', awaiting approval' : '');
+  logs.add('info', message, user.id);
+  notifier.notifyAll({ title: pending ? 'Registration awaiting approval' : 'New registration', text: message }).catch(err => {
+    logs.add('error', `Registration notification failed: ${err.message}`);
+  });
+
+  return { ...user, status: pending ? 'pending' : 'active' };
+}
+
+/**
+ * Activate a pending registration and tell the user, if they gave an
+ * email address and SMTP is configured
+ * @param {Object} user - Pending user row
+ */
+async function approve(req, user) {
+  users.setStatus(user.id, 'active');
+  logs.add('info', `Registration approved: ${user.username} by ${req.user.username}`, req.user.id);
+
+  if (!user.email || !notifier.isEmailConfigured()) return;
+
+  const result = await notifier.sendEmailTo(user.email, {
+    title: 'Your account has been approved',
+    text: `Your account "${user.username}" has been approved. You can now log in.`
+  });
+  if (!result.success) {
+    logs.add('error', `Approval email to user: ${user.username} failed: ${result.error}`, req.user.id);
+  }
+}
+
+module.exports = {
+  getMode,
+  isRateLimited,
+  register,
+  approve
+};
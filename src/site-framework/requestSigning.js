@@ -0,0 +1,93 @@
+/**
+ * Site Framework - Request Signing (server)
+ * ============================================
+ *
+ * Verifies requests signed with a signing API key (see signRequest.js for
+ * the client side and the signed string). A signing key is never sent:
+ * a leaked request can't be reused because its timestamp goes stale and
+ * its nonce is remembered until then. auth.authenticate calls verify()
+ * whenever an X-Signature header is present.
+ *
+ * The signature covers the raw body, so the body parsers must keep it:
+ *
+ *   app.use(express.json({ verify: requestSigning.captureRawBody }));
+ *
+ * SETTINGS:
+ *   security.signatureMaxAgeSeconds - How far a signed timestamp may be from the server clock (default: 300)
+ */
+
+const crypto = require('crypto');
+const { apiKeys, settings } = require('./db');
+const { HEADERS, computeSignature } = require('./signRequest');
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+const SIGNATURE_PATTERN = /^[0-9a-f]{64}$/i;
+const INVALID_SIGNATURE = 'Invalid request signature';
+
+/**
+ * Body parser verify hook: keep the raw body for signature checks
+ */
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+function isSigned(req) {
+  return !!req.headers[HEADERS.signature];
+}
+
+function getMaxAgeSeconds() {
+  return Math.max(1, parseInt(settings.get('security.signatureMaxAgeSeconds', 300)) || 300);
+}
+
+/**
+ * Check a signed request and use up its nonce
+ * @returns {Object} { key } with the signing key's owner, or { error }
+ */
+function verify(req) {
+  const keyId = req.headers[HEADERS.keyId];
+  const timestamp = req.headers[HEADERS.timestamp];
+  const nonce = req.headers[HEADERS.nonce];
+  const signature = req.headers[HEADERS.signature];
+
+  if (!/^\d+$/.test(keyId || '') || !/^\d+$/.test(timestamp || '') ||
+      !NONCE_PATTERN.test(nonce || '') || !SIGNATURE_PATTERN.test(signature || '')) {
+    return { error: 'Malformed request signature' };
+  }
+
+  const maxAge = getMaxAgeSeconds();
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > maxAge) {
+    return { error: 'Request signature has expired' };
+  }
+
+  const key = apiKeys.getSigningKey(parseInt(keyId));
+  if (!key) {
+    return { error: INVALID_SIGNATURE };
+  }
+
+  const expected = computeSignature(key.secret, {
+    method: req.method,
+    path: req.originalUrl,
+    timestamp,
+    nonce,
+    body: req.rawBody
+  });
+  if (!crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(signature.toLowerCase(), 'hex'))) {
+    return { error: INVALID_SIGNATURE };
+  }
+
+  // Only claimed once the signature checks out, so forgeries can't use up nonces.
+  // Past the timestamp window the request is refused anyway, so the nonce can go then.
+  const expiresAt = new Date((Number(timestamp) + maxAge) * 1000).toISOString();
+  if (!apiKeys.claimNonce(key.id, nonce, expiresAt)) {
+    return { error: 'Request nonce has already been used' };
+  }
+
+  const { secret, ...owner } = key;
+  return { key: owner };
+}
+
+module.exports = {
+  captureRawBody,
+  isSigned,
+  verify
+};
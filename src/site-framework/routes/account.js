@@ -6,17 +6,22 @@
  *
  * ENDPOINTS:
  *   GET    /account         - Get current user's account info
- *   PUT    /account         - Update username/password
- *   POST   /account/api-key - Generate API key
- *   DELETE /account/api-key - Revoke API key
+ *   PUT    /account         - Update username/password/email (audited as account.update)
+ *
+ * API keys are managed under /account/api-keys (apiKeys.js), signed-in
+ * devices under /account/sessions (sessions.js).
  */
 
 const express = require('express');
 const router = express.Router();
 const auth = require('../auth');
-const { users, logs } = require('../db');
+const audit = require('../audit');
+const passwordPolicy = require('../passwordPolicy');
+const { users, logs, roles } = require('../db');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
-router.get('/', auth.requireAuth, (req, res) => {
+router.get('/', auth.requireAuth, auth.requireScope('account:read'), (req, res) => {
   try {
     const user = users.getById(req.user.id);
     if (!user) {
@@ -26,17 +31,14 @@ router.get('/', auth.requireAuth, (req, res) => {
     const response = {
       id: user.id,
       username: user.username,
+      email: user.email,
       isAdmin: !!user.is_admin,
-      hasApiKey: !!user.api_key,
+      roles: roles.getForUser(user.id),
+      twoFactorEnabled: !!user.totp_enabled,
       createdAt: user.created_at,
       lastLogin: user.last_login
     };
 
-    if (user.api_key) {
-      response.apiKeyLastFour = user.api_key_last_four;
-      response.apiKeyCreatedAt = user.api_key_created_at;
-    }
-
     res.json(response);
   } catch (err) {
     console.error('Error getting account:', err);
@@ -44,8 +46,9 @@ router.get('/', auth.requireAuth, (req, res) => {
   }
 });
 
-router.put('/', auth.requireAuth, async (req, res) => {
+router.put('/', auth.requireAuth, auth.requireScope('account:write'), auth.requireOwnSession, async (req, res) => {
   const { username, currentPassword, newPassword } = req.body;
+  const email = typeof req.body.email === 'string' ? req.body.email.trim() : req.body.email;
   const userId = req.user.id;
 
   try {
@@ -75,9 +78,22 @@ router.put('/', auth.requireAuth, async (req, res) => {
       updates.username = username;
     }
 
+    // The address receives password reset links, hence the password check above
+    if (email !== undefined && (email || null) !== user.email) {
+      if (email && (typeof email !== 'string' || !EMAIL_PATTERN.test(email))) {
+        return res.status(400).json({ error: 'Invalid email address' });
+      }
+      const existing = email && users.getByEmail(email);
+      if (existing && existing.id !== userId) {
+        return res.status(409).json({ error: 'Email address already in use' });
+      }
+      updates.email = email || null;
+    }
+
     if (newPassword) {
-      if (newPassword.length < 8) {
-        return res.status(400).json({ error: 'New password must be at least 8 characters' });
+      const passwordError = await passwordPolicy.validate(newPassword, user);
+      if (passwordError) {
+        return res.status(400).json({ error: passwordError });
       }
       updates.password = newPassword;
     }
@@ -87,61 +103,24 @@ router.put('/', auth.requireAuth, async (req, res) => {
     }
 
     await users.update(userId, updates);
+    if (updates.password) users.clearMustChangePassword(userId);
+    audit.record(req, 'account.update', {
+      targetType: 'user',
+      targetId: userId,
+      before: { username: user.username, email: user.email },
+      after: {
+        username: updates.username || user.username,
+        email: updates.email !== undefined ? updates.email : user.email,
+        password: updates.password ? true : null
+      }
+    });
     logs.add('info', `Account updated by user: ${user.username}`, userId);
 
-    res.json({ success: true, username: updates.username || user.username });
+    res.json({ success: true, username: updates.username || user.username, email: updates.email !== undefined ? updates.email : user.email });
   } catch (err) {
     console.error('Error updating account:', err);
     res.status(500).json({ error: 'Failed to update account' });
   }
 });
 
-router.post('/api-key', auth.requireAuth, (req, res) => {
-  const userId = req.user.id;
-
-  try {
-    const user = users.getById(userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    const hadExistingKey = !!user.api_key;
-    const result = users.generateApiKey(userId);
-    const { apiKey, lastFour, createdAt } = result;
-    const clientIP = auth.getClientIP(req);
-
-    const logMessage = hadExistingKey
-      ? `API key regenerated by user: ${user.username} (ending in ...${lastFour}) from IP: ${clientIP}`
-      : `API key generated by user: ${user.username} (ending in ...${lastFour}) from IP: ${clientIP}`;
-    logs.add('info', logMessage, userId);
-
-    res.json({ apiKey, lastFour, createdAt });
-  } catch (err) {
-    console.error('Error generating API key:', err);
-    res.status(500).json({ error: 'Failed to generate API key' });
-  }
-});
-
-router.delete('/api-key', auth.requireAuth, (req, res) => {
-  const userId = req.user.id;
-
-  try {
-    const user = users.getById(userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    const lastFour = user.api_key_last_four || 'unknown';
-    users.revokeApiKey(userId);
-    const clientIP = auth.getClientIP(req);
-    const logMessage = `API key revoked by user: ${user.username} (was ending in ...${lastFour}) from IP: ${clientIP}`;
-    logs.add('info', logMessage, userId);
-
-    res.json({ success: true });
-  } catch (err) {
-    console.error('Error revoking API key:', err);
-    res.status(500).json({ error: 'Failed to revoke API key' });
-  }
-});
-
 module.exports = router;
@@ -0,0 +1,196 @@
+/**
+ * API Key Routes (Self-service)
+ * ============================================
+ *
+ * Lets logged-in users manage their own named API keys. A new key's
+ * value is returned once, when it is created. Each key is limited to the
+ * scopes picked here (see apiScopes.js). A signing key is never sent with
+ * requests; clients sign each request with it (see requestSigning.js).
+ * Keys can be limited to client IP ranges (see ipAllowlist.js). A request
+ * made with an API key can't change allowlists, and the keys it creates
+ * must stay inside its own ranges, so the limit can't be shed.
+ * Creating, editing and revoking keys is audited (account.api_key.*).
+ * Mounted under /account/api-keys.
+ *
+ * ENDPOINTS:
+ *   GET    /account/api-keys        - List own API keys (Token)
+ *   GET    /account/api-keys/scopes - Scopes the user can grant (Token)
+ *   POST   /account/api-keys        - Create a key (body: { name, scopes, expiresInDays?, signing?, allowedIps? }) (Token)
+ *   PUT    /account/api-keys/:id    - Rename a key and/or change its IP allowlist (body: { name?, allowedIps? }) (Token)
+ *   DELETE /account/api-keys/:id    - Revoke a key (Token)
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../auth');
+const apiScopes = require('../apiScopes');
+const ipAllowlist = require('../ipAllowlist');
+const audit = require('../audit');
+const { apiKeys, logs } = require('../db');
+
+const MAX_NAME_LENGTH = 64;
+const MAX_EXPIRY_DAYS = 3650;
+
+/**
+ * A key as recorded in audit entries (never the key or signing secret)
+ */
+function auditSnapshot(key) {
+  const { id, name, lastFour, scopes, expiresAt, signing, allowedIps } = key;
+  return { apiKey: { id, name, lastFour, scopes, expiresAt, signing, allowedIps } };
+}
+
+/**
+ * Check a key name
+ * @returns {Object} { name } or { error }
+ */
+function parseName(value) {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!name) {
+    return { error: 'Name is required' };
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    return { error: `Name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+  return { name };
+}
+
+/**
+ * Check a create request body
+ * @param {Object} body - { name, scopes, expiresInDays?, signing?, allowedIps? }
+ * @param {Array} ownerPermissions - The key owner's permissions (limit the scopes on offer)
+ * @param {Object} caller - req.user; a request made with an API key can't grant scopes
+ *                          it lacks or allow addresses it isn't allowed from
+ * @returns {Object} { name, scopes, expiresAt, signing, allowedIps } or { error }
+ */
+function parseKeyRequest(body, ownerPermissions, caller) {
+  const { name, error } = parseName(body.name);
+  if (error) {
+    return { error };
+  }
+
+  const scopes = Array.isArray(body.scopes) ? [...new Set(body.scopes)] : body.scopes;
+  const scopeError = apiScopes.validate(scopes, ownerPermissions);
+  if (scopeError) {
+    return { error: scopeError };
+  }
+  if (caller.authMethod === 'api_key' && !scopes.every(scope => apiScopes.has(caller.scopes, scope))) {
+    return { error: 'An API key cannot grant scopes it does not have' };
+  }
+
+  let expiresAt = null;
+  if (body.expiresInDays !== undefined && body.expiresInDays !== null) {
+    const days = Number(body.expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      return { error: `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days` };
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  const { ranges: allowedIps, error: ipError } = ipAllowlist.parse(body.allowedIps);
+  if (ipError) {
+    return { error: ipError };
+  }
+  if (caller.authMethod === 'api_key' && !ipAllowlist.within(allowedIps, caller.allowedIps)) {
+    return { error: 'An API key cannot allow IP addresses outside its own allowlist' };
+  }
+
+  return { name, scopes, expiresAt, signing: body.signing === true, allowedIps };
+}
+
+router.get('/', auth.requireAuth, auth.requireScope('account:read'), (req, res) => {
+  try {
+    res.json(apiKeys.getAllForUser(req.user.id));
+  } catch (err) {
+    console.error('Error listing API keys:', err);
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+router.get('/scopes', auth.requireAuth, auth.requireScope('account:read'), (req, res) => {
+  res.json(apiScopes.getAvailable(req.user.permissions));
+});
+
+router.post('/', auth.requireAuth, auth.requireScope('account:write'), auth.requireOwnSession, (req, res) => {
+  const { name, scopes, expiresAt, signing, allowedIps, error } = parseKeyRequest(req.body, req.user.permissions, req.user);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const key = apiKeys.create(req.user.id, name, scopes, expiresAt, { signing, allowedIps });
+    audit.record(req, 'account.api_key.create', {
+      targetType: 'user',
+      targetId: req.user.id,
+      after: auditSnapshot(key)
+    });
+    const clientIP = auth.getClientIP(req);
+    logs.add('info', `${signing ? 'Signing API key' : 'API key'} created by user: ${req.user.username} (${name}, ending in ...${key.lastFour}, scopes: ${scopes.join(' ')}) from IP: ${clientIP}`, req.user.id);
+    res.status(201).json(key);
+  } catch (err) {
+    console.error('Error creating API key:', err);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+router.put('/:id', auth.requireAuth, auth.requireScope('account:write'), auth.requireOwnSession, (req, res) => {
+  const id = parseInt(req.params.id);
+  const { name, error } = req.body.name === undefined ? {} : parseName(req.body.name);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { ranges: allowedIps, error: ipError } = req.body.allowedIps === undefined ? {} : ipAllowlist.parse(req.body.allowedIps);
+  if (ipError) {
+    return res.status(400).json({ error: ipError });
+  }
+  if (allowedIps !== undefined && req.user.authMethod === 'api_key') {
+    return res.status(403).json({ error: 'IP allowlists cannot be changed with an API key' });
+  }
+
+  const before = apiKeys.getAllForUser(req.user.id).find(key => key.id === id);
+  if (!before) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+
+  try {
+    if (name !== undefined) {
+      apiKeys.rename(id, req.user.id, name);
+      logs.add('info', `API key renamed by user: ${req.user.username} (${name})`, req.user.id);
+    }
+    if (allowedIps !== undefined) {
+      apiKeys.setAllowedIps(id, req.user.id, allowedIps);
+      const ranges = allowedIps.length ? allowedIps.join(' ') : 'any';
+      logs.add('info', `API key IP allowlist changed by user: ${req.user.username} (${ranges}) from IP: ${auth.getClientIP(req)}`, req.user.id);
+    }
+    const after = apiKeys.getAllForUser(req.user.id).find(key => key.id === id);
+    audit.record(req, 'account.api_key.update', {
+      targetType: 'user',
+      targetId: req.user.id,
+      before: auditSnapshot(before),
+      after: auditSnapshot(after)
+    });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error renaming API key:', err);
+    res.status(500).json({ error: 'Failed to rename API key' });
+  }
+});
+
+router.delete('/:id', auth.requireAuth, auth.requireScope('account:write'), auth.requireOwnSession, (req, res) => {
+  try {
+    const key = apiKeys.getAllForUser(req.user.id).find(k => k.id === parseInt(req.params.id));
+    if (!key || !apiKeys.delete(key.id, req.user.id)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    audit.record(req, 'account.api_key.revoke', { targetType: 'user', targetId: req.user.id, before: auditSnapshot(key) });
+    const clientIP = auth.getClientIP(req);
+    logs.add('info', `API key revoked by user: ${req.user.username} from IP: ${clientIP}`, req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error revoking API key:', err);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
+module.exports.parseKeyRequest = parseKeyRequest;
@@ -0,0 +1,60 @@
+/**
+ * Audit Trail Routes (audit.view)
+ * ============================================
+ *
+ * Read-only: audit entries can't be changed or deleted (see audit.js).
+ *
+ * ENDPOINTS:
+ *   GET /audit         - Entries, newest first (query: ?action=&actor=&targetType=&targetId=&from=&to=&before=&limit=100)
+ *                        from/to are ISO times; before is an entry id, for paging
+ *   GET /audit/filters - Actions and target types recorded so far
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../auth');
+const { auditLog } = require('../db');
+
+const MAX_LIMIT = 500;
+
+function parseTime(value) {
+  if (!value) return null;
+  const time = new Date(String(value));
+  return isNaN(time.getTime()) ? undefined : time.toISOString();
+}
+
+router.get('/', auth.requirePermission('audit.view'), auth.requireScope('audit:read'), (req, res) => {
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ error: 'Invalid date' });
+  }
+
+  try {
+    const entries = auditLog.query({
+      action: req.query.action ? String(req.query.action) : null,
+      actor: req.query.actor ? String(req.query.actor) : null,
+      targetType: req.query.targetType ? String(req.query.targetType) : null,
+      targetId: req.query.targetId ? String(req.query.targetId) : null,
+      from,
+      to,
+      before: parseInt(req.query.before) || null,
+      limit: Math.min(parseInt(req.query.limit) || 100, MAX_LIMIT)
+    });
+    res.json(entries);
+  } catch (err) {
+    console.error('Error getting audit entries:', err);
+    res.status(500).json({ error: 'Failed to get audit entries' });
+  }
+});
+
+router.get('/filters', auth.requirePermission('audit.view'), auth.requireScope('audit:read'), (req, res) => {
+  try {
+    res.json(auditLog.getFilterValues());
+  } catch (err) {
+    console.error('Error getting audit filters:', err);
+    res.status(500).json({ error: 'Failed to get audit filters' });
+  }
+});
+
+module.exports = router;
@@ -4,34 +4,61 @@
  *
  * ENDPOINTS:
  *   POST /auth/login            - Login with username/password
+ *   POST /auth/login/2fa        - Complete login with a TOTP or recovery code
  *   POST /auth/logout           - Logout (revoke token)
- *   POST /auth/refresh          - Refresh JWT token
- *   GET  /auth/me               - Get current user info
- *   POST /auth/change-password  - Complete forced password change
+ *   POST /auth/refresh          - Exchange the refresh token cookie for new tokens
+ *   POST /auth/keepalive        - Record activity so an idle session isn't ended ("Stay signed in")
+ *   GET  /auth/me               - Get current user info (any API key may call it; includes the key's scopes,
+ *                                 or the impersonating admin as `actor`)
+ *   POST /auth/impersonate/stop - End impersonation and return to the admin's own account
+ *   POST /auth/change-password  - Complete forced password change (audited as account.update)
+ *   GET  /auth/password-policy  - Password rules for live feedback in the UI
+ *   GET  /auth/session-policy   - Idle timeout and maximum session lifetime, for the idle warning
+ *   GET  /auth/.well-known/jwks.json - Public keys for verifying access tokens
  */
 
 const express = require('express');
 const router = express.Router();
 const auth = require('../auth');
+const keyring = require('../keyring');
+const passwordPolicy = require('../passwordPolicy');
+const sessionPolicy = require('../sessionPolicy');
+const audit = require('../audit');
 const { users, logs } = require('../db');
 
 router.post('/login', auth.login);
+router.post('/login/2fa', auth.verifyTwoFactor);
 router.post('/logout', auth.authenticate, auth.logout);
-router.post('/refresh', auth.requireAuth, auth.refreshToken);
+router.post('/refresh', auth.refreshToken);
+router.post('/keepalive', auth.requireAuth, auth.keepAlive);
+// Needs no scope so every key can check whose it is and what it may do
 router.get('/me', auth.requireAuth, auth.getCurrentUser);
+router.post('/impersonate/stop', auth.requireAuth, auth.stopImpersonation);
 
-// Forced password change endpoint
-router.post('/change-password', auth.requireAuth, async (req, res) => {
+// Public signing keys so other services can verify access tokens
+router.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(keyring.getJwks());
+});
+
+// Password rules, public so the reset and forced-change dialogs can show them
+router.get('/password-policy', (req, res) => {
+  res.json(passwordPolicy.getRules());
+});
+
+// Session limits, public so the browser can warn before an idle sign-out
+router.get('/session-policy', (req, res) => {
+  res.json(sessionPolicy.getRules());
+});
+
+// Forced password change endpoint (also used when a password has expired)
+router.post('/change-password', auth.requireAuth, auth.requireScope('account:write'), auth.requireOwnSession, async (req, res) => {
   const { currentPassword, newPassword } = req.body;
 
   if (!currentPassword || !newPassword) {
     return res.status(400).json({ error: 'Current password and new password are required' });
   }
 
-  if (newPassword.length < 8) {
-    return res.status(400).json({ error: 'New password must be at least 8 characters' });
-  }
-
   try {
     const user = users.getFullById(req.user.id);
     if (!user) {
@@ -47,8 +74,14 @@ router.post('/change-password', auth.requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'New password must be different from current password' });
     }
 
+    const passwordError = await passwordPolicy.validate(newPassword, user);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
     await users.update(user.id, { password: newPassword });
     users.clearMustChangePassword(user.id);
+    audit.record(req, 'account.update', { targetType: 'user', targetId: user.id, after: { password: true } });
     logs.add('info', `Password changed (forced): ${user.username}`, user.id);
 
     res.json({ success: true });
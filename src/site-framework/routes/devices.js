@@ -0,0 +1,63 @@
+/**
+ * Known Device Routes (Self-service)
+ * ============================================
+ *
+ * Lets logged-in users review the devices (IP address and browser) they
+ * have signed in from, and forget ones they no longer use. Signing in
+ * from a forgotten device raises a new device alert again (see
+ * loginAlerts.js). Mounted under /account/devices.
+ *
+ * ENDPOINTS:
+ *   GET    /account/devices     - List own known devices, most recently seen first (Token)
+ *   DELETE /account/devices/:id - Forget one device (Token; audited as account.device.forget)
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../auth');
+const audit = require('../audit');
+const { knownDevices, logs } = require('../db');
+
+/**
+ * Build the API view of a known device
+ */
+function toDeviceInfo(device) {
+  return {
+    id: device.id,
+    ip: device.ip,
+    userAgent: device.userAgent,
+    firstSeenAt: device.firstSeenAt,
+    lastSeenAt: device.lastSeenAt
+  };
+}
+
+router.get('/', auth.requireAuth, auth.requireScope('account:read'), (req, res) => {
+  try {
+    res.json(knownDevices.getAllForUser(req.user.id).map(toDeviceInfo));
+  } catch (err) {
+    console.error('Error listing known devices:', err);
+    res.status(500).json({ error: 'Failed to list devices' });
+  }
+});
+
+router.delete('/:id', auth.requireAuth, auth.requireScope('account:write'), (req, res) => {
+  try {
+    const device = knownDevices.getAllForUser(req.user.id).find(d => d.id === parseInt(req.params.id));
+    if (!device || !knownDevices.delete(device.id, req.user.id)) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    audit.record(req, 'account.device.forget', {
+      targetType: 'user',
+      targetId: req.user.id,
+      before: { device: { id: device.id, ip: device.ip, userAgent: device.userAgent } }
+    });
+    const clientIP = auth.getClientIP(req);
+    logs.add('info', `Known device forgotten by user: ${req.user.username} from IP: ${clientIP}`, req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error forgetting device:', err);
+    res.status(500).json({ error: 'Failed to forget device' });
+  }
+});
+
+module.exports = router;
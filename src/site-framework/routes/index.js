@@ -2,7 +2,8 @@
  * Routes - Entry Point
  * ============================================
  *
- * Mounts all domain-specific route modules onto a single router.
+ * Mounts all domain-specific route modules onto a single router. Every
+ * request gets an id first (X-Request-Id), which audit entries record.
  *
  * USAGE:
  *   const routes = require('./routes');
@@ -10,9 +11,24 @@
  *
  * ENDPOINTS:
  *   /api/auth/*           - Authentication (login, logout, refresh, me)
+ *   /api/auth/webauthn/*  - Passkey registration, sign-in and management
+ *   /api/auth/oidc/*      - OpenID Connect single sign-on
+ *   /api/auth/password-reset/* - Forgot-password email links
+ *   /api/auth/magic-link/* - Passwordless sign-in by email link
+ *   /api/auth/invitation/* - Accepting user invitations
+ *   /api/auth/register    - Self-registration
  *   /api/account/*        - Self-service account management
+ *   /api/account/2fa/*    - Self-service TOTP two-factor enrollment
+ *   /api/account/api-keys/* - Self-service named API keys
+ *   /api/account/sessions/* - Self-service list and sign-out of active sessions
+ *   /api/account/devices/* - Self-service list and removal of known sign-in devices
  *   /api/users/*          - Admin user CRUD
+ *   /api/roles/*          - Admin roles and their permissions
  *   /api/logs/*           - Admin log management
+ *   /api/audit/*          - Admin audit trail (read-only)
+ *   /api/settings/ldap/*  - Admin LDAP provider configuration
+ *   /api/settings/signing-keys/* - Admin JWT signing key rotation
+ *   /api/settings/security - Admin IP allowlist
  *   /api/settings/*       - Admin settings
  *   /api/notifications/*  - Admin notification channels
  *
@@ -22,11 +38,29 @@
 
 const express = require('express');
 const router = express.Router();
+const audit = require('../audit');
 
+router.use(audit.requestId);
+
+router.use('/auth/webauthn', require('./webauthn'));
+router.use('/auth/oidc', require('./oidc'));
+router.use('/auth/password-reset', require('./passwordReset'));
+router.use('/auth/magic-link', require('./magicLink'));
+router.use('/auth/invitation', require('./invitation'));
+router.use('/auth/register', require('./registration'));
 router.use('/auth', require('./auth'));
+router.use('/account/2fa', require('./twoFactor'));
+router.use('/account/api-keys', require('./apiKeys'));
+router.use('/account/sessions', require('./sessions'));
+router.use('/account/devices', require('./devices'));
 router.use('/account', require('./account'));
 router.use('/users', require('./users'));
+router.use('/roles', require('./roles'));
 router.use('/logs', require('./logs'));
+router.use('/audit', require('./audit'));
+router.use('/settings/ldap', require('./ldap'));
+router.use('/settings/signing-keys', require('./signingKeys'));
+router.use('/settings/security', require('./security'));
 router.use('/settings', require('./settings'));
 router.use('/notifications', require('./notifications'));
 
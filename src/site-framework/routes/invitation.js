@@ -0,0 +1,40 @@
+/**
+ * Invitation Routes
+ * ============================================
+ *
+ * Accepting an invitation (see invitation.js). Invitations are created,
+ * resent and revoked under /users (users.js). Mounted under /auth/invitation.
+ *
+ * ENDPOINTS:
+ *   POST /auth/invitation/lookup  - Who an invitation is for ({ token }) -> { username, email } (None)
+ *   POST /auth/invitation/accept  - Choose a password and activate the account ({ token, password }) (None)
+ */
+
+const express = require('express');
+const router = express.Router();
+const invitation = require('../invitation');
+
+router.post('/lookup', (req, res) => {
+  const user = invitation.getInvitedUser(req.body.token);
+  if (!user) {
+    return res.status(404).json({ error: 'This invitation is invalid or has expired' });
+  }
+  res.json({ username: user.username, email: user.email });
+});
+
+router.post('/accept', async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    const { user, error } = await invitation.accept(req, token, password);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json({ success: true, username: user.username });
+  } catch (err) {
+    console.error('Error accepting invitation:', err);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+module.exports = router;
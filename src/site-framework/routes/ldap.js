@@ -0,0 +1,111 @@
+/**
+ * LDAP Settings Routes (settings.view / admin)
+ * ============================================
+ *
+ * Configuration for the LDAP authentication provider. The service
+ * account password is stored encrypted and never returned. Changes are
+ * for admins only, not settings.manage: the server, admin group and
+ * account linking decide who signs in as an administrator.
+ *
+ * ENDPOINTS:
+ *   GET  /settings/ldap       - Get LDAP configuration
+ *   PUT  /settings/ldap       - Update LDAP configuration (blank bindPassword keeps the current one; audited as ldap.update)
+ *   POST /settings/ldap/test  - Test a configuration (body: config + optional { testUsername, testPassword })
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../auth');
+const { ldap } = require('../authProviders');
+const audit = require('../audit');
+const { logs } = require('../db');
+
+const STRING_FIELDS = ['url', 'bindDn', 'bindPassword', 'searchBase', 'userFilter', 'usernameAttribute', 'groupAttribute', 'adminGroup'];
+const BOOLEAN_FIELDS = ['enabled', 'startTls', 'linkExisting'];
+
+/**
+ * Pick known fields from the request body and check their format
+ * @returns {Object} { config, error }
+ */
+function parseConfig(body) {
+  const config = {};
+  for (const key of STRING_FIELDS) {
+    if (body[key] !== undefined) config[key] = String(body[key]).trim();
+  }
+  for (const key of BOOLEAN_FIELDS) {
+    if (body[key] !== undefined) config[key] = body[key] === true;
+  }
+
+  if (config.url && !/^ldaps?:\/\/[^\s/]+/i.test(config.url)) {
+    return { error: 'Server URL must start with ldap:// or ldaps://' };
+  }
+  if (config.userFilter !== undefined &&
+      (!config.userFilter.includes('{{username}}') || !/^\(.*\)$/.test(config.userFilter))) {
+    return { error: 'User filter must be wrapped in parentheses and contain {{username}}' };
+  }
+  return { config };
+}
+
+/**
+ * The configuration for audit diffs (audit.js redacts the bind password)
+ */
+function auditSnapshot() {
+  const config = ldap.getConfig();
+  return { ...config, bindPassword: config.bindPassword || null };
+}
+
+router.get('/', auth.requirePermission('settings.view'), auth.requireScope('settings:read'), (req, res) => {
+  try {
+    const { bindPassword, ...config } = ldap.getConfig();
+    res.json({ ...config, hasBindPassword: !!bindPassword });
+  } catch (err) {
+    console.error('Error getting LDAP settings:', err);
+    res.status(500).json({ error: 'Failed to get LDAP settings' });
+  }
+});
+
+router.put('/', auth.requireAdmin, auth.requireScope('settings:write'), (req, res) => {
+  const { config, error } = parseConfig(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const merged = { ...ldap.getConfig(), ...config };
+  if (merged.enabled && (!merged.url || !merged.searchBase)) {
+    return res.status(400).json({ error: 'Server URL and search base are required to enable LDAP' });
+  }
+
+  try {
+    const before = auditSnapshot();
+    ldap.saveConfig(config);
+    audit.record(req, 'ldap.update', { targetType: 'settings', before, after: auditSnapshot() });
+    logs.add('info', `LDAP settings updated (${merged.enabled ? 'enabled' : 'disabled'})`, req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error saving LDAP settings:', err);
+    res.status(500).json({ error: 'Failed to save LDAP settings' });
+  }
+});
+
+router.post('/test', auth.requireAdmin, auth.requireScope('settings:write'), async (req, res) => {
+  const { config, error } = parseConfig(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  // Unsaved form values override the stored configuration
+  const stored = ldap.getConfig();
+  const merged = { ...stored, ...config, bindPassword: config.bindPassword || stored.bindPassword };
+  if (!merged.url || !merged.searchBase) {
+    return res.status(400).json({ error: 'Server URL and search base are required' });
+  }
+
+  try {
+    const result = await ldap.testConnection(merged, req.body.testUsername, req.body.testPassword);
+    res.json(result);
+  } catch (err) {
+    res.status(400).json({ error: `LDAP test failed: ${err.message}` });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,5 @@
 /**
- * Logs Routes (Admin only)
+ * Logs Routes (logs.view / logs.manage)
  * ============================================
  *
  * ENDPOINTS:
@@ -12,7 +12,7 @@ const router = express.Router();
 const auth = require('../auth');
 const { logs } = require('../db');
 
-router.get('/', auth.requireAdmin, (req, res) => {
+router.get('/', auth.requirePermission('logs.view'), auth.requireScope('logs:read'), (req, res) => {
   const limit = parseInt(req.query.limit) || 100;
   const level = req.query.level || null;
 
@@ -25,7 +25,7 @@ router.get('/', auth.requireAdmin, (req, res) => {
   }
 });
 
-router.delete('/', auth.requireAdmin, (req, res) => {
+router.delete('/', auth.requirePermission('logs.manage'), auth.requireScope('logs:write'), (req, res) => {
   const clearAll = req.query.all === 'true';
   const days = parseInt(req.query.days) || 30;
 
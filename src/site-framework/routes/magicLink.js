@@ -0,0 +1,61 @@
+/**
+ * Magic Link Routes
+ * ============================================
+ *
+ * Passwordless sign-in by emailed link (see magicLink.js).
+ * Mounted under /auth/magic-link.
+ *
+ * ENDPOINTS:
+ *   GET  /auth/magic-link          - { available } whether links can be requested (None)
+ *   POST /auth/magic-link/request  - Email a sign-in link ({ identifier }: username or email) (None)
+ *   POST /auth/magic-link/verify   - Sign in with a link ({ token }); same response as /auth/login (None)
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../auth');
+const magicLink = require('../magicLink');
+const loginThrottle = require('../loginThrottle');
+
+router.get('/', (req, res) => {
+  res.json({ available: magicLink.isAvailable() });
+});
+
+router.post('/request', (req, res) => {
+  const { identifier } = req.body;
+
+  if (!identifier) {
+    return res.status(400).json({ error: 'Username or email required' });
+  }
+  if (!magicLink.isAvailable()) {
+    return res.status(503).json({ error: 'Sign-in links are not available' });
+  }
+
+  // Locked-out IPs can't use this to probe accounts either
+  const blocked = loginThrottle.check(null, auth.getClientIP(req));
+  if (blocked && blocked.locked) {
+    res.set('Retry-After', String(blocked.retryAfter));
+    return res.status(429).json({ error: blocked.error, retryAfter: blocked.retryAfter });
+  }
+
+  // Don't wait for the mail server: the response must not reveal whether the account exists
+  magicLink.requestLink(req, identifier).catch(err => {
+    console.error('Error requesting sign-in link:', err);
+  });
+
+  res.json({
+    success: true,
+    message: 'If that account can sign in by email, a sign-in link is on its way.'
+  });
+});
+
+router.post('/verify', (req, res) => {
+  try {
+    magicLink.login(req, res, req.body.token);
+  } catch (err) {
+    console.error('Error signing in with link:', err);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,5 @@
 /**
- * Notification Channel Routes (Admin only)
+ * Notification Channel Routes (notifications.manage)
  * ============================================
  *
  * ENDPOINTS:
@@ -8,19 +8,23 @@
  *   PUT    /notifications/channels/:type      - Save channel config
  *   POST   /notifications/channels/:type/test - Test channel
  *   DELETE /notifications/channels/:type      - Delete channel
+ *
+ * Saving and deleting a channel is audited; secret fields (SMTP password,
+ * webhook URL and auth value) only show up as changed.
  */
 
 const express = require('express');
-const dns = require('dns');
 const router = express.Router();
 const auth = require('../auth');
+const audit = require('../audit');
+const notifier = require('../notifier');
 const { logs, notificationChannels } = require('../db');
 
 // ============================================
 // Validation
 // ============================================
 
-const VALID_CHANNEL_TYPES = ['teams', 'slack', 'discord', 'email', 'webhook'];
+const VALID_CHANNEL_TYPES = notifier.CHANNEL_TYPES;
 
 function validateChannelType(req, res, next) {
   if (!VALID_CHANNEL_TYPES.includes(req.params.type)) {
@@ -30,61 +34,18 @@ function validateChannelType(req, res, next) {
 }
 
 /**
- * Validate a webhook URL to prevent SSRF attacks.
- * - Requires https in production (http allowed in development)
- * - Blocks private/reserved IP ranges after DNS resolution
+ * A channel's settings for audit diffs (decrypted; audit.js redacts the secrets)
  */
-async function validateWebhookUrl(url) {
-  let parsed;
-  try {
-    parsed = new URL(url);
-  } catch {
-    return { valid: false, reason: 'Invalid URL format' };
-  }
-
-  // Require HTTPS in production
-  const isDev = process.env.NODE_ENV === 'development';
-  if (!isDev && parsed.protocol !== 'https:') {
-    return { valid: false, reason: 'Webhook URLs must use HTTPS' };
-  }
-  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
-    return { valid: false, reason: 'Invalid URL protocol' };
-  }
-
-  // Resolve hostname and check for private IPs
-  try {
-    const { address } = await dns.promises.lookup(parsed.hostname);
-    if (isPrivateIP(address)) {
-      return { valid: false, reason: 'Webhook URLs cannot target private or reserved IP addresses' };
-    }
-  } catch {
-    return { valid: false, reason: `Cannot resolve hostname: ${parsed.hostname}` };
-  }
-
-  return { valid: true };
-}
-
-function isPrivateIP(ip) {
-  // IPv4 private/reserved ranges
-  const parts = ip.split('.').map(Number);
-  if (parts.length === 4) {
-    if (parts[0] === 10) return true;                                      // 10.0.0.0/8
-    if (parts[0] === 172 && parts[1] >= 16 && parts[1] <= 31) return true; // 172.16.0.0/12
-    if (parts[0] === 192 && parts[1] === 168) return true;                 // 192.168.0.0/16
-    if (parts[0] === 127) return true;                                      // 127.0.0.0/8
-    if (parts[0] === 169 && parts[1] === 254) return true;                 // 169.254.0.0/16
-    if (parts[0] === 0) return true;                                        // 0.0.0.0/8
-  }
-  // IPv6 loopback and private
-  if (ip === '::1' || ip.startsWith('fc') || ip.startsWith('fd') || ip.startsWith('fe80')) return true;
-  return false;
+function auditSnapshot(channelType) {
+  const channel = notificationChannels.getDecrypted(channelType);
+  return channel && { enabled: channel.enabled, ...channel.config };
 }
 
 // ============================================
 // Channel CRUD
 // ============================================
 
-router.get('/channels', auth.requireAdmin, (req, res) => {
+router.get('/channels', auth.requirePermission('notifications.manage'), auth.requireScope('notifications:read'), (req, res) => {
   try {
     const channels = notificationChannels.getAll();
     res.json(channels);
@@ -94,7 +55,7 @@ router.get('/channels', auth.requireAdmin, (req, res) => {
   }
 });
 
-router.get('/channels/:type', auth.requireAdmin, validateChannelType, (req, res) => {
+router.get('/channels/:type', auth.requirePermission('notifications.manage'), auth.requireScope('notifications:read'), validateChannelType, (req, res) => {
   try {
     const channel = notificationChannels.get(req.params.type);
     if (!channel) {
@@ -107,11 +68,18 @@ router.get('/channels/:type', auth.requireAdmin, validateChannelType, (req, res)
   }
 });
 
-router.put('/channels/:type', auth.requireAdmin, validateChannelType, (req, res) => {
+router.put('/channels/:type', auth.requirePermission('notifications.manage'), auth.requireScope('notifications:write'), validateChannelType, (req, res) => {
   const { enabled, ...config } = req.body;
 
   try {
+    const before = auditSnapshot(req.params.type);
     notificationChannels.save(req.params.type, enabled, config);
+    audit.record(req, 'notification_channel.update', {
+      targetType: 'notification_channel',
+      targetId: req.params.type,
+      before,
+      after: auditSnapshot(req.params.type)
+    });
     logs.add('info', `Notification channel updated: ${req.params.type}`, req.user.id);
     res.json({ success: true });
   } catch (err) {
@@ -120,9 +88,11 @@ router.put('/channels/:type', auth.requireAdmin, validateChannelType, (req, res)
   }
 });
 
-router.delete('/channels/:type', auth.requireAdmin, validateChannelType, (req, res) => {
+router.delete('/channels/:type', auth.requirePermission('notifications.manage'), auth.requireScope('notifications:write'), validateChannelType, (req, res) => {
   try {
+    const before = auditSnapshot(req.params.type);
     notificationChannels.delete(req.params.type);
+    audit.record(req, 'notification_channel.delete', { targetType: 'notification_channel', targetId: req.params.type, before });
     logs.add('info', `Notification channel deleted: ${req.params.type}`, req.user.id);
     res.json({ success: true });
   } catch (err) {
@@ -135,7 +105,7 @@ router.delete('/channels/:type', auth.requireAdmin, validateChannelType, (req, r
 // Test Notifications
 // ============================================
 
-router.post('/channels/:type/test', auth.requireAdmin, validateChannelType, async (req, res) => {
+router.post('/channels/:type/test', auth.requirePermission('notifications.manage'), auth.requireScope('notifications:send'), validateChannelType, async (req, res) => {
   const channelType = req.params.type;
 
   try {
@@ -167,7 +137,7 @@ router.post('/channels/:type/test', auth.requireAdmin, validateChannelType, asyn
 });
 
 // ============================================
-// Notification Senders
+// Test Message
 // ============================================
 
 async function sendTestNotification(channelType, config) {
@@ -177,185 +147,7 @@ async function sendTestNotification(channelType, config) {
     timestamp: new Date().toISOString()
   };
 
-  switch (channelType) {
-    case 'teams':    return await sendTeams(config, testMessage);
-    case 'slack':    return await sendSlack(config, testMessage);
-    case 'discord':  return await sendDiscord(config, testMessage);
-    case 'email':    return await sendEmail(config, testMessage);
-    case 'webhook':  return await sendWebhook(config, testMessage);
-    default:         return { success: false, error: 'Unknown channel type' };
-  }
-}
-
-async function sendTeams(config, message) {
-  if (!config.webhookUrl) {
-    return { success: false, error: 'Webhook URL not configured' };
-  }
-
-  const urlCheck = await validateWebhookUrl(config.webhookUrl);
-  if (!urlCheck.valid) return { success: false, error: urlCheck.reason };
-
-  try {
-    const payload = {
-      '@type': 'MessageCard',
-      '@context': 'https://schema.org/extensions',
-      summary: message.title,
-      themeColor: '4ecca3',
-      title: message.title,
-      text: message.text
-    };
-
-    const response = await fetch(config.webhookUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-
-    if (response.ok) return { success: true };
-    const text = await response.text();
-    return { success: false, error: `Teams API error: ${text}` };
-  } catch (err) {
-    return { success: false, error: err.message };
-  }
-}
-
-async function sendSlack(config, message) {
-  if (!config.webhookUrl) {
-    return { success: false, error: 'Webhook URL not configured' };
-  }
-
-  const urlCheck = await validateWebhookUrl(config.webhookUrl);
-  if (!urlCheck.valid) return { success: false, error: urlCheck.reason };
-
-  try {
-    const payload = { text: `*${message.title}*\n${message.text}` };
-    if (config.channel) payload.channel = config.channel;
-    if (config.username) payload.username = config.username;
-
-    const response = await fetch(config.webhookUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-
-    if (response.ok) return { success: true };
-    const text = await response.text();
-    return { success: false, error: `Slack API error: ${text}` };
-  } catch (err) {
-    return { success: false, error: err.message };
-  }
-}
-
-async function sendDiscord(config, message) {
-  if (!config.webhookUrl) {
-    return { success: false, error: 'Webhook URL not configured' };
-  }
-
-  const urlCheck = await validateWebhookUrl(config.webhookUrl);
-  if (!urlCheck.valid) return { success: false, error: urlCheck.reason };
-
-  try {
-    const payload = {
-      embeds: [{
-        title: message.title,
-        description: message.text,
-        color: 0x4ecca3,
-        timestamp: message.timestamp
-      }]
-    };
-
-    if (config.username) payload.username = config.username;
-    if (config.avatarUrl) payload.avatar_url = config.avatarUrl;
-
-    const response = await fetch(config.webhookUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-
-    if (response.ok || response.status === 204) return { success: true };
-    const text = await response.text();
-    return { success: false, error: `Discord API error: ${text}` };
-  } catch (err) {
-    return { success: false, error: err.message };
-  }
-}
-
-async function sendEmail(config, message) {
-  try {
-    const nodemailer = require('nodemailer');
-
-    const transporter = nodemailer.createTransport({
-      host: config.smtpServer,
-      port: parseInt(config.smtpPort) || 587,
-      secure: config.smtpPort === '465',
-      auth: {
-        user: config.smtpUsername,
-        pass: config.smtpPassword
-      },
-      tls: {
-        rejectUnauthorized: config.useTls !== false
-      }
-    });
-
-    const recipients = config.toAddresses.split(',').map(e => e.trim()).join(', ');
-
-    await transporter.sendMail({
-      from: config.fromAddress,
-      to: recipients,
-      subject: message.title,
-      text: message.text
-    });
-
-    return { success: true };
-  } catch (err) {
-    if (err.code === 'MODULE_NOT_FOUND') {
-      return { success: false, error: 'nodemailer not installed. Run: npm install nodemailer' };
-    }
-    return { success: false, error: err.message };
-  }
-}
-
-async function sendWebhook(config, message) {
-  if (!config.webhookUrl) {
-    return { success: false, error: 'Webhook URL not configured' };
-  }
-
-  const urlCheck = await validateWebhookUrl(config.webhookUrl);
-  if (!urlCheck.valid) return { success: false, error: urlCheck.reason };
-
-  try {
-    const headers = { 'Content-Type': 'application/json' };
-
-    if (config.authType === 'bearer' && config.authValue) {
-      headers['Authorization'] = `Bearer ${config.authValue}`;
-    } else if (config.authType === 'apikey' && config.authValue) {
-      headers['X-Api-Key'] = config.authValue;
-    } else if (config.authType === 'basic' && config.authValue) {
-      headers['Authorization'] = `Basic ${Buffer.from(config.authValue).toString('base64')}`;
-    }
-
-    if (config.customHeaders) {
-      try {
-        const customHeaders = JSON.parse(config.customHeaders);
-        Object.assign(headers, customHeaders);
-      } catch {
-        // Invalid JSON, ignore custom headers
-      }
-    }
-
-    const response = await fetch(config.webhookUrl, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(message)
-    });
-
-    if (response.ok) return { success: true };
-    const text = await response.text();
-    return { success: false, error: `Webhook error: ${response.status} ${text}` };
-  } catch (err) {
-    return { success: false, error: err.message };
-  }
+  return notifier.send(channelType, config, testMessage);
 }
 
 module.exports = router;
@@ -0,0 +1,123 @@
+/**
+ * OpenID Connect SSO Routes
+ * ============================================
+ *
+ * Browser-redirect sign-in through external identity providers
+ * configured with OIDC_* environment variables (see oidc.js).
+ * Mounted under /auth/oidc.
+ *
+ * The callback redirects back to the app with the result in the URL
+ * fragment, which the frontend picks up via auth.handleSsoRedirect():
+ *   /#sso=success[&setup2fa=1]    - Logged in (token cookie set)
+ *   /#sso=2fa&challenge=<token>   - Local 2FA code still required
+ *   /#sso=error&message=<text>    - Sign-in failed
+ *
+ * ENDPOINTS:
+ *   GET /auth/oidc/providers       - List configured providers ({ id, name }) (None)
+ *   GET /auth/oidc/:id/login       - Redirect to the provider's sign-in page (None)
+ *   GET /auth/oidc/:id/callback    - Provider redirects back here (None)
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../auth');
+const oidc = require('../oidc');
+const { provisionUser } = require('../authProviders');
+const { logs } = require('../db');
+
+// Ties the callback to the browser that started the sign-in. SameSite=Lax
+// so it survives the top-level redirect back from the identity provider.
+const STATE_COOKIE = 'oidc_state';
+
+function getStateCookieOptions() {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/api/auth/oidc'
+  };
+}
+
+function redirectWithResult(res, params) {
+  res.clearCookie(STATE_COOKIE, getStateCookieOptions());
+  res.redirect(`/#${new URLSearchParams(params).toString()}`);
+}
+
+router.get('/providers', (req, res) => {
+  res.json(oidc.getProviders().map(p => ({ id: p.id, name: p.name })));
+});
+
+router.get('/:id/login', async (req, res) => {
+  const provider = oidc.getProvider(req.params.id);
+  if (!provider) {
+    return res.status(404).json({ error: 'Unknown sign-in provider' });
+  }
+
+  try {
+    const { url, state } = await oidc.createAuthorizationUrl(req, provider);
+    res.cookie(STATE_COOKIE, state, { ...getStateCookieOptions(), maxAge: 10 * 60 * 1000 });
+    res.redirect(url);
+  } catch (err) {
+    console.error(`Error starting ${provider.id} sign-in:`, err.message);
+    redirectWithResult(res, { sso: 'error', message: `Could not reach ${provider.name}` });
+  }
+});
+
+router.get('/:id/callback', async (req, res) => {
+  const provider = oidc.getProvider(req.params.id);
+  const clientIP = auth.getClientIP(req);
+
+  if (!provider) {
+    return res.status(404).json({ error: 'Unknown sign-in provider' });
+  }
+
+  // Provider reported an error (e.g. user cancelled)
+  if (req.query.error) {
+    logs.add('warn', `SSO sign-in via ${provider.id} returned error "${req.query.error}" from IP: ${clientIP}`);
+    return redirectWithResult(res, { sso: 'error', message: req.query.error_description || 'Sign-in was cancelled' });
+  }
+
+  if (!req.query.state || req.cookies[STATE_COOKIE] !== req.query.state) {
+    logs.add('warn', `SSO callback for ${provider.id} with mismatched state from IP: ${clientIP}`);
+    return redirectWithResult(res, { sso: 'error', message: 'Sign-in request expired, please try again' });
+  }
+
+  try {
+    const claims = await oidc.handleCallback(req, provider, req.query);
+    const user = await provisionUser(provider.id, {
+      subject: claims.sub,
+      username: oidc.getUsername(provider, claims),
+      isAdmin: oidc.isAdminFromClaims(provider, claims),
+      linkExisting: provider.linkExisting
+    }, { clientIP });
+    if (!user) {
+      return redirectWithResult(res, { sso: 'error', message: 'User not found' });
+    }
+    if (!auth.isUserActive(user)) {
+      logs.add('warn', `SSO sign-in refused for ${user.status} user: ${user.username} from IP: ${clientIP}`, user.id);
+      return redirectWithResult(res, { sso: 'error', message: 'This account has been disabled' });
+    }
+
+    // Local 2FA still applies to SSO sign-ins
+    if (user.totp_enabled) {
+      logs.add('info', `SSO accepted, awaiting 2FA code: ${user.username} from IP: ${clientIP}`, user.id);
+      return redirectWithResult(res, { sso: '2fa', challenge: auth.createLoginChallenge(user, ['oidc']) });
+    }
+
+    if (!auth.isAdminLoginAllowed(req, user)) {
+      return redirectWithResult(res, { sso: 'error', message: 'Admins cannot sign in from your IP address' });
+    }
+
+    auth.startSession(req, res, user, { amr: ['oidc'], note: `SSO: ${provider.id}` });
+
+    const result = { sso: 'success' };
+    if (auth.isTwoFactorRequired(user)) result.setup2fa = '1';
+    redirectWithResult(res, result);
+  } catch (err) {
+    console.error(`SSO sign-in via ${provider.id} failed:`, err.message);
+    logs.add('warn', `Failed SSO sign-in via ${provider.id} from IP: ${clientIP}: ${err.message}`);
+    redirectWithResult(res, { sso: 'error', message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+/**
+ * Password Reset Routes
+ * ============================================
+ *
+ * Self-service "forgot password" flow (see passwordReset.js).
+ * Mounted under /auth/password-reset.
+ *
+ * ENDPOINTS:
+ *   GET  /auth/password-reset          - { available } whether resets can be requested (None)
+ *   POST /auth/password-reset/request  - Email a reset link ({ identifier }: username or email) (None)
+ *   POST /auth/password-reset/confirm  - Set a new password ({ token, password }) (None)
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../auth');
+const passwordReset = require('../passwordReset');
+const loginThrottle = require('../loginThrottle');
+
+router.get('/', (req, res) => {
+  res.json({ available: passwordReset.isAvailable() });
+});
+
+router.post('/request', (req, res) => {
+  const { identifier } = req.body;
+
+  if (!identifier) {
+    return res.status(400).json({ error: 'Username or email required' });
+  }
+  if (!passwordReset.isAvailable()) {
+    return res.status(503).json({ error: 'Password reset is not available, please contact an administrator' });
+  }
+
+  // Locked-out IPs can't use this to probe accounts either
+  const blocked = loginThrottle.check(null, auth.getClientIP(req));
+  if (blocked && blocked.locked) {
+    res.set('Retry-After', String(blocked.retryAfter));
+    return res.status(429).json({ error: blocked.error, retryAfter: blocked.retryAfter });
+  }
+
+  // Don't wait for the mail server: the response must not reveal whether the account exists
+  passwordReset.requestReset(req, identifier).catch(err => {
+    console.error('Error requesting password reset:', err);
+  });
+
+  res.json({
+    success: true,
+    message: 'If that account has an email address, a reset link is on its way.'
+  });
+});
+
+router.post('/confirm', async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    const { error } = await passwordReset.resetPassword(req, token, password);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error resetting password:', err);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+module.exports = router;
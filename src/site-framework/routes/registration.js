@@ -0,0 +1,75 @@
+/**
+ * Registration Routes
+ * ============================================
+ *
+ * Self-registration from the login dialog (see registration.js).
+ * Pending registrations are approved or rejected under /users (users.js).
+ * Mounted under /auth/register.
+ *
+ * ENDPOINTS:
+ *   GET  /auth/register  - { mode } 'invite-only', 'open' or 'approval' (None)
+ *   POST /auth/register  - Create an account ({ username, password, email? }) -> { success, username, pending } (None)
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../auth');
+const registration = require('../registration');
+const loginThrottle = require('../loginThrottle');
+const passwordPolicy = require('../passwordPolicy');
+const { users, logs } = require('../db');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+router.get('/', (req, res) => {
+  res.json({ mode: registration.getMode() });
+});
+
+router.post('/', async (req, res) => {
+  const { username, password } = req.body;
+  const email = typeof req.body.email === 'string' ? req.body.email.trim() : req.body.email;
+  const clientIP = auth.getClientIP(req);
+
+  if (registration.getMode() === 'invite-only') {
+    return res.status(403).json({ error: 'Registration is closed' });
+  }
+
+  const blocked = loginThrottle.check(null, clientIP);
+  if (blocked && blocked.locked) {
+    res.set('Retry-After', String(blocked.retryAfter));
+    return res.status(429).json({ error: blocked.error, retryAfter: blocked.retryAfter });
+  }
+  if (registration.isRateLimited(clientIP)) {
+    logs.add('warn', `Registration limit reached for IP: ${clientIP}`);
+    return res.status(429).json({ error: 'Too many registrations, please try again later' });
+  }
+
+  if (typeof username !== 'string' || !password) {
+    return res.status(400).json({ error: 'Username and password required' });
+  }
+  if (username.length < 3 || username.length > 64) {
+    return res.status(400).json({ error: 'Username must be 3 to 64 characters' });
+  }
+  if (users.getByUsername(username)) {
+    return res.status(409).json({ error: 'Username already exists' });
+  }
+  // An address that's already in use is handled by register(), so the
+  // answer doesn't tell visitors which addresses have accounts
+  if (email && (typeof email !== 'string' || !EMAIL_PATTERN.test(email))) {
+    return res.status(400).json({ error: 'Invalid email address' });
+  }
+  const passwordError = await passwordPolicy.validate(password);
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError });
+  }
+
+  try {
+    const user = await registration.register(req, { username, password, email });
+    res.status(201).json({ success: true, username: user.username, pending: user.status === 'pending' });
+  } catch (err) {
+    console.error('Error registering user:', err);
+    res.status(500).json({ error: 'Failed to register' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+/**
+ * Role Routes (roles.manage)
+ * ============================================
+ *
+ * Custom roles and the permissions they grant (see permissions.js). The
+ * built-in Administrator role holds every permission and can't be
+ * changed. Nobody can add a permission they don't hold to a role.
+ *
+ * ENDPOINTS:
+ *   GET    /roles             - List roles (roles.manage or users.view)
+ *   GET    /roles/permissions - List permissions roles can grant
+ *   POST   /roles             - Create role (body: { name, description?, permissions })
+ *   PUT    /roles/:id         - Update role (body: { name?, description?, permissions? })
+ *   DELETE /roles/:id         - Delete role (its users lose it)
+ *
+ * Changes are recorded in the audit trail (role.create, role.update, role.delete).
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../auth');
+const permissions = require('../permissions');
+const audit = require('../audit');
+const { roles, logs } = require('../db');
+
+const MAX_NAME_LENGTH = 64;
+const MAX_DESCRIPTION_LENGTH = 256;
+
+/**
+ * The audited fields of a role
+ */
+function auditSnapshot(role) {
+  return { name: role.name, description: role.description, permissions: role.permissions };
+}
+
+/**
+ * Check a create/update request body
+ * @param {Object} body - { name?, description?, permissions? }
+ * @param {Object} actor - req.user; may only add permissions they hold
+ * @param {Object} [role] - Role being updated (fields become optional)
+ * @returns {Object} { updates } or { error, status }
+ */
+function parseRole(body, actor, role = null) {
+  const partial = role !== null;
+  const updates = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+      return { error: 'Name is required', status: 400 };
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      return { error: `Name must be at most ${MAX_NAME_LENGTH} characters`, status: 400 };
+    }
+    updates.name = name;
+  }
+
+  if (body.description !== undefined) {
+    const description = typeof body.description === 'string' ? body.description.trim() : '';
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      return { error: `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`, status: 400 };
+    }
+    updates.description = description;
+  }
+
+  if (body.permissions !== undefined || !partial) {
+    if (!Array.isArray(body.permissions)) {
+      return { error: 'Permissions must be a list', status: 400 };
+    }
+    const granted = [...new Set(body.permissions)];
+    const unknown = granted.find(id => id === permissions.ALL || !permissions.isValid(id));
+    if (unknown !== undefined) {
+      return { error: `Unknown permission: ${unknown}`, status: 400 };
+    }
+    const missing = granted.find(id => !permissions.has(actor.permissions, id) && !role?.permissions.includes(id));
+    if (missing) {
+      return { error: `You cannot grant the ${missing} permission`, status: 403 };
+    }
+    updates.permissions = granted;
+  }
+
+  if (updates.name !== undefined) {
+    const existing = roles.getByName(updates.name);
+    if (existing && existing.id !== role?.id) {
+      return { error: 'A role with that name already exists', status: 409 };
+    }
+  }
+
+  return { updates };
+}
+
+router.get('/', auth.requirePermission('roles.manage', 'users.view'), auth.requireScope('roles:read'), (req, res) => {
+  try {
+    res.json(roles.getAll());
+  } catch (err) {
+    console.error('Error getting roles:', err);
+    res.status(500).json({ error: 'Failed to get roles' });
+  }
+});
+
+router.get('/permissions', auth.requirePermission('roles.manage'), auth.requireScope('roles:read'), (req, res) => {
+  res.json(permissions.getAll());
+});
+
+router.post('/', auth.requirePermission('roles.manage'), auth.requireScope('roles:write'), (req, res) => {
+  const { updates, error, status } = parseRole(req.body, req.user);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  try {
+    const role = roles.create(updates.name, updates.description, updates.permissions);
+    audit.record(req, 'role.create', { targetType: 'role', targetId: role.id, after: auditSnapshot(role) });
+    logs.add('info', `Role created: ${role.name} (permissions: ${role.permissions.join(' ') || 'none'})`, req.user.id);
+    res.status(201).json(role);
+  } catch (err) {
+    console.error('Error creating role:', err);
+    res.status(500).json({ error: 'Failed to create role' });
+  }
+});
+
+router.put('/:id', auth.requirePermission('roles.manage'), auth.requireScope('roles:write'), (req, res) => {
+  const roleId = parseInt(req.params.id);
+
+  const role = roles.getById(roleId);
+  if (!role) {
+    return res.status(404).json({ error: 'Role not found' });
+  }
+  if (role.builtIn) {
+    return res.status(400).json({ error: 'Built-in roles cannot be changed' });
+  }
+
+  const { updates, error, status } = parseRole(req.body, req.user, role);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  try {
+    roles.update(roleId, updates);
+    const updated = roles.getById(roleId);
+    audit.record(req, 'role.update', { targetType: 'role', targetId: roleId, before: auditSnapshot(role), after: auditSnapshot(updated) });
+    logs.add('info', `Role updated: ${updated.name} (permissions: ${updated.permissions.join(' ') || 'none'})`, req.user.id);
+    res.json(updated);
+  } catch (err) {
+    console.error('Error updating role:', err);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+router.delete('/:id', auth.requirePermission('roles.manage'), auth.requireScope('roles:write'), (req, res) => {
+  const roleId = parseInt(req.params.id);
+
+  const role = roles.getById(roleId);
+  if (!role) {
+    return res.status(404).json({ error: 'Role not found' });
+  }
+  if (role.builtIn) {
+    return res.status(400).json({ error: 'Built-in roles cannot be deleted' });
+  }
+
+  try {
+    roles.delete(roleId);
+    audit.record(req, 'role.delete', { targetType: 'role', targetId: roleId, before: auditSnapshot(role) });
+    logs.add('info', `Role deleted: ${role.name}`, req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting role:', err);
+    res.status(500).json({ error: 'Failed to delete role' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+/**
+ * Security Settings Routes (settings.view / admin)
+ * ============================================
+ *
+ * The admin IP allowlist (security.adminAllowedIps, see ipAllowlist.js):
+ * when set, admins can only sign in and refresh their sessions from
+ * those ranges. Only admins can change it, and not to a list that leaves
+ * out their own address.
+ *
+ * ENDPOINTS:
+ *   GET /settings/security - Get { adminAllowedIps, clientIP }
+ *   PUT /settings/security - Update the admin allowlist (body: { adminAllowedIps: ['10.0.0.0/8', ...] }, [] for anywhere)
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../auth');
+const audit = require('../audit');
+const ipAllowlist = require('../ipAllowlist');
+const { logs, settings } = require('../db');
+
+router.get('/', auth.requirePermission('settings.view'), auth.requireScope('settings:read'), (req, res) => {
+  res.json({
+    adminAllowedIps: ipAllowlist.getAdminRanges(),
+    clientIP: auth.getClientIP(req)
+  });
+});
+
+router.put('/', auth.requireAdmin, auth.requireScope('settings:write'), (req, res) => {
+  const { ranges, error } = ipAllowlist.parse(req.body.adminAllowedIps);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const clientIP = auth.getClientIP(req);
+  if (!ipAllowlist.contains(ranges, clientIP)) {
+    return res.status(400).json({ error: `The list must include your current IP address (${clientIP}), or you would be locked out` });
+  }
+
+  try {
+    const before = { 'security.adminAllowedIps': ipAllowlist.getAdminRanges() };
+    settings.set('security.adminAllowedIps', ranges);
+    audit.record(req, 'settings.update', { targetType: 'settings', before, after: { 'security.adminAllowedIps': ranges } });
+
+    logs.add('info', `Admin IP allowlist updated (${ranges.length ? ranges.join(' ') : 'any'}) from IP: ${clientIP}`, req.user.id);
+    res.json({ success: true, adminAllowedIps: ranges });
+  } catch (err) {
+    console.error('Error saving security settings:', err);
+    res.status(500).json({ error: 'Failed to save security settings' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+/**
+ * Session Routes (Self-service)
+ * ============================================
+ *
+ * Lets logged-in users see where they are signed in (device, IP, last
+ * use) and sign out other devices. Mounted under /account/sessions.
+ *
+ * ENDPOINTS:
+ *   GET    /account/sessions     - List own active sessions, the current one marked (Token)
+ *   DELETE /account/sessions     - Sign out everywhere else (Token)
+ *   DELETE /account/sessions/:id - Sign out one session (Token)
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../auth');
+const { sessions, logs } = require('../db');
+
+/**
+ * Build the API view of a session (never includes the token id or refresh hashes)
+ * @param {string} [currentTokenId] - The caller's own session, marked `current`
+ */
+function toSessionInfo(session, currentTokenId) {
+  return {
+    id: session.id,
+    current: session.token_id === currentTokenId,
+    userAgent: session.user_agent,
+    ip: session.ip_address,
+    amr: session.amr,
+    impersonatedBy: session.actor_id ? session.actor_username : null,
+    createdAt: session.created_at,
+    lastSeenAt: session.last_seen_at,
+    expiresAt: session.expires_at
+  };
+}
+
+router.get('/', auth.requireAuth, auth.requireScope('account:read'), (req, res) => {
+  try {
+    res.json(sessions.getActiveForUser(req.user.id).map(session => toSessionInfo(session, req.user.tokenId)));
+  } catch (err) {
+    console.error('Error listing sessions:', err);
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+router.delete('/', auth.requireAuth, auth.requireScope('account:write'), auth.requireOwnSession, (req, res) => {
+  try {
+    // With an API key there is no current session, so every session ends
+    const revoked = sessions.revokeAllForUser(req.user.id, req.user.tokenId);
+    const clientIP = auth.getClientIP(req);
+    logs.add('info', `Signed out of ${revoked} other session(s) by user: ${req.user.username} from IP: ${clientIP}`, req.user.id);
+    res.json({ success: true, revoked });
+  } catch (err) {
+    console.error('Error revoking sessions:', err);
+    res.status(500).json({ error: 'Failed to sign out other sessions' });
+  }
+});
+
+router.delete('/:id', auth.requireAuth, auth.requireScope('account:write'), auth.requireOwnSession, (req, res) => {
+  try {
+    if (!sessions.revokeById(parseInt(req.params.id), req.user.id)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const clientIP = auth.getClientIP(req);
+    logs.add('info', `Session signed out by user: ${req.user.username} from IP: ${clientIP}`, req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error revoking session:', err);
+    res.status(500).json({ error: 'Failed to sign out session' });
+  }
+});
+
+module.exports = router;
+module.exports.toSessionInfo = toSessionInfo;
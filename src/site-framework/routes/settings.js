@@ -1,18 +1,22 @@
 /**
- * Settings Routes (Admin only)
+ * Settings Routes (settings.view / settings.manage)
  * ============================================
  *
  * ENDPOINTS:
  *   GET /settings - Get all settings
- *   PUT /settings - Update settings (body: { key: value, ... })
+ *   PUT /settings - Update settings (body: { key: value, ... }); changed values are audited.
+ *                   security.* and ldap.* keys are for admins only: they decide
+ *                   who can sign in, and as what.
  */
 
 const express = require('express');
 const router = express.Router();
 const auth = require('../auth');
+const audit = require('../audit');
+const ipAllowlist = require('../ipAllowlist');
 const { logs, settings } = require('../db');
 
-router.get('/', auth.requireAdmin, (req, res) => {
+router.get('/', auth.requirePermission('settings.view'), auth.requireScope('settings:read'), (req, res) => {
   try {
     const allSettings = settings.getAll();
     res.json(allSettings);
@@ -24,8 +28,9 @@ router.get('/', auth.requireAdmin, (req, res) => {
 
 const SETTINGS_KEY_PATTERN = /^[a-zA-Z0-9._-]+$/;
 const BLOCKED_KEYS = ['__proto__', 'constructor', 'prototype'];
+const ADMIN_KEY_PREFIXES = ['security.', 'ldap.'];
 
-router.put('/', auth.requireAdmin, (req, res) => {
+router.put('/', auth.requirePermission('settings.manage'), auth.requireScope('settings:write'), (req, res) => {
   const updates = req.body;
 
   // Validate keys against prototype pollution and invalid patterns
@@ -33,12 +38,27 @@ router.put('/', auth.requireAdmin, (req, res) => {
     if (BLOCKED_KEYS.includes(key) || key.startsWith('__') || !SETTINGS_KEY_PATTERN.test(key)) {
       return res.status(400).json({ error: `Invalid setting key: ${key}` });
     }
+    if (!req.user.isAdmin && ADMIN_KEY_PREFIXES.some(prefix => key.startsWith(prefix))) {
+      return res.status(403).json({ error: `Admin access required to change ${key}` });
+    }
+  }
+
+  // Normally saved through /settings/security; a bad list would be ignored at login
+  if (updates['security.adminAllowedIps'] !== undefined) {
+    const { ranges, error } = ipAllowlist.parse(updates['security.adminAllowedIps']);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    updates['security.adminAllowedIps'] = ranges;
   }
 
   try {
+    const before = Object.fromEntries(Object.keys(updates).map(key => [key, settings.get(key)]));
     for (const [key, value] of Object.entries(updates)) {
       settings.set(key, value);
     }
+    const after = Object.fromEntries(Object.keys(updates).map(key => [key, settings.get(key)]));
+    audit.record(req, 'settings.update', { targetType: 'settings', before, after });
 
     logs.add('info', 'Settings updated', req.user.id);
     res.json({ success: true });
@@ -0,0 +1,55 @@
+/**
+ * Signing Key Routes (settings.view / settings.manage)
+ * ============================================
+ *
+ * View and rotate the JWT signing keyring (see keyring.js). Private keys
+ * are never returned; the public keys are published at
+ * /api/auth/.well-known/jwks.json.
+ *
+ * ENDPOINTS:
+ *   GET  /settings/signing-keys         - List keys that can verify tokens
+ *   POST /settings/signing-keys/rotate  - Start signing with a new key now (audited as signing_key.rotate)
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../auth');
+const keyring = require('../keyring');
+const audit = require('../audit');
+const { signingKeys, logs } = require('../db');
+
+router.get('/', auth.requirePermission('settings.view'), auth.requireScope('settings:read'), (req, res) => {
+  try {
+    res.json(signingKeys.getAllActive().map(key => ({
+      kid: key.kid,
+      algorithm: key.algorithm,
+      createdAt: key.created_at,
+      retiresAt: key.retires_at,
+      current: !key.retires_at
+    })));
+  } catch (err) {
+    console.error('Error listing signing keys:', err);
+    res.status(500).json({ error: 'Failed to list signing keys' });
+  }
+});
+
+router.post('/rotate', auth.requirePermission('settings.manage'), auth.requireScope('settings:write'), (req, res) => {
+  try {
+    const previous = signingKeys.getCurrent();
+    const kid = keyring.rotate();
+    audit.record(req, 'signing_key.rotate', {
+      targetType: 'signing_key',
+      targetId: kid,
+      before: { kid: previous ? previous.kid : null },
+      after: { kid }
+    });
+    const clientIP = auth.getClientIP(req);
+    logs.add('info', `JWT signing key rotated manually by ${req.user.username} from IP: ${clientIP}`, req.user.id);
+    res.json({ success: true, kid });
+  } catch (err) {
+    console.error('Error rotating signing key:', err);
+    res.status(500).json({ error: 'Failed to rotate signing key' });
+  }
+});
+
+module.exports = router;
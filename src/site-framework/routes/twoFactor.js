@@ -0,0 +1,133 @@
+/**
+ * Two-Factor Routes (Self-service)
+ * ============================================
+ *
+ * TOTP enrollment for the logged-in user. Mounted under /account/2fa.
+ *
+ * ENDPOINTS:
+ *   GET    /account/2fa        - Get 2FA status
+ *   POST   /account/2fa/setup  - Start enrollment (body: { currentPassword }), returns secret + QR
+ *   POST   /account/2fa/enable - Confirm enrollment (body: { code }), returns recovery codes once
+ *   DELETE /account/2fa        - Disable 2FA (body: { currentPassword })
+ */
+
+const express = require('express');
+const QRCode = require('qrcode');
+const router = express.Router();
+const auth = require('../auth');
+const totp = require('../totp');
+const { users, logs, settings } = require('../db');
+
+router.get('/', auth.requireAuth, auth.requireScope('account:read'), (req, res) => {
+  try {
+    const user = users.getByUsername(req.user.username);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const recoveryCodes = user.totp_recovery_codes ? JSON.parse(user.totp_recovery_codes) : [];
+    res.json({
+      enabled: !!user.totp_enabled,
+      required: auth.isTwoFactorRequired(user),
+      recoveryCodesRemaining: user.totp_enabled ? recoveryCodes.length : 0
+    });
+  } catch (err) {
+    console.error('Error getting 2FA status:', err);
+    res.status(500).json({ error: 'Failed to get two-factor status' });
+  }
+});
+
+router.post('/setup', auth.requireAuth, auth.requireScope('account:write'), auth.requireOwnSession, async (req, res) => {
+  const { currentPassword } = req.body;
+
+  try {
+    const user = users.getByUsername(req.user.username);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.totp_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!currentPassword) {
+      return res.status(400).json({ error: 'Current password is required' });
+    }
+    if (!(await users.verifyPassword(user, currentPassword))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const secret = totp.generateSecret();
+    const issuer = settings.get('siteName', 'Site Framework');
+    const otpauthUri = totp.buildOtpauthUri(issuer, user.username, secret);
+    const qrCode = await QRCode.toDataURL(otpauthUri);
+
+    users.setPendingTotpSecret(user.id, secret);
+
+    res.json({ secret, otpauthUri, qrCode });
+  } catch (err) {
+    console.error('Error starting 2FA setup:', err);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+router.post('/enable', auth.requireAuth, auth.requireScope('account:write'), auth.requireOwnSession, (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const user = users.getByUsername(req.user.username);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.totp_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.totp_secret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+    if (!code || !users.verifyTotp(user.id, String(code).trim())) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+    users.enableTotp(user.id, recoveryCodes);
+
+    const clientIP = auth.getClientIP(req);
+    logs.add('info', `Two-factor authentication enabled by user: ${user.username} from IP: ${clientIP}`, user.id);
+
+    res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    console.error('Error enabling 2FA:', err);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+router.delete('/', auth.requireAuth, auth.requireScope('account:write'), auth.requireOwnSession, async (req, res) => {
+  const { currentPassword } = req.body || {};
+
+  try {
+    const user = users.getByUsername(req.user.username);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (auth.isTwoFactorRequired(user)) {
+      return res.status(400).json({ error: 'Two-factor authentication is required for administrators' });
+    }
+    if (!currentPassword) {
+      return res.status(400).json({ error: 'Current password is required' });
+    }
+    if (!(await users.verifyPassword(user, currentPassword))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    users.disableTotp(user.id);
+
+    const clientIP = auth.getClientIP(req);
+    logs.add('info', `Two-factor authentication disabled by user: ${user.username} from IP: ${clientIP}`, user.id);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error disabling 2FA:', err);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+module.exports = router;
@@ -1,29 +1,194 @@
 /**
- * User Management Routes (Admin only)
+ * User Management Routes
  * ============================================
  *
+ * Reading needs the users.view permission, changes need users.manage.
+ * Nobody can hand out a role with permissions they don't hold, or change
+ * a user who holds permissions they don't (see permissions.js). Every
+ * change is recorded in the audit trail (see audit.js), against the user.
+ *
  * ENDPOINTS:
- *   GET    /users            - List all users
- *   POST   /users            - Create user
+ *   GET    /users            - List all users (with their roles; invited users with their invitation's expiry)
+ *   POST   /users            - Create user (body: { username, password, email?, roles?, deactivateAt? })
+ *   POST   /users/invite     - Create an invited user who chooses their own password (body: { username, email?, roles?, deactivateAt? });
+ *                              the link is emailed, or returned when it can't be (see invitation.js)
  *   GET    /users/:id        - Get user by ID
- *   PUT    /users/:id        - Update user
+ *   PUT    /users/:id        - Update user (body: { username?, password?, email?, roles?, deactivateAt? });
+ *                              deactivateAt schedules disabling the account (ISO time, null cancels)
  *   DELETE /users/:id        - Delete user
- *   POST   /users/:id/api-key - Generate API key for user
+ *   GET    /users/:id/api-keys - List a user's API keys
+ *   POST   /users/:id/api-keys - Create an API key for a user (body: { name, scopes, expiresInDays?, signing?, allowedIps? })
+ *   DELETE /users/:id/api-keys/:keyId - Revoke one of a user's API keys
+ *   GET    /users/:id/sessions - List a user's active sessions
+ *   DELETE /users/:id/sessions - Sign a user out everywhere
+ *   DELETE /users/:id/sessions/:sessionId - Sign out one of a user's sessions
+ *   DELETE /users/:id/2fa     - Reset user's two-factor enrollment
+ *   DELETE /users/:id/lockout - Unlock a user locked out by failed logins
+ *   POST   /users/:id/impersonate - Continue as this user (users.impersonate; see auth.startImpersonation)
+ *   POST   /users/:id/invitation - Resend an invited user's invitation (a new link replaces the old one)
+ *   DELETE /users/:id/invitation - Revoke an invitation, deleting the invited user
+ *   POST   /users/:id/approve - Approve a self-registered user awaiting approval (see registration.js)
+ *   DELETE /users/:id/registration - Reject a registration awaiting approval, deleting the user
+ *   POST   /users/:id/disable - Disable a user (body: { reason? }), ending their sessions; API keys stop working
+ *   POST   /users/:id/enable  - Re-enable a disabled user
+ *
+ * SETTINGS:
+ *   security.allowAdminImpersonation - Allow impersonating administrators (default: false)
  */
 
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const auth = require('../auth');
-const { users, logs } = require('../db');
+const audit = require('../audit');
+const loginThrottle = require('../loginThrottle');
+const passwordPolicy = require('../passwordPolicy');
+const invitation = require('../invitation');
+const registration = require('../registration');
+const { parseKeyRequest } = require('./apiKeys');
+const { toSessionInfo } = require('./sessions');
+const permissions = require('../permissions');
+const { users, logs, apiKeys, roles, settings, sessions, invitations } = require('../db');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
-function validatePassword(password) {
-  if (password.length < 8) return 'Password must be at least 8 characters';
+/**
+ * Check an optional email address. Blank clears it.
+ * @param {number} [userId] - User being edited (may keep their own address)
+ */
+function validateEmail(email, userId) {
+  if (!email) return null;
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) return 'Invalid email address';
+  const existing = users.getByEmail(email);
+  if (existing && existing.id !== userId) return 'Email address already in use';
   return null;
 }
 
-router.get('/', auth.requireAdmin, (req, res) => {
+/**
+ * Check an optional scheduled deactivation time. Blank cancels it.
+ * @returns {Object} { deactivateAt } (ISO string or null) or { error }
+ */
+function parseDeactivateAt(value) {
+  if (!value) return { deactivateAt: null };
+  const time = typeof value === 'string' ? new Date(value).getTime() : NaN;
+  if (isNaN(time)) return { error: 'Invalid deactivation date' };
+  if (time <= Date.now()) return { error: 'Deactivation date must be in the future' };
+  return { deactivateAt: new Date(time).toISOString() };
+}
+
+/**
+ * A user's audited fields, for before/after diffs
+ * @returns {Object|null}
+ */
+function auditSnapshot(userId) {
+  const user = users.getById(userId);
+  return user && {
+    username: user.username,
+    email: user.email,
+    status: user.status,
+    roles: roles.getForUser(userId).map(role => role.name),
+    disabledReason: user.disabled_reason,
+    deactivateAt: user.deactivate_at
+  };
+}
+
+/**
+ * Whether a user is the only active administrator left
+ */
+function isLastActiveAdmin(user) {
+  if (!user.is_admin || user.status !== 'active') return false;
+  return users.getAll().filter(u => u.is_admin && u.status === 'active').length <= 1;
+}
+
+/**
+ * Validate the fields shared by creating and inviting a user
+ * @returns {Object} { username, email, roleIds, deactivateAt } or { error, status }
+ */
+function parseNewUser(body, actor) {
+  const { username } = body;
+  const email = typeof body.email === 'string' ? body.email.trim() : body.email;
+
+  if (!username || username.length < 3) {
+    return { error: 'Username must be at least 3 characters', status: 400 };
+  }
+  if (users.getByUsername(username)) {
+    return { error: 'Username already exists', status: 409 };
+  }
+  const emailError = validateEmail(email);
+  if (emailError) {
+    return { error: emailError, status: 400 };
+  }
+  const { roleIds = [], error, status } = parseRoles(body, [], actor);
+  if (error) {
+    return { error, status };
+  }
+  const { deactivateAt, error: dateError } = parseDeactivateAt(body.deactivateAt);
+  if (dateError) {
+    return { error: dateError, status: 400 };
+  }
+  return { username, email, roleIds, deactivateAt };
+}
+
+/**
+ * Whether one permission list includes every permission of another
+ */
+function covers(held, needed) {
+  return needed.every(permission => permissions.has(held, permission));
+}
+
+/**
+ * Whether the caller may change a user: they must hold every permission the user has
+ */
+function canManage(actor, userId) {
+  return covers(actor.permissions, auth.getUserPermissions(userId));
+}
+
+/**
+ * Work out the roles a create/update request asks for. `roles` (role ids)
+ * takes precedence; the older `isAdmin` flag adds or removes the
+ * Administrator role. Newly added roles may only grant permissions the
+ * caller holds.
+ * @param {Object} body - Request body
+ * @param {Array} currentRoleIds - The user's current role ids ([] when creating)
+ * @param {Object} actor - req.user
+ * @returns {Object} {} if unchanged, { roleIds, isAdmin } or { error, status }
+ */
+function parseRoles(body, currentRoleIds, actor) {
+  let roleIds;
+  if (body.roles !== undefined) {
+    if (!Array.isArray(body.roles) || !body.roles.every(Number.isInteger)) {
+      return { error: 'Roles must be a list of role ids', status: 400 };
+    }
+    roleIds = [...new Set(body.roles)];
+  } else if (body.isAdmin !== undefined) {
+    const adminRole = roles.getByName(roles.ADMIN_ROLE);
+    roleIds = currentRoleIds.filter(id => id !== adminRole.id);
+    if (body.isAdmin) roleIds.push(adminRole.id);
+  } else {
+    return {};
+  }
+
+  const chosen = roleIds.map(id => roles.getById(id));
+  if (chosen.includes(null)) {
+    return { error: 'Unknown role', status: 400 };
+  }
+  const added = chosen.filter(role => !currentRoleIds.includes(role.id));
+  if (!covers(actor.permissions, permissions.expand(added.flatMap(role => role.permissions)))) {
+    return { error: 'You cannot assign a role with permissions you do not have', status: 403 };
+  }
+  return { roleIds, isAdmin: chosen.some(role => role.name === roles.ADMIN_ROLE) };
+}
+
+router.get('/', auth.requirePermission('users.view'), auth.requireScope('users:read'), (req, res) => {
   try {
-    const allUsers = users.getAll();
+    const locked = loginThrottle.getLockedUsers();
+    const invitationExpiries = invitations.getOutstandingExpiries();
+    const allUsers = users.getAll().map(user => ({
+      ...user,
+      roles: roles.getForUser(user.id),
+      locked_until: locked[user.username.toLowerCase()] ? new Date(locked[user.username.toLowerCase()]).toISOString() : null,
+      invitation_expires_at: user.status === 'invited' ? invitationExpiries[user.id] || null : undefined
+    }));
     res.json(allUsers);
   } catch (err) {
     console.error('Error getting users:', err);
@@ -31,81 +196,161 @@ router.get('/', auth.requireAdmin, (req, res) => {
   }
 });
 
-router.post('/', auth.requireAdmin, async (req, res) => {
-  const { username, password, isAdmin } = req.body;
+router.post('/', auth.requirePermission('users.manage'), auth.requireScope('users:write'), async (req, res) => {
+  const { password } = req.body;
 
-  if (!username || !password) {
+  if (!req.body.username || !password) {
     return res.status(400).json({ error: 'Username and password required' });
   }
-  if (username.length < 3) {
-    return res.status(400).json({ error: 'Username must be at least 3 characters' });
+  const { username, email, roleIds, deactivateAt, error, status } = parseNewUser(req.body, req.user);
+  if (error) {
+    return res.status(status).json({ error });
   }
-  const passwordError = validatePassword(password);
+  const passwordError = await passwordPolicy.validate(password);
   if (passwordError) {
     return res.status(400).json({ error: passwordError });
   }
 
   try {
-    const existing = users.getByUsername(username);
-    if (existing) {
-      return res.status(409).json({ error: 'Username already exists' });
-    }
+    const user = await users.create(username, password, false, email);
+    roles.setUserRoles(user.id, roleIds);
+    if (deactivateAt) users.setDeactivateAt(user.id, deactivateAt);
+    const userRoles = roles.getForUser(user.id);
+    audit.record(req, 'user.create', { targetType: 'user', targetId: user.id, after: auditSnapshot(user.id) });
+    logs.add('info', `User created: ${username}${userRoles.length ? ` (roles: ${userRoles.map(role => role.name).join(', ')})` : ''}`, req.user.id);
 
-    const user = await users.create(username, password, isAdmin);
-    logs.add('info', `User created: ${username}`, req.user.id);
-
-    res.status(201).json(user);
+    res.status(201).json({ ...user, isAdmin: userRoles.some(role => role.name === roles.ADMIN_ROLE), roles: userRoles });
   } catch (err) {
     console.error('Error creating user:', err);
     res.status(500).json({ error: 'Failed to create user' });
   }
 });
 
-router.get('/:id', auth.requireAdmin, (req, res) => {
+router.post('/invite', auth.requirePermission('users.manage'), auth.requireScope('users:write'), async (req, res) => {
+  if (!req.body.username) {
+    return res.status(400).json({ error: 'Username required' });
+  }
+  const { username, email, roleIds, deactivateAt, error, status } = parseNewUser(req.body, req.user);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  try {
+    // Random password: nobody can sign in until the invitee chooses one
+    const user = await users.create(username, crypto.randomBytes(32).toString('hex'), false, email);
+    users.setStatus(user.id, 'invited');
+    roles.setUserRoles(user.id, roleIds);
+    if (deactivateAt) users.setDeactivateAt(user.id, deactivateAt);
+
+    const result = await invitation.send(req, users.getFullById(user.id));
+    if (result.error) {
+      users.delete(user.id);
+      return res.status(503).json({ error: result.error });
+    }
+
+    const userRoles = roles.getForUser(user.id);
+    audit.record(req, 'user.invite', { targetType: 'user', targetId: user.id, after: auditSnapshot(user.id) });
+    logs.add('info', `User invited: ${username}${userRoles.length ? ` (roles: ${userRoles.map(role => role.name).join(', ')})` : ''}`, req.user.id);
+
+    res.status(201).json({
+      ...user,
+      status: 'invited',
+      isAdmin: userRoles.some(role => role.name === roles.ADMIN_ROLE),
+      roles: userRoles,
+      invitation: result
+    });
+  } catch (err) {
+    console.error('Error inviting user:', err);
+    res.status(500).json({ error: 'Failed to invite user' });
+  }
+});
+
+router.get('/:id', auth.requirePermission('users.view'), auth.requireScope('users:read'), (req, res) => {
   const user = users.getById(req.params.id);
   if (!user) {
     return res.status(404).json({ error: 'User not found' });
   }
-  res.json(user);
+  res.json({ ...user, roles: roles.getForUser(user.id) });
 });
 
-router.put('/:id', auth.requireAdmin, async (req, res) => {
-  const { username, password, isAdmin } = req.body;
+router.put('/:id', auth.requirePermission('users.manage'), auth.requireScope('users:write'), async (req, res) => {
+  const { username, password } = req.body;
+  const email = typeof req.body.email === 'string' ? req.body.email.trim() : req.body.email;
   const userId = parseInt(req.params.id);
 
   const user = users.getById(userId);
   if (!user) {
     return res.status(404).json({ error: 'User not found' });
   }
+  if (!canManage(req.user, userId)) {
+    return res.status(403).json({ error: 'You cannot change a user with permissions you do not have' });
+  }
 
   // Validate inputs
   if (username !== undefined && username.length < 3) {
     return res.status(400).json({ error: 'Username must be at least 3 characters' });
   }
   if (password !== undefined) {
-    const passwordError = validatePassword(password);
+    const passwordError = await passwordPolicy.validate(password, users.getFullById(userId));
     if (passwordError) {
       return res.status(400).json({ error: passwordError });
     }
   }
+  if (email !== undefined) {
+    const emailError = validateEmail(email, userId);
+    if (emailError) {
+      return res.status(400).json({ error: emailError });
+    }
+  }
+
+  const { deactivateAt, error: dateError } = parseDeactivateAt(req.body.deactivateAt);
+  if (dateError) {
+    return res.status(400).json({ error: dateError });
+  }
+
+  const currentRoleIds = roles.getForUser(userId).map(role => role.id);
+  const { roleIds, isAdmin, error: roleError, status } = parseRoles(req.body, currentRoleIds, req.user);
+  if (roleError) {
+    return res.status(status).json({ error: roleError });
+  }
 
   // Prevent removing last admin
-  if (user.is_admin && isAdmin === false) {
-    const allUsers = users.getAll();
-    const adminCount = allUsers.filter(u => u.is_admin).length;
-    if (adminCount <= 1) {
-      return res.status(400).json({ error: 'Cannot remove the last admin user' });
-    }
+  if (isAdmin === false && isLastActiveAdmin(user)) {
+    return res.status(400).json({ error: 'Cannot remove the last admin user' });
+  }
+  if (deactivateAt && isLastActiveAdmin(user)) {
+    return res.status(400).json({ error: 'Cannot schedule deactivation of the last admin user' });
   }
 
   try {
+    const before = auditSnapshot(userId);
     const updates = {};
     if (username !== undefined) updates.username = username;
     if (password !== undefined) updates.password = password;
-    if (isAdmin !== undefined) updates.isAdmin = isAdmin;
+    if (email !== undefined) updates.email = email;
 
     await users.update(userId, updates);
-    logs.add('info', `User updated: ${user.username}`, req.user.id);
+    // A password chosen by the admin replaces the invitation
+    if (password !== undefined && user.status === 'invited') {
+      users.setStatus(userId, 'active');
+      invitations.invalidateAllForUser(userId);
+    }
+    if (roleIds) {
+      roles.setUserRoles(userId, roleIds);
+    }
+    if (req.body.deactivateAt !== undefined) {
+      users.setDeactivateAt(userId, deactivateAt);
+    }
+    const changes = [];
+    if (roleIds) changes.push(`roles: ${roles.getForUser(userId).map(role => role.name).join(', ') || 'none'}`);
+    if (req.body.deactivateAt !== undefined) changes.push(`deactivates: ${deactivateAt || 'never'}`);
+    audit.record(req, 'user.update', {
+      targetType: 'user',
+      targetId: userId,
+      before,
+      after: { ...auditSnapshot(userId), password: password !== undefined || null }
+    });
+    logs.add('info', `User updated: ${user.username}${changes.length ? ` (${changes.join(', ')})` : ''}`, req.user.id);
 
     res.json({ success: true });
   } catch (err) {
@@ -114,7 +359,7 @@ router.put('/:id', auth.requireAdmin, async (req, res) => {
   }
 });
 
-router.delete('/:id', auth.requireAdmin, (req, res) => {
+router.delete('/:id', auth.requirePermission('users.manage'), auth.requireScope('users:write'), (req, res) => {
   const userId = parseInt(req.params.id);
 
   const user = users.getById(userId);
@@ -125,17 +370,18 @@ router.delete('/:id', auth.requireAdmin, (req, res) => {
   if (userId === req.user.id) {
     return res.status(400).json({ error: 'Cannot delete yourself' });
   }
+  if (!canManage(req.user, userId)) {
+    return res.status(403).json({ error: 'You cannot delete a user with permissions you do not have' });
+  }
 
-  if (user.is_admin) {
-    const allUsers = users.getAll();
-    const adminCount = allUsers.filter(u => u.is_admin).length;
-    if (adminCount <= 1) {
-      return res.status(400).json({ error: 'Cannot delete the last admin user' });
-    }
+  if (isLastActiveAdmin(user)) {
+    return res.status(400).json({ error: 'Cannot delete the last admin user' });
   }
 
   try {
+    const before = auditSnapshot(userId);
     users.delete(userId);
+    audit.record(req, 'user.delete', { targetType: 'user', targetId: userId, before });
     logs.add('info', `User deleted: ${user.username}`, req.user.id);
     res.json({ success: true });
   } catch (err) {
@@ -144,7 +390,188 @@ router.delete('/:id', auth.requireAdmin, (req, res) => {
   }
 });
 
-router.post('/:id/api-key', auth.requireAdmin, (req, res) => {
+router.get('/:id/api-keys', auth.requirePermission('users.view'), auth.requireScope('users:read'), (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  if (!users.getById(userId)) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  try {
+    res.json(apiKeys.getAllForUser(userId));
+  } catch (err) {
+    console.error('Error listing API keys:', err);
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+router.post('/:id/api-keys', auth.requirePermission('users.manage'), auth.requireScope('users:write'), (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  const user = users.getById(userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (!canManage(req.user, userId)) {
+    return res.status(403).json({ error: 'You cannot create API keys for a user with permissions you do not have' });
+  }
+
+  const { name, scopes, expiresAt, signing, allowedIps, error } = parseKeyRequest(req.body, auth.getUserPermissions(userId), req.user);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const key = apiKeys.create(userId, name, scopes, expiresAt, { signing, allowedIps });
+    audit.record(req, 'user.api_key.create', {
+      targetType: 'user',
+      targetId: userId,
+      after: { apiKey: { id: key.id, name, lastFour: key.lastFour, scopes, expiresAt: key.expiresAt, signing, allowedIps } }
+    });
+    const clientIP = auth.getClientIP(req);
+    logs.add('info', `${signing ? 'Signing API key' : 'API key'} created for user: ${user.username} by admin (${name}, ending in ...${key.lastFour}, scopes: ${scopes.join(' ')}) from IP: ${clientIP}`, req.user.id);
+    res.status(201).json(key);
+  } catch (err) {
+    console.error('Error creating API key:', err);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+router.delete('/:id/api-keys/:keyId', auth.requirePermission('users.manage'), auth.requireScope('users:write'), (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  const user = users.getById(userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (!canManage(req.user, userId)) {
+    return res.status(403).json({ error: 'You cannot revoke API keys of a user with permissions you do not have' });
+  }
+
+  try {
+    const key = apiKeys.getAllForUser(userId).find(k => k.id === parseInt(req.params.keyId));
+    if (!key || !apiKeys.delete(key.id, userId)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    audit.record(req, 'user.api_key.revoke', {
+      targetType: 'user',
+      targetId: userId,
+      before: { apiKey: { id: key.id, name: key.name, lastFour: key.lastFour, scopes: key.scopes, signing: key.signing, allowedIps: key.allowedIps } }
+    });
+    const clientIP = auth.getClientIP(req);
+    logs.add('info', `API key revoked for user: ${user.username} by admin from IP: ${clientIP}`, req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error revoking API key:', err);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+router.get('/:id/sessions', auth.requirePermission('users.view'), auth.requireScope('users:read'), (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  if (!users.getById(userId)) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  try {
+    res.json(sessions.getActiveForUser(userId).map(session => toSessionInfo(session, req.user.tokenId)));
+  } catch (err) {
+    console.error('Error listing sessions:', err);
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+router.delete('/:id/sessions', auth.requirePermission('users.manage'), auth.requireScope('users:write'), (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  const user = users.getById(userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (!canManage(req.user, userId)) {
+    return res.status(403).json({ error: 'You cannot sign out a user with permissions you do not have' });
+  }
+
+  try {
+    // Your own session survives when signing yourself out elsewhere
+    const activeBefore = sessions.getActiveForUser(userId).length;
+    const revoked = sessions.revokeAllForUser(userId, req.user.tokenId);
+    audit.record(req, 'user.sessions.revoke', {
+      targetType: 'user',
+      targetId: userId,
+      before: { activeSessions: activeBefore },
+      after: { activeSessions: activeBefore - revoked }
+    });
+    const clientIP = auth.getClientIP(req);
+    logs.add('info', `Signed out of ${revoked} session(s) for user: ${user.username} by admin from IP: ${clientIP}`, req.user.id);
+    res.json({ success: true, revoked });
+  } catch (err) {
+    console.error('Error revoking sessions:', err);
+    res.status(500).json({ error: 'Failed to sign out sessions' });
+  }
+});
+
+router.delete('/:id/sessions/:sessionId', auth.requirePermission('users.manage'), auth.requireScope('users:write'), (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  const user = users.getById(userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (!canManage(req.user, userId)) {
+    return res.status(403).json({ error: 'You cannot sign out a user with permissions you do not have' });
+  }
+
+  try {
+    const sessionId = parseInt(req.params.sessionId);
+    if (!sessions.revokeById(sessionId, userId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    audit.record(req, 'user.session.revoke', { targetType: 'user', targetId: userId, before: { session: sessionId } });
+    const clientIP = auth.getClientIP(req);
+    logs.add('info', `Session signed out for user: ${user.username} by admin from IP: ${clientIP}`, req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error revoking session:', err);
+    res.status(500).json({ error: 'Failed to sign out session' });
+  }
+});
+
+router.delete('/:id/2fa', auth.requirePermission('users.manage'), auth.requireScope('users:write'), (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  const user = users.getById(userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (!canManage(req.user, userId)) {
+    return res.status(403).json({ error: 'You cannot reset two-factor for a user with permissions you do not have' });
+  }
+
+  try {
+    users.disableTotp(userId);
+    audit.record(req, 'user.2fa.reset', {
+      targetType: 'user',
+      targetId: userId,
+      before: { twoFactorEnabled: !!user.totp_enabled },
+      after: { twoFactorEnabled: false }
+    });
+    const clientIP = auth.getClientIP(req);
+    logs.add('info', `Two-factor authentication reset for user: ${user.username} by admin from IP: ${clientIP}`, req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error resetting 2FA:', err);
+    res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+  }
+});
+
+router.delete('/:id/lockout', auth.requirePermission('users.manage'), auth.requireScope('users:write'), (req, res) => {
   const userId = parseInt(req.params.id);
 
   const user = users.getById(userId);
@@ -152,22 +579,211 @@ router.post('/:id/api-key', auth.requireAdmin, (req, res) => {
     return res.status(404).json({ error: 'User not found' });
   }
 
+  if (!canManage(req.user, userId)) {
+    return res.status(403).json({ error: 'You cannot unlock a user with permissions you do not have' });
+  }
+
   try {
-    const hadExistingKey = !!user.api_key;
-    const result = users.generateApiKey(userId);
-    const { apiKey, lastFour, createdAt } = result;
+    const lockedUntil = loginThrottle.getLockedUsers()[user.username.toLowerCase()];
+    loginThrottle.unlock(user.username);
+    audit.record(req, 'user.lockout.clear', {
+      targetType: 'user',
+      targetId: userId,
+      before: { lockedUntil: lockedUntil ? new Date(lockedUntil).toISOString() : null },
+      after: { lockedUntil: null }
+    });
     const clientIP = auth.getClientIP(req);
+    logs.add('info', `Login lockout cleared for user: ${user.username} by admin from IP: ${clientIP}`, req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error clearing lockout:', err);
+    res.status(500).json({ error: 'Failed to unlock user' });
+  }
+});
+
+router.post('/:id/impersonate', auth.requirePermission('users.impersonate'), auth.requireScope('users:write'), (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  const user = users.getFullById(userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (req.user.authMethod !== 'jwt') {
+    return res.status(400).json({ error: 'Impersonation needs a logged-in session' });
+  }
+  if (req.user.actor) {
+    return res.status(400).json({ error: 'Return to your own account before impersonating someone else' });
+  }
+  if (userId === req.user.id) {
+    return res.status(400).json({ error: 'Cannot impersonate yourself' });
+  }
+  if (user.status === 'invited') {
+    return res.status(400).json({ error: 'This user has not accepted their invitation yet' });
+  }
+  if (user.status === 'pending') {
+    return res.status(400).json({ error: 'This user is awaiting approval' });
+  }
+  if (!auth.isUserActive(user)) {
+    return res.status(400).json({ error: 'This user is disabled' });
+  }
+  if (user.is_admin && settings.get('security.allowAdminImpersonation', false) !== true) {
+    return res.status(403).json({ error: 'Impersonating administrators is not allowed' });
+  }
+  if (!canManage(req.user, userId)) {
+    return res.status(403).json({ error: 'You cannot impersonate a user with permissions you do not have' });
+  }
+
+  audit.record(req, 'user.impersonate', { targetType: 'user', targetId: userId });
+  auth.startImpersonation(req, res, user);
+});
+
+router.post('/:id/invitation', auth.requirePermission('users.manage'), auth.requireScope('users:write'), async (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  const user = users.getFullById(userId);
+  if (!user || user.status !== 'invited') {
+    return res.status(404).json({ error: 'Invitation not found' });
+  }
+  if (!canManage(req.user, userId)) {
+    return res.status(403).json({ error: 'You cannot invite a user with permissions you do not have' });
+  }
+
+  try {
+    const previousExpiry = invitations.getOutstandingExpiries()[userId] || null;
+    const result = await invitation.send(req, user);
+    if (result.error) {
+      return res.status(503).json({ error: result.error });
+    }
+    audit.record(req, 'user.invitation.resend', {
+      targetType: 'user',
+      targetId: userId,
+      before: { invitationExpiresAt: previousExpiry },
+      after: { invitationExpiresAt: result.expiresAt }
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('Error resending invitation:', err);
+    res.status(500).json({ error: 'Failed to resend invitation' });
+  }
+});
+
+router.delete('/:id/invitation', auth.requirePermission('users.manage'), auth.requireScope('users:write'), (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  const user = users.getById(userId);
+  if (!user || user.status !== 'invited') {
+    return res.status(404).json({ error: 'Invitation not found' });
+  }
+  if (!canManage(req.user, userId)) {
+    return res.status(403).json({ error: 'You cannot revoke an invitation for a user with permissions you do not have' });
+  }
+
+  try {
+    const before = auditSnapshot(userId);
+    users.delete(userId);
+    audit.record(req, 'user.invitation.revoke', { targetType: 'user', targetId: userId, before });
+    logs.add('info', `Invitation revoked: ${user.username}`, req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error revoking invitation:', err);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+router.post('/:id/approve', auth.requirePermission('users.manage'), auth.requireScope('users:write'), async (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  const user = users.getById(userId);
+  if (!user || user.status !== 'pending') {
+    return res.status(404).json({ error: 'Registration not found' });
+  }
+
+  try {
+    const before = auditSnapshot(userId);
+    await registration.approve(req, user);
+    audit.record(req, 'user.registration.approve', { targetType: 'user', targetId: userId, before, after: auditSnapshot(userId) });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error approving registration:', err);
+    res.status(500).json({ error: 'Failed to approve registration' });
+  }
+});
+
+router.delete('/:id/registration', auth.requirePermission('users.manage'), auth.requireScope('users:write'), (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  const user = users.getById(userId);
+  if (!user || user.status !== 'pending') {
+    return res.status(404).json({ error: 'Registration not found' });
+  }
+
+  try {
+    const before = auditSnapshot(userId);
+    users.delete(userId);
+    audit.record(req, 'user.registration.reject', { targetType: 'user', targetId: userId, before });
+    logs.add('info', `Registration rejected: ${user.username}`, req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error rejecting registration:', err);
+    res.status(500).json({ error: 'Failed to reject registration' });
+  }
+});
+
+router.post('/:id/disable', auth.requirePermission('users.manage'), auth.requireScope('users:write'), (req, res) => {
+  const userId = parseInt(req.params.id);
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+
+  const user = users.getById(userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  if (user.status !== 'active') {
+    return res.status(400).json({ error: 'Only active users can be disabled' });
+  }
+  if (userId === req.user.id) {
+    return res.status(400).json({ error: 'Cannot disable yourself' });
+  }
+  if (!canManage(req.user, userId)) {
+    return res.status(403).json({ error: 'You cannot disable a user with permissions you do not have' });
+  }
+  if (isLastActiveAdmin(user)) {
+    return res.status(400).json({ error: 'Cannot disable the last admin user' });
+  }
 
-    const logMessage = hadExistingKey
-      ? `API key regenerated for user: ${user.username} by admin (ending in ...${lastFour}) from IP: ${clientIP}`
-      : `API key generated for user: ${user.username} by admin (ending in ...${lastFour}) from IP: ${clientIP}`;
-    logs.add('info', logMessage, req.user.id);
+  try {
+    const before = auditSnapshot(userId);
+    auth.disableUser(user, reason, req.user);
+    audit.record(req, 'user.disable', { targetType: 'user', targetId: userId, before, after: auditSnapshot(userId) });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error disabling user:', err);
+    res.status(500).json({ error: 'Failed to disable user' });
+  }
+});
 
-    res.json({ apiKey, lastFour, createdAt });
+router.post('/:id/enable', auth.requirePermission('users.manage'), auth.requireScope('users:write'), (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  const user = users.getById(userId);
+  if (!user || user.status !== 'disabled') {
+    return res.status(404).json({ error: 'Disabled user not found' });
+  }
+  if (!canManage(req.user, userId)) {
+    return res.status(403).json({ error: 'You cannot enable a user with permissions you do not have' });
+  }
+
+  try {
+    const before = auditSnapshot(userId);
+    users.enable(userId);
+    audit.record(req, 'user.enable', { targetType: 'user', targetId: userId, before, after: auditSnapshot(userId) });
+    logs.add('info', `User enabled: ${user.username}`, req.user.id);
+    res.json({ success: true });
   } catch (err) {
-    console.error('Error generating API key:', err);
-    res.status(500).json({ error: 'Failed to generate API key' });
+    console.error('Error enabling user:', err);
+    res.status(500).json({ error: 'Failed to enable user' });
   }
 });
 
 module.exports = router;
+module.exports.validateEmail = validateEmail;
@@ -0,0 +1,200 @@
+/**
+ * WebAuthn / Passkey Routes
+ * ============================================
+ *
+ * Passkey registration (logged-in users), passwordless sign-in,
+ * and self-service passkey management. Mounted under /auth/webauthn.
+ *
+ * ENDPOINTS:
+ *   POST   /auth/webauthn/register/options - Get registration options (Token)
+ *   POST   /auth/webauthn/register/verify  - Register a passkey (body: { response, name }) (Token)
+ *   POST   /auth/webauthn/login/options    - Get sign-in options (None)
+ *   POST   /auth/webauthn/login/verify     - Sign in with a passkey (body: { response }) (None)
+ *   GET    /auth/webauthn/credentials      - List own passkeys (Token)
+ *   PUT    /auth/webauthn/credentials/:id  - Rename a passkey (body: { name }) (Token)
+ *   DELETE /auth/webauthn/credentials/:id  - Revoke a passkey (Token)
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../auth');
+const webauthn = require('../webauthn');
+const { users, logs, passkeys } = require('../db');
+
+const MAX_NAME_LENGTH = 64;
+
+/**
+ * Strip server-only fields before sending a passkey to the client
+ */
+function toPublicPasskey(passkey) {
+  return {
+    id: passkey.id,
+    name: passkey.name,
+    deviceType: passkey.deviceType,
+    backedUp: passkey.backedUp,
+    createdAt: passkey.createdAt,
+    lastUsedAt: passkey.lastUsedAt
+  };
+}
+
+// ============================================
+// Registration
+// ============================================
+
+router.post('/register/options', auth.requireAuth, auth.requireScope('account:write'), auth.requireOwnSession, async (req, res) => {
+  try {
+    const user = users.getById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const options = await webauthn.registrationOptions(req, user, passkeys.getAllForUser(user.id));
+    res.json(options);
+  } catch (err) {
+    console.error('Error generating passkey registration options:', err);
+    res.status(500).json({ error: 'Failed to start passkey registration' });
+  }
+});
+
+router.post('/register/verify', auth.requireAuth, auth.requireScope('account:write'), auth.requireOwnSession, async (req, res) => {
+  const { response } = req.body;
+  const name = (req.body.name || '').trim().slice(0, MAX_NAME_LENGTH) || 'Passkey';
+
+  if (!response) {
+    return res.status(400).json({ error: 'Registration response required' });
+  }
+
+  try {
+    const user = users.getById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    let credential = null;
+    try {
+      credential = await webauthn.verifyRegistration(req, user, response);
+    } catch (err) {
+      console.error('Passkey registration error:', err.message);
+    }
+    if (!credential) {
+      return res.status(400).json({ error: 'Passkey registration could not be verified' });
+    }
+    if (passkeys.getByCredentialId(credential.credentialId)) {
+      return res.status(409).json({ error: 'This passkey is already registered' });
+    }
+
+    const id = passkeys.create(user.id, credential, name);
+    const clientIP = auth.getClientIP(req);
+    logs.add('info', `Passkey registered by user: ${user.username} (${name}) from IP: ${clientIP}`, user.id);
+
+    res.status(201).json({ id, name });
+  } catch (err) {
+    console.error('Error registering passkey:', err);
+    res.status(500).json({ error: 'Failed to register passkey' });
+  }
+});
+
+// ============================================
+// Sign-in
+// ============================================
+
+router.post('/login/options', async (req, res) => {
+  try {
+    const options = await webauthn.authenticationOptions(req);
+    res.json(options);
+  } catch (err) {
+    console.error('Error generating passkey sign-in options:', err);
+    res.status(500).json({ error: 'Failed to start passkey sign-in' });
+  }
+});
+
+router.post('/login/verify', async (req, res) => {
+  const { response } = req.body;
+  const clientIP = auth.getClientIP(req);
+
+  if (!response || !response.id) {
+    return res.status(400).json({ error: 'Authentication response required' });
+  }
+
+  try {
+    const passkey = passkeys.getByCredentialId(response.id);
+    const user = passkey ? users.getFullById(passkey.userId) : null;
+    if (!user) {
+      logs.add('warn', `Failed passkey sign-in (unknown credential) from IP: ${clientIP}`);
+      return res.status(401).json({ error: 'Passkey not recognized' });
+    }
+
+    let newCounter = null;
+    try {
+      newCounter = await webauthn.verifyAuthentication(req, response, passkey);
+    } catch (err) {
+      console.error('Passkey verification error:', err.message);
+    }
+
+    if (newCounter === null) {
+      logs.add('warn', `Failed passkey sign-in for username: ${user.username} from IP: ${clientIP}`, user.id);
+      return res.status(401).json({ error: 'Passkey could not be verified' });
+    }
+
+    passkeys.recordUse(passkey.id, newCounter);
+    if (!auth.isUserActive(user)) {
+      logs.add('warn', `Passkey sign-in refused for ${user.status} user: ${user.username} from IP: ${clientIP}`, user.id);
+      return res.status(403).json({ error: 'This account has been disabled' });
+    }
+    auth.completeLogin(req, res, user, { amr: ['passkey'], note: `passkey: ${passkey.name}` });
+  } catch (err) {
+    console.error('Error signing in with passkey:', err);
+    res.status(500).json({ error: 'Failed to sign in with passkey' });
+  }
+});
+
+// ============================================
+// Management
+// ============================================
+
+router.get('/credentials', auth.requireAuth, auth.requireScope('account:read'), (req, res) => {
+  try {
+    res.json(passkeys.getAllForUser(req.user.id).map(toPublicPasskey));
+  } catch (err) {
+    console.error('Error listing passkeys:', err);
+    res.status(500).json({ error: 'Failed to list passkeys' });
+  }
+});
+
+router.put('/credentials/:id', auth.requireAuth, auth.requireScope('account:write'), auth.requireOwnSession, (req, res) => {
+  const name = (req.body.name || '').trim();
+
+  if (!name) {
+    return res.status(400).json({ error: 'Name is required' });
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    return res.status(400).json({ error: `Name must be at most ${MAX_NAME_LENGTH} characters` });
+  }
+
+  try {
+    if (!passkeys.rename(parseInt(req.params.id), req.user.id, name)) {
+      return res.status(404).json({ error: 'Passkey not found' });
+    }
+    logs.add('info', `Passkey renamed by user: ${req.user.username} (${name})`, req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error renaming passkey:', err);
+    res.status(500).json({ error: 'Failed to rename passkey' });
+  }
+});
+
+router.delete('/credentials/:id', auth.requireAuth, auth.requireScope('account:write'), auth.requireOwnSession, (req, res) => {
+  try {
+    if (!passkeys.delete(parseInt(req.params.id), req.user.id)) {
+      return res.status(404).json({ error: 'Passkey not found' });
+    }
+    const clientIP = auth.getClientIP(req);
+    logs.add('info', `Passkey revoked by user: ${req.user.username} from IP: ${clientIP}`, req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error revoking passkey:', err);
+    res.status(500).json({ error: 'Failed to revoke passkey' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+/**
+ * Site Framework - Session Policy
+ * ============================================
+ *
+ * Ends sessions that have been idle too long or have reached their
+ * maximum lifetime, whatever the access and refresh token expiries say.
+ * Idle time is measured from sessions.last_seen_at, which every request
+ * made with the session updates (at most once a minute). The browser
+ * warns before the idle limit and keeps the session alive while the
+ * user is active (AuthManager in public/site-framework/js/auth.js).
+ *
+ * USAGE:
+ *   const sessionPolicy = require('./site-framework/sessionPolicy');
+ *
+ *   const reason = sessionPolicy.check(session);   // 'idle', 'lifetime' or null
+ *   res.json(sessionPolicy.getRules());
+ *
+ * SETTINGS:
+ *   security.sessionIdleMinutes - Sign out after this long without requests, 0 = never (default: 0)
+ *   security.sessionMaxHours    - Sign out this long after login, however active, 0 = never (default: 0)
+ */
+
+const { settings, parseTimestamp } = require('./db');
+
+// last_seen_at is written at most once a minute, and the browser only
+// reports activity that often, so the server allows this much extra
+const IDLE_GRACE_MS = 2 * 60 * 1000;
+
+/**
+ * Current rules, safe to send to the browser
+ */
+function getRules() {
+  return {
+    idleMinutes: Math.max(0, parseInt(settings.get('security.sessionIdleMinutes', 0)) || 0),
+    maxHours: Math.max(0, parseFloat(settings.get('security.sessionMaxHours', 0)) || 0)
+  };
+}
+
+/**
+ * Whether a session has outlived the policy
+ * @param {Object} session - sessions row
+ * @returns {string|null} 'idle', 'lifetime', or null if the session may continue
+ */
+function check(session) {
+  const { idleMinutes, maxHours } = getRules();
+  const now = Date.now();
+
+  if (maxHours > 0 && now - parseTimestamp(session.created_at) > maxHours * 60 * 60 * 1000) {
+    return 'lifetime';
+  }
+
+  const lastSeen = session.last_seen_at || session.created_at;
+  if (idleMinutes > 0 && now - parseTimestamp(lastSeen) > idleMinutes * 60 * 1000 + IDLE_GRACE_MS) {
+    return 'idle';
+  }
+
+  return null;
+}
+
+module.exports = {
+  getRules,
+  check
+};
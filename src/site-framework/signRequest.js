@@ -0,0 +1,79 @@
+/**
+ * Site Framework - Request Signing (client helper)
+ * ============================================
+ *
+ * Signs API requests with a signing API key, for services calling the
+ * framework's API. Instead of sending the key, the client sends its id
+ * and an HMAC-SHA256, keyed with the secret, over the method, path (with
+ * query string), timestamp, a one-time nonce and the SHA-256 of the body:
+ *
+ *   METHOD \n PATH \n TIMESTAMP \n NONCE \n HEX(SHA256(BODY))
+ *
+ * The server (requestSigning.js) refuses stale timestamps and reused
+ * nonces, so a logged request can't be replayed. The body must be sent
+ * exactly as signed.
+ *
+ * This file only needs Node's crypto module: services can copy it or
+ * require it directly without loading the rest of the framework.
+ *
+ * USAGE:
+ *   const signRequest = require('./site-framework/signRequest');
+ *
+ *   const body = JSON.stringify({ name: 'nightly' });
+ *   const headers = signRequest({ keyId: 12, secret: process.env.API_SECRET, method: 'POST', path: '/api/reports', body });
+ *   await fetch('https://app.example.com/api/reports', {
+ *     method: 'POST',
+ *     headers: { ...headers, 'Content-Type': 'application/json' },
+ *     body
+ *   });
+ */
+
+const crypto = require('crypto');
+
+const HEADERS = {
+  keyId: 'x-api-key-id',
+  timestamp: 'x-signature-timestamp',
+  nonce: 'x-signature-nonce',
+  signature: 'x-signature'
+};
+
+function hashBody(body) {
+  return crypto.createHash('sha256').update(body || '').digest('hex');
+}
+
+/**
+ * The string that gets signed
+ */
+function canonicalString({ method, path, timestamp, nonce, body }) {
+  return [String(method).toUpperCase(), path, timestamp, nonce, hashBody(body)].join('\n');
+}
+
+function computeSignature(secret, parts) {
+  return crypto.createHmac('sha256', secret).update(canonicalString(parts)).digest('hex');
+}
+
+/**
+ * Headers for a signed request
+ * @param {Object} options
+ * @param {number|string} options.keyId - API key id
+ * @param {string} options.secret - The key's secret, shown once when it was created
+ * @param {string} options.method - HTTP method
+ * @param {string} options.path - Path with query string, e.g. '/api/logs?limit=10'
+ * @param {string|Buffer} [options.body] - Exact request body
+ * @returns {Object} Headers to add to the request
+ */
+function signRequest({ keyId, secret, method, path, body = '' }) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = crypto.randomBytes(16).toString('hex');
+
+  return {
+    [HEADERS.keyId]: String(keyId),
+    [HEADERS.timestamp]: timestamp,
+    [HEADERS.nonce]: nonce,
+    [HEADERS.signature]: computeSignature(secret, { method, path, timestamp, nonce, body })
+  };
+}
+
+module.exports = signRequest;
+module.exports.HEADERS = HEADERS;
+module.exports.computeSignature = computeSignature;
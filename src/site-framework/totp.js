@@ -0,0 +1,164 @@
+/**
+ * Site Framework - TOTP (RFC 6238)
+ * ============================================
+ *
+ * Time-based one-time passwords for two-factor authentication.
+ * Compatible with Google Authenticator, Authy, 1Password, etc.
+ *
+ * USAGE:
+ *   const totp = require('./site-framework/totp');
+ *
+ *   const secret = totp.generateSecret();
+ *   const uri = totp.buildOtpauthUri('Site Framework', 'admin', secret);
+ *   const step = totp.verify(secret, '123456');  // matched time step, or null
+ *
+ * DEFAULTS:
+ *   SHA-1, 6 digits, 30 second period, +/- 1 step clock drift
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD = 30;
+const DRIFT_STEPS = 1;
+
+// ============================================
+// Base32 (RFC 4648, no padding)
+// ============================================
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(str) {
+  const clean = str.toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// ============================================
+// TOTP
+// ============================================
+
+/**
+ * Generate a random 160-bit secret, base32 encoded
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Get the current time step (or the step for a given timestamp in ms)
+ */
+function getTimeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / PERIOD);
+}
+
+/**
+ * Generate the code for a secret at a given time step (RFC 4226 HOTP)
+ */
+function generateCode(secret, step = getTimeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Verify a code against a secret, allowing for clock drift.
+ * Returns the matched time step (so callers can reject replays), or null.
+ */
+function verify(secret, code, now = Date.now()) {
+  if (!secret || typeof code !== 'string' || !/^\d{6}$/.test(code)) return null;
+
+  const current = getTimeStep(now);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    const expected = Buffer.from(generateCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build an otpauth:// URI for authenticator apps / QR codes
+ */
+function buildOtpauthUri(issuer, accountName, secret) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Generate one-time recovery codes (format: xxxxx-xxxxx)
+ */
+function generateRecoveryCodes(count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+}
+
+/**
+ * Normalize and hash a recovery code for storage/comparison
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  getTimeStep,
+  verify,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
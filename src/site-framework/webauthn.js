@@ -0,0 +1,164 @@
+/**
+ * Site Framework - WebAuthn / Passkeys
+ * ============================================
+ *
+ * Thin wrapper around @simplewebauthn/server that supplies the
+ * relying party configuration and tracks outstanding challenges.
+ *
+ * USAGE:
+ *   const webauthn = require('./site-framework/webauthn');
+ *
+ *   const options = await webauthn.registrationOptions(req, user, existingCredentials);
+ *   const result = await webauthn.verifyRegistration(req, user, response);
+ *
+ * CONFIGURATION:
+ *   WEBAUTHN_RP_ID   - Relying party ID, usually the site's domain (default: request hostname)
+ *   WEBAUTHN_ORIGIN  - Expected origin, e.g. https://app.example.com (default: request origin)
+ *   Set both in production so they can't be influenced by request headers.
+ */
+
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { settings } = require('./db');
+
+// Challenges are single-use and expire after 5 minutes
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const pendingChallenges = new Map();
+
+// ============================================
+// Relying Party Configuration
+// ============================================
+
+function getRpId(req) {
+  return process.env.WEBAUTHN_RP_ID || req.hostname;
+}
+
+function getExpectedOrigin(req) {
+  return process.env.WEBAUTHN_ORIGIN || `${req.protocol}://${req.get('host')}`;
+}
+
+// ============================================
+// Challenge Tracking
+// ============================================
+
+/**
+ * Remember a challenge. `key` scopes it (e.g. 'register:<userId>' or 'login').
+ */
+function storeChallenge(challenge, key) {
+  const now = Date.now();
+  for (const [id, entry] of pendingChallenges) {
+    if (entry.expiresAt < now) pendingChallenges.delete(id);
+  }
+  pendingChallenges.set(challenge, { key, expiresAt: now + CHALLENGE_TTL_MS });
+}
+
+/**
+ * Returns a checker for verify*Response() that consumes the challenge on use
+ */
+function consumeChallenge(key) {
+  return (challenge) => {
+    const entry = pendingChallenges.get(challenge);
+    pendingChallenges.delete(challenge);
+    return !!entry && entry.key === key && entry.expiresAt >= Date.now();
+  };
+}
+
+// ============================================
+// Registration
+// ============================================
+
+/**
+ * Build registration options for a logged-in user
+ * @param {Array} existing - User's current credentials (excluded from re-registration)
+ */
+async function registrationOptions(req, user, existing = []) {
+  const options = await generateRegistrationOptions({
+    rpName: settings.get('siteName', 'Site Framework'),
+    rpID: getRpId(req),
+    userName: user.username,
+    attestationType: 'none',
+    excludeCredentials: existing.map(c => ({ id: c.credentialId, transports: c.transports })),
+    authenticatorSelection: {
+      residentKey: 'required',
+      userVerification: 'preferred'
+    }
+  });
+
+  storeChallenge(options.challenge, `register:${user.id}`);
+  return options;
+}
+
+/**
+ * Verify a registration response. Returns the credential to store, or null.
+ */
+async function verifyRegistration(req, user, response) {
+  const { verified, registrationInfo } = await verifyRegistrationResponse({
+    response,
+    expectedChallenge: consumeChallenge(`register:${user.id}`),
+    expectedOrigin: getExpectedOrigin(req),
+    expectedRPID: getRpId(req),
+    requireUserVerification: false
+  });
+
+  if (!verified) return null;
+
+  const { credential, credentialDeviceType, credentialBackedUp } = registrationInfo;
+  return {
+    credentialId: credential.id,
+    publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+    counter: credential.counter,
+    transports: credential.transports || response.response?.transports || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp
+  };
+}
+
+// ============================================
+// Authentication
+// ============================================
+
+/**
+ * Build authentication options for a usernameless (discoverable credential) login
+ */
+async function authenticationOptions(req) {
+  const options = await generateAuthenticationOptions({
+    rpID: getRpId(req),
+    userVerification: 'preferred'
+  });
+
+  storeChallenge(options.challenge, 'login');
+  return options;
+}
+
+/**
+ * Verify an authentication response against a stored credential.
+ * Returns the new signature counter, or null if verification failed.
+ */
+async function verifyAuthentication(req, response, stored) {
+  const { verified, authenticationInfo } = await verifyAuthenticationResponse({
+    response,
+    expectedChallenge: consumeChallenge('login'),
+    expectedOrigin: getExpectedOrigin(req),
+    expectedRPID: getRpId(req),
+    credential: {
+      id: stored.credentialId,
+      publicKey: Buffer.from(stored.publicKey, 'base64url'),
+      counter: stored.counter,
+      transports: stored.transports
+    },
+    requireUserVerification: false
+  });
+
+  return verified ? authenticationInfo.newCounter : null;
+}
+
+module.exports = {
+  registrationOptions,
+  verifyRegistration,
+  authenticationOptions,
+  verifyAuthentication
+};